@@ -0,0 +1,594 @@
+/**
+ * Agent CLI
+ *
+ * Runs the agent without the browser: same Ollama client, code parser,
+ * agent loop, benchmark harness and example tests as the React app, with
+ * generated code graded in worker_threads (scripts/node-sandbox.js).
+ *
+ * Usage:
+ *   npm run agent -- run "Write a function called 'add' that adds two numbers"
+ *   npm run agent -- run --example fibonacci --max-iterations 3
+ *   npm run agent -- run --example fibonacci --candidates 3   # best of 3 per attempt
+ *   npm run agent -- bench --model phi3:latest --model qwen2.5-coder:1.5b --samples 5
+ *   npm run agent -- eval --suite examples --difficulty easy
+ *   npm run agent -- eval --suite examples --mock-server      # CI: no model needed
+ *
+ * Commands:
+ *   run "<goal>"     Generate → test → reflect → regenerate for one goal, streaming the model output.
+ *                    Tests come from --example <id>, --tests <file.json>, or the example whose goal matches.
+ *   bench            Benchmark harness (src/utils/benchmark.js) for every --model.
+ *   eval             Agent loop over a suite: `examples` (src/data/examples.js) or a JSON file
+ *                    ([{ id, goal, tests }]). Exits 1 if any goal fails.
+ *
+ * Options:
+ *   --model <name>          Model (repeatable for bench; default: phi3:latest)
+ *   --base-url <url>        Ollama endpoint (default: http://localhost:11434)
+ *   --param key=value       Generation parameter, repeatable (e.g. --param temperature=0.2 --param seed=42)
+ *   --output-mode <mode>    markdown | json (structured output)
+ *   --max-iterations <n>    Attempts per goal for run/eval (default: 3)
+ *   --candidates <n>        run/eval: best of N - completions per attempt, the best tested one is kept (default: 1)
+ *   --samples <n>           Samples per example for bench (default: 3)
+ *   --example <id>          run: use this example's goal + tests; bench/eval: only these examples (repeatable)
+ *   --difficulty <level>    bench/eval: only easy | medium | hard examples
+ *   --category <name>       bench/eval: only examples in this category
+ *   --tests <file.json>     run: test cases ([{ "input": [2, 3], "expected": 5 }], matchers: src/utils/matchers.js)
+ *   --function <name>       run: function under test (default: inferred)
+ *   --safety rule=policy    Safety scanner policy, repeatable (e.g. --safety storage=block --safety network=warn; block | warn | off)
+ *   --mock                  Use the in-app canned responses (or the --replay fixture)
+ *   --mock-server           Start scripts/mock-ollama.js in-process and point the client at it
+ *   --record <file.json>    Record every Ollama request/stream to a fixture file (see src/utils/fixtures.js)
+ *   --replay <file.json>    Answer requests from a fixture file instead of Ollama
+ *   --out <file.json>       Report path (default: reports/<command>-<timestamp>.json)
+ *   --quiet                 Don't stream model output
+ *   --verbose               App logs on stderr
+ *
+ * Exit codes: 0 success, 1 goal/suite failed or run error, 2 bad usage.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { dirname, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import { Console } from 'node:console';
+import { runTests } from './node-sandbox.js';
+import { startMockOllama } from './mock-ollama.js';
+import { generateCode, generateStructuredCode, DEFAULT_MODEL, OLLAMA_BASE_URL } from '../src/utils/ollama.js';
+import { extractCode } from '../src/utils/codeParser.js';
+import { runAgentLoop, formatTestFailures, DEFAULT_MAX_ITERATIONS } from '../src/utils/agentLoop.js';
+import { runBenchmark, getReportedK, DEFAULT_SAMPLES } from '../src/utils/benchmark.js';
+import { MAX_CANDIDATES } from '../src/utils/candidates.js';
+import { sanitizeParameters, formatParameters } from '../src/utils/generationParams.js';
+import { SAFETY_RULES, SAFETY_POLICIES, sanitizePolicies } from '../src/utils/safetyScanner.js';
+import { loadFixture, setFixtureMode, serializeRecording } from '../src/utils/fixtures.js';
+import { EXAMPLE_GOALS, getExampleByGoal } from '../src/data/examples.js';
+import { setLogSink } from '../src/utils/logger.js';
+
+const COMMANDS = ['run', 'bench', 'eval'];
+
+class UsageError extends Error {}
+
+/**
+ * Parse argv into { command, goal, options }
+ * @param {string[]} args
+ */
+function parseCommandLine(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      model: { type: 'string', multiple: true },
+      'base-url': { type: 'string' },
+      param: { type: 'string', multiple: true },
+      'output-mode': { type: 'string', default: 'markdown' },
+      'max-iterations': { type: 'string' },
+      candidates: { type: 'string' },
+      samples: { type: 'string' },
+      example: { type: 'string', multiple: true },
+      difficulty: { type: 'string' },
+      category: { type: 'string' },
+      suite: { type: 'string', default: 'examples' },
+      tests: { type: 'string' },
+      function: { type: 'string' },
+      safety: { type: 'string', multiple: true },
+      mock: { type: 'boolean', default: false },
+      'mock-server': { type: 'boolean', default: false },
+      record: { type: 'string' },
+      replay: { type: 'string' },
+      out: { type: 'string' },
+      quiet: { type: 'boolean', default: false },
+      verbose: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false },
+    },
+  });
+
+  const [command, ...rest] = positionals;
+  if (values.help || !command) {
+    return { command: 'help', options: values };
+  }
+  if (!COMMANDS.includes(command)) {
+    throw new UsageError(`Unknown command "${command}" (expected ${COMMANDS.join(', ')})`);
+  }
+  if (!['markdown', 'json'].includes(values['output-mode'])) {
+    throw new UsageError('--output-mode must be markdown or json');
+  }
+  if (values.record && values.replay) {
+    throw new UsageError('Use either --record or --replay, not both');
+  }
+
+  return { command, goal: rest.join(' ').trim(), options: values };
+}
+
+/**
+ * Positive integer option
+ * @param {string|undefined} value
+ * @param {string} name - Flag name for the error message
+ * @param {number} fallback
+ * @returns {number}
+ */
+function toCount(value, name, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) {
+    throw new UsageError(`--${name} must be a positive integer`);
+  }
+  return number;
+}
+
+/**
+ * --candidates, capped like the app's "Best of" picker
+ * @param {string|undefined} value
+ * @returns {number}
+ */
+function toCandidates(value) {
+  const count = toCount(value, 'candidates', 1);
+  if (count > MAX_CANDIDATES) {
+    throw new UsageError(`--candidates can be at most ${MAX_CANDIDATES}`);
+  }
+  return count;
+}
+
+/**
+ * --param key=value pairs → Ollama options
+ * @param {string[]} pairs
+ * @returns {Object}
+ */
+function parseParameters(pairs = []) {
+  const raw = {};
+  for (const pair of pairs) {
+    const separator = pair.indexOf('=');
+    if (separator === -1) throw new UsageError(`--param expects key=value, got "${pair}"`);
+    const key = pair.slice(0, separator).trim();
+    const value = pair.slice(separator + 1);
+    // Repeated stop sequences accumulate
+    raw[key] = key === 'stop' && raw.stop ? `${raw.stop}\n${value}` : value;
+  }
+
+  const parameters = sanitizeParameters(raw);
+  const ignored = Object.keys(raw).filter(key => !(key in parameters));
+  if (ignored.length > 0) {
+    throw new UsageError(`Unknown or invalid parameter(s): ${ignored.join(', ')}`);
+  }
+  return parameters;
+}
+
+/**
+ * --safety rule=policy pairs → safety scanner policies
+ * @param {string[]} pairs
+ * @returns {Object}
+ */
+function parseSafetyPolicies(pairs = []) {
+  const policies = {};
+  for (const pair of pairs) {
+    const [ruleId, policy] = pair.split('=').map(part => part.trim());
+    if (!SAFETY_RULES.some(rule => rule.id === ruleId) || !SAFETY_POLICIES.includes(policy)) {
+      throw new UsageError(`--safety expects rule=${SAFETY_POLICIES.join('|')} with rule one of ${SAFETY_RULES.map(rule => rule.id).join(', ')}, got "${pair}"`);
+    }
+    policies[ruleId] = policy;
+  }
+  return sanitizePolicies(policies);
+}
+
+/**
+ * Read a JSON file
+ * @param {string} path
+ * @returns {*}
+ */
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf8'));
+  } catch (error) {
+    throw new UsageError(`Could not read ${path}: ${error.message}`);
+  }
+}
+
+/**
+ * Write a file, creating its directory
+ * @param {string} path
+ * @param {string} text
+ * @returns {string} - Absolute path written
+ */
+function writeOutput(path, text) {
+  const fullPath = resolve(path);
+  mkdirSync(dirname(fullPath), { recursive: true });
+  writeFileSync(fullPath, text);
+  return fullPath;
+}
+
+/**
+ * Examples selected by --example / --difficulty / --category
+ * @param {Array} examples
+ * @param {Object} options
+ * @returns {Array}
+ */
+function filterExamples(examples, options) {
+  const selected = examples.filter(example =>
+    (!options.example || options.example.includes(example.id)) &&
+    (!options.difficulty || example.difficulty === options.difficulty) &&
+    (!options.category || example.category === options.category)
+  );
+  if (selected.length === 0) {
+    throw new UsageError('No examples match the given --example/--difficulty/--category');
+  }
+  return selected;
+}
+
+/**
+ * Generation function for the agent loop (same result shape as useOllama().generate)
+ * @param {Object} params
+ * @param {'markdown'|'json'} params.outputMode
+ * @param {Object} params.ollamaOptions
+ * @param {Function|null} params.onChunk - Streamed text
+ * @param {AbortSignal} params.signal
+ * @returns {Function} - (goal, context, overrides) => Promise<generation>
+ */
+function createGenerate({ outputMode, ollamaOptions, onChunk, signal }) {
+  return async (goal, context, overrides = {}) => {
+    const options = { ...ollamaOptions, ...overrides, onChunk, signal };
+
+    if (outputMode === 'json') {
+      const result = await generateStructuredCode(goal, context, options);
+      return {
+        ...result,
+        code: result.structured?.code || null,
+        rawResponse: result.response,
+        functionName: result.structured?.functionName || null,
+      };
+    }
+
+    const result = await generateCode(goal, context, options);
+    return { ...result, code: result.success ? extractCode(result.response) : null, rawResponse: result.response };
+  };
+}
+
+/**
+ * Terminal output helpers (stdout is for results; logs go to stderr)
+ */
+const print = (line = '') => process.stdout.write(`${line}\n`);
+
+/**
+ * One-line summary of an agent loop result
+ * @param {Object} result
+ * @returns {string}
+ */
+function describeLoopResult(result) {
+  const attempts = result.iterations.length;
+  const last = result.iterations[attempts - 1];
+  const tests = last?.testResults ? `, ${last.testResults.passed}/${last.testResults.total} tests` : '';
+  return `${result.status} after ${attempts} attempt${attempts === 1 ? '' : 's'}${tests}${result.error ? ` - ${result.error}` : ''}`;
+}
+
+const STATUS_ICONS = { passed: '✅', untested: '⚪', failed: '❌', error: '💥', cancelled: '⏹' };
+
+/**
+ * Run the agent loop for one goal with terminal output
+ * @param {Object} params
+ * @returns {Promise<Object>} - Loop result
+ */
+async function runGoal({ goal, tests, functionName, maxIterations, candidates, generate, ollamaOptions, safetyPolicies, signal, quiet }) {
+  return runAgentLoop({
+    goal,
+    tests,
+    functionName,
+    maxIterations,
+    candidates,
+    generate,
+    runTests,
+    safetyPolicies,
+    ollamaOptions,
+    signal,
+    // Fix memory lives in the browser's IndexedDB
+    findSimilarFixes: async () => [],
+    recordFix: async () => null,
+    onIterationStart: (n) => {
+      if (!quiet) print(`\n── Attempt ${n}/${maxIterations} ──`);
+    },
+    onCandidateStart: (n, index, count) => {
+      if (!quiet) print(`${index > 0 ? '\n' : ''}  · candidate ${index + 1}/${count}`);
+    },
+    onIteration: (iteration) => {
+      if (!quiet) print();
+      if (iteration.candidates?.length > 1) {
+        const outcomes = iteration.candidates
+          .map(candidate => `#${candidate.index + 1} ${candidate.error ? 'error' : candidate.testResults ? `${candidate.testResults.passed}/${candidate.testResults.total}` : 'untested'}`)
+          .join(', ');
+        print(`  🏆 best of ${iteration.candidates.length}: ${outcomes}`);
+      }
+      if (iteration.error) {
+        print(`  💥 ${iteration.error}`);
+      } else if (iteration.testResults) {
+        const { passed, total } = iteration.testResults;
+        print(`  ${iteration.success ? '✅' : '❌'} ${passed}/${total} tests passed (${iteration.functionName})`);
+        if (!iteration.success && !quiet) {
+          print(formatTestFailures(iteration.testResults, iteration.functionName).replace(/^/gm, '    '));
+        }
+      }
+      if (iteration.hypothesis && !quiet) {
+        print(`  💡 ${iteration.hypothesis.split('\n')[0]}`);
+      }
+    }
+  });
+}
+
+/**
+ * `run "<goal>"`
+ */
+async function commandRun(goal, context) {
+  const { options } = context;
+  let tests = [];
+  let example = null;
+
+  if (options.example) {
+    example = EXAMPLE_GOALS.find(candidate => candidate.id === options.example[0]);
+    if (!example) throw new UsageError(`Unknown example "${options.example[0]}"`);
+    goal = goal || example.goal;
+  } else if (goal) {
+    example = getExampleByGoal(goal) || null;
+  }
+  if (!goal) throw new UsageError('run needs a goal: run "<goal>" or run --example <id>');
+
+  if (options.tests) {
+    tests = readJson(options.tests);
+    if (!Array.isArray(tests)) throw new UsageError('--tests must contain an array of { input, expected }');
+  } else if (example) {
+    tests = example.tests;
+  }
+
+  const maxIterations = toCount(options['max-iterations'], 'max-iterations', DEFAULT_MAX_ITERATIONS);
+  const candidates = toCandidates(options.candidates);
+  print(`🎯 ${goal}`);
+  print(`   ${context.describe()} · ${tests.length} test${tests.length === 1 ? '' : 's'} · up to ${maxIterations} attempts${candidates > 1 ? ` · best of ${candidates}` : ''}`);
+
+  const result = await runGoal({
+    goal,
+    tests,
+    functionName: options.function,
+    maxIterations,
+    candidates,
+    generate: context.generate,
+    ollamaOptions: context.ollamaOptions,
+    safetyPolicies: context.safetyPolicies,
+    signal: context.signal,
+    quiet: options.quiet
+  });
+
+  print(`\n${STATUS_ICONS[result.status] || ''} ${describeLoopResult(result)}`);
+  if (result.finalCode && options.quiet) {
+    print(`\n${result.finalCode}`);
+  }
+
+  return {
+    exitCode: ['passed', 'untested'].includes(result.status) ? 0 : 1,
+    report: { goal, exampleId: example?.id || null, tests, candidates, ...result }
+  };
+}
+
+/**
+ * `bench`
+ */
+async function commandBench(goal, context) {
+  const { options } = context;
+  const models = options.model?.length ? options.model : [context.ollamaOptions.model];
+  const examples = filterExamples(EXAMPLE_GOALS, options);
+  const samples = toCount(options.samples, 'samples', DEFAULT_SAMPLES);
+
+  print(`📈 ${models.length} model${models.length === 1 ? '' : 's'} × ${examples.length} examples × ${samples} samples`);
+  print(`   ${context.describe()}`);
+
+  const report = await runBenchmark({
+    models,
+    examples,
+    samples,
+    outputMode: options['output-mode'],
+    ollamaOptions: context.ollamaOptions,
+    runTests,
+    safetyPolicies: context.safetyPolicies,
+    signal: context.signal,
+    onSample: (sample) => {
+      if (options.quiet) return;
+      const status = sample.passed ? '✅' : sample.error ? '💥' : '❌';
+      print(`  ${status} ${sample.model} ${sample.exampleId} #${sample.sample} ${sample.testsPassed}/${sample.testsTotal} ${Math.round(sample.duration)}ms${sample.error ? ` - ${sample.error.split('\n')[0]}` : ''}`);
+    }
+  });
+
+  const ks = getReportedK(samples);
+  const percent = (value) => (value === null ? '–' : `${(value * 100).toFixed(1)}%`);
+  print();
+  console.table(Object.fromEntries(report.summary.map(row => [row.model, {
+    'pass rate': percent(row.passRate),
+    ...Object.fromEntries(ks.map(k => [`pass@${k}`, percent(row.passAtK[k])])),
+    'avg latency': row.avgLatency === null ? '–' : `${Math.round(row.avgLatency)}ms`,
+    tokens: row.totalTokens,
+    'tok/s': row.avgTokensPerSecond === null ? '–' : Number(row.avgTokensPerSecond.toFixed(1)),
+    errors: row.errors,
+  }])));
+
+  return { exitCode: 0, report };
+}
+
+/**
+ * `eval --suite examples|<file.json>`
+ */
+async function commandEval(goal, context) {
+  const { options } = context;
+  let suite = EXAMPLE_GOALS;
+  if (options.suite !== 'examples') {
+    const loaded = readJson(options.suite);
+    suite = (Array.isArray(loaded) ? loaded : loaded.examples || [])
+      .map((item, index) => ({ id: item.id || `goal-${index + 1}`, ...item }));
+  }
+  const examples = filterExamples(suite, options);
+  const maxIterations = toCount(options['max-iterations'], 'max-iterations', DEFAULT_MAX_ITERATIONS);
+  const candidates = toCandidates(options.candidates);
+
+  print(`🧪 ${examples.length} goals from ${options.suite} · up to ${maxIterations} attempts each${candidates > 1 ? ` · best of ${candidates}` : ''}`);
+  print(`   ${context.describe()}`);
+
+  const results = [];
+  for (const example of examples) {
+    if (context.signal.aborted) break;
+    print(`\n━━ ${example.id}: ${example.goal}`);
+
+    const result = await runGoal({
+      goal: example.goal,
+      tests: example.tests || [],
+      functionName: example.functionName,
+      maxIterations,
+      candidates,
+      generate: context.generate,
+      ollamaOptions: context.ollamaOptions,
+      safetyPolicies: context.safetyPolicies,
+      signal: context.signal,
+      quiet: options.quiet
+    });
+    print(`${STATUS_ICONS[result.status] || ''} ${example.id}: ${describeLoopResult(result)}`);
+
+    results.push({
+      id: example.id,
+      goal: example.goal,
+      status: result.status,
+      attempts: result.iterations.length,
+      duration: result.iterations.reduce((total, it) => total + (it.duration || 0), 0),
+      tokens: result.iterations.reduce((total, it) => total + (it.tokens?.total || 0), 0),
+      finalCode: result.finalCode,
+      error: result.error,
+      iterations: result.iterations
+    });
+  }
+
+  const passed = results.filter(result => ['passed', 'untested'].includes(result.status)).length;
+  const stopped = context.signal.aborted ? ` (stopped after ${results.length})` : '';
+  print(`\n${passed === examples.length ? '✅' : '❌'} ${passed}/${examples.length} goals passed${stopped}`);
+
+  return {
+    exitCode: passed === examples.length ? 0 : 1,
+    report: { suite: options.suite, maxIterations, candidates, passed, total: examples.length, cancelled: context.signal.aborted, results }
+  };
+}
+
+const HANDLERS = { run: commandRun, bench: commandBench, eval: commandEval };
+
+/**
+ * Print the usage block from the top of this file
+ */
+function printHelp() {
+  const source = readFileSync(new URL(import.meta.url), 'utf8');
+  const usage = source.slice(source.indexOf(' * Usage:'), source.indexOf(' */'));
+  print(usage.replace(/^ \* ?/gm, ''));
+}
+
+async function main() {
+  const { command, goal, options } = parseCommandLine(process.argv.slice(2));
+
+  if (command === 'help') {
+    printHelp();
+    return 0;
+  }
+
+  // Keep stdout for model output and results
+  setLogSink(options.verbose ? new Console(process.stderr) : null);
+
+  let mock = null;
+  if (options['mock-server']) {
+    mock = await startMockOllama({ port: 0, quiet: true });
+  }
+
+  if (options.replay) {
+    loadFixture(readFileSync(options.replay, 'utf8'), options.replay);
+    setFixtureMode('replay');
+  } else if (options.record) {
+    setFixtureMode('record');
+  }
+
+  const ollamaOptions = {
+    model: options.model?.[0] || DEFAULT_MODEL,
+    baseUrl: mock?.url || options['base-url'] || OLLAMA_BASE_URL,
+    parameters: parseParameters(options.param),
+    useMock: options.mock,
+  };
+
+  // Ctrl+C stops after the current step and still writes the report; twice exits
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    process.stderr.write('\n⏹ Stopping after the current step (Ctrl+C again to quit)\n');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(130));
+  });
+
+  const streamChunk = (chunk) => process.stdout.write(chunk);
+  const safetyPolicies = parseSafetyPolicies(options.safety);
+  const context = {
+    options,
+    ollamaOptions,
+    safetyPolicies,
+    signal: controller.signal,
+    generate: createGenerate({
+      outputMode: options['output-mode'],
+      ollamaOptions,
+      onChunk: options.quiet ? null : streamChunk,
+      signal: controller.signal
+    }),
+    describe: () => [
+      ollamaOptions.useMock ? 'mock' : `${ollamaOptions.model} @ ${ollamaOptions.baseUrl}`,
+      options['output-mode'] === 'json' && 'structured JSON',
+      formatParameters(ollamaOptions.parameters),
+      options.replay && `replaying ${options.replay}`,
+      Object.keys(safetyPolicies).length > 0 && `safety ${Object.entries(safetyPolicies).map(([rule, policy]) => `${rule}=${policy}`).join(' ')}`,
+    ].filter(Boolean).join(' · '),
+  };
+
+  const startedAt = new Date().toISOString();
+  try {
+    const { exitCode, report } = await HANDLERS[command](goal, context);
+
+    const outPath = options.out || `reports/${command}-${startedAt.replace(/[:.]/g, '-')}.json`;
+    const written = writeOutput(outPath, JSON.stringify({
+      command,
+      startedAt,
+      finishedAt: new Date().toISOString(),
+      model: ollamaOptions.model,
+      baseUrl: ollamaOptions.baseUrl,
+      parameters: ollamaOptions.parameters,
+      outputMode: options['output-mode'],
+      mock: ollamaOptions.useMock || !!options['mock-server'],
+      ...report
+    }, null, 2));
+    print(`\n📝 Report: ${written}`);
+
+    return exitCode;
+  } finally {
+    if (options.record) {
+      print(`🎞️ Fixture: ${writeOutput(options.record, serializeRecording())}`);
+    }
+    await mock?.close();
+  }
+}
+
+main()
+  .then((exitCode) => process.exit(exitCode))
+  .catch((error) => {
+    if (error instanceof UsageError || error.code?.startsWith('ERR_PARSE_ARGS')) {
+      console.error(`agent: ${error.message}\nRun with --help for usage.`);
+      process.exit(2);
+    }
+    console.error('agent failed:', error);
+    process.exit(1);
+  });
@@ -0,0 +1,494 @@
+/**
+ * Mock Ollama Server
+ *
+ * A local stand-in for `ollama serve` so the real client code (callOllama,
+ * checkOllama, generateEmbedding - fetch, NDJSON streaming, error handling)
+ * can run without a GPU or a downloaded model.
+ *
+ * Usage:
+ *   npm run mock-ollama                              # http://localhost:11435
+ *   npm run mock-ollama -- --port=11436 --latency=800 --error-rate=0.2
+ *   npm run mock-ollama -- --script=./mock-script.json
+ *
+ * Then set ⚙️ Settings → Ollama endpoint to http://localhost:11435.
+ *
+ * Endpoints (same shapes as Ollama):
+ *   GET  /api/tags          installed models
+ *   POST /api/show          model details
+ *   POST /api/generate      NDJSON stream (or one JSON object with stream: false)
+ *   POST /api/chat          NDJSON stream of { message: { role, content } }
+ *   POST /api/embeddings    deterministic bag-of-words vector
+ *
+ * Control endpoints (for automated tests):
+ *   GET  /__mock/config     current faults/models
+ *   POST /__mock/config     merge changes, e.g. { "errorRate": 1 }
+ *   GET  /__mock/requests   received API requests (newest last)
+ *   POST /__mock/reset      restore startup config, clear requests and replay positions
+ *
+ * Faults (CLI flag / config key, rates are 0-1 per request):
+ *   --latency / latency                 ms before the response starts
+ *   --chunk-delay / chunkDelay          ms between streamed chunks
+ *   --error-rate / errorRate            HTTP 500 with { error }
+ *   --truncate-rate / truncateRate      stream stops mid-line, without the final done chunk
+ *   --malformed-rate / malformedRate    a non-JSON line is inserted into the stream
+ *   --stream-error-rate / streamErrorRate  { error } line part-way through the stream
+ *   --seed / seed                       seed for the fault dice, so runs are repeatable
+ *
+ * Script file (replayed responses, matched against the prompt / last user message):
+ *   {
+ *     "rules": [
+ *       { "match": "fizz ?buzz", "responses": ["```javascript\n// attempt 1\n```", "```javascript\n// attempt 2\n```"] },
+ *       { "match": "add", "response": "```javascript\nfunction add(a, b) { return a + b; }\n```" }
+ *     ],
+ *     "fallback": "```javascript\nfunction solution() {}\n```"
+ *   }
+ *   `responses` are replayed in order; the last one repeats. `match` is a case-insensitive regex.
+ *   A rule can give `"json": {...}` instead, sent as-is (useful for structured-output tests).
+ *
+ * Test-generation requests (format = TEST_SUITE_SCHEMA) get the matching
+ * example's tests, or a trivial suite for other goals.
+ */
+
+import http from 'node:http';
+import { readFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { pathToFileURL } from 'node:url';
+import { getExampleByGoal } from '../src/data/examples.js';
+import { inferFunctionName } from '../src/utils/sandbox.js';
+
+export const DEFAULT_PORT = 11435; // Next to the real Ollama (11434) so both can run
+const MAX_LOGGED_REQUESTS = 100;
+const EMBEDDING_DIMENSIONS = 256;
+
+export const DEFAULT_CONFIG = {
+  models: ['phi3:latest', 'codellama:7b', 'nomic-embed-text:latest'],
+  latency: 0,
+  chunkDelay: 0,
+  errorRate: 0,
+  truncateRate: 0,
+  malformedRate: 0,
+  streamErrorRate: 0,
+  seed: 1,
+};
+
+/**
+ * Built-in responses, close to the in-app mock (getMockResponse)
+ */
+const DEFAULT_SCRIPT = {
+  rules: [
+    { match: 'you are debugging', response: 'Hypothesis: the function does not handle every input in the failing tests. Check the edge cases listed above and return the expected value for each.' },
+    { match: 'reverse', response: '```javascript\nfunction reverse(str) {\n  return str.split(\'\').reverse().join(\'\');\n}\n```' },
+    { match: 'fibonacci', response: '```javascript\nfunction fibonacci(n) {\n  if (n <= 1) return n;\n  return fibonacci(n - 1) + fibonacci(n - 2);\n}\n```' },
+    { match: '\\badd\\b|\\bsum\\b', response: '```javascript\nfunction add(a, b) {\n  return a + b;\n}\n```' },
+  ],
+  fallback: '```javascript\n// Mock generated code\nfunction solution(input) {\n  return input;\n}\n```',
+};
+
+/**
+ * Small seeded PRNG (mulberry32) so fault injection is repeatable
+ * @param {number} seed
+ * @returns {Function} - () => number in [0, 1)
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Split a reply into token-sized chunks (word + trailing whitespace)
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return text.match(/\S+\s*|\s+/g) || [''];
+}
+
+/**
+ * Deterministic embedding: hashed bag of words, L2-normalized
+ * Texts sharing words get a high cosine similarity, like a real model would.
+ * @param {string} text
+ * @returns {number[]}
+ */
+export function mockEmbedding(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+  for (const word of (text || '').toLowerCase().match(/[a-z0-9_]+/g) || []) {
+    let hash = 2166136261;
+    for (let i = 0; i < word.length; i++) {
+      hash = Math.imul(hash ^ word.charCodeAt(i), 16777619);
+    }
+    vector[(hash >>> 0) % EMBEDDING_DIMENSIONS] += 1;
+  }
+  const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+  return vector.map(v => v / norm);
+}
+
+/**
+ * Test suite for a test-generation prompt (PROMPTS.testGeneration)
+ * @param {string} prompt
+ * @returns {string}
+ */
+function toTestSuiteReply(prompt) {
+  const task = prompt.match(/^TASK THE FUNCTION SOLVES: (.*)$/m)?.[1] || '';
+  const example = getExampleByGoal(task);
+  return JSON.stringify({
+    functionName: inferFunctionName(task) || 'solution',
+    tests: example ? example.tests : [{ input: [1], expected: 1 }],
+  });
+}
+
+/**
+ * Wrap a markdown reply in the structured-output JSON shape (format requests)
+ * @param {string} reply
+ * @param {Object} format - The request's JSON schema
+ * @param {string} prompt
+ * @returns {string}
+ */
+function toStructuredReply(reply, format, prompt) {
+  try {
+    JSON.parse(reply);
+    return reply; // Scripted JSON is sent as-is (lets tests send invalid shapes)
+  } catch {
+    if (format?.properties?.tests) return toTestSuiteReply(prompt);
+    const code = (reply.match(/```\w*\n([\s\S]*?)```/)?.[1] ?? reply).trim();
+    const functionName = code.match(/function\s+([A-Za-z_$][\w$]*)/)?.[1] || 'solution';
+    return JSON.stringify({
+      functionName,
+      code,
+      explanation: 'Mock response from mock-ollama.',
+      assumptions: [],
+    });
+  }
+}
+
+/**
+ * Create (but don't start) a mock Ollama server
+ * @param {Object} options
+ * @param {Object} options.config - Overrides for DEFAULT_CONFIG
+ * @param {Object} options.script - Replay script ({ rules, fallback }), defaults to the built-in one
+ * @param {boolean} options.quiet - Don't log requests
+ * @returns {{server: http.Server, getConfig: Function, setConfig: Function, reset: Function, requests: Array}}
+ */
+export function createMockOllamaServer({ config = {}, script = DEFAULT_SCRIPT, quiet = false } = {}) {
+  const startupConfig = { ...DEFAULT_CONFIG, ...config };
+  let current = { ...startupConfig };
+  let random = createRandom(current.seed);
+  const replayPositions = new Map();
+  const requests = [];
+
+  const log = (...args) => {
+    if (!quiet) console.log('🦙 [mock-ollama]', ...args);
+  };
+
+  const roll = (rate) => rate > 0 && random() < rate;
+
+  const setConfig = (changes) => {
+    current = { ...current, ...changes };
+    if ('seed' in changes) random = createRandom(current.seed);
+  };
+
+  const reset = () => {
+    current = { ...startupConfig };
+    random = createRandom(current.seed);
+    replayPositions.clear();
+    requests.length = 0;
+  };
+
+  const pickReply = (text) => {
+    const rules = script.rules || [];
+    const index = rules.findIndex(rule => new RegExp(rule.match, 'i').test(text));
+    if (index === -1) return script.fallback ?? DEFAULT_SCRIPT.fallback;
+
+    const rule = rules[index];
+    if (!rule.responses) return typeof rule.json === 'object' ? JSON.stringify(rule.json) : rule.response;
+
+    const position = replayPositions.get(index) || 0;
+    replayPositions.set(index, position + 1);
+    return rule.responses[Math.min(position, rule.responses.length - 1)];
+  };
+
+  const sendJson = (res, status, body) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  };
+
+  const modelNotFound = (res, model) => sendJson(res, 404, { error: `model "${model}" not found, try pulling it first` });
+
+  const hasModel = (model) => current.models.some(name => name === model || name === `${model}:latest`);
+
+  /**
+   * Stream (or send) a generate/chat reply, applying stream faults
+   */
+  const sendReply = async (req, res, { body, reply, toChunk, toFinal }) => {
+    const promptTokens = Math.ceil(JSON.stringify(body.prompt ?? body.messages ?? '').length / 4);
+    const chunks = tokenize(reply);
+    const evalDuration = chunks.length * 20e6; // Pretend 50 tokens/s
+    const final = {
+      ...toFinal(),
+      done: true,
+      done_reason: 'stop',
+      total_duration: evalDuration + 50e6,
+      load_duration: 10e6,
+      prompt_eval_count: promptTokens,
+      prompt_eval_duration: 40e6,
+      eval_count: chunks.length,
+      eval_duration: evalDuration,
+    };
+
+    if (body.stream === false) {
+      // Reply after `final`, whose toFinal() fields are the empty end-of-stream values
+      const whole = JSON.stringify({ ...final, ...toChunk(reply) });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(roll(current.truncateRate) ? whole.slice(0, Math.floor(whole.length / 2)) : whole);
+      return;
+    }
+
+    res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+
+    const truncateAt = roll(current.truncateRate) ? Math.floor(chunks.length / 2) : -1;
+    const malformedAt = roll(current.malformedRate) ? Math.floor(chunks.length / 3) : -1;
+    const errorAt = roll(current.streamErrorRate) ? Math.floor(chunks.length / 2) : -1;
+    let closed = false;
+    req.on('close', () => { closed = true; });
+
+    for (let i = 0; i < chunks.length; i++) {
+      if (closed) return; // Client cancelled
+      if (i === malformedAt) res.write('{"response": this is not json\n');
+      if (i === errorAt) {
+        res.end(JSON.stringify({ error: 'mock-ollama: injected mid-stream error' }) + '\n');
+        return;
+      }
+      if (i === truncateAt) {
+        const line = JSON.stringify(toChunk(chunks[i]));
+        res.end(line.slice(0, Math.floor(line.length / 2))); // No newline, no done chunk
+        return;
+      }
+      res.write(JSON.stringify({ ...toChunk(chunks[i]), done: false }) + '\n');
+      if (current.chunkDelay > 0) await sleep(current.chunkDelay);
+    }
+
+    res.end(JSON.stringify(final) + '\n');
+  };
+
+  const handlers = {
+    'GET /': (req, res) => {
+      res.writeHead(200, { 'Content-Type': 'text/plain' });
+      res.end('Ollama is running');
+    },
+
+    'GET /api/tags': (req, res) => sendJson(res, 200, {
+      models: current.models.map(name => ({
+        name,
+        model: name,
+        modified_at: new Date(0).toISOString(),
+        size: 2_000_000_000,
+        digest: `mock-${name}`,
+        details: { format: 'gguf', family: name.split(':')[0], parameter_size: '3.8B', quantization_level: 'Q4_0' },
+      })),
+    }),
+
+    'POST /api/show': (req, res, body) => {
+      const model = body.model || body.name;
+      if (!hasModel(model)) return modelNotFound(res, model);
+      const family = model.split(':')[0];
+      sendJson(res, 200, {
+        license: '',
+        modelfile: `# Modelfile generated by mock-ollama\nFROM ${model}\n`,
+        parameters: 'temperature 0.8\nnum_ctx 4096',
+        template: '{{ .Prompt }}',
+        details: { parent_model: '', format: 'gguf', family, families: [family], parameter_size: '3.8B', quantization_level: 'Q4_0' },
+        model_info: { 'general.architecture': family, [`${family}.context_length`]: 4096 },
+      });
+    },
+
+    'POST /api/generate': (req, res, body) => {
+      if (!hasModel(body.model)) return modelNotFound(res, body.model);
+      const reply = pickReply(body.prompt || '');
+      const model = body.model;
+      return sendReply(req, res, {
+        body,
+        reply: body.format ? toStructuredReply(reply, body.format, body.prompt || '') : reply,
+        toChunk: (text) => ({ model, created_at: new Date().toISOString(), response: text }),
+        toFinal: () => ({ model, created_at: new Date().toISOString(), response: '' }),
+      });
+    },
+
+    'POST /api/chat': (req, res, body) => {
+      if (!hasModel(body.model)) return modelNotFound(res, body.model);
+      const lastUser = [...(body.messages || [])].reverse().find(message => message.role === 'user');
+      const reply = pickReply(lastUser?.content || '');
+      const model = body.model;
+      return sendReply(req, res, {
+        body,
+        reply: body.format ? toStructuredReply(reply, body.format, lastUser?.content || '') : reply,
+        toChunk: (text) => ({ model, created_at: new Date().toISOString(), message: { role: 'assistant', content: text } }),
+        toFinal: () => ({ model, created_at: new Date().toISOString(), message: { role: 'assistant', content: '' } }),
+      });
+    },
+
+    'POST /api/embeddings': (req, res, body) => {
+      if (!hasModel(body.model)) return modelNotFound(res, body.model);
+      sendJson(res, 200, { embedding: mockEmbedding(body.prompt) });
+    },
+
+    'GET /__mock/config': (req, res) => sendJson(res, 200, current),
+
+    'POST /__mock/config': (req, res, body) => {
+      setConfig(body);
+      log('config updated', body);
+      sendJson(res, 200, current);
+    },
+
+    'GET /__mock/requests': (req, res) => sendJson(res, 200, requests),
+
+    'POST /__mock/reset': (req, res) => {
+      reset();
+      sendJson(res, 200, current);
+    },
+  };
+
+  const server = http.createServer(async (req, res) => {
+    // The app runs on another origin (vite dev server), like a real OLLAMA_ORIGINS=* setup
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const path = new URL(req.url, 'http://localhost').pathname;
+    const handler = handlers[`${req.method} ${path}`];
+    if (!handler) {
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('404 page not found');
+      return;
+    }
+
+    let body = {};
+    if (req.method === 'POST') {
+      let raw = '';
+      for await (const chunk of req) raw += chunk;
+      try {
+        body = raw ? JSON.parse(raw) : {};
+      } catch {
+        return sendJson(res, 400, { error: 'invalid JSON body' });
+      }
+    }
+
+    const isApi = path.startsWith('/api/');
+    if (isApi) {
+      requests.push({ method: req.method, path, body, at: Date.now() });
+      if (requests.length > MAX_LOGGED_REQUESTS) requests.shift();
+      log(req.method, path, body.model ? `(${body.model})` : '');
+
+      if (current.latency > 0) await sleep(current.latency);
+      if (roll(current.errorRate)) {
+        return sendJson(res, 500, { error: 'mock-ollama: injected server error' });
+      }
+    }
+
+    try {
+      await handler(req, res, body);
+    } catch (error) {
+      log('handler error', error.message);
+      if (!res.headersSent) sendJson(res, 500, { error: error.message });
+      else res.end();
+    }
+  });
+
+  return {
+    server,
+    requests,
+    getConfig: () => current,
+    setConfig,
+    reset,
+  };
+}
+
+/**
+ * Start a mock server and resolve once it is listening
+ * @param {Object} options - See createMockOllamaServer, plus `port` (0 = any free port)
+ * @returns {Promise<{url: string, close: Function} & ReturnType<typeof createMockOllamaServer>>}
+ */
+export function startMockOllama({ port = DEFAULT_PORT, ...options } = {}) {
+  const mock = createMockOllamaServer(options);
+  return new Promise((resolve, reject) => {
+    mock.server.once('error', reject);
+    mock.server.listen(port, '127.0.0.1', () => {
+      const { port: actualPort } = mock.server.address();
+      resolve({
+        ...mock,
+        url: `http://localhost:${actualPort}`,
+        close: () => new Promise(done => {
+          mock.server.closeAllConnections?.();
+          mock.server.close(() => done());
+        }),
+      });
+    });
+  });
+}
+
+/**
+ * CLI entry point
+ */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: String(DEFAULT_PORT) },
+      script: { type: 'string' },
+      models: { type: 'string' },
+      latency: { type: 'string' },
+      'chunk-delay': { type: 'string' },
+      'error-rate': { type: 'string' },
+      'truncate-rate': { type: 'string' },
+      'malformed-rate': { type: 'string' },
+      'stream-error-rate': { type: 'string' },
+      seed: { type: 'string' },
+      quiet: { type: 'boolean', default: false },
+    },
+  });
+
+  const numeric = {
+    latency: values.latency,
+    chunkDelay: values['chunk-delay'] ?? '15', // Visible streaming in the UI by default
+    errorRate: values['error-rate'],
+    truncateRate: values['truncate-rate'],
+    malformedRate: values['malformed-rate'],
+    streamErrorRate: values['stream-error-rate'],
+    seed: values.seed,
+  };
+  const config = Object.fromEntries(
+    Object.entries(numeric)
+      .filter(([, value]) => value !== undefined)
+      .map(([key, value]) => [key, Number(value)])
+  );
+  if (values.models) config.models = values.models.split(',').map(name => name.trim());
+
+  const script = values.script ? JSON.parse(readFileSync(values.script, 'utf8')) : DEFAULT_SCRIPT;
+
+  const mock = await startMockOllama({ port: Number(values.port), config, script, quiet: values.quiet });
+  console.log(`🦙 mock-ollama listening on ${mock.url}`);
+  console.log('   Set ⚙️ Settings → Ollama endpoint to this URL. Ctrl+C to stop.');
+  console.log('   Faults:', JSON.stringify({ ...mock.getConfig(), models: undefined }));
+
+  const shutdown = () => mock.close().then(() => process.exit(0));
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    console.error('mock-ollama failed to start:', error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,114 @@
+/**
+ * Node Sandbox
+ *
+ * Node counterpart of src/utils/sandbox.js for the CLI: same runTests()
+ * signature and result shape, but the generated code runs in a
+ * worker_threads Worker instead of a Web Worker. The grading itself is
+ * shared (src/utils/sandboxRuntime.js), so CLI and browser agree on
+ * pass/fail, and so are timeouts, crash recovery and the summary
+ * (src/utils/sandboxRunner.js).
+ *
+ * This file is both the module (main thread) and the worker entry point.
+ *
+ * The worker is locked down before it runs anything: it gets an empty
+ * environment and memory limits, `process`, `Buffer` and `fetch` are
+ * removed from its globals, and a loader hook rejects every import, so
+ * `await import('node:fs')` fails like any other runtime error. The
+ * safety scanner still runs first, but it is not the only line of defence.
+ *
+ * Protocol (same as src/workers/sandbox.worker.js):
+ *   in:  { type: 'run', id, code, functionName, input, expected, matcher?, tolerance?, predicate? }
+ *   out: { type: 'result', id, passed, actual, error, logs }
+ */
+
+import { Worker, isMainThread, parentPort } from 'node:worker_threads';
+import { register } from 'node:module';
+import { executeTest } from '../src/utils/sandboxRuntime.js';
+import { runTestSuite } from '../src/utils/sandboxRunner.js';
+
+// Node-only globals generated code has no business with (the browser worker doesn't have them either)
+const HIDDEN_GLOBALS = ['process', 'Buffer', 'global', 'fetch'];
+// Resource limits per worker; running out ends the test with a WorkerError and a fresh worker
+const RESOURCE_LIMITS = { maxOldGenerationSizeMb: 128, maxYoungGenerationSizeMb: 32, stackSizeMb: 4 };
+// Loader hook for the worker: this file's own imports are resolved before it's registered
+const BLOCK_IMPORTS_HOOK = 'data:text/javascript,' + encodeURIComponent(
+  'export async function resolve(specifier) { throw new Error(`import(\'${specifier}\') is not allowed in the sandbox`); }'
+);
+
+/**
+ * Take away what the generated code could use to reach the machine
+ */
+function lockDown() {
+  register(BLOCK_IMPORTS_HOOK);
+  for (const name of HIDDEN_GLOBALS) {
+    delete globalThis[name];
+  }
+}
+
+if (!isMainThread) {
+  lockDown();
+  parentPort.on('message', async (message) => {
+    const { type, id, ...params } = message || {};
+    if (type !== 'run') return;
+
+    const result = await executeTest(params);
+
+    try {
+      parentPort.postMessage({ type: 'result', id, ...result });
+    } catch {
+      // Return values like functions can't be cloned
+      parentPort.postMessage({ type: 'result', id, ...result, actual: String(result.actual) });
+    }
+  });
+}
+
+// worker_threads for the shared runner (see src/utils/sandboxRunner.js)
+const NODE_WORKER_HOST = {
+  create: () => {
+    // Generated code shouldn't be able to write to the terminal through the worker's stdio,
+    // read the CLI's environment (API keys, tokens) or inherit its Node flags
+    const worker = new Worker(new URL(import.meta.url), {
+      stdout: true,
+      stderr: true,
+      env: {},
+      execArgv: [],
+      resourceLimits: RESOURCE_LIMITS
+    });
+    worker.stdout.resume();
+    worker.stderr.resume();
+    return worker;
+  },
+  post: (worker, message) => worker.postMessage(message),
+  listen: (worker, { onMessage, onError }) => {
+    const handleError = (error) => onError(error?.message);
+    // e.g. the generated code called process.exit()
+    const handleExit = (code) => onError(`Sandbox worker exited with code ${code}`);
+    worker.on('message', onMessage);
+    worker.on('error', handleError);
+    worker.on('exit', handleExit);
+    return () => {
+      worker.off('message', onMessage);
+      worker.off('error', handleError);
+      worker.off('exit', handleExit);
+    };
+  },
+  terminate: (worker) => worker.terminate()
+};
+
+/**
+ * Run generated code against a list of test cases (see src/utils/sandbox.js)
+ * @param {string} code
+ * @param {Array<{input: Array, expected: *}>} tests
+ * @param {Object} options
+ * @param {string} options.functionName - Function to call (required)
+ * @param {number} options.timeout - Per-test timeout in ms (default: 2000)
+ * @param {Object} options.safetyPolicies - Per-rule block/warn/off overrides (see src/utils/safetyScanner.js)
+ * @returns {Promise<{success: boolean, passed: number, failed: number, total: number, duration: number, results: Array, safety: Object}>}
+ */
+export function runTests(code, tests = [], options = {}) {
+  return runTestSuite(NODE_WORKER_HOST, code, tests, options);
+}
+
+export default {
+  runTests
+};
@@ -7,19 +7,56 @@
  * - Code generation via Ollama
  * - Code display with Monaco editor
  * - Debug panel showing prompts/responses
+ * - Agent loop: generate → test → reflect → regenerate
+ * - Chat mode: multi-turn refinement via /api/chat
+ * - Fixtures: record Ollama streams and replay them without a model
+ * - Benchmark: example goals × models → pass rate, pass@k, latency, tok/s
  */
 
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import HealthCheck from './components/HealthCheck.jsx';
 import GoalInput from './components/GoalInput.jsx';
 import CodeViewer from './components/CodeViewer.jsx';
 import DebugPanel from './components/DebugPanel.jsx';
+import IterationHistory from './components/IterationHistory.jsx';
+import AgentTimeline from './components/AgentTimeline.jsx';
+import CandidateSwitcher from './components/CandidateSwitcher.jsx';
+import CodeEditBar from './components/CodeEditBar.jsx';
+import TestResults from './components/TestResults.jsx';
+import HistorySidebar from './components/HistorySidebar.jsx';
+import SettingsPanel from './components/SettingsPanel.jsx';
+import FixturePanel from './components/FixturePanel.jsx';
+import BenchmarkView from './components/BenchmarkView.jsx';
+import ComparisonView from './components/ComparisonView.jsx';
 import { useOllama } from './hooks/useOllama.js';
+import { useAgent } from './hooks/useAgent.js';
+import { useRunHistory } from './hooks/useRunHistory.js';
+import { useSettings } from './hooks/useSettings.js';
+import { useConversation } from './hooks/useConversation.js';
+import { useFixtures } from './hooks/useFixtures.js';
+import { useBenchmark } from './hooks/useBenchmark.js';
+import { useComparison } from './hooks/useComparison.js';
+import { useTestGeneration } from './hooks/useTestGeneration.js';
+import { useCodeEdits } from './hooks/useCodeEdits.js';
+import { inferFunctionName } from './utils/sandbox.js';
+import { analyzeCode } from './utils/codeAnalysis.js';
+import { scanCode } from './utils/safetyScanner.js';
+import { extractAllCodeBlocks } from './utils/codeParser.js';
+import { buildCodeFiles } from './utils/codeFiles.js';
+import { DEFAULT_MAX_ITERATIONS } from './utils/agentLoop.js';
+import { buildTurnMessage, buildRefinementMessage, buildEditMessage, countTurns } from './utils/conversation.js';
+import { formatParameters, sameParameters } from './utils/generationParams.js';
 import { PROMPTS } from './utils/ollama.js';
+import { getExampleByGoal } from './data/examples.js';
 import { logger } from './utils/logger.js';
 import './App.css';
 
 function App() {
+  // Persisted settings: Ollama endpoint + active model
+  const { settings, updateSettings, resetSettings } = useSettings();
+  const [showSettings, setShowSettings] = useState(false);
+  const [healthRefreshToken, setHealthRefreshToken] = useState(0);
+
   // Ollama hook for LLM interaction
   const {
     isConnected,
@@ -31,16 +68,133 @@ function App() {
     streamingCode,
     lastDuration,
     tokens,
+    isCancelled,
+    streamWarnings,
+    extraction,
+    model,
+    baseUrl,
     generate,
+    generateStructured,
+    chat,
+    cancel: cancelGeneration,
     checkConnection,
-  } = useOllama({ autoCheck: true });
+    restore: restoreOllama,
+  } = useOllama({ autoCheck: true, model: settings.model, baseUrl: settings.baseUrl });
 
   // Local state
   const [currentGoal, setCurrentGoal] = useState('');
+  // Test cases sent with the current goal: { tests, functionName }
+  const [testSpec, setTestSpec] = useState(null);
   const [currentPrompt, setCurrentPrompt] = useState('');
   const [useMockMode, setUseMockMode] = useState(false);
   const [healthStatus, setHealthStatus] = useState(null);
   const [showHealthDetails, setShowHealthDetails] = useState(true);
+  const [maxIterations, setMaxIterations] = useState(DEFAULT_MAX_ITERATIONS);
+  const [candidates, setCandidates] = useState(1);
+  const [selectedIteration, setSelectedIteration] = useState(null);
+  const [selectedCandidate, setSelectedCandidate] = useState(null);
+  const [revealPosition, setRevealPosition] = useState(null); // Test Results → editor line
+  const [chatMode, setChatMode] = useState(false);
+  // Model + parameters that produced the displayed result (for reproducing it)
+  const [runSettings, setRunSettings] = useState(null);
+
+  // Record/replay of Ollama traffic; a loaded fixture also backs mock mode
+  const fixtures = useFixtures();
+  const isReplaying = fixtures.mode === 'replay' || (useMockMode && !!fixtures.fixtureName);
+
+  // Chat mode thread (/api/chat)
+  const conversation = useConversation({ chat });
+
+  // Agent loop: generate → test → reflect → regenerate
+  const ollamaOptions = useMemo(
+    () => ({ useMock: useMockMode, model, baseUrl, parameters: settings.parameters }),
+    [useMockMode, model, baseUrl, settings.parameters]
+  );
+  const {
+    isRunning: isAgentRunning,
+    currentIteration,
+    currentCandidate,
+    iterations,
+    status: agentStatus,
+    run: runAgent,
+    cancel: cancelAgent,
+    restore: restoreAgent,
+  } = useAgent({
+    generate: settings.outputMode === 'json' ? generateStructured : generate,
+    cancelGeneration,
+    ollamaOptions,
+    safetyPolicies: settings.safetyPolicies
+  });
+
+  // A selected iteration (or best-of-N candidate) overrides the live/latest code
+  const viewedIteration = !isAgentRunning && selectedIteration !== null
+    ? iterations[selectedIteration]
+    : iterations[iterations.length - 1];
+  const viewedCandidate = !isAgentRunning && selectedCandidate !== null
+    ? viewedIteration?.candidates?.find(candidate => candidate.index === selectedCandidate)
+    : null;
+  // The last candidate streamed isn't necessarily the one the loop kept
+  const displayedCode = (viewedCandidate
+    ? viewedCandidate.code
+    : !isAgentRunning && (selectedIteration !== null || viewedIteration?.candidates)
+      ? viewedIteration?.code
+      : streamingCode || lastCode) || '';
+
+  // Persisted run history (IndexedDB)
+  const history = useRunHistory();
+
+  // Hand edits of the shown code, saved with the run they were made on
+  const editRunIdRef = useRef(null);
+  const savedEditRef = useRef(null);
+  const { recordEdit } = history;
+  const saveEdit = useCallback(async (edit) => {
+    const runId = editRunIdRef.current;
+    if (runId === null) return;
+    // Leaving edit mode right after a re-run or a send adds nothing new
+    const last = savedEditRef.current;
+    if (!edit.sentToModel && last?.runId === runId && last.modelCode === edit.modelCode && last.code === edit.code &&
+      (!edit.testResults || edit.testResults === last.testResults)) {
+      return;
+    }
+    savedEditRef.current = { runId, ...edit };
+    await recordEdit(runId, edit);
+  }, [recordEdit]);
+  const edits = useCodeEdits(displayedCode, { onLeave: saveEdit });
+  const [showHistory, setShowHistory] = useState(false);
+
+  // Benchmark and comparison views replace the agent layout while open (agent state is kept)
+  const [activeView, setActiveView] = useState('agent');
+  const toggleView = (view) => setActiveView(current => (current === view ? 'agent' : view));
+
+  const benchmark = useBenchmark();
+  const handleBenchmarkRun = (config) => benchmark.run({
+    ...config,
+    outputMode: settings.outputMode,
+    ollamaOptions,
+    safetyPolicies: settings.safetyPolicies,
+  });
+
+  const comparison = useComparison({ ollamaOptions, outputMode: settings.outputMode, safetyPolicies: settings.safetyPolicies });
+  const testGeneration = useTestGeneration({ ollamaOptions });
+  // What's in the goal form, so a comparison can use its test table before anything is submitted
+  // (a ref: typing shouldn't re-render the whole app)
+  const draftRef = useRef(null);
+  const handleDraftChange = useCallback((draft) => {
+    draftRef.current = draft;
+  }, []);
+  // The 🧪 Tests table when comparing the goal it belongs to, else the matching example's
+  const handleComparisonRun = ({ goal, models, parallel }) => {
+    const draft = draftRef.current;
+    const spec = draft?.goal === goal && draft.testSpec?.tests.length > 0
+      ? draft.testSpec
+      : { tests: getExampleByGoal(goal)?.tests || [], functionName: null };
+    return comparison.run(goal, {
+      models,
+      parallel,
+      tests: spec.tests,
+      functionName: spec.functionName || inferFunctionName(goal),
+    });
+  };
 
   // Handle health status changes
   const handleHealthStatus = useCallback((status) => {
@@ -54,32 +208,241 @@ function App() {
   }, []);
 
   // Handle goal submission
-  const handleGoalSubmit = async (goal) => {
+  const handleGoalSubmit = async (goal, spec) => {
+    // An example goal typed or pasted without picking the example still gets its tests (like the CLI)
+    const example = spec.tests.length === 0 ? getExampleByGoal(goal) : null;
+    const tests = example ? { ...spec, tests: example.tests } : spec;
     setCurrentGoal(goal);
+    setTestSpec(tests);
+
+    // A new goal always starts a new thread
+    if (chatMode) {
+      conversation.start();
+    } else {
+      conversation.reset();
+    }
+
+    await runGoal(goal, goal, { testSpec: tests });
+  };
+
+  // Chat mode: follow-up instruction against the last result, same thread
+  const handleRefine = async (instruction, tests) => {
+    logger.agent('refine-submitted', { instruction, turns: countTurns(conversation.getThread()) });
+    setTestSpec(tests);
+    await runGoal(currentGoal, buildRefinementMessage(instruction, displayedCode), {
+      refinement: instruction,
+      code: displayedCode,
+      testSpec: tests,
+    });
+  };
+
+  // Edits are saved to the run shown when editing started, even if another one is opened meanwhile
+  const handleStartEdit = () => {
+    editRunIdRef.current = history.activeRunId;
+    edits.start();
+  };
+
+  // Re-run the tests on the hand-edited code and keep the result with the run
+  const handleRerunEdits = async () => {
+    const results = await edits.runTests(testSpec.tests, {
+      functionName: requiredFunctionName,
+      safetyPolicies: settings.safetyPolicies,
+    });
+    if (results) {
+      editRunIdRef.current = history.activeRunId;
+      await saveEdit({ modelCode: edits.base, code: edits.code, testResults: results });
+    }
+  };
+
+  // Hand the edited code back to the model: "this is my version, continue from it"
+  const handleSendEdits = async (instruction) => {
+    const humanEdit = { modelCode: edits.base, code: edits.code };
+    logger.agent('edit-submitted', { instruction, length: humanEdit.code.length });
+    editRunIdRef.current = history.activeRunId;
+    await saveEdit({ ...humanEdit, testResults: edits.testResults, sentToModel: true, instruction });
+    const message = buildEditMessage(humanEdit.code, instruction);
+    // Chat mode: a turn in the thread. Otherwise the goal stays the task and the edit is the first attempt's context
+    await runGoal(currentGoal, chatMode ? message : currentGoal, {
+      refinement: instruction || 'Continue from my edits',
+      code: humanEdit.code,
+      context: chatMode ? '' : message,
+      testSpec,
+      humanEdit,
+    });
+  };
+
+  // Run the agent loop and save the run
+  const runGoal = async (goal, loopGoal, { refinement = null, code = '', context = '', testSpec: { tests, functionName }, humanEdit = null }) => {
+    setSelectedIteration(null);
+    setSelectedCandidate(null);
+    edits.reset();
+    setRunSettings({ model, parameters: settings.parameters });
     
-    // Generate the prompt (for debug panel)
-    const prompt = PROMPTS.codeGeneration(goal, '');
-    setCurrentPrompt(prompt);
-    
-    logger.agent('goal-submitted', { goal, useMockMode });
+    logger.agent('goal-submitted', { goal, useMockMode, chatMode, maxIterations, candidates, tests: tests.length });
     
-    // Call Ollama
-    const result = await generate(goal, '', { useMock: useMockMode });
+    const result = await runAgent(loopGoal, {
+      tests,
+      functionName: functionName || inferFunctionName(goal, code),
+      maxIterations,
+      context,
+      // Every candidate would be a turn in the thread, so chat mode sticks to one
+      candidates: chatMode ? 1 : candidates,
+      // Chat mode: every attempt is a turn in the thread
+      ...(chatMode && { generate: conversation.generate, buildPrompt: buildTurnMessage }),
+      ...(!chatMode && settings.outputMode === 'json' && { buildPrompt: PROMPTS.structuredGeneration }),
+      // Show each iteration's prompt in the debug panel
+      onIterationStart: (n, prompt) => setCurrentPrompt(prompt),
+    });
     
     if (result?.success) {
       logger.success('code-generated', { 
-        codeLength: result.code?.length,
-        duration: result.duration 
+        status: result.status,
+        iterations: result.iterations.length,
+        codeLength: result.finalCode?.length
+      });
+    }
+
+    if (result?.iterations?.length) {
+      await history.save({
+        ...buildRunRecord(goal, result),
+        mode: chatMode ? 'chat' : 'generate',
+        outputMode: chatMode ? 'markdown' : settings.outputMode,
+        tests,
+        functionName,
+        ...(chatMode && { messages: conversation.getThread(), refinement }),
+        ...(humanEdit && { humanEdit }),
       });
     }
   };
 
+  // Collapse an agent result into a single history record
+  const buildRunRecord = (goal, result) => {
+    const last = result.iterations[result.iterations.length - 1];
+    const sum = (key) => result.iterations.reduce((total, it) => total + (it.tokens?.[key] || 0), 0);
+
+    return {
+      goal,
+      prompt: last.prompt,
+      rawResponse: last.rawResponse,
+      code: result.finalCode,
+      model,
+      parameters: settings.parameters,
+      duration: result.iterations.reduce((total, it) => total + (it.duration || 0), 0),
+      tokens: { prompt: sum('prompt'), generated: sum('generated'), total: sum('total') },
+      testResults: last.testResults,
+      status: result.status,
+      iterations: result.iterations,
+      mock: useMockMode,
+      ...(isReplaying && { fixture: fixtures.fixtureName }),
+    };
+  };
+
+  // Show a saved run as if it had just been generated
+  const { restore: restoreConversation } = conversation;
+  const { restore: restoreEdits } = edits;
+  const applyRun = useCallback((run) => {
+    setCurrentGoal(run.goal);
+    // Runs saved before tests were editable used the matching example's
+    setTestSpec({ tests: run.tests ?? getExampleByGoal(run.goal)?.tests ?? [], functionName: run.functionName ?? null });
+    setCurrentPrompt(run.prompt || '');
+    setSelectedIteration(null);
+    setSelectedCandidate(null);
+    restoreOllama(run);
+    restoreAgent(run.iterations || [], run.status);
+    restoreConversation(run.messages || []);
+    restoreEdits(run.edits?.[run.edits.length - 1] || null);
+    setChatMode(run.mode === 'chat');
+    setRunSettings({ model: run.model, parameters: run.parameters || {} });
+  }, [restoreOllama, restoreAgent, restoreConversation, restoreEdits]);
+
+  // Make one comparison pane the main result and save it like a normal run
+  const handlePromote = async (pane) => {
+    const record = {
+      ...buildRunRecord(comparison.goal, {
+        status: pane.loopStatus,
+        iterations: [pane.iteration],
+        finalCode: pane.iteration.code,
+      }),
+      model: pane.model,
+      mode: 'generate',
+      outputMode: settings.outputMode,
+      comparison: comparison.panes.map(({ model: paneModel, loopStatus, iteration }) => ({
+        model: paneModel,
+        status: loopStatus,
+        duration: iteration?.duration ?? null,
+        tokens: iteration?.tokens ?? null,
+        testResults: iteration?.testResults
+          ? { passed: iteration.testResults.passed, total: iteration.testResults.total }
+          : null,
+      })),
+    };
+
+    logger.ui('comparison-promote', { model: pane.model });
+    await history.save(record);
+    applyRun(record);
+    setActiveView('agent');
+  };
+
+  // Re-open a run from the history sidebar
+  const handleOpenRun = async (id) => {
+    const run = await history.open(id);
+    if (run) {
+      applyRun(run);
+      setShowHistory(false);
+    }
+  };
+
+  // Hand-edited code is shown with its own re-run results (none until re-run)
+  const testResults = edits.isEdited ? edits.testResults : (viewedCandidate || viewedIteration)?.testResults || null;
+  // While the loop runs the editor streams the next attempt, so its lines don't match these results
+  const errorLines = useMemo(() => (isAgentRunning || !testResults ? [] : testResults.results
+    .filter(result => !result.passed && result.error?.frames?.length > 0)
+    .map(result => ({
+      line: result.error.frames[0].line,
+      message: `Test #${result.index + 1}: ${result.error.name}: ${result.error.message}`,
+    }))), [isAgentRunning, testResults]);
+  const structured = (viewedCandidate || viewedIteration)?.structured || null;
+  // The function the tests call; only the goal/spec counts, the code can't vouch for itself
+  const requiredFunctionName = viewedCandidate?.functionName || viewedIteration?.functionName ||
+    testSpec?.functionName || inferFunctionName(currentGoal);
+  // Half-streamed code is always a syntax error - analyze once it's complete
+  const analysis = useMemo(() => (isLoading || !edits.code ? null
+    : analyzeCode(edits.code, { functionName: requiredFunctionName })), [isLoading, edits.code, requiredFunctionName]);
+  const safety = useMemo(() => (isLoading || !edits.code ? null
+    : scanCode(edits.code, { policies: settings.safetyPolicies })), [isLoading, edits.code, settings.safetyPolicies]);
+  // Every block of the shown response as a file (structured replies carry a single `code`)
+  const rawResponse = (viewedCandidate || viewedIteration)?.rawResponse || null;
+  const codeFiles = useMemo(() => (isLoading || structured || !rawResponse ? null
+    : buildCodeFiles(extractAllCodeBlocks(rawResponse))), [isLoading, structured, rawResponse]);
+
+  const handleSelectIteration = (index) => {
+    setSelectedIteration(index);
+    setSelectedCandidate(null);
+  };
+
+  // Re-apply the model + parameters a displayed run was generated with
+  const canReuseRunSettings = runSettings && (
+    runSettings.model !== settings.model || !sameParameters(runSettings.parameters, settings.parameters)
+  );
+  const handleReuseRunSettings = () => {
+    logger.ui('run-settings-reused', runSettings);
+    updateSettings({ model: runSettings.model, parameters: runSettings.parameters });
+  };
+
   // Toggle mock mode
   const toggleMockMode = () => {
     setUseMockMode(!useMockMode);
     logger.ui('mock-mode-toggled', { enabled: !useMockMode });
   };
 
+  // Restore the last session on load
+  const { loadLastSession } = history;
+  useEffect(() => {
+    loadLastSession().then((run) => {
+      if (run) applyRun(run);
+    });
+  }, [loadLastSession, applyRun]);
+
   // Log app initialization
   useEffect(() => {
     logger.ui('app-initialized', { phase: 1 });
@@ -108,18 +471,96 @@ function App() {
             </p>
           </div>
           
-          <HealthCheck 
-            compact={!showHealthDetails}
-            onStatusChange={handleHealthStatus}
-          />
+          <div style={styles.headerActions}>
+            <button
+              onClick={() => setShowSettings(!showSettings)}
+              className="btn btn-secondary"
+              style={{ padding: '8px 12px', fontSize: '13px' }}
+              title="Ollama endpoint and model"
+            >
+              ⚙️ Settings
+            </button>
+            <button
+              onClick={() => toggleView('benchmark')}
+              className="btn btn-secondary"
+              style={{ padding: '8px 12px', fontSize: '13px' }}
+              title="Compare models on the example goals"
+            >
+              📈 Benchmark{benchmark.isRunning ? ' (running)' : ''}
+            </button>
+            <button
+              onClick={() => toggleView('compare')}
+              className="btn btn-secondary"
+              style={{ padding: '8px 12px', fontSize: '13px' }}
+              title="Send one goal to several models side by side"
+            >
+              ⚖️ Compare{comparison.isRunning ? ' (running)' : ''}
+            </button>
+            <button
+              onClick={() => setShowHistory(true)}
+              className="btn btn-secondary"
+              style={{ padding: '8px 12px', fontSize: '13px' }}
+              title="Browse past runs"
+            >
+              📚 History{history.runs.length > 0 ? ` (${history.runs.length})` : ''}
+            </button>
+            <HealthCheck 
+              compact={!showHealthDetails}
+              onStatusChange={handleHealthStatus}
+              model={model}
+              baseUrl={baseUrl}
+              refreshToken={healthRefreshToken}
+            />
+          </div>
         </header>
 
+        {showSettings && (
+          <SettingsPanel
+            settings={settings}
+            models={healthStatus?.checks?.ollama?.models || []}
+            onChange={updateSettings}
+            onReset={resetSettings}
+            onRefreshModels={() => setHealthRefreshToken(t => t + 1)}
+            onClose={() => setShowSettings(false)}
+          />
+        )}
+
+        {showSettings && (
+          <FixturePanel
+            mode={fixtures.mode}
+            recordedCount={fixtures.recordedCount}
+            fixtureName={fixtures.fixtureName}
+            fixtureCount={fixtures.fixtureCount}
+            error={fixtures.error}
+            onModeChange={fixtures.setMode}
+            onLoad={fixtures.load}
+            onUnload={fixtures.unload}
+            onDownload={fixtures.download}
+            onClear={fixtures.clear}
+          />
+        )}
+
+        <HistorySidebar
+          isOpen={showHistory}
+          onClose={() => setShowHistory(false)}
+          runs={history.runs}
+          query={history.query}
+          onQueryChange={history.setQuery}
+          activeRunId={history.activeRunId}
+          onOpen={handleOpenRun}
+          onDelete={history.remove}
+          isLoading={history.isLoading}
+          error={history.error}
+        />
+
         {/* Mock Mode Banner */}
         {useMockMode && (
           <div className="mock-banner fade-in">
             <span className="mock-banner-icon">🎭</span>
             <span className="mock-banner-text">
-              Mock mode enabled - responses are simulated (no Ollama required)
+              {fixtures.fixtureName
+                ? `Mock mode enabled - replaying fixture ${fixtures.fixtureName} (no Ollama required)`
+                : 'Mock mode enabled - responses are simulated (no Ollama required)'}
             </span>
             <button 
               className="mock-banner-button"
@@ -130,8 +571,26 @@ function App() {
           </div>
         )}
 
+        {/* Fixture Banner */}
+        {!useMockMode && fixtures.mode !== 'off' && (
+          <div className="mock-banner fade-in">
+            <span className="mock-banner-icon">{fixtures.mode === 'record' ? '⏺' : '▶'}</span>
+            <span className="mock-banner-text">
+              {fixtures.mode === 'record'
+                ? `Recording Ollama traffic - ${fixtures.recordedCount} interaction${fixtures.recordedCount === 1 ? '' : 's'} so far`
+                : `Replaying fixture ${fixtures.fixtureName} - Ollama is not contacted`}
+            </span>
+            <button
+              className="mock-banner-button"
+              onClick={() => fixtures.setMode('off')}
+            >
+              Stop
+            </button>
+          </div>
+        )}
+
         {/* Connection Warning */}
-        {!isConnected && !isChecking && !useMockMode && (
+        {!isConnected && !isChecking && !useMockMode && !isReplaying && (
           <div className="mock-banner fade-in" style={{ 
             backgroundColor: 'rgba(239, 68, 68, 0.1)',
             borderColor: 'rgba(239, 68, 68, 0.3)'
@@ -151,7 +610,38 @@ function App() {
         )}
 
         {/* Main Layout */}
-        <main className="main-layout">
+        {activeView === 'benchmark' && (
+          <BenchmarkView
+            models={healthStatus?.checks?.ollama?.models || []}
+            defaultModel={model}
+            isRunning={benchmark.isRunning}
+            progress={benchmark.progress}
+            liveResults={benchmark.liveResults}
+            liveSummary={benchmark.liveSummary}
+            report={benchmark.report}
+            error={benchmark.error}
+            onRun={handleBenchmarkRun}
+            onCancel={benchmark.cancel}
+            onLoad={benchmark.load}
+            onClose={() => setActiveView('agent')}
+          />
+        )}
+
+        {activeView === 'compare' && (
+          <ComparisonView
+            models={healthStatus?.checks?.ollama?.models || []}
+            defaultModel={model}
+            initialGoal={comparison.goal || draftRef.current?.goal || currentGoal}
+            panes={comparison.panes}
+            isRunning={comparison.isRunning}
+            onRun={handleComparisonRun}
+            onCancel={comparison.cancel}
+            onPromote={handlePromote}
+            onClose={() => setActiveView('agent')}
+          />
+        )}
+
+        <main className="main-layout" style={activeView !== 'agent' ? { display: 'none' } : undefined}>
           {/* Input Section */}
           <section className="input-section">
             <div className="section-card">
@@ -160,11 +650,39 @@ function App() {
               </h2>
               <GoalInput
                 onSubmit={handleGoalSubmit}
-                isLoading={isLoading}
-                disabled={!isConnected && !useMockMode}
+                onCancel={cancelAgent}
+                isLoading={isLoading || isAgentRunning}
+                disabled={!isConnected && !useMockMode && !isReplaying}
+                maxIterations={maxIterations}
+                onMaxIterationsChange={setMaxIterations}
+                candidates={candidates}
+                onCandidatesChange={setCandidates}
+                presetGoal={currentGoal}
+                presetTests={testSpec}
+                chatMode={chatMode}
+                onChatModeChange={setChatMode}
+                onRefine={handleRefine}
+                onDraftChange={handleDraftChange}
+                canRefine={conversation.hasReply && !!displayedCode}
+                onGenerateTests={testGeneration.generate}
+                onCancelTestGeneration={testGeneration.cancel}
+                isGeneratingTests={testGeneration.isGenerating}
+                testGenerationError={testGeneration.error}
               />
             </div>
 
+            {/* Agent Iterations */}
+            <IterationHistory
+              iterations={iterations}
+              currentIteration={currentIteration}
+              currentCandidate={currentCandidate}
+              isRunning={isAgentRunning}
+              status={agentStatus}
+              maxIterations={maxIterations}
+              selectedIndex={selectedIteration}
+              onSelect={handleSelectIteration}
+            />
+
             {/* Debug Panel */}
             <DebugPanel
               prompt={currentPrompt}
@@ -172,6 +690,20 @@ function App() {
               duration={lastDuration}
               error={error}
               isLoading={isLoading}
+              cancelled={isCancelled}
+              warnings={streamWarnings}
+              extraction={extraction}
+              messages={conversation.messages}
+              model={model}
+              baseUrl={baseUrl}
+            />
+
+            {/* Every step of the run */}
+            <AgentTimeline
+              iterations={iterations}
+              isRunning={isAgentRunning}
+              currentIteration={currentIteration}
+              onSelectIteration={handleSelectIteration}
             />
           </section>
 
@@ -182,14 +714,81 @@ function App() {
                 💻 Generated Code
               </h2>
               <CodeViewer
-                code={streamingCode || lastCode || ''}
+                code={edits.code}
+                readOnly={!edits.isEditing}
+                onChange={edits.change}
                 title={currentGoal ? `Code for: ${currentGoal.slice(0, 40)}...` : 'Generated Code'}
                 height="400px"
+                isStreaming={isLoading}
+                onStop={cancelAgent}
+                errorLines={errorLines}
+                revealPosition={revealPosition}
+                analysis={analysis}
+                safety={safety}
+                files={codeFiles}
               />
+              {!isAgentRunning && (
+                <CandidateSwitcher
+                  candidates={viewedIteration?.candidates || []}
+                  selectedIndex={selectedCandidate}
+                  onSelect={setSelectedCandidate}
+                />
+              )}
+              {!isAgentRunning && (
+                <CodeEditBar
+                  base={edits.base}
+                  code={edits.code}
+                  isEditing={edits.isEditing}
+                  isEdited={edits.isEdited}
+                  testResults={edits.testResults}
+                  isTesting={edits.isTesting}
+                  testError={edits.error}
+                  canTest={testSpec?.tests?.length > 0}
+                  disabled={isLoading}
+                  onStartEdit={handleStartEdit}
+                  onStopEdit={edits.stop}
+                  onRevert={edits.revert}
+                  onRerun={handleRerunEdits}
+                  onSend={handleSendEdits}
+                />
+              )}
             </div>
 
+            {testResults && testResults.total > 0 && (
+              <div className="section-card fade-in">
+                <h2 className="section-title">
+                  🧪 Test Results
+                </h2>
+                <TestResults
+                  testResults={testResults}
+                  functionName={viewedCandidate?.functionName || viewedIteration?.functionName || testSpec?.functionName || 'fn'}
+                  onSelectLine={isAgentRunning ? null : (line, column) => setRevealPosition({ line, column })}
+                />
+              </div>
+            )}
+
+            {/* Structured output: explanation + assumptions */}
+            {structured && (
+              <div className="section-card fade-in">
+                <h2 className="section-title">
+                  🧾 Explanation
+                </h2>
+                <p style={styles.explanation}>{structured.explanation}</p>
+                {structured.assumptions.length > 0 && (
+                  <>
+                    <span style={styles.statLabel}>Assumptions</span>
+                    <ul style={styles.assumptions}>
+                      {structured.assumptions.map((assumption, i) => (
+                        <li key={i}>{assumption}</li>
+                      ))}
+                    </ul>
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Generation Stats */}
-            {(lastCode || streamingCode) && lastDuration && (
+            {displayedCode && lastDuration && (
               <div className="section-card fade-in">
                 <h2 className="section-title">
                   📊 Generation Stats
@@ -201,21 +800,56 @@ function App() {
                   </div>
                   <div style={styles.statItem}>
                     <span style={styles.statLabel}>Code Length</span>
-                    <span style={styles.statValue}>{(streamingCode || lastCode || '').length} chars</span>
+                    <span style={styles.statValue}>{displayedCode.length} chars</span>
                   </div>
                   <div style={styles.statItem}>
                     <span style={styles.statLabel}>Lines</span>
-                    <span style={styles.statValue}>{(streamingCode || lastCode || '').split('\n').length}</span>
+                    <span style={styles.statValue}>{displayedCode.split('\n').length}</span>
                   </div>
                   <div style={styles.statItem}>
                     <span style={styles.statLabel}>Mode</span>
                     <span style={{
                       ...styles.statValue,
-                      color: useMockMode ? '#fbbf24' : '#4ade80'
+                      color: isReplaying ? '#60a5fa' : useMockMode ? '#fbbf24' : '#4ade80'
                     }}>
-                      {useMockMode ? 'Mock' : 'Live'}
+                      {isReplaying ? 'Replay' : useMockMode ? 'Mock' : 'Live'}
                     </span>
                   </div>
+                  {testResults && (
+                    <div style={styles.statItem}>
+                      <span style={styles.statLabel}>Tests</span>
+                      <span style={{
+                        ...styles.statValue,
+                        color: testResults.success ? '#4ade80' : '#ef4444'
+                      }}>
+                        {testResults.passed}/{testResults.total} passed
+                      </span>
+                    </div>
+                  )}
+                  {iterations.length > 0 && (
+                    <div style={styles.statItem}>
+                      <span style={styles.statLabel}>Iterations</span>
+                      <span style={styles.statValue}>{iterations.length}</span>
+                    </div>
+                  )}
+                  {runSettings && (
+                    <div style={{ ...styles.statItem, gridColumn: '1 / -1' }}>
+                      <span style={styles.statLabel}>Parameters ({runSettings.model})</span>
+                      <code style={styles.statParameters}>
+                        {formatParameters(runSettings.parameters) || 'model defaults'}
+                      </code>
+                      {canReuseRunSettings && (
+                        <button
+                          onClick={handleReuseRunSettings}
+                          className="btn btn-secondary"
+                          style={{ padding: '4px 12px', fontSize: '12px', alignSelf: 'flex-start' }}
+                          title="Switch the current model and parameters to the ones this run used"
+                        >
+                          Use these settings
+                        </button>
+                      )}
+                    </div>
+                  )}
                 </div>
               </div>
             )}
@@ -231,7 +865,7 @@ function App() {
             </span>
           </div>
           <div className="status-item">
-            <span>Model: codellama:7b</span>
+            <span>Model: {model}</span>
           </div>
           <div className="status-item">
             <button 
@@ -264,6 +898,9 @@ function App() {
           <div style={styles.tokenBreakdown}>
             <span style={styles.tokenDetail}>Prompt: {tokens.prompt.toLocaleString()}</span>
             <span style={styles.tokenDetail}>Generated: {tokens.generated.toLocaleString()}</span>
+            {tokens.perSecond > 0 && (
+              <span style={styles.tokenDetail}>Speed: {tokens.perSecond} tok/s</span>
+            )}
           </div>
         </div>
       )}
@@ -272,6 +909,11 @@ function App() {
 }
 
 const styles = {
+  headerActions: {
+    display: 'flex',
+    alignItems: 'flex-start',
+    gap: '12px',
+  },
   statsGrid: {
     display: 'grid',
     gridTemplateColumns: 'repeat(2, 1fr)',
@@ -294,6 +936,24 @@ const styles = {
     fontWeight: '600',
     color: '#eaeaea',
   },
+  explanation: {
+    margin: '0 0 12px 0',
+    color: '#eaeaea',
+    fontSize: '14px',
+    lineHeight: '1.5',
+  },
+  assumptions: {
+    margin: '6px 0 0 0',
+    paddingLeft: '20px',
+    color: '#a0a0a0',
+    fontSize: '13px',
+    lineHeight: '1.6',
+  },
+  statParameters: {
+    fontSize: '12px',
+    color: '#a0a0a0',
+    wordBreak: 'break-all',
+  },
   tokenCounter: {
     position: 'fixed',
     bottom: '20px',
@@ -0,0 +1,352 @@
+/**
+ * Agent Timeline Component
+ *
+ * Every step of the current run in order - generate, test, reflect,
+ * regenerate - with its prompt, raw response, extracted code, test
+ * outcome, tokens and duration. Expand any step to read it; the code of
+ * any two iterations can be diffed at the bottom.
+ */
+
+import { useState, useMemo, useEffect } from 'react';
+import HelpButton from './HelpButton.jsx';
+import LineDiff from './LineDiff.jsx';
+import { buildTimeline, summarizeTimeline, STEP_KINDS } from '../utils/timeline.js';
+import { diffLines, summarizeDiff } from '../utils/lineDiff.js';
+
+const STATUS_COLORS = {
+  ok: '#a0a0a0',
+  passed: '#4ade80',
+  failed: '#ef4444',
+  error: '#ef4444',
+  cancelled: '#60a5fa',
+};
+
+function AgentTimeline({
+  iterations = [],
+  isRunning = false,
+  currentIteration = 0,
+  onSelectIteration,
+}) {
+  const [isExpanded, setIsExpanded] = useState(true);
+  const [openSteps, setOpenSteps] = useState([]);
+  const [diffPair, setDiffPair] = useState(null);
+
+  const steps = useMemo(() => buildTimeline(iterations), [iterations]);
+  const totals = summarizeTimeline(steps);
+  const withCode = iterations
+    .map((it, index) => ({ index, iteration: it.iteration, code: it.code }))
+    .filter(it => it.code);
+
+  // A new run starts collapsed with the diff on its last two attempts
+  useEffect(() => {
+    if (iterations.length === 0) {
+      setOpenSteps([]);
+      setDiffPair(null);
+    }
+  }, [iterations.length]);
+
+  const [left, right] = diffPair ||
+    [withCode[withCode.length - 2]?.index, withCode[withCode.length - 1]?.index];
+  const diff = useMemo(() => (
+    left !== undefined && right !== undefined && left !== right
+      ? diffLines(iterations[left]?.code || '', iterations[right]?.code || '')
+      : []
+  ), [iterations, left, right]);
+  const diffSummary = summarizeDiff(diff);
+
+  if (steps.length === 0 && !isRunning) {
+    return null;
+  }
+
+  const toggleStep = (id) => {
+    setOpenSteps(current => current.includes(id) ? current.filter(open => open !== id) : [...current, id]);
+  };
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this panel?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>The Debug Panel only shows the latest request. The timeline keeps every step of the run, in the order the agent took them.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Steps:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>✨ Generate / 🔁 Regenerate:</strong> Prompt, raw response and the extracted code</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>🧪 Test:</strong> How many tests passed and what failed</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>🤔 Reflect:</strong> The reflection prompt and the model's hypothesis for the next attempt</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Diff:</strong> Pick two iterations to see which lines changed between them</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/timeline.js</code> - Iterations → steps</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/agentLoop.js</code> - Records each step on its iteration</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/lineDiff.js</code> - Line diff</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+        <button onClick={() => setIsExpanded(!isExpanded)} style={styles.header}>
+          <div style={styles.headerLeft}>
+            <span>🕒</span>
+            <span style={styles.headerTitle}>Agent Timeline</span>
+            <span style={styles.meta}>
+              {steps.length} step{steps.length !== 1 ? 's' : ''} · {totals.duration}ms{totals.tokens > 0 ? ` · ${totals.tokens} tokens` : ''}
+            </span>
+          </div>
+          <span style={styles.meta}>{isExpanded ? '▼' : '▶'}</span>
+        </button>
+        <HelpButton content={helpContent} title="Agent Timeline Help" />
+      </div>
+
+      {isExpanded && (
+        <div style={styles.content}>
+          <ol style={styles.steps}>
+            {steps.map(step => {
+              const kind = STEP_KINDS[step.kind];
+              const isOpen = openSteps.includes(step.id);
+
+              return (
+                <li key={step.id} style={styles.step}>
+                  <button onClick={() => toggleStep(step.id)} style={styles.stepHeader}>
+                    <span style={styles.stepIcon}>{kind.icon}</span>
+                    <span style={styles.stepTitle}>{kind.label} #{step.iteration}</span>
+                    <span style={{ ...styles.stepSummary, color: STATUS_COLORS[step.status] }}>{step.summary}</span>
+                    <span style={styles.meta}>
+                      {step.tokens?.total ? `${step.tokens.total} tok · ` : ''}{step.duration}ms
+                    </span>
+                  </button>
+
+                  {isOpen && (
+                    <div style={styles.stepBody}>
+                      {step.prompt && <StepBlock label="Prompt" text={step.prompt} />}
+                      {step.response && <StepBlock label={step.kind === 'reflect' ? 'Response (hypothesis)' : 'Raw response'} text={step.response} />}
+                      {step.code && step.kind !== 'test' && (
+                        <StepBlock
+                          label="Extracted code"
+                          text={step.code}
+                          action={onSelectIteration && !isRunning && (
+                            <button onClick={() => onSelectIteration(step.index)} style={styles.linkButton}>
+                              Show in editor
+                            </button>
+                          )}
+                        />
+                      )}
+                      {step.kind === 'test' && (
+                        <StepBlock
+                          label={step.status === 'passed' ? 'All tests passed' : 'Failed tests'}
+                          text={step.failures || `${step.testResults.passed}/${step.testResults.total} passed`}
+                        />
+                      )}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+            {isRunning && (
+              <li style={{ ...styles.step, ...styles.running }}>
+                ⟳ Iteration {currentIteration} running…
+              </li>
+            )}
+          </ol>
+
+          {withCode.length >= 2 && (
+            <div style={styles.diff}>
+              <div style={styles.diffHeader}>
+                <span style={styles.label}>Diff</span>
+                {[left, right].map((selected, side) => (
+                  <select
+                    key={side}
+                    value={selected}
+                    onChange={(e) => {
+                      const next = [left, right];
+                      next[side] = Number(e.target.value);
+                      setDiffPair(next);
+                    }}
+                    style={styles.select}
+                  >
+                    {withCode.map(it => <option key={it.index} value={it.index}>Iteration {it.iteration}</option>)}
+                  </select>
+                ))}
+                {diff.length > 0 && (
+                  <span style={styles.meta}>
+                    {diffSummary.identical ? 'Identical' : `+${diffSummary.added} −${diffSummary.removed} lines`}
+                  </span>
+                )}
+              </div>
+              {left === right ? (
+                <span style={styles.meta}>Pick two different iterations.</span>
+              ) : (
+                <LineDiff lines={diff} />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * Labelled, scrollable text block inside an expanded step
+ */
+function StepBlock({ label, text, action = null }) {
+  return (
+    <div style={styles.block}>
+      <div style={styles.blockHeader}>
+        <span style={styles.label}>{label}</span>
+        {action}
+      </div>
+      <pre style={styles.pre}>{text}</pre>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    backgroundColor: '#16213e',
+    borderRadius: '12px',
+    border: '1px solid #2a2a4a',
+    overflow: 'hidden',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    backgroundColor: '#0d1117',
+    border: 'none',
+    width: '100%',
+    cursor: 'pointer',
+    color: 'inherit',
+  },
+  headerLeft: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+  },
+  headerTitle: {
+    fontWeight: '500',
+    color: '#eaeaea',
+    fontSize: '14px',
+  },
+  meta: {
+    color: '#6b7280',
+    fontSize: '12px',
+  },
+  content: {
+    borderTop: '1px solid #2a2a4a',
+  },
+  steps: {
+    listStyle: 'none',
+    margin: 0,
+    padding: '8px 12px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    maxHeight: '480px',
+    overflow: 'auto',
+  },
+  step: {
+    borderLeft: '2px solid #2a2a4a',
+    paddingLeft: '8px',
+  },
+  running: {
+    padding: '6px 8px',
+    color: '#fbbf24',
+    fontSize: '13px',
+  },
+  stepHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    width: '100%',
+    padding: '6px 0',
+    background: 'transparent',
+    border: 'none',
+    color: '#eaeaea',
+    fontSize: '13px',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  stepIcon: {
+    width: '20px',
+  },
+  stepTitle: {
+    fontWeight: '500',
+    minWidth: '110px',
+  },
+  stepSummary: {
+    flex: 1,
+    fontSize: '12px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  stepBody: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '4px 0 10px 28px',
+  },
+  block: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+  },
+  blockHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  label: {
+    color: '#6b7280',
+    fontSize: '11px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+  linkButton: {
+    background: 'transparent',
+    border: 'none',
+    color: '#60a5fa',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  pre: {
+    margin: 0,
+    padding: '10px',
+    backgroundColor: '#0a0a0f',
+    borderRadius: '6px',
+    fontSize: '12px',
+    lineHeight: '1.5',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    color: '#a0a0a0',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+    maxHeight: '240px',
+    overflow: 'auto',
+  },
+  diff: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '12px 16px',
+    borderTop: '1px solid #2a2a4a',
+  },
+  diffHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  select: {
+    padding: '4px 8px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    color: '#eaeaea',
+    fontSize: '12px',
+  },
+};
+
+export default AgentTimeline;
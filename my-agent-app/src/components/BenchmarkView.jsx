@@ -0,0 +1,515 @@
+/**
+ * Benchmark View Component
+ *
+ * Runs the example goals against the selected models and shows the
+ * results matrix (pass rate, pass@k, latency, tokens, tok/s), with
+ * JSON/CSV export.
+ */
+
+import { useState, useRef, useMemo } from 'react';
+import { EXAMPLE_GOALS, getExamplesByDifficulty, getExamplesByCategory, getCategories } from '../data/examples.js';
+import {
+  getExampleMatrix,
+  getReportedK,
+  benchmarkToCSV,
+  benchmarkSummaryToCSV,
+  benchmarkToJSON,
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES
+} from '../utils/benchmark.js';
+import { logger } from '../utils/logger.js';
+import HelpButton from './HelpButton.jsx';
+
+function BenchmarkView({
+  models = [],
+  defaultModel,
+  isRunning = false,
+  progress = null,
+  liveResults = [],
+  liveSummary = [],
+  report = null,
+  error = null,
+  onRun,
+  onCancel,
+  onLoad,
+  onClose,
+}) {
+  const [selectedModels, setSelectedModels] = useState(() => [defaultModel]);
+  const [difficulty, setDifficulty] = useState('all');
+  const [category, setCategory] = useState('all');
+  const [samples, setSamples] = useState(DEFAULT_SAMPLES);
+  const fileInputRef = useRef(null);
+
+  // The active model may not be installed on this server - keep it selectable
+  const modelOptions = models.includes(defaultModel) ? models : [defaultModel, ...models];
+
+  const examples = useMemo(() => {
+    const byDifficulty = difficulty === 'all' ? EXAMPLE_GOALS : getExamplesByDifficulty(difficulty);
+    const byCategory = category === 'all' ? EXAMPLE_GOALS : getExamplesByCategory(category);
+    return byDifficulty.filter(example => byCategory.includes(example));
+  }, [difficulty, category]);
+
+  const generationCount = selectedModels.length * examples.length * samples;
+
+  // While running, show the samples finished so far
+  const shown = isRunning
+    ? {
+      models: selectedModels,
+      examples,
+      samples,
+      results: liveResults,
+      summary: liveSummary,
+    }
+    : report;
+
+  const handleModelToggle = (model) => {
+    setSelectedModels(current => current.includes(model)
+      ? current.filter(name => name !== model)
+      : [...current, model]);
+  };
+
+  const handleRun = () => {
+    logger.ui('benchmark-run', { models: selectedModels, examples: examples.length, samples });
+    onRun?.({ models: selectedModels, examples, samples });
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onLoad?.(file);
+    e.target.value = '';
+  };
+
+  const handleExport = (format) => {
+    const stamp = report.startedAt.replace(/[:.]/g, '-');
+    if (format === 'json') {
+      downloadText(benchmarkToJSON(report), `benchmark-${stamp}.json`, 'application/json');
+    } else if (format === 'summary') {
+      downloadText(benchmarkSummaryToCSV(report), `benchmark-summary-${stamp}.csv`, 'text/csv');
+    } else {
+      downloadText(benchmarkToCSV(report), `benchmark-samples-${stamp}.csv`, 'text/csv');
+    }
+    logger.ui('benchmark-exported', { format });
+  };
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this view?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>Compares local models on the example goals. Every example is generated <em>samples</em> times per model (single shot, no self-repair) and graded with its test cases in the sandbox.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Metrics:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Pass rate:</strong> Share of all samples whose tests all passed</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>pass@k:</strong> Chance that at least one of k attempts solves an example (unbiased estimate, averaged over examples). pass@n rewards models that get there eventually</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Latency / tok/s:</strong> Average request time and Ollama's generation speed - what you feel on a laptop</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Sampling:</strong> With temperature 0 every sample is identical; raise it in ⚙️ Settings for meaningful pass@k</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/components/BenchmarkView.jsx</code> - This component</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/benchmark.js</code> - Runner, pass@k and CSV/JSON export</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/hooks/useBenchmark.js</code> - Benchmark state</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/data/examples.js</code> - The goals and their tests</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={styles.title}>📈 Benchmark</span>
+          <HelpButton content={helpContent} title="Benchmark Help" />
+        </div>
+        {onClose && (
+          <button onClick={onClose} style={styles.closeButton} aria-label="Close benchmark">
+            ×
+          </button>
+        )}
+      </div>
+
+      <div style={styles.config}>
+        <fieldset style={styles.fieldset} disabled={isRunning}>
+          <legend style={styles.label}>Models</legend>
+          <div style={styles.modelList}>
+            {modelOptions.map(model => (
+              <label key={model} style={styles.checkbox}>
+                <input
+                  type="checkbox"
+                  checked={selectedModels.includes(model)}
+                  onChange={() => handleModelToggle(model)}
+                />
+                {model}{models.includes(model) ? '' : ' (not installed)'}
+              </label>
+            ))}
+          </div>
+        </fieldset>
+
+        <label style={styles.field}>
+          <span style={styles.label}>Difficulty</span>
+          <select value={difficulty} onChange={(e) => setDifficulty(e.target.value)} style={styles.input} disabled={isRunning}>
+            <option value="all">All</option>
+            <option value="easy">Easy</option>
+            <option value="medium">Medium</option>
+            <option value="hard">Hard</option>
+          </select>
+        </label>
+
+        <label style={styles.field}>
+          <span style={styles.label}>Category</span>
+          <select value={category} onChange={(e) => setCategory(e.target.value)} style={styles.input} disabled={isRunning}>
+            <option value="all">All</option>
+            {getCategories().map(name => (
+              <option key={name} value={name}>{name}</option>
+            ))}
+          </select>
+        </label>
+
+        <label style={styles.field}>
+          <span style={styles.label}>Samples per example</span>
+          <input
+            type="number"
+            min={1}
+            max={MAX_SAMPLES}
+            value={samples}
+            onChange={(e) => setSamples(Math.min(MAX_SAMPLES, Math.max(1, Number(e.target.value) || 1)))}
+            style={styles.input}
+            disabled={isRunning}
+          />
+        </label>
+
+        <div style={styles.actions}>
+          <span style={styles.hint}>
+            {examples.length} example{examples.length === 1 ? '' : 's'} × {selectedModels.length} model{selectedModels.length === 1 ? '' : 's'} × {samples} = {generationCount} generations
+          </span>
+          <div style={styles.row}>
+            <button type="button" onClick={() => fileInputRef.current?.click()} style={styles.button} disabled={isRunning}>
+              📂 Load report
+            </button>
+            {isRunning ? (
+              <button type="button" onClick={onCancel} style={{ ...styles.primaryButton, backgroundColor: '#ef4444' }}>
+                ⏹ Stop
+              </button>
+            ) : (
+              <button type="button" onClick={handleRun} style={styles.primaryButton} disabled={generationCount === 0}>
+                ▶ Run benchmark
+              </button>
+            )}
+          </div>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            style={{ display: 'none' }}
+          />
+        </div>
+      </div>
+
+      {isRunning && progress && (
+        <div style={styles.progress}>
+          <div style={styles.progressTrack}>
+            <div style={{ ...styles.progressBar, width: `${(progress.done / progress.total) * 100}%` }} />
+          </div>
+          <span style={styles.hint}>
+            {progress.done}/{progress.total} · {progress.model} · {progress.exampleId} (sample {progress.sample})
+          </span>
+        </div>
+      )}
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {shown && shown.summary.length > 0 && (
+        <div style={styles.results}>
+          <div style={styles.resultsHeader}>
+            <span style={styles.label}>
+              {isRunning ? 'Results so far' : `Report from ${new Date(shown.startedAt).toLocaleString()}`}
+              {!isRunning && shown.cancelled && ' (stopped early)'}
+              {!isRunning && shown.mock && ' · mock'}
+              {!isRunning && shown.parameters && ` · ${shown.parameters}`}
+            </span>
+            {!isRunning && (
+              <div style={styles.row}>
+                <button type="button" onClick={() => handleExport('json')} style={styles.button}>⬇ JSON</button>
+                <button type="button" onClick={() => handleExport('summary')} style={styles.button}>⬇ CSV (summary)</button>
+                <button type="button" onClick={() => handleExport('samples')} style={styles.button}>⬇ CSV (samples)</button>
+              </div>
+            )}
+          </div>
+
+          <SummaryTable summary={shown.summary} samples={shown.samples} />
+          <ExampleMatrix report={shown} />
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One row per model
+ */
+function SummaryTable({ summary, samples }) {
+  const ks = getReportedK(samples);
+  const bestPassRate = Math.max(...summary.map(row => row.passRate));
+
+  return (
+    <table style={styles.table}>
+      <thead>
+        <tr>
+          <th style={styles.th}>Model</th>
+          <th style={styles.th}>Pass rate</th>
+          {ks.map(k => <th key={k} style={styles.th}>pass@{k}</th>)}
+          <th style={styles.th}>Avg latency</th>
+          <th style={styles.th}>Tokens</th>
+          <th style={styles.th}>tok/s</th>
+          <th style={styles.th}>Errors</th>
+        </tr>
+      </thead>
+      <tbody>
+        {summary.map(row => (
+          <tr key={row.model}>
+            <td style={styles.td}>
+              {row.model}
+              {summary.length > 1 && row.samples > 0 && row.passRate === bestPassRate && ' 🏆'}
+            </td>
+            <td style={styles.td}>{formatPercent(row.passRate)} <span style={styles.hint}>({row.passed}/{row.samples})</span></td>
+            {ks.map(k => <td key={k} style={styles.td}>{formatPercent(row.passAtK[k])}</td>)}
+            <td style={styles.td}>{row.avgLatency === null ? '–' : `${Math.round(row.avgLatency)}ms`}</td>
+            <td style={styles.td}>{row.totalTokens}</td>
+            <td style={styles.td}>{row.avgTokensPerSecond === null ? '–' : row.avgTokensPerSecond.toFixed(1)}</td>
+            <td style={{ ...styles.td, color: row.errors > 0 ? '#ef4444' : undefined }}>{row.errors}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * One row per example, one column per model (passed/samples)
+ */
+function ExampleMatrix({ report }) {
+  return (
+    <table style={styles.table}>
+      <thead>
+        <tr>
+          <th style={styles.th}>Example</th>
+          {report.models.map(model => <th key={model} style={styles.th}>{model}</th>)}
+        </tr>
+      </thead>
+      <tbody>
+        {getExampleMatrix(report).map(({ example, cells }) => (
+          <tr key={example.id}>
+            <td style={styles.td}>
+              {example.title} <span style={styles.hint}>{example.difficulty} · {example.category}</span>
+            </td>
+            {report.models.map(model => {
+              const { passed, samples } = cells[model];
+              const color = samples === 0 ? '#6b7280' : passed === samples ? '#4ade80' : passed > 0 ? '#fbbf24' : '#ef4444';
+              return (
+                <td key={model} style={{ ...styles.td, color }}>
+                  {samples === 0 ? '–' : `${passed}/${samples}`}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+}
+
+/**
+ * 0.756 → "75.6%"
+ * @param {number|null} value
+ * @returns {string}
+ */
+function formatPercent(value) {
+  return value === null || value === undefined ? '–' : `${(value * 100).toFixed(1)}%`;
+}
+
+/**
+ * Save text as a file
+ * @param {string} text
+ * @param {string} filename
+ * @param {string} type - MIME type
+ */
+function downloadText(text, filename, type) {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
+const styles = {
+  container: {
+    backgroundColor: '#16213e',
+    borderRadius: '12px',
+    border: '1px solid #2a2a4a',
+    overflow: 'hidden',
+    marginBottom: '24px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid #2a2a4a',
+    backgroundColor: '#0d1117',
+  },
+  title: {
+    fontWeight: '600',
+    color: '#eaeaea',
+    fontSize: '14px',
+  },
+  closeButton: {
+    background: 'transparent',
+    border: 'none',
+    fontSize: '22px',
+    color: '#a0a0a0',
+    cursor: 'pointer',
+    lineHeight: '1',
+  },
+  config: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    padding: '16px',
+    alignItems: 'flex-end',
+  },
+  fieldset: {
+    flex: '1 1 100%',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    padding: '8px 12px',
+    margin: 0,
+  },
+  modelList: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px 16px',
+  },
+  checkbox: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    color: '#eaeaea',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    flex: '0 1 160px',
+  },
+  label: {
+    fontSize: '12px',
+    color: '#a0a0a0',
+  },
+  hint: {
+    color: '#6b7280',
+    fontSize: '11px',
+  },
+  input: {
+    padding: '8px 12px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    color: '#eaeaea',
+    fontSize: '13px',
+    outline: 'none',
+  },
+  actions: {
+    flex: '1 1 260px',
+    display: 'flex',
+    flexDirection: 'column',
+    alignItems: 'flex-end',
+    gap: '6px',
+  },
+  row: {
+    display: 'flex',
+    gap: '8px',
+  },
+  button: {
+    padding: '8px 12px',
+    backgroundColor: 'transparent',
+    color: '#a0a0a0',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  primaryButton: {
+    padding: '8px 16px',
+    backgroundColor: '#e94560',
+    color: '#ffffff',
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  progress: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    padding: '0 16px 16px',
+  },
+  progressTrack: {
+    height: '6px',
+    backgroundColor: '#0d1117',
+    borderRadius: '3px',
+    overflow: 'hidden',
+  },
+  progressBar: {
+    height: '100%',
+    backgroundColor: '#e94560',
+    transition: 'width 0.3s ease',
+  },
+  error: {
+    padding: '0 16px 16px',
+    color: '#ef4444',
+    fontSize: '12px',
+  },
+  results: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '16px',
+    padding: '16px',
+    borderTop: '1px solid #2a2a4a',
+  },
+  resultsHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '8px',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    fontSize: '13px',
+    color: '#eaeaea',
+  },
+  th: {
+    textAlign: 'left',
+    padding: '6px 8px',
+    borderBottom: '1px solid #2a2a4a',
+    color: '#a0a0a0',
+    fontWeight: '500',
+    fontSize: '12px',
+  },
+  td: {
+    padding: '6px 8px',
+    borderBottom: '1px solid #1f2a44',
+    fontFamily: 'monospace',
+  },
+};
+
+export default BenchmarkView;
@@ -0,0 +1,126 @@
+/**
+ * Candidate Switcher Component
+ *
+ * In best-of-N mode, lists every candidate of an attempt, best first,
+ * with its test outcome and size. Click one to show its code; the
+ * winner (🏆) is what the agent loop kept.
+ */
+
+import HelpButton from './HelpButton.jsx';
+import { formatParameters } from '../utils/generationParams.js';
+
+function CandidateSwitcher({
+  candidates = [],
+  selectedIndex = null,
+  onSelect,
+}) {
+  if (candidates.length < 2) {
+    return null;
+  }
+
+  const winner = candidates.find(candidate => !candidate.error) || candidates[0];
+  const activeIndex = selectedIndex ?? winner.index;
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this panel?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>This attempt asked the model for several completions with different seeds and temperatures, tested every one and kept the best.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Ranking:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}>Most tests passed first</li>
+        <li style={{ marginBottom: '6px' }}>Then fewer branches (if, loops, &&, ?:), fewer lines, shorter code</li>
+        <li style={{ marginBottom: '6px' }}>Failed or cancelled generations last</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/candidates.js</code> - Candidate parameters, ranking</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/agentLoop.js</code> - Uses the winner for the attempt</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <span style={styles.title}>Candidates</span>
+        <HelpButton content={helpContent} title="Candidates Help" />
+      </div>
+      <div style={styles.list}>
+        {candidates.map(candidate => {
+          const results = candidate.testResults;
+          const isActive = candidate.index === activeIndex;
+
+          return (
+            <button
+              key={candidate.index}
+              onClick={() => onSelect?.(candidate.index === winner.index ? null : candidate.index)}
+              style={{ ...styles.chip, ...(isActive ? styles.active : {}) }}
+              title={formatParameters(candidate.parameters) || 'Model defaults'}
+            >
+              <span style={styles.label}>
+                {candidate === winner ? '🏆 ' : ''}#{candidate.index + 1}
+              </span>
+              <span style={{
+                color: candidate.error ? '#ef4444' : !results ? '#a0a0a0' : results.success ? '#4ade80' : '#fbbf24',
+              }}>
+                {candidate.error
+                  ? candidate.error === 'Cancelled' ? 'cancelled' : '✗ error'
+                  : results ? `${results.passed}/${results.total}` : 'no tests'}
+              </span>
+              {candidate.code && <span style={styles.meta}>{candidate.complexity.lines} lines</span>}
+            </button>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginTop: '12px',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  title: {
+    color: '#a0a0a0',
+    fontSize: '12px',
+  },
+  list: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px',
+  },
+  chip: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '6px 10px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    color: '#eaeaea',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  active: {
+    borderColor: '#e94560',
+    backgroundColor: 'rgba(233, 69, 96, 0.1)',
+  },
+  label: {
+    fontWeight: '600',
+  },
+  meta: {
+    color: '#6b7280',
+  },
+};
+
+export default CandidateSwitcher;
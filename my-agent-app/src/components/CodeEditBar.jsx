@@ -0,0 +1,182 @@
+/**
+ * Code Edit Bar Component
+ *
+ * Controls for fixing generated code by hand: switch the Code Viewer to
+ * edit mode, re-run the tests on the edited version, revert to the
+ * model's version, or send the edited code back to the model with an
+ * optional instruction so it continues from there.
+ */
+
+import { useState, useMemo } from 'react';
+import HelpButton from './HelpButton.jsx';
+import { diffLines, summarizeDiff } from '../utils/lineDiff.js';
+
+function CodeEditBar({
+  base = null,
+  code = '',
+  isEditing = false,
+  isEdited = false,
+  testResults = null,
+  isTesting = false,
+  testError = null,
+  canTest = false,
+  disabled = false,
+  onStartEdit,
+  onStopEdit,
+  onRevert,
+  onRerun,
+  onSend,
+}) {
+  const [instruction, setInstruction] = useState('');
+
+  const changes = useMemo(
+    () => (isEdited ? summarizeDiff(diffLines(base || '', code)) : null),
+    [isEdited, base, code]
+  );
+
+  if (!code) {
+    return null;
+  }
+
+  const handleSend = (e) => {
+    e.preventDefault();
+    onSend?.(instruction.trim());
+    setInstruction('');
+  };
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this panel?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>Fix the generated code yourself when the model is close but not quite there.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>How to use:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>✏️ Edit:</strong> Makes the Code Viewer editable; analysis and safety markers follow your typing</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>▶ Re-run tests:</strong> Runs the run's test cases on your version in the sandbox; results replace the model's in Test Results</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>📨 Send to model:</strong> Sends your version as the current code ("continue from it"), optionally with what to do next. The agent loop then runs as usual</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>History:</strong> Your version is saved with the run, next to the model's, when you finish editing, re-run the tests or send it</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/hooks/useCodeEdits.js</code> - Edited code, re-run results</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/conversation.js</code> - The "continue from my version" message</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/runHistory.js</code> - Stores edits with the run</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.row}>
+        {isEditing ? (
+          <button onClick={onStopEdit} style={{ ...styles.button, ...styles.active }}>
+            ✓ Done editing
+          </button>
+        ) : (
+          <button onClick={onStartEdit} style={styles.button} disabled={disabled}>
+            ✏️ {isEdited ? 'Edit again' : 'Edit code'}
+          </button>
+        )}
+
+        {isEdited && (
+          <>
+            <span style={styles.changes} title="Changed lines compared with the model's version">
+              <span style={{ color: '#4ade80' }}>+{changes.added}</span>{' '}
+              <span style={{ color: '#ef4444' }}>−{changes.removed}</span> vs model
+            </span>
+            <button onClick={onRevert} style={styles.button} disabled={disabled}>
+              ↩ Revert
+            </button>
+          </>
+        )}
+
+        {isEdited && canTest && (
+          <button onClick={onRerun} style={styles.button} disabled={disabled || isTesting}>
+            {isTesting ? '⏳ Testing…' : '▶ Re-run tests'}
+          </button>
+        )}
+
+        {isEdited && canTest && !isTesting && (
+          <span style={{ ...styles.status, color: !testResults ? '#6b7280' : testResults.success ? '#4ade80' : '#fbbf24' }}>
+            {testResults ? `${testResults.passed}/${testResults.total} passed` : 'not tested yet'}
+          </span>
+        )}
+
+        <HelpButton content={helpContent} title="Edit Code Help" />
+      </div>
+
+      {isEdited && (
+        <form onSubmit={handleSend} style={styles.row}>
+          <input
+            type="text"
+            value={instruction}
+            onChange={(e) => setInstruction(e.target.value)}
+            placeholder="Optional: what to do next, e.g. &quot;now also handle empty strings&quot;"
+            style={styles.input}
+            disabled={disabled}
+          />
+          <button type="submit" style={styles.button} disabled={disabled}>
+            📨 Send to model
+          </button>
+        </form>
+      )}
+
+      {testError && <span style={styles.error}>{testError}</span>}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    marginTop: '12px',
+  },
+  row: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  button: {
+    padding: '6px 12px',
+    backgroundColor: 'transparent',
+    color: '#a0a0a0',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  active: {
+    color: '#eaeaea',
+    borderColor: '#e94560',
+    backgroundColor: 'rgba(233, 69, 96, 0.1)',
+  },
+  changes: {
+    color: '#6b7280',
+    fontSize: '12px',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+  },
+  status: {
+    fontSize: '12px',
+  },
+  input: {
+    flex: 1,
+    minWidth: '200px',
+    padding: '6px 10px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    color: '#eaeaea',
+    fontSize: '12px',
+    outline: 'none',
+  },
+  error: {
+    color: '#ef4444',
+    fontSize: '12px',
+  },
+};
+
+export default CodeEditBar;
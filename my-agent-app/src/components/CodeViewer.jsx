@@ -3,13 +3,103 @@
  * 
  * Displays generated code using Monaco Editor (same editor as VS Code).
  * Provides syntax highlighting, copy functionality, and basic editing.
+ * Lines where a test threw are highlighted (hover shows which tests),
+ * and `revealPosition` scrolls the editor to a line. Syntax errors and
+ * a missing goal function from `analysis` (see codeAnalysis.js) show as
+ * editor markers; the footer lists the top-level declarations. Safety
+ * scanner findings (`safety`, see safetyScanner.js) are marked too and
+ * listed above the editor; blocked code can't be copied or downloaded.
+ * When the response held several blocks (`files`, see codeFiles.js) each
+ * gets a tab; `code` is always the primary one, the one that was tested,
+ * and all of them download together as a zip.
  */
 
-import { useState, useRef } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import Editor from '@monaco-editor/react';
 import { logger } from '../utils/logger.js';
+import { DEFAULT_FILENAME, ARCHIVE_FILENAME, mimeTypeFor, zipFiles } from '../utils/codeFiles.js';
 import HelpButton from './HelpButton.jsx';
 
+/**
+ * Highlight the lines tests threw at; one decoration per line, hover lists every error
+ * @param {Object} editor - Monaco editor instance
+ * @param {Object} collection - Its decorations collection
+ * @param {Array<{line: number, message: string}>} errorLines - 1-based lines
+ */
+function setErrorDecorations(editor, collection, errorLines) {
+  const lineCount = editor.getModel()?.getLineCount() || 0;
+  const byLine = new Map();
+  for (const { line, message } of errorLines) {
+    if (line > lineCount) continue;
+    byLine.set(line, [...(byLine.get(line) || []), message]);
+  }
+
+  collection.set([...byLine].map(([line, messages]) => ({
+    range: { startLineNumber: line, startColumn: 1, endLineNumber: line, endColumn: 1 },
+    options: {
+      isWholeLine: true,
+      className: 'code-viewer-error-line',
+      linesDecorationsClassName: 'code-viewer-error-gutter',
+      hoverMessage: messages.map(message => ({ value: message })),
+    },
+  })));
+}
+
+/**
+ * Show diagnostics as Monaco markers (squiggles + hover)
+ * @param {Object} monaco - Monaco namespace from onMount
+ * @param {Object} editor - Monaco editor instance
+ * @param {string} owner - Marker owner; each owner's markers replace only its own
+ * @param {Array<{severity: 'error'|'warning', message: string, line: number, column: number, endLine: number, endColumn: number}>} diagnostics - 1-based positions
+ */
+function setMarkers(monaco, editor, owner, diagnostics) {
+  const model = editor.getModel();
+  if (!model) return;
+
+  monaco.editor.setModelMarkers(model, owner, diagnostics.map(diagnostic => ({
+    severity: diagnostic.severity === 'error' ? monaco.MarkerSeverity.Error : monaco.MarkerSeverity.Warning,
+    message: diagnostic.message,
+    startLineNumber: diagnostic.line,
+    startColumn: diagnostic.column,
+    endLineNumber: diagnostic.endLine,
+    // Zero-width ranges don't render; stretch to the end of the line
+    endColumn: diagnostic.endColumn > diagnostic.column || diagnostic.endLine > diagnostic.line
+      ? diagnostic.endColumn
+      : model.getLineMaxColumn(Math.min(diagnostic.line, model.getLineCount())),
+    source: owner,
+  })));
+}
+
+/**
+ * Scroll to a position and put the cursor there
+ * @param {Object} editor - Monaco editor instance
+ * @param {{line: number, column?: number}} position - 1-based
+ */
+function revealLine(editor, { line, column = 1 }) {
+  if (line > (editor.getModel()?.getLineCount() || 0)) return;
+  editor.revealLineInCenter(line);
+  editor.setPosition({ lineNumber: line, column });
+  editor.focus();
+}
+
+/**
+ * Save data as a file
+ * @param {BlobPart} data
+ * @param {string} name
+ * @param {string} type - MIME type
+ */
+function saveFile(data, name, type) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = name;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
+
 function CodeViewer({ 
   code = '', 
   language = 'javascript',
@@ -19,29 +109,109 @@ function CodeViewer({
   height = '300px',
   showCopy = true,
   showDownload = true,
+  isStreaming = false,
+  onStop,
+  errorLines = [],
+  revealPosition = null,
+  analysis = null,
+  safety = null,
+  files = null,
 }) {
   const [isCopied, setIsCopied] = useState(false);
+  // Name of the open tab; null = the primary file
+  const [activeTab, setActiveTab] = useState(null);
   const editorRef = useRef(null);
+  const decorationsRef = useRef(null);
+  const monacoRef = useRef(null);
+  // A reveal waits here while the primary tab is being switched back to
+  const pendingRevealRef = useRef(null);
+
+  const tabs = files?.length > 1 ? files : null;
+  const activeFile = tabs?.find(file => file.name === activeTab && !file.primary) || null;
+  const isPrimary = !activeFile;
+  const shownCode = activeFile ? activeFile.code : code;
+  const shownLanguage = activeFile ? activeFile.language : language;
 
-  const handleEditorMount = (editor) => {
+  // Tests, analysis and the scanner all looked at the primary file only
+  const shownErrorLines = isPrimary ? errorLines : [];
+  const diagnostics = isPrimary ? analysis?.diagnostics || [] : [];
+  const findings = safety?.findings || [];
+  const shownFindings = isPrimary ? findings : [];
+  const isBlocked = !!safety?.blocked;
+
+  useEffect(() => {
+    setActiveTab(null);
+  }, [files]);
+
+  const handleEditorMount = (editor, monaco) => {
     editorRef.current = editor;
+    monacoRef.current = monaco;
+    decorationsRef.current = editor.createDecorationsCollection();
+    setErrorDecorations(editor, decorationsRef.current, shownErrorLines);
+    setMarkers(monaco, editor, 'analysis', diagnostics);
+    setMarkers(monaco, editor, 'safety', toSafetyMarkers(shownFindings));
     logger.ui('editor-mounted', { language, readOnly });
   };
 
+  // Re-apply when the code changes too - the model may now be shorter
+  useEffect(() => {
+    if (editorRef.current) {
+      setErrorDecorations(editorRef.current, decorationsRef.current, isPrimary ? errorLines : []);
+    }
+  }, [errorLines, shownCode, isPrimary]);
+
+  useEffect(() => {
+    if (editorRef.current && monacoRef.current) {
+      setMarkers(monacoRef.current, editorRef.current, 'analysis', isPrimary ? analysis?.diagnostics || [] : []);
+    }
+  }, [analysis, shownCode, isPrimary]);
+
+  useEffect(() => {
+    if (editorRef.current && monacoRef.current) {
+      setMarkers(monacoRef.current, editorRef.current, 'safety', toSafetyMarkers(isPrimary ? safety?.findings || [] : []));
+    }
+  }, [safety, shownCode, isPrimary]);
+
+  // Positions refer to the primary file - switch to it first
+  const reveal = (position) => {
+    pendingRevealRef.current = position;
+    if (!isPrimary) {
+      setActiveTab(null);
+    } else if (editorRef.current) {
+      pendingRevealRef.current = null;
+      revealLine(editorRef.current, position);
+    }
+  };
+
+  useEffect(() => {
+    if (!revealPosition) return;
+    pendingRevealRef.current = revealPosition;
+    setActiveTab(null);
+  }, [revealPosition]);
+
+  useEffect(() => {
+    const editor = editorRef.current;
+    const position = pendingRevealRef.current;
+    if (!editor || !position || !isPrimary) return;
+
+    pendingRevealRef.current = null;
+    revealLine(editor, position);
+  }, [revealPosition, isPrimary]);
+
   const handleCopy = async () => {
-    if (!code) return;
+    if (!shownCode || isBlocked) return;
     
     try {
-      await navigator.clipboard.writeText(code);
+      await navigator.clipboard.writeText(shownCode);
       setIsCopied(true);
-      logger.ui('code-copied', { length: code.length });
+      logger.ui('code-copied', { length: shownCode.length, file: activeFile?.name || null });
       
       setTimeout(() => setIsCopied(false), 2000);
     } catch (error) {
       logger.error('CodeViewer', error);
       // Fallback for older browsers
       const textarea = document.createElement('textarea');
-      textarea.value = code;
+      textarea.value = shownCode;
       document.body.appendChild(textarea);
       textarea.select();
       document.execCommand('copy');
@@ -52,19 +222,18 @@ function CodeViewer({
   };
 
   const handleDownload = () => {
-    if (!code) return;
-    
-    const blob = new Blob([code], { type: 'text/javascript' });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = 'generated-code.js';
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-    
-    logger.ui('code-downloaded', { length: code.length });
+    if (!code || isBlocked) return;
+
+    if (tabs) {
+      // The primary file as shown, not as first extracted
+      saveFile(zipFiles(tabs.map(file => (file.primary ? { ...file, code } : file))), ARCHIVE_FILENAME, 'application/zip');
+      logger.ui('code-downloaded', { files: tabs.length, archive: ARCHIVE_FILENAME });
+      return;
+    }
+
+    const name = files?.[0]?.name || DEFAULT_FILENAME;
+    saveFile(code, name, mimeTypeFor(files?.[0]?.language || language));
+    logger.ui('code-downloaded', { length: code.length, name });
   };
 
   const handleEditorChange = (value) => {
@@ -73,8 +242,8 @@ function CodeViewer({
     }
   };
 
-  const lineCount = code ? code.split('\n').length : 0;
-  const charCount = code ? code.length : 0;
+  const lineCount = shownCode ? shownCode.split('\n').length : 0;
+  const charCount = shownCode ? shownCode.length : 0;
 
   const helpContent = (
     <div>
@@ -86,6 +255,11 @@ function CodeViewer({
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Real-time streaming:</strong> Code appears as it's generated by Ollama</li>
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Syntax highlighting:</strong> JavaScript syntax is highlighted automatically</li>
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Copy to clipboard:</strong> Click the copy button to copy code</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Several blocks:</strong> When the answer has more than one code block (implementation, tests, usage, package.json) each gets a tab with its language; a first-line comment like <code>{'// src/add.js'}</code> names the file. The 🧪 tab is the one that was tested. Download saves them all as a zip</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Error lines:</strong> Lines a test threw at are highlighted red; hover for the errors</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Problems:</strong> Syntax errors are underlined red at their exact position; a yellow marker means the function the goal asks for is missing or isn't a function</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Safety findings:</strong> Network access, eval, storage, infinite loops, prototype pollution and remote imports are listed above the editor (click to jump). Blocked code doesn't run in the sandbox and can't be copied - change the rule in ⚙️ Settings</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Declarations:</strong> The footer lists the top-level functions, classes and variables with their parameters</li>
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Read-only by default:</strong> Code is displayed read-only, but you can edit if needed</li>
       </ul>
       
@@ -94,6 +268,9 @@ function CodeViewer({
         <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/components/CodeViewer.jsx</code> - This component</li>
         <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>@monaco-editor/react</code> - Monaco Editor React wrapper</li>
         <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/codeParser.js</code> - Extracts code from LLM markdown responses</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/codeFiles.js</code> - Names blocks as files, zips them</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/codeAnalysis.js</code> - Parses the code (acorn) for diagnostics and declarations</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/safetyScanner.js</code> - Safety rules, block/warn policies</li>
         <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/hooks/useOllama.js</code> - Provides streaming code updates</li>
       </ul>
       
@@ -119,11 +296,21 @@ function CodeViewer({
         </div>
         
         <div style={styles.actions}>
-          {showCopy && code && (
+          {isStreaming && onStop && (
+            <button
+              onClick={onStop}
+              style={{ ...styles.actionButton, ...styles.stopButton }}
+              title="Stop generating (partial output is kept)"
+            >
+              ⏹ Stop
+            </button>
+          )}
+          {showCopy && shownCode && (
             <button
               onClick={handleCopy}
               style={styles.actionButton}
-              title="Copy to clipboard"
+              disabled={isBlocked}
+              title={isBlocked ? 'Blocked by the safety scanner' : 'Copy to clipboard'}
             >
               {isCopied ? '✓ Copied!' : '📋 Copy'}
             </button>
@@ -132,26 +319,75 @@ function CodeViewer({
             <button
               onClick={handleDownload}
               style={styles.actionButton}
-              title="Download as .js file"
+              disabled={isBlocked}
+              title={isBlocked ? 'Blocked by the safety scanner' : tabs ? `Download all ${tabs.length} files as ${ARCHIVE_FILENAME}` : `Download as ${files?.[0]?.name || DEFAULT_FILENAME}`}
             >
-              ⬇️ Download
+              ⬇️ {tabs ? 'Download .zip' : 'Download'}
             </button>
           )}
         </div>
       </div>
 
+      {/* Safety findings */}
+      {code && findings.length > 0 && (
+        <div style={{ ...styles.findings, ...(isBlocked ? styles.findingsBlocked : {}) }}>
+          <span style={{ ...styles.findingsTitle, color: isBlocked ? '#ef4444' : '#fbbf24' }}>
+            {isBlocked
+              ? '⛔ Blocked by the safety scanner - this code won\'t run in the sandbox'
+              : `⚠️ ${findings.length} safety warning${findings.length !== 1 ? 's' : ''}`}
+          </span>
+          {findings.map(finding => (
+            <button
+              key={`${finding.ruleId}-${finding.line}-${finding.column}`}
+              onClick={() => reveal(finding)}
+              style={styles.finding}
+              title="Show in the editor"
+            >
+              <span style={{ ...styles.policy, color: finding.policy === 'block' ? '#ef4444' : '#fbbf24' }}>{finding.policy}</span>
+              <span style={styles.findingLine}>{finding.line}:{finding.column}</span>
+              <span>{finding.label} - {finding.message}</span>
+              <span style={styles.severity}>{finding.severity}</span>
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* File tabs */}
+      {tabs && (
+        <div style={styles.tabs} role="tablist">
+          {tabs.map(file => {
+            const isActive = file.primary ? isPrimary : file === activeFile;
+            return (
+              <button
+                key={file.name}
+                role="tab"
+                aria-selected={isActive}
+                onClick={() => setActiveTab(file.primary ? null : file.name)}
+                style={{ ...styles.tab, ...(isActive ? styles.tabActive : {}) }}
+                title={`${file.language}${file.inferred ? ' - named by its comment header' : ''}${file.primary ? ' - the code that was tested' : ''}`}
+              >
+                {file.primary && '🧪 '}
+                <span style={file.inferred ? undefined : styles.tabGeneratedName}>{file.name}</span>
+                <span style={styles.tabLanguage}>{file.language}</span>
+              </button>
+            );
+          })}
+        </div>
+      )}
+
       {/* Editor */}
       <div style={styles.editorWrapper}>
         {code ? (
           <Editor
             height={height}
-            language={language}
-            value={code}
+            language={shownLanguage}
+            value={shownCode}
             theme="vs-dark"
             onMount={handleEditorMount}
             onChange={handleEditorChange}
             options={{
-              readOnly,
+              // Only the primary file is wired to onChange
+              readOnly: readOnly || !isPrimary,
               minimap: { enabled: false },
               fontSize: 14,
               fontFamily: "'Fira Code', 'Consolas', 'Monaco', monospace",
@@ -182,14 +418,51 @@ function CodeViewer({
       {code && (
         <div style={styles.footer}>
           <span style={styles.footerText}>
-            💡 {readOnly ? 'Read-only view' : 'You can edit this code'}
+            💡 {readOnly || !isPrimary ? 'Read-only view' : 'You can edit this code'}
           </span>
+          {analysis && isPrimary && (
+            <div style={styles.analysis}>
+              {!analysis.valid && (
+                <span style={{ ...styles.footerText, color: '#ef4444' }}>
+                  ⚠️ Syntax error at line {diagnostics[0].line}:{diagnostics[0].column}
+                </span>
+              )}
+              {analysis.functionName && analysis.valid && (
+                <span style={{ ...styles.footerText, color: analysis.hasFunction ? '#4ade80' : '#fbbf24' }}>
+                  {analysis.hasFunction ? '✓' : '⚠️'} {analysis.functionName}
+                </span>
+              )}
+              {analysis.declarations.map(declaration => (
+                <code
+                  key={`${declaration.name}-${declaration.line}`}
+                  style={styles.declaration}
+                  title={`${declaration.kind}${declaration.exported ? ' (exported)' : ''} - line ${declaration.line}`}
+                >
+                  {declaration.async ? 'async ' : ''}{declaration.kind === 'class' ? 'class ' : ''}{declaration.name}
+                  {declaration.params ? `(${declaration.params.join(', ')})` : ''}
+                </code>
+              ))}
+            </div>
+          )}
         </div>
       )}
     </div>
   );
 }
 
+/**
+ * Scanner findings → marker diagnostics: blocking ones are errors
+ * @param {Array} findings - From scanCode
+ * @returns {Array}
+ */
+function toSafetyMarkers(findings) {
+  return findings.map(finding => ({
+    ...finding,
+    severity: finding.policy === 'block' ? 'error' : 'warning',
+    message: `${finding.label} (${finding.policy}): ${finding.message}`,
+  }));
+}
+
 const styles = {
   container: {
     backgroundColor: '#16213e',
@@ -233,6 +506,86 @@ const styles = {
     cursor: 'pointer',
     transition: 'all 0.2s',
   },
+  stopButton: {
+    color: '#e94560',
+    borderColor: '#e94560',
+  },
+  findings: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    padding: '10px 16px',
+    borderBottom: '1px solid #2a2a4a',
+    backgroundColor: 'rgba(251, 191, 36, 0.06)',
+  },
+  findingsBlocked: {
+    backgroundColor: 'rgba(239, 68, 68, 0.08)',
+  },
+  findingsTitle: {
+    fontSize: '13px',
+    fontWeight: '500',
+  },
+  finding: {
+    display: 'flex',
+    alignItems: 'baseline',
+    gap: '10px',
+    padding: '2px 0',
+    background: 'transparent',
+    border: 'none',
+    color: '#a0a0a0',
+    fontSize: '12px',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  policy: {
+    minWidth: '40px',
+    fontSize: '11px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+  },
+  findingLine: {
+    minWidth: '40px',
+    color: '#6b7280',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+  },
+  severity: {
+    marginLeft: 'auto',
+    color: '#6b7280',
+    fontSize: '11px',
+  },
+  tabs: {
+    display: 'flex',
+    gap: '2px',
+    padding: '0 8px',
+    overflowX: 'auto',
+    borderBottom: '1px solid #2a2a4a',
+    backgroundColor: '#0d1117',
+  },
+  tab: {
+    display: 'flex',
+    alignItems: 'baseline',
+    gap: '6px',
+    padding: '8px 12px',
+    background: 'transparent',
+    border: 'none',
+    borderBottom: '2px solid transparent',
+    color: '#a0a0a0',
+    fontSize: '12px',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+    whiteSpace: 'nowrap',
+    cursor: 'pointer',
+  },
+  tabActive: {
+    color: '#eaeaea',
+    borderBottomColor: '#e94560',
+  },
+  tabGeneratedName: {
+    fontStyle: 'italic',
+  },
+  tabLanguage: {
+    color: '#6b7280',
+    fontSize: '10px',
+  },
   editorWrapper: {
     backgroundColor: '#0d1117',
   },
@@ -257,6 +610,10 @@ const styles = {
     fontSize: '14px',
   },
   footer: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    gap: '12px',
     padding: '8px 16px',
     borderTop: '1px solid #2a2a4a',
     backgroundColor: '#0d1117',
@@ -265,6 +622,18 @@ const styles = {
     color: '#6b7280',
     fontSize: '12px',
   },
+  analysis: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  declaration: {
+    color: '#a0a0a0',
+    fontSize: '12px',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+  },
 };
 
 export default CodeViewer;
@@ -0,0 +1,411 @@
+/**
+ * Comparison View Component
+ *
+ * Sends one goal to several models and shows their streams in adjacent
+ * CodeViewer panes, each with its own duration, tokens and test results,
+ * plus a line diff between any two outputs. The winner can be promoted
+ * to the main result.
+ */
+
+import { useState, useMemo } from 'react';
+import CodeViewer from './CodeViewer.jsx';
+import HelpButton from './HelpButton.jsx';
+import LineDiff from './LineDiff.jsx';
+import { diffLines, summarizeDiff } from '../utils/lineDiff.js';
+import { describeExpectation } from '../utils/matchers.js';
+import { logger } from '../utils/logger.js';
+
+const STATUS_COLORS = {
+  queued: '#6b7280',
+  waiting: '#fbbf24',
+  streaming: '#60a5fa',
+  testing: '#a78bfa',
+  done: '#4ade80',
+  error: '#ef4444',
+  cancelled: '#60a5fa',
+};
+
+function ComparisonView({
+  models = [],
+  defaultModel,
+  initialGoal = '',
+  panes = [],
+  isRunning = false,
+  onRun,
+  onCancel,
+  onPromote,
+  onClose,
+}) {
+  const [goal, setGoal] = useState(initialGoal);
+  const [selectedModels, setSelectedModels] = useState(() => [defaultModel]);
+  const [parallel, setParallel] = useState(false);
+  const [diffPair, setDiffPair] = useState([0, 1]);
+
+  // The active model may not be installed on this server - keep it selectable
+  const modelOptions = models.includes(defaultModel) ? models : [defaultModel, ...models];
+  const canRun = goal.trim() && selectedModels.length >= 2 && !isRunning;
+
+  const handleModelToggle = (model) => {
+    setSelectedModels(current => current.includes(model)
+      ? current.filter(name => name !== model)
+      : [...current, model]);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (!canRun) return;
+    logger.ui('comparison-run', { models: selectedModels, parallel });
+    setDiffPair([0, 1]);
+    onRun?.({ goal: goal.trim(), models: selectedModels, parallel });
+  };
+
+  const [left, right] = diffPair.map(index => panes[index]);
+  const leftCode = left?.iteration?.code || left?.streamingCode || '';
+  const rightCode = right?.iteration?.code || right?.streamingCode || '';
+  const diff = useMemo(
+    () => (left && right && left !== right ? diffLines(leftCode, rightCode) : []),
+    [left, right, leftCode, rightCode]
+  );
+  const diffSummary = summarizeDiff(diff);
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this view?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>Sends the same goal to two or more models and streams their answers side by side. Each pane makes one attempt (no self-repair loop) and runs the tests from the goal form's 🧪 Tests table (or the matching example's), if there are any.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Tips:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Queue vs parallel:</strong> Parallel needs enough memory for every model at once (see <code>OLLAMA_MAX_LOADED_MODELS</code>). On a laptop, queue is usually faster overall and gives fair timings</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Diff:</strong> Pick any two panes below to see which lines differ</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Promote:</strong> 🏆 Use this makes a pane the main result and saves it to history</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/components/ComparisonView.jsx</code> - This component</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/hooks/useComparison.js</code> - Per-model streams and tests</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/lineDiff.js</code> - Line diff</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={styles.title}>⚖️ Compare Models</span>
+          <HelpButton content={helpContent} title="Comparison Help" />
+        </div>
+        {onClose && (
+          <button onClick={onClose} style={styles.closeButton} aria-label="Close comparison">
+            ×
+          </button>
+        )}
+      </div>
+
+      <form onSubmit={handleSubmit} style={styles.config}>
+        <textarea
+          value={goal}
+          onChange={(e) => setGoal(e.target.value)}
+          placeholder="Goal to send to every model…"
+          rows={2}
+          style={styles.goal}
+          disabled={isRunning}
+        />
+        <div style={styles.modelList}>
+          {modelOptions.map(model => (
+            <label key={model} style={styles.checkbox}>
+              <input
+                type="checkbox"
+                checked={selectedModels.includes(model)}
+                onChange={() => handleModelToggle(model)}
+                disabled={isRunning}
+              />
+              {model}{models.includes(model) ? '' : ' (not installed)'}
+            </label>
+          ))}
+        </div>
+        <div style={styles.actions}>
+          <label style={styles.checkbox} title="Send all requests at once instead of one model after another">
+            <input type="checkbox" checked={parallel} onChange={(e) => setParallel(e.target.checked)} disabled={isRunning} />
+            Parallel
+          </label>
+          {isRunning ? (
+            <button type="button" onClick={onCancel} style={{ ...styles.primaryButton, backgroundColor: '#ef4444' }}>
+              ⏹ Stop
+            </button>
+          ) : (
+            <button type="submit" style={styles.primaryButton} disabled={!canRun}>
+              ⚖️ Compare {selectedModels.length} models
+            </button>
+          )}
+        </div>
+        {selectedModels.length < 2 && <span style={styles.hint}>Pick at least two models.</span>}
+      </form>
+
+      {panes.length > 0 && (
+        <div style={{ ...styles.panes, gridTemplateColumns: `repeat(${Math.min(panes.length, 3)}, minmax(0, 1fr))` }}>
+          {panes.map(pane => (
+            <ComparisonPane
+              key={pane.model}
+              pane={pane}
+              onCancel={onCancel}
+              onPromote={!isRunning && pane.iteration?.code ? () => onPromote?.(pane) : null}
+            />
+          ))}
+        </div>
+      )}
+
+      {panes.length >= 2 && (
+        <div style={styles.diff}>
+          <div style={styles.diffHeader}>
+            <span style={styles.label}>Diff</span>
+            {[0, 1].map(side => (
+              <select
+                key={side}
+                value={diffPair[side]}
+                onChange={(e) => setDiffPair(current => current.map((value, i) => (i === side ? Number(e.target.value) : value)))}
+                style={styles.select}
+              >
+                {panes.map((pane, index) => <option key={pane.model} value={index}>{pane.model}</option>)}
+              </select>
+            ))}
+            {diff.length > 0 && (
+              <span style={styles.hint}>
+                {diffSummary.identical ? 'Identical' : `+${diffSummary.added} −${diffSummary.removed} lines`}
+              </span>
+            )}
+          </div>
+          {left === right ? (
+            <span style={styles.hint}>Pick two different models.</span>
+          ) : (
+            <LineDiff lines={diff} />
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+/**
+ * One model's output, stats and test results
+ */
+function ComparisonPane({ pane, onCancel, onPromote }) {
+  const { model, status, streamingCode, iteration, error } = pane;
+  const tokens = iteration?.tokens;
+  const testResults = iteration?.testResults;
+  const isActive = ['waiting', 'streaming', 'testing'].includes(status);
+
+  return (
+    <div style={styles.pane}>
+      <div style={styles.paneHeader}>
+        <span style={styles.paneTitle}>{model}</span>
+        <span style={{ ...styles.badge, color: STATUS_COLORS[status], borderColor: STATUS_COLORS[status] }}>
+          {status}
+        </span>
+      </div>
+
+      <div style={styles.stats}>
+        <span>⏱ {iteration ? `${iteration.duration}ms` : '–'}</span>
+        <span>🔢 {tokens ? `${tokens.prompt}+${tokens.generated} tok` : '–'}</span>
+        <span>⚡ {tokens?.perSecond ? `${tokens.perSecond} tok/s` : '–'}</span>
+        {testResults && (
+          <span style={{ color: testResults.success ? '#4ade80' : '#ef4444' }}>
+            🧪 {testResults.passed}/{testResults.total}
+          </span>
+        )}
+        {iteration && !testResults && pane.loopStatus === 'untested' && <span>🧪 no tests</span>}
+      </div>
+
+      <CodeViewer
+        code={streamingCode}
+        title={model}
+        height="260px"
+        showDownload={false}
+        isStreaming={isActive}
+        onStop={onCancel}
+      />
+
+      {error && <div style={styles.error}>{error}</div>}
+
+      {testResults && !testResults.success && (
+        <ul style={styles.failures}>
+          {testResults.results.filter(result => !result.passed).slice(0, 3).map(result => (
+            <li key={result.index}>
+              ({result.input.map(value => JSON.stringify(value)).join(', ')}) → {result.error ? result.error.message : JSON.stringify(result.actual)}, {describeExpectation(result)}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {onPromote && (
+        <button type="button" onClick={onPromote} style={styles.promoteButton}>
+          🏆 Use this
+        </button>
+      )}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    backgroundColor: '#16213e',
+    borderRadius: '12px',
+    border: '1px solid #2a2a4a',
+    overflow: 'hidden',
+    marginBottom: '24px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid #2a2a4a',
+    backgroundColor: '#0d1117',
+  },
+  title: {
+    fontWeight: '600',
+    color: '#eaeaea',
+    fontSize: '14px',
+  },
+  closeButton: {
+    background: 'transparent',
+    border: 'none',
+    fontSize: '22px',
+    color: '#a0a0a0',
+    cursor: 'pointer',
+    lineHeight: '1',
+  },
+  config: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '12px',
+    padding: '16px',
+  },
+  goal: {
+    padding: '8px 12px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    color: '#eaeaea',
+    fontSize: '13px',
+    fontFamily: 'inherit',
+    resize: 'vertical',
+    outline: 'none',
+  },
+  modelList: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '8px 16px',
+  },
+  checkbox: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    color: '#eaeaea',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  actions: {
+    display: 'flex',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    gap: '12px',
+  },
+  primaryButton: {
+    padding: '8px 16px',
+    backgroundColor: '#e94560',
+    color: '#ffffff',
+    border: 'none',
+    borderRadius: '6px',
+    fontSize: '13px',
+    fontWeight: '600',
+    cursor: 'pointer',
+  },
+  label: {
+    fontSize: '12px',
+    color: '#a0a0a0',
+  },
+  hint: {
+    color: '#6b7280',
+    fontSize: '11px',
+  },
+  panes: {
+    display: 'grid',
+    gap: '12px',
+    padding: '0 16px 16px',
+  },
+  pane: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    minWidth: 0,
+  },
+  paneHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  paneTitle: {
+    color: '#eaeaea',
+    fontSize: '13px',
+    fontWeight: '600',
+    fontFamily: 'monospace',
+  },
+  badge: {
+    fontSize: '11px',
+    padding: '2px 8px',
+    borderRadius: '10px',
+    border: '1px solid',
+  },
+  stats: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '12px',
+    color: '#a0a0a0',
+    fontSize: '12px',
+  },
+  error: {
+    color: '#ef4444',
+    fontSize: '12px',
+  },
+  failures: {
+    margin: 0,
+    paddingLeft: '18px',
+    color: '#a0a0a0',
+    fontSize: '11px',
+    fontFamily: 'monospace',
+  },
+  promoteButton: {
+    alignSelf: 'flex-start',
+    padding: '6px 12px',
+    backgroundColor: 'transparent',
+    color: '#fbbf24',
+    border: '1px solid #fbbf24',
+    borderRadius: '6px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  diff: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '16px',
+    borderTop: '1px solid #2a2a4a',
+  },
+  diffHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  select: {
+    padding: '4px 8px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    color: '#eaeaea',
+    fontSize: '12px',
+  },
+};
+
+export default ComparisonView;
@@ -7,18 +7,25 @@
 
 import { useState } from 'react';
 import HelpButton from './HelpButton.jsx';
+import { DEFAULT_MODEL, OLLAMA_BASE_URL } from '../utils/ollama.js';
 
 function DebugPanel({ 
   prompt = '', 
   response = '', 
   duration = null,
   error = null,
-  isLoading = false 
+  isLoading = false,
+  cancelled = false,
+  warnings = [],
+  extraction = null,
+  messages = [],
+  model = DEFAULT_MODEL,
+  baseUrl = OLLAMA_BASE_URL,
 }) {
   const [isExpanded, setIsExpanded] = useState(true);
   const [activeTab, setActiveTab] = useState('prompt');
 
-  if (!prompt && !response && !error && !isLoading) {
+  if (!prompt && !response && !error && !isLoading && messages.length === 0) {
     return null;
   }
 
@@ -31,8 +38,12 @@ function DebugPanel({
       <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Prompt tab:</strong> The exact prompt sent to Ollama (includes instructions and your goal)</li>
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Response tab:</strong> The complete raw response from Ollama (includes markdown formatting)</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Thread tab:</strong> In chat mode, every system, user and assistant message in the conversation</li>
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Duration:</strong> How long the request took in milliseconds</li>
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Error messages:</strong> If something goes wrong, you'll see the error here</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Warnings:</strong> Stream lines from Ollama that were not valid JSON are skipped and listed under the response</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Prose:</strong> Text the model wrote outside its code block(s) is kept out of the Code Viewer and listed under the response</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Cancelled:</strong> After pressing Stop, the Response tab keeps whatever streamed in before the request was aborted</li>
       </ul>
       
       <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
@@ -68,6 +79,19 @@ function DebugPanel({
             {error && (
               <span style={styles.errorBadge}>Error</span>
             )}
+            {warnings.length > 0 && (
+              <span style={styles.warningBadge} title="Malformed stream lines were skipped">
+                {warnings.length} warning{warnings.length !== 1 ? 's' : ''}
+              </span>
+            )}
+            {extraction?.hasProse && !isLoading && (
+              <span style={styles.warningBadge} title="The model wrote text outside its code block(s)">
+                Prose
+              </span>
+            )}
+            {cancelled && !isLoading && (
+              <span style={styles.cancelledBadge}>Cancelled</span>
+            )}
           </div>
           <span style={styles.expandIcon}>
             {isExpanded ? '▼' : '▶'}
@@ -101,6 +125,18 @@ function DebugPanel({
               Raw Response
               {response && <span style={styles.tabBadge}>{response.length}</span>}
             </button>
+            {messages.length > 0 && (
+              <button
+                onClick={() => setActiveTab('thread')}
+                style={{
+                  ...styles.tab,
+                  ...(activeTab === 'thread' ? styles.activeTab : {}),
+                }}
+              >
+                Thread
+                <span style={styles.tabBadge}>{messages.length}</span>
+              </button>
+            )}
             {error && (
               <button
                 onClick={() => setActiveTab('error')}
@@ -145,10 +181,28 @@ function DebugPanel({
                 ) : response ? (
                   <>
                     <div style={styles.codeHeader}>
-                      <span>Raw response from Ollama</span>
+                      <span>{cancelled ? 'Partial response (stopped before Ollama finished)' : 'Raw response from Ollama'}</span>
                       <CopyButton text={response} />
                     </div>
                     <pre style={styles.pre}>{response}</pre>
+                    {extraction && (extraction.hasProse || extraction.blocks > 1) && (
+                      <div style={styles.warningList}>
+                        <div>
+                          {extraction.blocks > 1 && `${extraction.blocks} code blocks - the first JavaScript one is shown. `}
+                          {extraction.hasProse && 'Prose outside the code (not shown in the Code Viewer):'}
+                        </div>
+                        {extraction.hasProse && <pre style={{ ...styles.pre, color: '#fbbf24' }}>{extraction.prose}</pre>}
+                      </div>
+                    )}
+                    {warnings.length > 0 && (
+                      <div style={styles.warningList}>
+                        {warnings.map(warning => (
+                          <div key={warning.line}>
+                            ⚠️ Line {warning.line} skipped - {warning.message}: <code>{warning.text}</code>
+                          </div>
+                        ))}
+                      </div>
+                    )}
                   </>
                 ) : (
                   <div style={styles.empty}>
@@ -158,6 +212,33 @@ function DebugPanel({
               </div>
             )}
 
+            {activeTab === 'thread' && (
+              <div style={styles.codeBlock}>
+                {messages.length > 0 ? (
+                  <>
+                    <div style={styles.codeHeader}>
+                      <span>Messages sent to /api/chat (oldest first)</span>
+                      <CopyButton text={JSON.stringify(messages, null, 2)} />
+                    </div>
+                    <div style={styles.thread}>
+                      {messages.map((message, index) => (
+                        <div key={index} style={styles.message}>
+                          <span style={{ ...styles.messageRole, color: ROLE_COLORS[message.role] || '#a0a0a0' }}>
+                            {message.role}
+                          </span>
+                          <pre style={styles.pre}>{message.content}</pre>
+                        </div>
+                      ))}
+                    </div>
+                  </>
+                ) : (
+                  <div style={styles.empty}>
+                    No conversation yet
+                  </div>
+                )}
+              </div>
+            )}
+
             {activeTab === 'error' && error && (
               <div style={styles.errorBlock}>
                 <div style={styles.errorHeader}>
@@ -168,8 +249,8 @@ function DebugPanel({
                   <strong>Common fixes:</strong>
                   <ul style={styles.hintsList}>
                     <li>Ensure Ollama is running: <code>ollama serve</code></li>
-                    <li>Check if model is downloaded: <code>ollama pull codellama:7b</code></li>
-                    <li>Verify Ollama is on port 11434</li>
+                    <li>Check if model is downloaded: <code>ollama pull {model}</code></li>
+                    <li>Verify Ollama is reachable at <code>{baseUrl}</code> (change it in ⚙️ Settings)</li>
                   </ul>
                 </div>
               </div>
@@ -184,6 +265,8 @@ function DebugPanel({
                 ? "This is the exact text sent to the LLM. Notice how we structure the request for better results."
                 : activeTab === 'response'
                 ? "This is the raw LLM output. We extract the code from within the ```javascript``` markers."
+                : activeTab === 'thread'
+                ? "In chat mode the whole conversation is sent on every turn - that's how the model remembers the current code."
                 : "Check the suggestions above to resolve the error."
               }
             </span>
@@ -194,6 +277,12 @@ function DebugPanel({
   );
 }
 
+const ROLE_COLORS = {
+  system: '#fbbf24',
+  user: '#60a5fa',
+  assistant: '#4ade80',
+};
+
 function CopyButton({ text }) {
   const [copied, setCopied] = useState(false);
 
@@ -265,6 +354,22 @@ const styles = {
     fontSize: '11px',
     fontWeight: '500',
   },
+  warningBadge: {
+    padding: '2px 8px',
+    backgroundColor: 'rgba(251, 191, 36, 0.2)',
+    color: '#fbbf24',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontWeight: '500',
+  },
+  cancelledBadge: {
+    padding: '2px 8px',
+    backgroundColor: 'rgba(96, 165, 250, 0.2)',
+    color: '#60a5fa',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontWeight: '500',
+  },
   expandIcon: {
     color: '#6b7280',
     fontSize: '12px',
@@ -336,6 +441,22 @@ const styles = {
     color: '#a0a0a0',
     fontFamily: "'Fira Code', 'Consolas', monospace",
   },
+  thread: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '10px',
+  },
+  message: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+  },
+  messageRole: {
+    fontSize: '11px',
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
   empty: {
     padding: '40px 20px',
     textAlign: 'center',
@@ -355,6 +476,16 @@ const styles = {
     animation: 'spin 1s linear infinite',
     fontSize: '20px',
   },
+  warningList: {
+    padding: '8px 12px',
+    borderTop: '1px solid #2a2a4a',
+    color: '#fbbf24',
+    fontSize: '12px',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+    wordBreak: 'break-all',
+  },
   errorBlock: {
     padding: '12px',
   },
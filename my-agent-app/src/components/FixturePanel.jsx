@@ -0,0 +1,207 @@
+/**
+ * Fixture Panel Component
+ *
+ * Record Ollama traffic to a fixture file, or load one and replay it
+ * with the original stream pacing - no model needed.
+ */
+
+import { useRef } from 'react';
+import { logger } from '../utils/logger.js';
+import HelpButton from './HelpButton.jsx';
+
+const MODE_LABELS = {
+  off: 'Off',
+  record: '⏺ Record',
+  replay: '▶ Replay',
+};
+
+function FixturePanel({
+  mode,
+  recordedCount = 0,
+  fixtureName = null,
+  fixtureCount = 0,
+  error = null,
+  onModeChange,
+  onLoad,
+  onUnload,
+  onDownload,
+  onClear,
+}) {
+  const fileInputRef = useRef(null);
+
+  const handleModeChange = (nextMode) => {
+    logger.ui('fixture-mode-selected', { mode: nextMode });
+    onModeChange?.(nextMode);
+  };
+
+  const handleFileChange = (e) => {
+    const file = e.target.files?.[0];
+    if (file) onLoad?.(file);
+    // Allow picking the same file again after editing it
+    e.target.value = '';
+  };
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What are fixtures?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>A fixture is a recording of real Ollama requests and their streamed responses, including how fast each chunk arrived. Replaying it reproduces the run exactly - no model required.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>How to use:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Record:</strong> Switch to Record, run some goals, then Download. Cancelled and failed streams are kept as they happened</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Replay:</strong> Load a fixture file and switch to Replay. Requests are matched by their body; anything unmatched gets the next recorded response for that endpoint</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Mock mode:</strong> With a fixture loaded, mock mode replays it instead of the built-in canned functions</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Bug reports:</strong> Attach the fixture - it contains the exact bytes that reached <code>extractCode</code></li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/components/FixturePanel.jsx</code> - This component</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/fixtures.js</code> - Recording, matching and paced replay</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/hooks/useFixtures.js</code> - Fixture state for React</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <span style={styles.title}>🎞️ Fixtures</span>
+        <HelpButton content={helpContent} title="Fixtures Help" />
+      </div>
+
+      <div style={styles.body}>
+        <div style={styles.modes} role="radiogroup" aria-label="Fixture mode">
+          {Object.entries(MODE_LABELS).map(([value, label]) => (
+            <button
+              key={value}
+              type="button"
+              role="radio"
+              aria-checked={mode === value}
+              onClick={() => handleModeChange(value)}
+              disabled={value === 'replay' && !fixtureName}
+              title={value === 'replay' && !fixtureName ? 'Load a fixture first' : undefined}
+              style={mode === value ? { ...styles.modeButton, ...styles.modeButtonActive } : styles.modeButton}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+
+        <div style={styles.group}>
+          <span style={styles.label}>Recording: {recordedCount} interaction{recordedCount === 1 ? '' : 's'}</span>
+          <button type="button" onClick={onDownload} style={styles.button} disabled={recordedCount === 0}>
+            ⬇ Download
+          </button>
+          <button type="button" onClick={onClear} style={styles.linkButton} disabled={recordedCount === 0}>
+            Clear
+          </button>
+        </div>
+
+        <div style={styles.group}>
+          <span style={styles.label}>
+            {fixtureName ? `Loaded: ${fixtureName} (${fixtureCount})` : 'No fixture loaded'}
+          </span>
+          <button type="button" onClick={() => fileInputRef.current?.click()} style={styles.button}>
+            📂 Load…
+          </button>
+          {fixtureName && (
+            <button type="button" onClick={onUnload} style={styles.linkButton}>
+              Unload
+            </button>
+          )}
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileChange}
+            style={{ display: 'none' }}
+          />
+        </div>
+      </div>
+
+      {error && <div style={styles.error}>{error}</div>}
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    backgroundColor: '#16213e',
+    borderRadius: '12px',
+    border: '1px solid #2a2a4a',
+    overflow: 'hidden',
+    marginBottom: '24px',
+  },
+  header: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '12px 16px',
+    borderBottom: '1px solid #2a2a4a',
+    backgroundColor: '#0d1117',
+  },
+  title: {
+    fontWeight: '600',
+    color: '#eaeaea',
+    fontSize: '14px',
+  },
+  body: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    padding: '16px',
+    alignItems: 'center',
+  },
+  modes: {
+    display: 'flex',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    overflow: 'hidden',
+  },
+  modeButton: {
+    padding: '8px 12px',
+    backgroundColor: 'transparent',
+    color: '#a0a0a0',
+    border: 'none',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  modeButtonActive: {
+    backgroundColor: '#e94560',
+    color: '#ffffff',
+  },
+  group: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+  },
+  label: {
+    fontSize: '12px',
+    color: '#a0a0a0',
+  },
+  button: {
+    padding: '8px 12px',
+    backgroundColor: 'transparent',
+    color: '#a0a0a0',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  linkButton: {
+    padding: '8px 4px',
+    backgroundColor: 'transparent',
+    color: '#6b7280',
+    border: 'none',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  error: {
+    padding: '0 16px 12px',
+    color: '#ef4444',
+    fontSize: '12px',
+  },
+};
+
+export default FixturePanel;
@@ -1,19 +1,135 @@
 /**
  * Goal Input Component
  * 
- * Form for entering coding goals with example presets.
- * Phase 1: Basic input with examples
- * Phase 2+: Will include test case inputs
+ * Form for entering coding goals with example presets and the test
+ * cases sent along with them.
  */
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import { EXAMPLE_GOALS, getRandomExample } from '../data/examples.js';
 import { logger } from '../utils/logger.js';
+import { MAX_CANDIDATES } from '../utils/candidates.js';
+import { inferFunctionName } from '../utils/sandbox.js';
+import { testToRow, rowsToTests } from '../utils/testCases.js';
 import HelpButton from './HelpButton.jsx';
+import TestCaseEditor from './TestCaseEditor.jsx';
 
-function GoalInput({ onSubmit, isLoading = false, disabled = false }) {
-  const [goal, setGoal] = useState('');
+const MAX_ITERATION_CHOICES = [1, 2, 3, 5, 8];
+const CANDIDATE_CHOICES = Array.from({ length: MAX_CANDIDATES }, (_, i) => i + 1);
+
+function GoalInput({
+  onSubmit,
+  onCancel,
+  isLoading = false,
+  disabled = false,
+  maxIterations = 3,
+  onMaxIterationsChange,
+  candidates = 1,
+  onCandidatesChange,
+  presetGoal = '',
+  presetTests = null,
+  chatMode = false,
+  onChatModeChange,
+  onRefine,
+  canRefine = false,
+  onGenerateTests,
+  onCancelTestGeneration,
+  isGeneratingTests = false,
+  testGenerationError = null,
+  onDraftChange,
+}) {
+  const [goal, setGoal] = useState(presetGoal);
   const [showExamples, setShowExamples] = useState(false);
+  const [testRows, setTestRows] = useState([]);
+  const [functionName, setFunctionName] = useState('');
+  const [testErrors, setTestErrors] = useState([]);
+  // Model-written tests awaiting approval, with what to restore on discard
+  const [review, setReview] = useState(null);
+  const refining = chatMode && canRefine && !!onRefine;
+
+  // Fill the textarea when a saved run is restored
+  useEffect(() => {
+    if (presetGoal) {
+      setGoal(presetGoal);
+    }
+  }, [presetGoal]);
+
+  // ...and the test table
+  useEffect(() => {
+    if (presetTests) {
+      setTestRows(presetTests.tests.map(testToRow));
+      setFunctionName(presetTests.functionName || '');
+      setTestErrors([]);
+      setReview(null);
+    }
+  }, [presetTests]);
+
+  // Report what's typed so far (e.g. for a model comparison); tests are null while invalid or under review
+  useEffect(() => {
+    const { tests, errors } = rowsToTests(testRows);
+    onDraftChange?.({
+      goal: goal.trim(),
+      testSpec: review || errors.length > 0 ? null : { tests, functionName: functionName || null }
+    });
+  }, [goal, testRows, functionName, review, onDraftChange]);
+
+  /**
+   * Parse the test table; shows the errors and returns null if any row is invalid
+   * @returns {{tests: Array, functionName: string|null}|null}
+   */
+  const readTests = () => {
+    if (review) return null;
+
+    const { tests, errors } = rowsToTests(testRows);
+    setTestErrors(errors);
+    if (errors.length > 0) {
+      logger.ui('tests-invalid', { errors: errors.length });
+      return null;
+    }
+    return { tests, functionName: functionName || null };
+  };
+
+  const handleRowsChange = (rows) => {
+    setTestRows(rows);
+    setTestErrors([]);
+  };
+
+  const loadExample = (example) => {
+    setGoal(example.goal);
+    setTestRows(example.tests.map(testToRow));
+    setFunctionName(inferFunctionName(example.goal) || '');
+    setTestErrors([]);
+    setReview(null);
+  };
+
+  const handleGenerateTests = async () => {
+    if (!goal.trim()) return;
+    const suite = await onGenerateTests(goal.trim(), functionName || inferFunctionName(goal) || null);
+    if (!suite) return;
+
+    setReview({ rows: testRows, functionName });
+    setTestRows(suite.tests.map(testToRow));
+    setFunctionName(functionName || suite.functionName);
+    setTestErrors([]);
+  };
+
+  const handleApproveTests = () => {
+    // Same checks as on submit, so a bad edit is caught during review
+    const { errors } = rowsToTests(testRows);
+    setTestErrors(errors);
+    if (errors.length > 0) return;
+
+    logger.ui('tests-approved', { count: testRows.length });
+    setReview(null);
+  };
+
+  const handleDiscardTests = () => {
+    logger.ui('tests-discarded', {});
+    setTestRows(review.rows);
+    setFunctionName(review.functionName);
+    setTestErrors([]);
+    setReview(null);
+  };
 
   const handleSubmit = (e) => {
     e.preventDefault();
@@ -22,24 +138,55 @@ function GoalInput({ onSubmit, isLoading = false, disabled = false }) {
       return;
     }
 
-    logger.ui('goal-submit', { goal: goal.slice(0, 50) });
-    onSubmit(goal.trim());
+    // In a chat thread the main button refines the last result
+    if (refining) {
+      handleRefine();
+      return;
+    }
+
+    const testSpec = readTests();
+    if (!testSpec) return;
+
+    logger.ui('goal-submit', { goal: goal.slice(0, 50), tests: testSpec.tests.length });
+    onSubmit(goal.trim(), testSpec);
+  };
+
+  const handleRefine = () => {
+    const testSpec = readTests();
+    if (!testSpec) return;
+
+    logger.ui('goal-refine', { instruction: goal.slice(0, 50) });
+    onRefine(goal.trim(), testSpec);
+    setGoal('');
+  };
+
+  const handleNewThread = () => {
+    if (!goal.trim()) return;
+    const testSpec = readTests();
+    if (!testSpec) return;
+
+    logger.ui('goal-submit', { goal: goal.slice(0, 50), newThread: true });
+    onSubmit(goal.trim(), testSpec);
   };
 
   const handleExampleSelect = (example) => {
-    setGoal(example.goal);
+    loadExample(example);
     setShowExamples(false);
     logger.ui('example-selected', { id: example.id, title: example.title });
   };
 
   const handleRandomExample = () => {
     const example = getRandomExample();
-    setGoal(example.goal);
+    loadExample(example);
     logger.ui('random-example', { id: example.id });
   };
 
   const handleClear = () => {
     setGoal('');
+    setTestRows([]);
+    setFunctionName('');
+    setTestErrors([]);
+    setReview(null);
     logger.ui('goal-cleared', {});
   };
 
@@ -54,6 +201,10 @@ function GoalInput({ onSubmit, isLoading = false, disabled = false }) {
         <li style={{ marginBottom: '6px' }}>Click "Generate Code" or press Enter to send your goal to Ollama</li>
         <li style={{ marginBottom: '6px' }}>Use example goals for quick testing - click "Show Examples" to see preset goals</li>
         <li style={{ marginBottom: '6px' }}>The code will stream in real-time to the Code Viewer panel</li>
+        <li style={{ marginBottom: '6px' }}>The 🧪 Tests table holds the test cases sent with the goal; examples fill it in, and you can edit, add or remove rows (see its own ℹ️)</li>
+        <li style={{ marginBottom: '6px' }}>"Max attempts" limits how many times the agent regenerates after failed tests</li>
+        <li style={{ marginBottom: '6px' }}>"Best of" asks for several completions per attempt (different seeds/temperatures), tests them all and keeps the best. Slower, but small models pass more often. Not available in chat mode</li>
+        <li style={{ marginBottom: '6px' }}>"Chat mode" keeps a conversation with the model: after the first result, type a follow-up (e.g. "now handle negative numbers") and click "Refine" - the current code stays in context. "New thread" starts over</li>
       </ul>
       
       <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
@@ -84,12 +235,31 @@ function GoalInput({ onSubmit, isLoading = false, disabled = false }) {
           id="goal-input"
           value={goal}
           onChange={(e) => setGoal(e.target.value)}
-          placeholder="e.g., Write a function called 'add' that takes two numbers and returns their sum"
+          placeholder={refining
+            ? 'e.g., Now make it handle negative numbers'
+            : "e.g., Write a function called 'add' that takes two numbers and returns their sum"}
           style={styles.textarea}
           rows={3}
           disabled={disabled || isLoading}
         />
 
+        <TestCaseEditor
+          functionName={functionName}
+          functionPlaceholder={inferFunctionName(goal) || ''}
+          onFunctionNameChange={setFunctionName}
+          rows={testRows}
+          onRowsChange={handleRowsChange}
+          errors={testErrors}
+          disabled={disabled || isLoading}
+          onGenerate={onGenerateTests && goal.trim() && !refining ? handleGenerateTests : null}
+          onCancelGenerate={onCancelTestGeneration}
+          isGenerating={isGeneratingTests}
+          generateError={testGenerationError}
+          reviewing={!!review}
+          onApprove={handleApproveTests}
+          onDiscard={handleDiscardTests}
+        />
+
         <div style={styles.actions}>
           <div style={styles.leftActions}>
             <button
@@ -109,7 +279,48 @@ function GoalInput({ onSubmit, isLoading = false, disabled = false }) {
             >
               🎲 Random
             </button>
-            {goal && (
+            {onMaxIterationsChange && (
+              <label style={styles.selectLabel} title="Maximum generate → test → reflect attempts">
+                Max attempts
+                <select
+                  value={maxIterations}
+                  onChange={(e) => onMaxIterationsChange(Number(e.target.value))}
+                  style={styles.select}
+                  disabled={disabled || isLoading}
+                >
+                  {MAX_ITERATION_CHOICES.map(n => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {onCandidatesChange && (
+              <label style={styles.selectLabel} title="Completions per attempt; every one is tested and the best is kept">
+                Best of
+                <select
+                  value={chatMode ? 1 : candidates}
+                  onChange={(e) => onCandidatesChange(Number(e.target.value))}
+                  style={styles.select}
+                  disabled={disabled || isLoading || chatMode}
+                >
+                  {CANDIDATE_CHOICES.map(n => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                </select>
+              </label>
+            )}
+            {onChatModeChange && (
+              <label style={styles.selectLabel} title="Keep a conversation with the model (/api/chat) so follow-ups refine the last result">
+                <input
+                  type="checkbox"
+                  checked={chatMode}
+                  onChange={(e) => onChatModeChange(e.target.checked)}
+                  disabled={isLoading}
+                />
+                💬 Chat mode
+              </label>
+            )}
+            {(goal || testRows.length > 0) && (
               <button
                 type="button"
                 onClick={handleClear}
@@ -121,23 +332,51 @@ function GoalInput({ onSubmit, isLoading = false, disabled = false }) {
             )}
           </div>
 
-          <button
-            type="submit"
-            style={{
-              ...styles.submitButton,
-              opacity: (!goal.trim() || isLoading || disabled) ? 0.5 : 1,
-            }}
-            disabled={!goal.trim() || isLoading || disabled}
-          >
-            {isLoading ? (
-              <>
-                <span style={styles.spinner}>⟳</span>
-                Generating...
-              </>
-            ) : (
-              'Generate Code'
+          <div style={styles.rightActions}>
+            {isLoading && onCancel && (
+              <button
+                type="button"
+                onClick={onCancel}
+                style={styles.stopButton}
+                title="Stop generating (partial output is kept)"
+              >
+                ⏹ Stop
+              </button>
+            )}
+
+            {refining && !isLoading && (
+              <button
+                type="button"
+                onClick={handleNewThread}
+                style={styles.secondaryButton}
+                disabled={!goal.trim() || disabled || !!review}
+                title="Start a new conversation with this text as the goal"
+              >
+                New thread
+              </button>
             )}
-          </button>
+
+            <button
+              type="submit"
+              style={{
+                ...styles.submitButton,
+                opacity: (!goal.trim() || isLoading || disabled || review) ? 0.5 : 1,
+              }}
+              disabled={!goal.trim() || isLoading || disabled || !!review}
+              title={review ? 'Approve or discard the generated tests first' : undefined}
+            >
+              {isLoading ? (
+                <>
+                  <span style={styles.spinner}>⟳</span>
+                  Generating...
+                </>
+              ) : refining ? (
+                '↻ Refine'
+              ) : (
+                'Generate Code'
+              )}
+            </button>
+          </div>
         </div>
       </form>
 
@@ -242,6 +481,11 @@ const styles = {
     gap: '8px',
     flexWrap: 'wrap',
   },
+  rightActions: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+  },
   secondaryButton: {
     padding: '8px 16px',
     backgroundColor: 'transparent',
@@ -252,6 +496,21 @@ const styles = {
     cursor: 'pointer',
     transition: 'all 0.2s',
   },
+  selectLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    color: '#a0a0a0',
+    fontSize: '13px',
+  },
+  select: {
+    padding: '6px 8px',
+    backgroundColor: '#0d1117',
+    color: '#eaeaea',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    fontSize: '13px',
+  },
   clearButton: {
     padding: '8px 12px',
     backgroundColor: 'transparent',
@@ -274,6 +533,15 @@ const styles = {
     gap: '8px',
     transition: 'all 0.2s',
   },
+  stopButton: {
+    padding: '10px 16px',
+    backgroundColor: 'transparent',
+    color: '#eaeaea',
+    border: '1px solid #e94560',
+    borderRadius: '8px',
+    fontSize: '14px',
+    cursor: 'pointer',
+  },
   spinner: {
     display: 'inline-block',
     animation: 'spin 1s linear infinite',
@@ -6,11 +6,17 @@
  */
 
 import { useState, useEffect } from 'react';
-import { checkAllDependencies, DEFAULT_MODEL } from '../utils/healthCheck.js';
+import { checkAllDependencies, DEFAULT_MODEL, OLLAMA_BASE_URL } from '../utils/healthCheck.js';
 import { logger } from '../utils/logger.js';
 import HelpButton from './HelpButton.jsx';
 
-function HealthCheck({ onStatusChange, compact = false }) {
+function HealthCheck({
+  onStatusChange,
+  compact = false,
+  model = DEFAULT_MODEL,
+  baseUrl = OLLAMA_BASE_URL,
+  refreshToken = 0,
+}) {
   const [status, setStatus] = useState(null);
   const [isChecking, setIsChecking] = useState(true);
   const [lastChecked, setLastChecked] = useState(null);
@@ -20,7 +26,7 @@ function HealthCheck({ onStatusChange, compact = false }) {
     logger.health('check-started', {});
     
     try {
-      const results = await checkAllDependencies(DEFAULT_MODEL);
+      const results = await checkAllDependencies(model, baseUrl);
       setStatus(results);
       setLastChecked(new Date());
       
@@ -35,9 +41,10 @@ function HealthCheck({ onStatusChange, compact = false }) {
     }
   };
 
+  // Re-check whenever the endpoint or model changes (or a refresh is requested)
   useEffect(() => {
     runHealthCheck();
-  }, []);
+  }, [model, baseUrl, refreshToken]);
 
   if (isChecking && !status) {
     return (
@@ -81,10 +88,10 @@ function HealthCheck({ onStatusChange, compact = false }) {
       
       <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What does it check?</h4>
       <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
-        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Ollama:</strong> Verifies the Ollama server is running and accessible at http://localhost:11434</li>
-        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Model:</strong> Checks if the required model ({DEFAULT_MODEL}) is downloaded</li>
-        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>IndexedDB:</strong> Browser storage for future persistence features</li>
-        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Web Workers:</strong> Required for code sandbox execution (Phase 2+)</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Ollama:</strong> Verifies the Ollama server is running and accessible at {baseUrl}</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Model:</strong> Checks if the selected model ({model}) is downloaded</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>IndexedDB:</strong> Browser storage for run history</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Web Workers:</strong> Required for code sandbox execution</li>
         <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>WebAssembly:</strong> Needed for embeddings (Phase 4+)</li>
       </ul>
       
@@ -96,7 +103,7 @@ function HealthCheck({ onStatusChange, compact = false }) {
       </ul>
       
       <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>How it works:</h4>
-      <p style={{ marginTop: 0, marginBottom: 0, color: '#1f2937' }}>On app load, it automatically checks all dependencies. Click the refresh button (↻) to re-check manually.</p>
+      <p style={{ marginTop: 0, marginBottom: 0, color: '#1f2937' }}>On app load, and whenever the endpoint or model changes in Settings, it automatically checks all dependencies. Click the refresh button (↻) to re-check manually.</p>
     </div>
   );
 
@@ -127,10 +134,10 @@ function HealthCheck({ onStatusChange, compact = false }) {
 
         {/* Model */}
         <StatusItem
-          label={`Model (${DEFAULT_MODEL})`}
+          label={`Model (${model})`}
           status={status?.checks?.model?.ok}
           error={status?.checks?.model?.error}
-          hint={`Run: ollama pull ${DEFAULT_MODEL}`}
+          hint={`Run: ollama pull ${model}`}
         />
 
         {/* IndexedDB */}
@@ -138,7 +145,7 @@ function HealthCheck({ onStatusChange, compact = false }) {
           label="IndexedDB"
           status={status?.checks?.indexedDB?.ok}
           error={status?.checks?.indexedDB?.error}
-          hint="Browser storage for persistence"
+          hint="Browser storage for run history"
         />
 
         {/* Web Workers */}
@@ -0,0 +1,289 @@
+/**
+ * History Sidebar Component
+ *
+ * Slide-out list of past runs stored in IndexedDB.
+ * Search by goal/code/model, re-open a run, or delete it.
+ */
+
+import HelpButton from './HelpButton.jsx';
+import { countTurns } from '../utils/conversation.js';
+
+function HistorySidebar({
+  isOpen = false,
+  onClose,
+  runs = [],
+  query = '',
+  onQueryChange,
+  activeRunId = null,
+  onOpen,
+  onDelete,
+  isLoading = false,
+  error = null,
+}) {
+  if (!isOpen) {
+    return null;
+  }
+
+  const handleDelete = (e, run) => {
+    e.stopPropagation();
+    if (window.confirm(`Delete this run?\n\n${run.goal.slice(0, 80)}`)) {
+      onDelete?.(run.id);
+    }
+  };
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this panel?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>Every goal you submit is saved in your browser (IndexedDB) with its prompt, raw response, code, model, duration, tokens and test results.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>How to use it:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}>Search filters by goal, code or model name</li>
+        <li style={{ marginBottom: '6px' }}>Click a run to re-open it</li>
+        <li style={{ marginBottom: '6px' }}>✏️ marks runs with hand edits; re-opening one shows your latest edited version</li>
+        <li style={{ marginBottom: '6px' }}>The last opened run is restored when you reload the page</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/db.js</code> - IndexedDB wrapper</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/runHistory.js</code> - Run persistence</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/hooks/useRunHistory.js</code> - History state management</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <>
+      <div style={styles.overlay} onClick={onClose} />
+      <aside style={styles.sidebar}>
+        <div style={styles.header}>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <span style={styles.title}>📚 Run History</span>
+            <HelpButton content={helpContent} title="Run History Help" />
+          </div>
+          <button onClick={onClose} style={styles.closeButton} aria-label="Close history">
+            ×
+          </button>
+        </div>
+
+        <div style={styles.searchWrapper}>
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => onQueryChange?.(e.target.value)}
+            placeholder="Search goals, code, models..."
+            style={styles.search}
+          />
+        </div>
+
+        {error && (
+          <div style={styles.error}>⚠️ {error}</div>
+        )}
+
+        <div style={styles.list}>
+          {runs.length === 0 && (
+            <div style={styles.empty}>
+              {isLoading ? 'Loading...' : query ? 'No runs match your search' : 'No runs saved yet'}
+            </div>
+          )}
+
+          {runs.map((run) => (
+            <div
+              key={run.id}
+              role="button"
+              tabIndex={0}
+              onClick={() => onOpen?.(run.id)}
+              onKeyDown={(e) => e.key === 'Enter' && onOpen?.(run.id)}
+              style={{
+                ...styles.item,
+                ...(run.id === activeRunId ? styles.activeItem : {}),
+              }}
+            >
+              <div style={styles.itemHeader}>
+                <span style={styles.itemDate}>{new Date(run.createdAt).toLocaleString()}</span>
+                <button
+                  onClick={(e) => handleDelete(e, run)}
+                  style={styles.deleteButton}
+                  title="Delete run"
+                  aria-label="Delete run"
+                >
+                  🗑
+                </button>
+              </div>
+              <div style={styles.itemGoal}>
+                {run.goal.length > 90 ? run.goal.slice(0, 90) + '...' : run.goal}
+              </div>
+              {run.refinement && (
+                <div style={styles.itemRefinement}>↻ {run.refinement}</div>
+              )}
+              <div style={styles.itemMeta}>
+                {run.model && <span style={styles.tag}>{run.model}</span>}
+                {run.mode === 'chat' && (
+                  <span style={styles.tag}>💬 {countTurns(run.messages)} turn{countTurns(run.messages) !== 1 ? 's' : ''}</span>
+                )}
+                {run.humanEdit && (
+                  <span style={{ ...styles.tag, color: '#fbbf24' }} title="Started from code you edited by hand">✏️ from your edits</span>
+                )}
+                {run.edits?.length > 0 && (
+                  <span style={styles.tag} title="Hand edits saved next to the model's code">✏️ {run.edits.length} edit{run.edits.length !== 1 ? 's' : ''}</span>
+                )}
+                {run.status === 'cancelled' && (
+                  <span style={{ ...styles.tag, color: '#60a5fa' }}>cancelled</span>
+                )}
+                {run.testResults && (
+                  <span style={{
+                    ...styles.tag,
+                    color: run.testResults.success ? '#4ade80' : '#ef4444',
+                  }}>
+                    {run.testResults.passed}/{run.testResults.total} tests
+                  </span>
+                )}
+                {run.tokens?.total > 0 && (
+                  <span style={styles.metaText}>{run.tokens.total.toLocaleString()} tokens</span>
+                )}
+                {run.duration > 0 && (
+                  <span style={styles.metaText}>{run.duration}ms</span>
+                )}
+              </div>
+            </div>
+          ))}
+        </div>
+      </aside>
+    </>
+  );
+}
+
+const styles = {
+  overlay: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    zIndex: 900,
+  },
+  sidebar: {
+    position: 'fixed',
+    top: 0,
+    left: 0,
+    bottom: 0,
+    width: '360px',
+    maxWidth: '90vw',
+    backgroundColor: '#16213e',
+    borderRight: '1px solid #2a2a4a',
+    boxShadow: '4px 0 20px rgba(0, 0, 0, 0.4)',
+    zIndex: 901,
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid #2a2a4a',
+    backgroundColor: '#0d1117',
+  },
+  title: {
+    fontWeight: '600',
+    color: '#eaeaea',
+    fontSize: '15px',
+  },
+  closeButton: {
+    background: 'transparent',
+    border: 'none',
+    fontSize: '24px',
+    color: '#a0a0a0',
+    cursor: 'pointer',
+    lineHeight: '1',
+  },
+  searchWrapper: {
+    padding: '12px 16px',
+    borderBottom: '1px solid #2a2a4a',
+  },
+  search: {
+    width: '100%',
+    padding: '8px 12px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    color: '#eaeaea',
+    fontSize: '13px',
+    outline: 'none',
+    boxSizing: 'border-box',
+  },
+  error: {
+    padding: '8px 16px',
+    color: '#ef4444',
+    fontSize: '12px',
+  },
+  list: {
+    flex: 1,
+    overflowY: 'auto',
+  },
+  empty: {
+    padding: '40px 20px',
+    textAlign: 'center',
+    color: '#6b7280',
+    fontSize: '14px',
+  },
+  item: {
+    padding: '12px 16px',
+    borderBottom: '1px solid #2a2a4a',
+    cursor: 'pointer',
+    transition: 'background-color 0.2s',
+  },
+  activeItem: {
+    backgroundColor: 'rgba(233, 69, 96, 0.1)',
+    borderLeft: '3px solid #e94560',
+  },
+  itemHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: '4px',
+  },
+  itemDate: {
+    color: '#6b7280',
+    fontSize: '11px',
+  },
+  deleteButton: {
+    background: 'transparent',
+    border: 'none',
+    cursor: 'pointer',
+    fontSize: '13px',
+    opacity: 0.6,
+  },
+  itemGoal: {
+    color: '#eaeaea',
+    fontSize: '13px',
+    lineHeight: '1.4',
+    marginBottom: '6px',
+  },
+  itemRefinement: {
+    color: '#a0a0a0',
+    fontSize: '12px',
+    marginBottom: '6px',
+  },
+  itemMeta: {
+    display: 'flex',
+    gap: '8px',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+  },
+  tag: {
+    color: '#a0a0a0',
+    fontSize: '11px',
+    backgroundColor: '#2a2a4a',
+    padding: '2px 6px',
+    borderRadius: '4px',
+  },
+  metaText: {
+    color: '#6b7280',
+    fontSize: '11px',
+  },
+};
+
+export default HistorySidebar;
@@ -0,0 +1,281 @@
+/**
+ * Iteration History Component
+ *
+ * Lists every attempt of the agent loop with its test outcome and the
+ * model's hypothesis, so you can see how the agent converged.
+ * Click an iteration to show its code in the Code Viewer.
+ */
+
+import { useState } from 'react';
+import HelpButton from './HelpButton.jsx';
+
+function IterationHistory({
+  iterations = [],
+  currentIteration = 0,
+  currentCandidate = null,
+  isRunning = false,
+  status = 'idle',
+  maxIterations,
+  selectedIndex = null,
+  onSelect,
+}) {
+  const [expanded, setExpanded] = useState(null);
+
+  if (iterations.length === 0 && !isRunning) {
+    return null;
+  }
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this panel?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>Each row is one attempt of the agent loop: generate code, run the tests, reflect on failures, then try again.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>How to use it:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}>Click an iteration to show its code in the Code Viewer</li>
+        <li style={{ marginBottom: '6px' }}>Click ▶ to read the failed tests, similar past fixes and the model's hypothesis</li>
+        <li style={{ marginBottom: '6px' }}>In best-of-N mode each attempt shows how many candidates it picked from; switch between them under the Code Viewer</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/agentLoop.js</code> - Generate → test → reflect → regenerate</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/hooks/useAgent.js</code> - Agent state management</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/sandbox.js</code> - Runs the tests in a Web Worker</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/fixMemory.js</code> - Remembers past repairs (embeddings + IndexedDB)</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={styles.title}>Agent Iterations</span>
+          <HelpButton content={helpContent} title="Agent Iterations Help" />
+        </div>
+        <span style={{ ...styles.statusBadge, ...statusColors(status) }}>
+          {isRunning ? `Running ${currentIteration}/${maxIterations}` : status}
+        </span>
+      </div>
+
+      <div style={styles.list}>
+        {iterations.map((it, index) => {
+          const results = it.testResults;
+          const isSelected = selectedIndex === index;
+
+          return (
+            <div key={it.iteration} style={styles.item}>
+              <div style={styles.itemRow}>
+                <button
+                  onClick={() => setExpanded(expanded === index ? null : index)}
+                  style={styles.expandButton}
+                  aria-label="Toggle details"
+                >
+                  {expanded === index ? '▼' : '▶'}
+                </button>
+                <button
+                  onClick={() => onSelect?.(index)}
+                  style={{
+                    ...styles.selectButton,
+                    ...(isSelected ? styles.selected : {}),
+                  }}
+                  title="Show this iteration's code"
+                >
+                  <span style={styles.iterationLabel}>#{it.iteration}</span>
+                  <span style={{
+                    ...styles.outcome,
+                    color: it.error ? '#ef4444' : !results ? '#a0a0a0' : results.success ? '#4ade80' : '#ef4444',
+                  }}>
+                    {it.error
+                      ? '✗ error'
+                      : results
+                        ? `${results.success ? '✓' : '✗'} ${results.passed}/${results.total} passed`
+                        : 'no tests'}
+                  </span>
+                  {it.candidates?.length > 1 && (
+                    <span style={styles.meta} title="Best of N candidates">best of {it.candidates.length}</span>
+                  )}
+                  <span style={styles.meta}>{it.duration}ms</span>
+                </button>
+              </div>
+
+              {expanded === index && (
+                <div style={styles.details}>
+                  {it.error && <pre style={styles.errorPre}>{it.error}</pre>}
+                  {it.failures && (
+                    <>
+                      <div style={styles.detailLabel}>Failed tests</div>
+                      <pre style={styles.pre}>{it.failures}</pre>
+                    </>
+                  )}
+                  {it.similarFixes?.length > 0 && (
+                    <>
+                      <div style={styles.detailLabel}>Similar past fixes from memory</div>
+                      <pre style={styles.pre}>
+                        {it.similarFixes.map(f => `(${Math.round(f.similarity * 100)}%) ${f.error}`).join('\n')}
+                      </pre>
+                    </>
+                  )}
+                  {it.hypothesis && (
+                    <>
+                      <div style={styles.detailLabel}>Hypothesis</div>
+                      <pre style={styles.pre}>{it.hypothesis}</pre>
+                    </>
+                  )}
+                  {!it.error && !it.failures && (
+                    <div style={styles.detailLabel}>No failures in this iteration</div>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+
+        {isRunning && (
+          <div style={styles.running}>
+            <span style={styles.spinner}>⟳</span>
+            Iteration {currentIteration} in progress
+            {currentCandidate ? ` (candidate ${currentCandidate.index + 1}/${currentCandidate.count})` : ''}...
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function statusColors(status) {
+  switch (status) {
+    case 'passed':
+      return { backgroundColor: 'rgba(74, 222, 128, 0.2)', color: '#4ade80' };
+    case 'failed':
+    case 'error':
+      return { backgroundColor: 'rgba(239, 68, 68, 0.2)', color: '#ef4444' };
+    case 'running':
+      return { backgroundColor: 'rgba(251, 191, 36, 0.2)', color: '#fbbf24' };
+    case 'cancelled':
+      return { backgroundColor: 'rgba(96, 165, 250, 0.2)', color: '#60a5fa' };
+    default:
+      return { backgroundColor: '#2a2a4a', color: '#a0a0a0' };
+  }
+}
+
+const styles = {
+  container: {
+    backgroundColor: '#16213e',
+    borderRadius: '12px',
+    border: '1px solid #2a2a4a',
+    overflow: 'hidden',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid #2a2a4a',
+    backgroundColor: '#0d1117',
+  },
+  title: {
+    fontWeight: '500',
+    color: '#eaeaea',
+    fontSize: '14px',
+  },
+  statusBadge: {
+    padding: '2px 8px',
+    borderRadius: '4px',
+    fontSize: '11px',
+    fontWeight: '500',
+    textTransform: 'uppercase',
+  },
+  list: {
+    display: 'flex',
+    flexDirection: 'column',
+  },
+  item: {
+    borderBottom: '1px solid #2a2a4a',
+  },
+  itemRow: {
+    display: 'flex',
+    alignItems: 'center',
+  },
+  expandButton: {
+    padding: '10px 12px',
+    backgroundColor: 'transparent',
+    border: 'none',
+    color: '#6b7280',
+    fontSize: '11px',
+    cursor: 'pointer',
+  },
+  selectButton: {
+    flex: 1,
+    display: 'flex',
+    alignItems: 'center',
+    gap: '12px',
+    padding: '10px 12px 10px 0',
+    backgroundColor: 'transparent',
+    border: 'none',
+    color: 'inherit',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  selected: {
+    backgroundColor: 'rgba(233, 69, 96, 0.1)',
+  },
+  iterationLabel: {
+    fontWeight: '600',
+    color: '#eaeaea',
+    fontSize: '13px',
+  },
+  outcome: {
+    fontSize: '13px',
+    flex: 1,
+  },
+  meta: {
+    color: '#6b7280',
+    fontSize: '12px',
+  },
+  details: {
+    padding: '0 16px 12px 16px',
+  },
+  detailLabel: {
+    color: '#6b7280',
+    fontSize: '12px',
+    margin: '8px 0 4px 0',
+  },
+  pre: {
+    margin: 0,
+    padding: '8px 12px',
+    backgroundColor: '#0a0a0f',
+    borderRadius: '6px',
+    fontSize: '12px',
+    lineHeight: '1.5',
+    whiteSpace: 'pre-wrap',
+    wordBreak: 'break-word',
+    color: '#a0a0a0',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+  },
+  errorPre: {
+    margin: '8px 0 0 0',
+    padding: '8px 12px',
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderRadius: '6px',
+    fontSize: '12px',
+    whiteSpace: 'pre-wrap',
+    color: '#ef4444',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+  },
+  running: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '8px',
+    padding: '12px 16px',
+    color: '#fbbf24',
+    fontSize: '13px',
+  },
+  spinner: {
+    display: 'inline-block',
+    animation: 'spin 1s linear infinite',
+  },
+};
+
+export default IterationHistory;
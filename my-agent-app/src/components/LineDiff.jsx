@@ -0,0 +1,38 @@
+/**
+ * Line Diff Component
+ *
+ * Renders the output of diffLines (utils/lineDiff.js) as a unified diff:
+ * added lines green with "+", removed lines red with "-".
+ */
+
+function LineDiff({ lines = [], maxHeight = '320px' }) {
+  return (
+    <pre style={{ ...styles.body, maxHeight }}>
+      {lines.map((line, index) => (
+        <div key={index} style={LINE_STYLES[line.type]}>
+          {line.type === 'added' ? '+ ' : line.type === 'removed' ? '- ' : '  '}{line.text}
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+const LINE_STYLES = {
+  same: { color: '#a0a0a0' },
+  added: { color: '#4ade80', backgroundColor: 'rgba(74, 222, 128, 0.08)' },
+  removed: { color: '#ef4444', backgroundColor: 'rgba(239, 68, 68, 0.08)' },
+};
+
+const styles = {
+  body: {
+    margin: 0,
+    padding: '8px 0',
+    backgroundColor: '#0d1117',
+    borderRadius: '6px',
+    fontSize: '12px',
+    lineHeight: '1.5',
+    overflowX: 'auto',
+  },
+};
+
+export default LineDiff;
@@ -0,0 +1,409 @@
+/**
+ * Settings Panel Component
+ *
+ * Lets the user point the app at a different Ollama server, pick the
+ * active model from the list the server reports (/api/tags), tune the
+ * generation parameters sent as Ollama `options` and set what the safety
+ * scanner does with each rule.
+ */
+
+import { useState, useEffect } from 'react';
+import { normalizeBaseUrl } from '../utils/settings.js';
+import { GENERATION_PARAMETERS, sanitizeParameters, sameParameters } from '../utils/generationParams.js';
+import { SAFETY_RULES, SAFETY_POLICIES, resolvePolicies } from '../utils/safetyScanner.js';
+import { logger } from '../utils/logger.js';
+import HelpButton from './HelpButton.jsx';
+
+function SettingsPanel({
+  settings,
+  models = [],
+  onChange,
+  onReset,
+  onRefreshModels,
+  onClose,
+}) {
+  const [baseUrlDraft, setBaseUrlDraft] = useState(settings.baseUrl);
+  const [parameterDrafts, setParameterDrafts] = useState(() => toDrafts(settings.parameters));
+
+  // Keep the draft in sync when settings are reset elsewhere
+  useEffect(() => {
+    setBaseUrlDraft(settings.baseUrl);
+  }, [settings.baseUrl]);
+
+  useEffect(() => {
+    setParameterDrafts(toDrafts(settings.parameters));
+  }, [settings.parameters]);
+
+  const handleBaseUrlSubmit = (e) => {
+    e.preventDefault();
+    const baseUrl = normalizeBaseUrl(baseUrlDraft);
+    setBaseUrlDraft(baseUrl);
+    if (baseUrl !== settings.baseUrl) {
+      logger.ui('base-url-changed', { baseUrl });
+      onChange?.({ baseUrl });
+    }
+  };
+
+  const handleModelChange = (e) => {
+    logger.ui('model-changed', { model: e.target.value });
+    onChange?.({ model: e.target.value });
+  };
+
+  const handleOutputModeChange = (e) => {
+    logger.ui('output-mode-changed', { outputMode: e.target.value });
+    onChange?.({ outputMode: e.target.value });
+  };
+
+  const handleParametersSubmit = (e) => {
+    e.preventDefault();
+    const parameters = sanitizeParameters(parameterDrafts);
+    logger.ui('parameters-changed', parameters);
+    onChange?.({ parameters });
+  };
+
+  const handleParametersClear = () => {
+    logger.ui('parameters-cleared', {});
+    onChange?.({ parameters: {} });
+  };
+
+  const handleParameterChange = (key, value) => {
+    setParameterDrafts(current => ({ ...current, [key]: value }));
+  };
+
+  const handlePolicyChange = (ruleId, policy) => {
+    logger.ui('safety-policy-changed', { ruleId, policy });
+    onChange?.({ safetyPolicies: { ...settings.safetyPolicies, [ruleId]: policy } });
+  };
+
+  const handlePoliciesReset = () => {
+    logger.ui('safety-policies-reset', {});
+    onChange?.({ safetyPolicies: {} });
+  };
+
+  // The saved model may not be installed on this server - keep it selectable
+  const modelOptions = models.includes(settings.model) ? models : [settings.model, ...models];
+  const isDirty = normalizeBaseUrl(baseUrlDraft) !== settings.baseUrl;
+  const parametersDirty = !sameParameters(parameterDrafts, settings.parameters);
+  const hasParameters = Object.keys(settings.parameters || {}).length > 0;
+  const policies = resolvePolicies(settings.safetyPolicies);
+  const hasCustomPolicies = Object.keys(settings.safetyPolicies || {}).length > 0;
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this panel?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>Choose which Ollama server the app talks to and which model generates code. Settings are saved in your browser.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Tips:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Remote GPU box:</strong> Start it with <code>OLLAMA_HOST=0.0.0.0 OLLAMA_ORIGINS=* ollama serve</code> so the browser is allowed to connect</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Models:</strong> The dropdown lists the models installed on the server. Pull more with <code>ollama pull &lt;model&gt;</code></li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Output format:</strong> "Structured JSON" sends a JSON schema as Ollama's <code>format</code>, validates the reply and retries once if it doesn't match - no regex scraping of markdown</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Generation parameters:</strong> Leave a field blank to use the model's default. Temperature 0 plus a fixed seed makes output reproducible; every run records the parameters it used</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Safety rules:</strong> Generated code is scanned before it runs. "Block" keeps code matching the rule out of the sandbox (its tests fail and the model is told why), "Warn" only flags it in the Code Viewer, "Off" skips the rule</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/components/SettingsPanel.jsx</code> - This component</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/settings.js</code> - Load/save settings (localStorage)</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/hooks/useSettings.js</code> - Settings state management</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/generationParams.js</code> - Parameter definitions and validation</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/safetyScanner.js</code> - Safety rules and their default policies</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={styles.title}>⚙️ Settings</span>
+          <HelpButton content={helpContent} title="Settings Help" />
+        </div>
+        {onClose && (
+          <button onClick={onClose} style={styles.closeButton} aria-label="Close settings">
+            ×
+          </button>
+        )}
+      </div>
+
+      <div style={styles.body}>
+        <form onSubmit={handleBaseUrlSubmit} style={styles.field}>
+          <label htmlFor="ollama-base-url" style={styles.label}>Ollama endpoint</label>
+          <div style={styles.row}>
+            <input
+              id="ollama-base-url"
+              type="text"
+              value={baseUrlDraft}
+              onChange={(e) => setBaseUrlDraft(e.target.value)}
+              placeholder="http://localhost:11434"
+              style={styles.input}
+              spellCheck={false}
+            />
+            <button type="submit" style={styles.button} disabled={!isDirty}>
+              Apply
+            </button>
+          </div>
+        </form>
+
+        <div style={styles.field}>
+          <label htmlFor="ollama-model" style={styles.label}>Model</label>
+          <div style={styles.row}>
+            <select
+              id="ollama-model"
+              value={settings.model}
+              onChange={handleModelChange}
+              style={styles.input}
+            >
+              {modelOptions.map(name => (
+                <option key={name} value={name}>
+                  {name}{models.includes(name) ? '' : ' (not installed)'}
+                </option>
+              ))}
+            </select>
+            {onRefreshModels && (
+              <button type="button" onClick={onRefreshModels} style={styles.button} title="Reload models from the server">
+                ↻
+              </button>
+            )}
+          </div>
+          {models.length === 0 && (
+            <span style={styles.hint}>No models reported - check the endpoint and that Ollama is running.</span>
+          )}
+        </div>
+
+        <div style={styles.field}>
+          <label htmlFor="output-mode" style={styles.label}>Output format</label>
+          <select
+            id="output-mode"
+            value={settings.outputMode}
+            onChange={handleOutputModeChange}
+            style={styles.input}
+          >
+            <option value="markdown">Markdown code block</option>
+            <option value="json">Structured JSON (schema)</option>
+          </select>
+          <span style={styles.hint}>
+            {settings.outputMode === 'json'
+              ? 'Model answers { functionName, code, explanation, assumptions }; chat mode still uses code blocks.'
+              : 'Code is extracted from the ```javascript``` fence in the reply.'}
+          </span>
+        </div>
+
+        <form onSubmit={handleParametersSubmit} style={styles.parameters}>
+          <div style={styles.parametersHeader}>
+            <span style={styles.label}>Generation parameters {hasParameters ? '' : '(model defaults)'}</span>
+            <div style={styles.row}>
+              {hasParameters && (
+                <button type="button" onClick={handleParametersClear} style={styles.resetButton}>
+                  Clear
+                </button>
+              )}
+              <button type="submit" style={styles.button} disabled={!parametersDirty}>
+                Apply
+              </button>
+            </div>
+          </div>
+          <div style={styles.parametersGrid}>
+            {GENERATION_PARAMETERS.map(definition => (
+              <label
+                key={definition.key}
+                style={definition.type === 'list' ? { ...styles.parameter, ...styles.parameterWide } : styles.parameter}
+                title={definition.hint}
+              >
+                <span style={styles.hint}>{definition.label} <code>{definition.key}</code></span>
+                {definition.type === 'list' ? (
+                  <textarea
+                    value={parameterDrafts[definition.key]}
+                    onChange={(e) => handleParameterChange(definition.key, e.target.value)}
+                    placeholder={'e.g. ```\n\\n\\n'}
+                    rows={2}
+                    style={styles.input}
+                    spellCheck={false}
+                  />
+                ) : (
+                  <input
+                    type="number"
+                    value={parameterDrafts[definition.key]}
+                    onChange={(e) => handleParameterChange(definition.key, e.target.value)}
+                    min={definition.min}
+                    max={definition.max}
+                    step={definition.step}
+                    placeholder="default"
+                    style={styles.input}
+                  />
+                )}
+              </label>
+            ))}
+          </div>
+        </form>
+
+        <div style={styles.parameters}>
+          <div style={styles.parametersHeader}>
+            <span style={styles.label}>Safety rules {hasCustomPolicies ? '' : '(defaults)'}</span>
+            {hasCustomPolicies && (
+              <button type="button" onClick={handlePoliciesReset} style={styles.resetButton}>
+                Defaults
+              </button>
+            )}
+          </div>
+          <div style={styles.parametersGrid}>
+            {SAFETY_RULES.map(rule => (
+              <label key={rule.id} style={styles.parameter} title={rule.description}>
+                <span style={styles.hint}>{rule.label} <code>{rule.severity}</code></span>
+                <select
+                  value={policies[rule.id]}
+                  onChange={(e) => handlePolicyChange(rule.id, e.target.value)}
+                  style={{ ...styles.input, color: POLICY_COLORS[policies[rule.id]] }}
+                >
+                  {SAFETY_POLICIES.map(policy => (
+                    <option key={policy} value={policy}>
+                      {policy}{policy === rule.defaultPolicy ? ' (default)' : ''}
+                    </option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+
+        {onReset && (
+          <button type="button" onClick={onReset} style={styles.resetButton}>
+            Reset to defaults
+          </button>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/**
+ * Saved parameters → form field strings (stop sequences one per line, newlines escaped)
+ * @param {Object} parameters
+ * @returns {Object}
+ */
+function toDrafts(parameters = {}) {
+  return Object.fromEntries(GENERATION_PARAMETERS.map(({ key, type }) => {
+    const value = parameters[key];
+    if (value === undefined) return [key, ''];
+    if (type === 'list') {
+      return [key, value.map(item => item.replace(/\n/g, '\\n').replace(/\t/g, '\\t')).join('\n')];
+    }
+    return [key, String(value)];
+  }));
+}
+
+const POLICY_COLORS = {
+  block: '#ef4444',
+  warn: '#fbbf24',
+  off: '#6b7280',
+};
+
+const styles = {
+  container: {
+    backgroundColor: '#16213e',
+    borderRadius: '12px',
+    border: '1px solid #2a2a4a',
+    overflow: 'hidden',
+    marginBottom: '24px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    padding: '12px 16px',
+    borderBottom: '1px solid #2a2a4a',
+    backgroundColor: '#0d1117',
+  },
+  title: {
+    fontWeight: '600',
+    color: '#eaeaea',
+    fontSize: '14px',
+  },
+  closeButton: {
+    background: 'transparent',
+    border: 'none',
+    fontSize: '22px',
+    color: '#a0a0a0',
+    cursor: 'pointer',
+    lineHeight: '1',
+  },
+  body: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '16px',
+    padding: '16px',
+    alignItems: 'flex-end',
+  },
+  field: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+    flex: '1 1 260px',
+  },
+  label: {
+    fontSize: '12px',
+    color: '#a0a0a0',
+  },
+  row: {
+    display: 'flex',
+    gap: '8px',
+  },
+  input: {
+    flex: 1,
+    padding: '8px 12px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    color: '#eaeaea',
+    fontSize: '13px',
+    outline: 'none',
+  },
+  button: {
+    padding: '8px 12px',
+    backgroundColor: 'transparent',
+    color: '#a0a0a0',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+  hint: {
+    color: '#6b7280',
+    fontSize: '11px',
+  },
+  parameters: {
+    flex: '1 1 100%',
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  parametersHeader: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  parametersGrid: {
+    display: 'grid',
+    gridTemplateColumns: 'repeat(auto-fill, minmax(150px, 1fr))',
+    gap: '10px',
+  },
+  parameter: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+  },
+  parameterWide: {
+    gridColumn: '1 / -1',
+  },
+  resetButton: {
+    padding: '8px 12px',
+    backgroundColor: 'transparent',
+    color: '#6b7280',
+    border: 'none',
+    fontSize: '13px',
+    cursor: 'pointer',
+  },
+};
+
+export default SettingsPanel;
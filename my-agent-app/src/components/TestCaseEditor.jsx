@@ -0,0 +1,322 @@
+/**
+ * Test Case Editor Component
+ *
+ * Editable table of the test cases sent with a goal: arguments and
+ * expected value as JSON, plus how to grade the result (deep-equal,
+ * approx, throws or a custom predicate). Rows are raw text; GoalInput
+ * parses them with rowsToTests on submit.
+ *
+ * Tests written by the model (✨ Generate) arrive in review mode: they
+ * can be edited but aren't used until approved.
+ */
+
+import HelpButton from './HelpButton.jsx';
+import { MATCHERS } from '../utils/matchers.js';
+import { createTestRow } from '../utils/testCases.js';
+
+function TestCaseEditor({
+  functionName = '',
+  functionPlaceholder = '',
+  onFunctionNameChange,
+  rows = [],
+  onRowsChange,
+  errors = [],
+  disabled = false,
+  onGenerate,
+  onCancelGenerate,
+  isGenerating = false,
+  generateError = null,
+  reviewing = false,
+  onApprove,
+  onDiscard,
+}) {
+  const errorFor = (id, field) => errors.find(error => error.id === id && error.field === field);
+
+  const updateRow = (id, changes) => {
+    onRowsChange(rows.map(row => (row.id === id ? { ...row, ...changes } : row)));
+  };
+
+  const removeRow = (id) => {
+    onRowsChange(rows.filter(row => row.id !== id));
+  };
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this table?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>The test cases the generated code has to pass. Selecting an example fills them in; free-form goals start empty (no tests = a single untested attempt).</p>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>✨ Generate asks the model to propose tests for the goal. Models get expected values wrong too, so the proposal must be reviewed and approved before it grades anything; Discard restores the previous tests.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Columns:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Arguments:</strong> JSON values separated by commas - <code>2, 3</code> calls <code>add(2, 3)</code>, <code>[1, 2]</code> passes one array</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Expected:</strong> JSON - strings need quotes (<code>"olleh"</code>)</li>
+        {MATCHERS.map(matcher => (
+          <li key={matcher.id} style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>{matcher.label}:</strong> {matcher.hint}</li>
+        ))}
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/testCases.js</code> - Rows ↔ test cases</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/matchers.js</code> - Grading inside the sandbox</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/testGeneration.js</code> - Schema + validation for generated tests</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={{ ...styles.container, ...(reviewing ? styles.reviewing : {}) }}>
+      <div style={styles.header}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={styles.title}>🧪 Tests{rows.length > 0 ? ` (${rows.length})` : ''}</span>
+          <HelpButton content={helpContent} title="Test Cases Help" />
+          {onGenerate && (isGenerating ? (
+            <button type="button" onClick={onCancelGenerate} style={styles.generateButton}>
+              ⏹ Generating…
+            </button>
+          ) : (
+            <button
+              type="button"
+              onClick={onGenerate}
+              style={styles.generateButton}
+              disabled={disabled || reviewing}
+              title="Ask the model to propose test cases for this goal"
+            >
+              ✨ Generate
+            </button>
+          ))}
+        </div>
+        <label style={styles.functionLabel}>
+          Function
+          <input
+            type="text"
+            value={functionName}
+            onChange={(e) => onFunctionNameChange(e.target.value.trim())}
+            placeholder={functionPlaceholder || 'inferred'}
+            style={{ ...styles.input, width: '140px' }}
+            disabled={disabled}
+            spellCheck={false}
+          />
+        </label>
+      </div>
+
+      {generateError && <div style={styles.error}>⚠️ {generateError}</div>}
+
+      {reviewing && (
+        <div style={styles.review}>
+          <span>✨ Proposed by the model - check every expected value and fix what's wrong, then approve.</span>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button type="button" onClick={onApprove} style={styles.approveButton} disabled={disabled}>
+              ✓ Approve
+            </button>
+            <button type="button" onClick={onDiscard} style={styles.addButton} disabled={disabled}>
+              Discard
+            </button>
+          </div>
+        </div>
+      )}
+
+      {rows.length > 0 && (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.th}>Arguments</th>
+              <th style={styles.th}>Expected</th>
+              <th style={styles.th}>Matcher</th>
+              <th style={styles.th} />
+              <th style={styles.th} />
+            </tr>
+          </thead>
+          <tbody>
+            {rows.map(row => {
+              const matcher = MATCHERS.find(candidate => candidate.id === row.matcher);
+              return (
+                <tr key={row.id}>
+                  {['args', 'expected'].map(field => (
+                    <td key={field} style={styles.td}>
+                      <input
+                        type="text"
+                        value={row[field]}
+                        onChange={(e) => updateRow(row.id, { [field]: e.target.value })}
+                        placeholder={field === 'args' ? '2, 3' : row.matcher === 'throws' ? '"message" (optional)' : '5'}
+                        style={{ ...styles.input, ...(errorFor(row.id, field) ? styles.invalid : {}) }}
+                        title={errorFor(row.id, field)?.message}
+                        disabled={disabled}
+                        spellCheck={false}
+                      />
+                    </td>
+                  ))}
+                  <td style={styles.td}>
+                    <select
+                      value={row.matcher}
+                      onChange={(e) => updateRow(row.id, { matcher: e.target.value, option: '' })}
+                      style={styles.input}
+                      title={matcher?.hint}
+                      disabled={disabled}
+                    >
+                      {MATCHERS.map(option => (
+                        <option key={option.id} value={option.id}>{option.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td style={styles.td}>
+                    {matcher?.option && (
+                      <input
+                        type="text"
+                        value={row.option}
+                        onChange={(e) => updateRow(row.id, { option: e.target.value })}
+                        placeholder={matcher.option === 'tolerance' ? '± 1e-6' : 'actual > 0'}
+                        style={{ ...styles.input, ...(errorFor(row.id, 'option') ? styles.invalid : {}) }}
+                        title={errorFor(row.id, 'option')?.message || matcher.hint}
+                        disabled={disabled}
+                        spellCheck={false}
+                      />
+                    )}
+                  </td>
+                  <td style={styles.td}>
+                    <button
+                      type="button"
+                      onClick={() => removeRow(row.id)}
+                      style={styles.removeButton}
+                      disabled={disabled}
+                      aria-label="Remove test"
+                    >
+                      ×
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      )}
+
+      {errors.length > 0 && (
+        <div style={styles.error}>⚠️ {errors[0].message}{errors.length > 1 ? ` (+${errors.length - 1} more)` : ''}</div>
+      )}
+
+      <button
+        type="button"
+        onClick={() => onRowsChange([...rows, createTestRow()])}
+        style={styles.addButton}
+        disabled={disabled}
+      >
+        ＋ Add test
+      </button>
+    </div>
+  );
+}
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '12px',
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '8px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '8px',
+  },
+  title: {
+    fontSize: '13px',
+    fontWeight: '500',
+    color: '#eaeaea',
+  },
+  functionLabel: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '6px',
+    color: '#a0a0a0',
+    fontSize: '12px',
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+  },
+  th: {
+    textAlign: 'left',
+    color: '#6b7280',
+    fontSize: '11px',
+    fontWeight: '500',
+    padding: '0 4px 4px 0',
+  },
+  td: {
+    padding: '2px 4px 2px 0',
+  },
+  input: {
+    width: '100%',
+    boxSizing: 'border-box',
+    padding: '4px 6px',
+    backgroundColor: '#16213e',
+    border: '1px solid #2a2a4a',
+    borderRadius: '4px',
+    color: '#eaeaea',
+    fontSize: '12px',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+    outline: 'none',
+  },
+  invalid: {
+    borderColor: '#ef4444',
+  },
+  reviewing: {
+    borderColor: '#fbbf24',
+  },
+  review: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: '8px',
+    color: '#fbbf24',
+    fontSize: '12px',
+  },
+  approveButton: {
+    padding: '4px 10px',
+    backgroundColor: 'transparent',
+    color: '#4ade80',
+    border: '1px solid #4ade80',
+    borderRadius: '6px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  generateButton: {
+    padding: '2px 8px',
+    backgroundColor: 'transparent',
+    color: '#a0a0a0',
+    border: '1px solid #2a2a4a',
+    borderRadius: '6px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  removeButton: {
+    background: 'transparent',
+    border: 'none',
+    color: '#6b7280',
+    fontSize: '16px',
+    cursor: 'pointer',
+    lineHeight: '1',
+  },
+  error: {
+    color: '#ef4444',
+    fontSize: '12px',
+  },
+  addButton: {
+    alignSelf: 'flex-start',
+    padding: '4px 10px',
+    backgroundColor: 'transparent',
+    color: '#a0a0a0',
+    border: '1px dashed #2a2a4a',
+    borderRadius: '6px',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+};
+
+export default TestCaseEditor;
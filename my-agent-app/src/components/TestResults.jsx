@@ -0,0 +1,328 @@
+/**
+ * Test Results Component
+ *
+ * Every test case of the shown code: input, expected and actual values,
+ * a structural diff for arrays/objects, thrown errors with the lines
+ * they came from, and what the code printed to the console. Failing
+ * cases start expanded.
+ */
+
+import { useState, useEffect } from 'react';
+import HelpButton from './HelpButton.jsx';
+import { formatCall } from '../utils/agentLoop.js';
+import { describeExpectation } from '../utils/matchers.js';
+import { diffValues, isStructured } from '../utils/valueDiff.js';
+
+/**
+ * Render a test value as text
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === undefined) return 'undefined';
+  if (typeof value === 'number' && !Number.isFinite(value)) return String(value);
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+}
+
+function DiffEntry({ entry }) {
+  switch (entry.kind) {
+    case 'missing':
+      return <><code style={styles.path}>{entry.path}</code> missing (expected <code style={styles.expected}>{formatValue(entry.expected)}</code>)</>;
+    case 'extra':
+      return <><code style={styles.path}>{entry.path}</code> unexpected <code style={styles.actual}>{formatValue(entry.actual)}</code></>;
+    default:
+      return (
+        <>
+          <code style={styles.path}>{entry.path}</code> expected <code style={styles.expected}>{formatValue(entry.expected)}</code>,
+          got <code style={styles.actual}>{formatValue(entry.actual)}</code>
+        </>
+      );
+  }
+}
+
+function TestResults({
+  testResults = null,
+  functionName = 'fn',
+  onSelectLine,
+}) {
+  // Explicit expand/collapse per test index; unset = expanded if failed
+  const [toggled, setToggled] = useState({});
+
+  useEffect(() => {
+    setToggled({});
+  }, [testResults]);
+
+  if (!testResults || testResults.total === 0) {
+    return null;
+  }
+
+  const helpContent = (
+    <div>
+      <h4 style={{ marginTop: 0, marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What is this panel?</h4>
+      <p style={{ marginTop: 0, marginBottom: '12px', color: '#1f2937' }}>How the code in the Code Viewer did on each test case. Click a case to expand it; failing ones are open already.</p>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>What you see:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Differences:</strong> for arrays and objects, the paths where actual and expected disagree (<code>$.items[2]</code>)</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Errors:</strong> what the code threw and where - click a line to jump to it; thrown-at lines are highlighted red in the editor</li>
+        <li style={{ marginBottom: '6px' }}><strong style={{ color: '#111827', fontWeight: '600' }}>Console:</strong> console.log/info/warn/error/debug output of that call (top-level output shows on the first test)</li>
+      </ul>
+
+      <h4 style={{ marginTop: '12px', marginBottom: '8px', fontSize: '15px', fontWeight: '700', color: '#111827' }}>Files involved:</h4>
+      <ul style={{ marginTop: 0, marginBottom: '12px', paddingLeft: '20px', color: '#1f2937' }}>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/sandboxRuntime.js</code> - Console capture, stack → line mapping</li>
+        <li style={{ marginBottom: '6px' }}><code style={{ backgroundColor: '#f3f4f6', color: '#111827', padding: '2px 6px', borderRadius: '4px', fontSize: '13px', fontFamily: 'monospace', border: '1px solid #d1d5db' }}>src/utils/valueDiff.js</code> - Structural diff of expected vs actual</li>
+      </ul>
+    </div>
+  );
+
+  return (
+    <div style={styles.container}>
+      <div style={styles.header}>
+        <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+          <span style={styles.title}>{testResults.passed}/{testResults.total} passed</span>
+          <HelpButton content={helpContent} title="Test Results Help" />
+        </div>
+        <span style={styles.meta}>{testResults.duration}ms</span>
+      </div>
+
+      <div style={styles.list}>
+        {testResults.results.map(result => {
+          const isExpanded = toggled[result.index] ?? !result.passed;
+          const { error, logs = [] } = result;
+          const showDiff = !result.passed && !error &&
+            (result.matcher || 'deepEqual') !== 'predicate' &&
+            (isStructured(result.expected) || isStructured(result.actual));
+          const diff = showDiff ? diffValues(result.expected, result.actual) : [];
+
+          return (
+            <div key={result.index} style={styles.item}>
+              <button
+                onClick={() => setToggled({ ...toggled, [result.index]: !isExpanded })}
+                style={styles.itemHeader}
+              >
+                <span>{result.passed ? '✅' : result.timedOut ? '⏱' : '❌'}</span>
+                <code style={styles.call}>{formatCall(functionName, result.input)}</code>
+                {logs.length > 0 && <span style={styles.meta} title="Console output">💬 {logs.length}</span>}
+                <span style={styles.meta}>{result.duration}ms</span>
+              </button>
+
+              {isExpanded && (
+                <div style={styles.details}>
+                  <div style={styles.row}>
+                    <span style={styles.label}>Expected</span>
+                    <code style={styles.value}>
+                      {(result.matcher || 'deepEqual') === 'deepEqual' ? formatValue(result.expected) : describeExpectation(result)}
+                    </code>
+                  </div>
+                  {(!error || error.name === 'PredicateError') && (
+                    <div style={styles.row}>
+                      <span style={styles.label}>Actual</span>
+                      <code style={{ ...styles.value, color: result.passed ? '#4ade80' : '#ef4444' }}>{formatValue(result.actual)}</code>
+                    </div>
+                  )}
+
+                  {diff.length > 0 && (
+                    <div style={styles.row}>
+                      <span style={styles.label}>Differences</span>
+                      <ul style={styles.diffList}>
+                        {diff.map(entry => (
+                          <li key={entry.path}><DiffEntry entry={entry} /></li>
+                        ))}
+                      </ul>
+                    </div>
+                  )}
+
+                  {error && (
+                    <div style={styles.row}>
+                      <span style={styles.label}>{result.passed ? 'Threw (as expected)' : 'Error'}</span>
+                      <code style={{ ...styles.value, color: result.passed ? '#a0a0a0' : '#ef4444' }}>
+                        {error.name}: {error.message}
+                      </code>
+                      {error.frames?.length > 0 && (
+                        <div style={styles.frames}>
+                          {error.frames.map((frame, i) => (
+                            <button
+                              key={i}
+                              onClick={() => onSelectLine?.(frame.line, frame.column)}
+                              style={styles.frame}
+                              disabled={!onSelectLine}
+                              title="Show this line in the editor"
+                            >
+                              at {frame.name} - line {frame.line}:{frame.column}
+                            </button>
+                          ))}
+                        </div>
+                      )}
+                      {error.stack && (
+                        <details>
+                          <summary style={styles.summary}>Raw stack trace</summary>
+                          <pre style={styles.pre}>{error.stack}</pre>
+                        </details>
+                      )}
+                    </div>
+                  )}
+
+                  {logs.length > 0 && (
+                    <div style={styles.row}>
+                      <span style={styles.label}>Console</span>
+                      <pre style={styles.pre}>
+                        {logs.map((entry, i) => (
+                          <div key={i} style={{ color: LOG_COLORS[entry.level] || '#eaeaea' }}>
+                            {entry.level !== 'log' && <span style={styles.level}>[{entry.level}] </span>}
+                            {entry.text}
+                          </div>
+                        ))}
+                      </pre>
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+const LOG_COLORS = {
+  log: '#eaeaea',
+  info: '#60a5fa',
+  warn: '#fbbf24',
+  error: '#ef4444',
+  debug: '#a0a0a0',
+};
+
+const styles = {
+  container: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+  },
+  header: {
+    display: 'flex',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  title: {
+    fontWeight: '500',
+    color: '#eaeaea',
+    fontSize: '14px',
+  },
+  meta: {
+    color: '#6b7280',
+    fontSize: '12px',
+  },
+  list: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '6px',
+  },
+  item: {
+    backgroundColor: '#0d1117',
+    border: '1px solid #2a2a4a',
+    borderRadius: '8px',
+    overflow: 'hidden',
+  },
+  itemHeader: {
+    display: 'flex',
+    alignItems: 'center',
+    gap: '10px',
+    width: '100%',
+    padding: '8px 12px',
+    background: 'transparent',
+    border: 'none',
+    color: '#eaeaea',
+    fontSize: '13px',
+    textAlign: 'left',
+    cursor: 'pointer',
+  },
+  call: {
+    flex: 1,
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+    fontSize: '12px',
+    overflow: 'hidden',
+    textOverflow: 'ellipsis',
+    whiteSpace: 'nowrap',
+  },
+  details: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '8px',
+    padding: '4px 12px 12px 38px',
+  },
+  row: {
+    display: 'flex',
+    flexDirection: 'column',
+    gap: '4px',
+  },
+  label: {
+    color: '#6b7280',
+    fontSize: '11px',
+    textTransform: 'uppercase',
+    letterSpacing: '0.5px',
+  },
+  value: {
+    color: '#eaeaea',
+    fontSize: '12px',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+    wordBreak: 'break-all',
+  },
+  diffList: {
+    margin: 0,
+    paddingLeft: '18px',
+    color: '#a0a0a0',
+    fontSize: '12px',
+    lineHeight: '1.7',
+  },
+  path: {
+    color: '#eaeaea',
+  },
+  expected: {
+    color: '#4ade80',
+  },
+  actual: {
+    color: '#ef4444',
+  },
+  frames: {
+    display: 'flex',
+    flexWrap: 'wrap',
+    gap: '6px',
+  },
+  frame: {
+    padding: '2px 8px',
+    backgroundColor: 'transparent',
+    color: '#60a5fa',
+    border: '1px solid #2a2a4a',
+    borderRadius: '4px',
+    fontSize: '12px',
+    fontFamily: "'Fira Code', 'Consolas', monospace",
+    cursor: 'pointer',
+  },
+  summary: {
+    color: '#6b7280',
+    fontSize: '12px',
+    cursor: 'pointer',
+  },
+  pre: {
+    margin: '4px 0 0',
+    padding: '8px',
+    backgroundColor: '#16213e',
+    borderRadius: '6px',
+    color: '#a0a0a0',
+    fontSize: '12px',
+    maxHeight: '200px',
+    overflow: 'auto',
+    whiteSpace: 'pre-wrap',
+  },
+  level: {
+    opacity: 0.7,
+  },
+};
+
+export default TestResults;
@@ -155,6 +155,16 @@ export function getExamplesByCategory(category) {
   return EXAMPLE_GOALS.filter(ex => ex.category === category);
 }
 
+/**
+ * Find the example whose goal matches the given text
+ * @param {string} goal - Goal text as submitted
+ * @returns {Object|undefined}
+ */
+export function getExampleByGoal(goal) {
+  const normalized = (goal || '').trim();
+  return EXAMPLE_GOALS.find(ex => ex.goal === normalized);
+}
+
 /**
  * Get a random example
  * @param {string} [difficulty] - Optional difficulty filter
@@ -0,0 +1,180 @@
+/**
+ * useAgent Hook
+ *
+ * Runs the self-repair agent loop and keeps every iteration in state
+ * so the UI can show how the agent converged.
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { runAgentLoop, DEFAULT_MAX_ITERATIONS } from '../utils/agentLoop.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} AgentState
+ * @property {boolean} isRunning - Whether the loop is in progress
+ * @property {number} currentIteration - Iteration currently running (0 = idle)
+ * @property {{index: number, count: number}|null} currentCandidate - Best-of-N candidate being generated
+ * @property {Array} iterations - Completed iterations (code, test results, hypothesis)
+ * @property {'idle'|'running'|'passed'|'failed'|'error'|'untested'|'cancelled'} status - Loop status
+ */
+
+/**
+ * Custom hook for the agent loop
+ * @param {Object} options
+ * @param {Function} options.generate - Generation function, e.g. useOllama().generate
+ * @param {Function} options.cancelGeneration - Stops an in-flight generate call, e.g. useOllama().cancel
+ * @param {Object} options.ollamaOptions - Options forwarded to generate/reflect (e.g. useMock)
+ * @param {Object} options.safetyPolicies - Safety scanner block/warn/off per rule (see safetyScanner.js)
+ * @returns {AgentState & {run: Function, cancel: Function, reset: Function, restore: Function}}
+ */
+export function useAgent(options = {}) {
+  const { generate, cancelGeneration, ollamaOptions = {}, safetyPolicies } = options;
+
+  const [isRunning, setIsRunning] = useState(false);
+  const [currentIteration, setCurrentIteration] = useState(0);
+  const [currentCandidate, setCurrentCandidate] = useState(null);
+  const [iterations, setIterations] = useState([]);
+  const [status, setStatus] = useState('idle');
+
+  const mountedRef = useRef(true);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      abortRef.current?.abort();
+    };
+  }, []);
+
+  /**
+   * Run the loop for a goal
+   * @param {string} goal
+   * @param {Object} params
+   * @param {Array} params.tests - Test cases
+   * @param {string} params.functionName - Function under test
+   * @param {number} params.maxIterations - Maximum attempts
+   * @param {string} params.context - Context for the first attempt (see runAgentLoop)
+   * @param {number} params.candidates - Best of N: completions per attempt (default: 1)
+   * @param {Function} params.generate - Overrides the hook's generate for this run (e.g. a chat thread)
+   * @param {Function} params.buildPrompt - (goal, context) => string, the prompt shown for each attempt
+   * @param {Function} params.onIterationStart - (n, prompt) => void
+   */
+  const run = useCallback(async (goal, params = {}) => {
+    const {
+      tests = [],
+      functionName,
+      maxIterations = DEFAULT_MAX_ITERATIONS,
+      context = '',
+      candidates = 1,
+      generate: generateOverride = null,
+      buildPrompt,
+      onIterationStart = null
+    } = params;
+    const doGenerate = generateOverride || generate;
+
+    setIsRunning(true);
+    setIterations([]);
+    setStatus('running');
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    try {
+      const result = await runAgentLoop({
+        goal,
+        tests,
+        functionName,
+        maxIterations,
+        context,
+        ollamaOptions,
+        safetyPolicies,
+        signal: controller.signal,
+        generate: (g, context, overrides) => doGenerate(g, context, { ...ollamaOptions, ...overrides }),
+        candidates,
+        buildPrompt,
+        onIterationStart: (n, prompt) => {
+          if (!mountedRef.current) return;
+          setCurrentIteration(n);
+          onIterationStart?.(n, prompt);
+        },
+        onCandidateStart: (n, index, count) => {
+          if (!mountedRef.current) return;
+          setCurrentCandidate({ index, count });
+        },
+        onIteration: (iteration) => {
+          if (!mountedRef.current) return;
+          setIterations(prev => [...prev, iteration]);
+        }
+      });
+
+      if (mountedRef.current) {
+        setStatus(result.status);
+      }
+      return result;
+    } catch (err) {
+      logger.error('useAgent', err);
+      if (mountedRef.current) {
+        setStatus('error');
+      }
+      return { success: false, status: 'error', iterations: [], finalCode: null, error: err.message };
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
+      if (mountedRef.current) {
+        setIsRunning(false);
+        setCurrentIteration(0);
+        setCurrentCandidate(null);
+      }
+    }
+  }, [generate, ollamaOptions, safetyPolicies]);
+
+  /**
+   * Stop the loop; the current generation keeps its partial output
+   */
+  const cancel = useCallback(() => {
+    if (!abortRef.current) return;
+
+    logger.agent('loop-cancel', {});
+    abortRef.current.abort();
+    cancelGeneration?.();
+  }, [cancelGeneration]);
+
+  /**
+   * Reset state
+   */
+  const reset = useCallback(() => {
+    setIterations([]);
+    setStatus('idle');
+    setCurrentIteration(0);
+  }, []);
+
+  /**
+   * Restore iterations from a saved run
+   * @param {Array} savedIterations
+   * @param {string} savedStatus
+   */
+  const restore = useCallback((savedIterations = [], savedStatus = 'idle') => {
+    setIterations(savedIterations);
+    setStatus(savedStatus);
+    setCurrentIteration(0);
+  }, []);
+
+  return {
+    // State
+    isRunning,
+    currentIteration,
+    currentCandidate,
+    iterations,
+    status,
+
+    // Actions
+    run,
+    cancel,
+    reset,
+    restore
+  };
+}
+
+export default useAgent;
@@ -0,0 +1,141 @@
+/**
+ * useBenchmark Hook
+ *
+ * Runs the benchmark harness and keeps its progress, live sample results
+ * and the final report in state for the Benchmark view.
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { runBenchmark, summarizeBenchmark } from '../utils/benchmark.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} BenchmarkState
+ * @property {boolean} isRunning - Whether a benchmark is in progress
+ * @property {{done: number, total: number, model: string, exampleId: string, sample: number}|null} progress - Sample currently running
+ * @property {Array} liveResults - Samples finished so far in the current run
+ * @property {Object|null} report - Last finished (or loaded) report
+ * @property {string|null} error
+ */
+
+/**
+ * Custom hook for the benchmark harness
+ * @returns {BenchmarkState & {liveSummary: Array, run: Function, cancel: Function, load: Function, reset: Function}}
+ */
+export function useBenchmark() {
+  const [isRunning, setIsRunning] = useState(false);
+  const [progress, setProgress] = useState(null);
+  const [liveResults, setLiveResults] = useState([]);
+  const [liveConfig, setLiveConfig] = useState(null);
+  const [report, setReport] = useState(null);
+  const [error, setError] = useState(null);
+
+  const mountedRef = useRef(true);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      abortRef.current?.abort();
+    };
+  }, []);
+
+  /**
+   * Run a benchmark
+   * @param {Object} config - See runBenchmark (models, examples, samples, outputMode, ollamaOptions, safetyPolicies)
+   * @returns {Promise<Object|null>} - The report
+   */
+  const run = useCallback(async (config) => {
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setIsRunning(true);
+    setError(null);
+    setLiveResults([]);
+    setLiveConfig({ models: config.models, samples: config.samples });
+    setProgress(null);
+
+    try {
+      const result = await runBenchmark({
+        ...config,
+        signal: controller.signal,
+        onProgress: (next) => {
+          if (mountedRef.current) setProgress(next);
+        },
+        onSample: (sample) => {
+          if (mountedRef.current) setLiveResults(prev => [...prev, sample]);
+        }
+      });
+
+      if (mountedRef.current) setReport(result);
+      return result;
+    } catch (err) {
+      logger.error('useBenchmark', err);
+      if (mountedRef.current) setError(err.message);
+      return null;
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
+      if (mountedRef.current) {
+        setIsRunning(false);
+        setProgress(null);
+      }
+    }
+  }, []);
+
+  /**
+   * Stop after the current sample; finished samples are kept in the report
+   */
+  const cancel = useCallback(() => {
+    if (!abortRef.current) return;
+    logger.agent('benchmark-cancel', {});
+    abortRef.current.abort();
+  }, []);
+
+  /**
+   * Show a previously exported JSON report
+   * @param {File} file
+   */
+  const load = useCallback(async (file) => {
+    try {
+      const loaded = JSON.parse(await file.text());
+      if (!Array.isArray(loaded?.results) || !Array.isArray(loaded?.models)) {
+        throw new Error('not a benchmark report');
+      }
+      setReport({ ...loaded, summary: summarizeBenchmark(loaded.results, loaded.models, loaded.samples) });
+      setError(null);
+      logger.ui('benchmark-loaded', { name: file.name, samples: loaded.results.length });
+    } catch (err) {
+      setError(`Could not load ${file.name}: ${err.message}`);
+    }
+  }, []);
+
+  /**
+   * Clear the report
+   */
+  const reset = useCallback(() => {
+    setReport(null);
+    setLiveResults([]);
+    setError(null);
+  }, []);
+
+  return {
+    // State
+    isRunning,
+    progress,
+    liveResults,
+    liveSummary: liveConfig ? summarizeBenchmark(liveResults, liveConfig.models, liveConfig.samples) : [],
+    report,
+    error,
+
+    // Actions
+    run,
+    cancel,
+    load,
+    reset
+  };
+}
+
+export default useBenchmark;
@@ -0,0 +1,196 @@
+/**
+ * useCodeEdits Hook
+ *
+ * The user's hand-edited version of the shown code. Edits belong to the
+ * model version they started from (`base`): switching to another
+ * iteration or candidate hides them, switching back shows them again,
+ * and a new run or a restored history entry replaces them.
+ *
+ * Test results are kept together with the code they were run on, so
+ * typing after a re-run makes them stale instead of misleading.
+ *
+ * Leaving edit mode - Done, switching to another version, a new run or a
+ * restored entry - hands the changed code to `onLeave` so it can be saved.
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { runTests as runSandboxTests } from '../utils/sandbox.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Custom hook for editing generated code
+ * @param {string} current - The model's code currently shown
+ * @param {Object} options
+ * @param {Function} options.onLeave - ({modelCode, code, testResults}) => void, when edit mode ends with changes
+ * @returns {{
+ *   code: string, isEditing: boolean, isEdited: boolean, base: string|null,
+ *   testResults: Object|null, isTesting: boolean, error: string|null,
+ *   start: Function, stop: Function, change: Function, revert: Function,
+ *   reset: Function, restore: Function, runTests: Function
+ * }}
+ */
+export function useCodeEdits(current = '', options = {}) {
+  const { onLeave = null } = options;
+  const [base, setBase] = useState(null);
+  const [editedCode, setEditedCode] = useState('');
+  const [editing, setEditing] = useState(false);
+  // { code, results } - results of running exactly `code`
+  const [tested, setTested] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const mountedRef = useRef(true);
+  // Latest values for leave(), which also runs from an effect
+  const latestRef = useRef({});
+  latestRef.current = { base, editedCode, editing, tested, onLeave };
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  // Edits only apply while the version they started from is shown
+  const active = base !== null && base === current;
+  const code = active ? editedCode : current;
+  const isEdited = active && editedCode !== base;
+
+  /**
+   * End edit mode, reporting changed code once
+   */
+  const leave = useCallback(() => {
+    const latest = latestRef.current;
+    if (!latest.editing) return;
+    latest.editing = false;
+    setEditing(false);
+
+    if (latest.editedCode !== latest.base) {
+      latest.onLeave?.({
+        modelCode: latest.base,
+        code: latest.editedCode,
+        testResults: latest.tested?.code === latest.editedCode ? latest.tested.results : null
+      });
+    }
+  }, []);
+
+  // Another iteration or candidate was shown while editing
+  useEffect(() => {
+    if (latestRef.current.base !== current) {
+      leave();
+    }
+  }, [current, leave]);
+
+  /**
+   * Start editing the shown code (keeps earlier edits of the same version)
+   */
+  const start = useCallback(() => {
+    if (base !== current) {
+      setBase(current);
+      setEditedCode(current);
+      setTested(null);
+    }
+    setEditing(true);
+    setError(null);
+    logger.ui('code-edit-start', { length: current.length });
+  }, [base, current]);
+
+  /**
+   * Leave edit mode; the edited code stays shown
+   */
+  const stop = useCallback(() => {
+    leave();
+  }, [leave]);
+
+  /**
+   * Editor change
+   * @param {string} value
+   */
+  const change = useCallback((value) => {
+    setEditedCode(value ?? '');
+  }, []);
+
+  /**
+   * Go back to the model's version
+   */
+  const revert = useCallback(() => {
+    logger.ui('code-edit-revert', {});
+    setEditedCode(base ?? current);
+    setTested(null);
+    setError(null);
+  }, [base, current]);
+
+  /**
+   * Drop edits entirely (new run)
+   */
+  const reset = useCallback(() => {
+    leave();
+    setBase(null);
+    setEditedCode('');
+    setTested(null);
+    setError(null);
+  }, [leave]);
+
+  /**
+   * Show saved edits again
+   * @param {{modelCode: string, code: string, testResults?: Object}|null} edit - Latest entry of a run's `edits`
+   */
+  const restore = useCallback((edit) => {
+    if (!edit) {
+      reset();
+      return;
+    }
+    leave();
+    setBase(edit.modelCode);
+    setEditedCode(edit.code);
+    setTested(edit.testResults ? { code: edit.code, results: edit.testResults } : null);
+    setError(null);
+  }, [reset, leave]);
+
+  /**
+   * Run the tests on the edited code
+   * @param {Array} tests
+   * @param {Object} options - functionName, safetyPolicies (see sandbox runTests)
+   * @returns {Promise<Object|null>} - Test summary, null on failure
+   */
+  const runTests = useCallback(async (tests, options = {}) => {
+    const testedCode = code;
+    setIsTesting(true);
+    setError(null);
+    logger.ui('code-edit-rerun', { tests: tests.length, functionName: options.functionName });
+
+    try {
+      const results = await runSandboxTests(testedCode, tests, options);
+      if (mountedRef.current) setTested({ code: testedCode, results });
+      return results;
+    } catch (err) {
+      logger.error('useCodeEdits', err);
+      if (mountedRef.current) setError(err.message);
+      return null;
+    } finally {
+      if (mountedRef.current) setIsTesting(false);
+    }
+  }, [code]);
+
+  return {
+    // State
+    code,
+    base: active ? base : null,
+    isEditing: active && editing,
+    isEdited,
+    testResults: active && tested?.code === editedCode ? tested.results : null,
+    isTesting,
+    error,
+
+    // Actions
+    start,
+    stop,
+    change,
+    revert,
+    reset,
+    restore,
+    runTests
+  };
+}
+
+export default useCodeEdits;
@@ -0,0 +1,204 @@
+/**
+ * useComparison Hook
+ *
+ * Sends one goal to several models and tracks each model's stream in its
+ * own pane. Every pane is a single agent-loop attempt (generate → test, no
+ * reflection), so its iteration has the same shape as a normal run and the
+ * winner can be promoted to the main result as-is.
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { generateCode, generateStructuredCode, PROMPTS } from '../utils/ollama.js';
+import { runAgentLoop } from '../utils/agentLoop.js';
+import { createCodeExtractor, extractCode } from '../utils/codeParser.js';
+import { readPartialJsonString } from '../utils/structuredOutput.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * @typedef {Object} ComparisonPane
+ * @property {string} model
+ * @property {'queued'|'waiting'|'streaming'|'testing'|'done'|'error'|'cancelled'} status
+ *   queued = waiting for its turn (queue mode), waiting = request sent, no tokens yet
+ * @property {string} streamingCode - Code extracted from the stream so far
+ * @property {Object|null} iteration - The finished attempt (code, rawResponse, testResults, duration, tokens...)
+ * @property {string|null} loopStatus - Agent loop status of the attempt (passed, failed, untested, error, cancelled)
+ * @property {string|null} error
+ */
+
+/**
+ * Custom hook for side-by-side model comparison
+ * @param {Object} options
+ * @param {Object} options.ollamaOptions - baseUrl, parameters, useMock (model is set per pane)
+ * @param {'markdown'|'json'} options.outputMode
+ * @param {Object} options.safetyPolicies - Safety scanner block/warn/off per rule (see safetyScanner.js)
+ * @returns {{panes: ComparisonPane[], isRunning: boolean, goal: string, run: Function, cancel: Function, reset: Function}}
+ */
+export function useComparison(options = {}) {
+  const { ollamaOptions = {}, outputMode = 'markdown', safetyPolicies } = options;
+
+  const [panes, setPanes] = useState([]);
+  const [isRunning, setIsRunning] = useState(false);
+  const [goal, setGoal] = useState('');
+
+  const mountedRef = useRef(true);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      abortRef.current?.abort();
+    };
+  }, []);
+
+  const updatePane = useCallback((model, changes) => {
+    if (!mountedRef.current) return;
+    setPanes(current => current.map(pane => (pane.model === model ? { ...pane, ...changes } : pane)));
+  }, []);
+
+  /**
+   * Run one model's attempt, streaming into its pane
+   * @param {string} model
+   * @param {string} goalText
+   * @param {Object} params - tests, functionName
+   * @param {AbortSignal} signal
+   */
+  const runPane = useCallback(async (model, goalText, { tests, functionName }, signal) => {
+    const structured = outputMode === 'json';
+    const extract = structured ? (partial) => readPartialJsonString(partial, 'code') : extractCode;
+    const request = structured ? generateStructuredCode : generateCode;
+
+    updatePane(model, { status: 'waiting' });
+
+    const generate = async (g, context) => {
+      let accumulated = '';
+      const extractor = createCodeExtractor();
+      const result = await request(g, context, {
+        ...ollamaOptions,
+        model,
+        signal,
+        onChunk: (chunk) => {
+          accumulated += chunk;
+          const code = structured ? extract(accumulated) : extractor.push(chunk).code;
+          updatePane(model, { status: 'streaming', streamingCode: code });
+        }
+      });
+
+      const code = result.structured ? result.structured.code : (result.response ? extract(result.response) : null);
+      if (result.success && tests.length > 0) {
+        updatePane(model, { status: 'testing', streamingCode: code });
+      }
+      return {
+        ...result,
+        code,
+        rawResponse: result.response,
+        structured: result.structured || null,
+        functionName: result.structured?.functionName || null
+      };
+    };
+
+    const result = await runAgentLoop({
+      goal: goalText,
+      tests,
+      functionName,
+      maxIterations: 1,
+      generate,
+      buildPrompt: structured ? PROMPTS.structuredGeneration : PROMPTS.codeGeneration,
+      ollamaOptions: { ...ollamaOptions, model },
+      safetyPolicies,
+      signal
+    });
+
+    const iteration = result.iterations[0] || null;
+    updatePane(model, {
+      status: result.status === 'cancelled' ? 'cancelled' : result.status === 'error' ? 'error' : 'done',
+      streamingCode: iteration?.code || '',
+      iteration,
+      loopStatus: result.status,
+      error: result.error
+    });
+    logger.agent('comparison-pane-complete', { model, status: result.status, duration: iteration?.duration });
+    return result;
+  }, [ollamaOptions, outputMode, safetyPolicies, updatePane]);
+
+  /**
+   * Send a goal to every model
+   * @param {string} goalText
+   * @param {Object} params
+   * @param {string[]} params.models
+   * @param {Array} params.tests - Test cases (e.g. from the matching example)
+   * @param {string} params.functionName
+   * @param {boolean} params.parallel - All at once (Ollama must be able to hold the models in memory) or one after another
+   */
+  const run = useCallback(async (goalText, params = {}) => {
+    const { models = [], tests = [], functionName, parallel = false } = params;
+    const controller = new AbortController();
+    abortRef.current = controller;
+
+    setGoal(goalText);
+    setIsRunning(true);
+    setPanes(models.map(model => ({
+      model,
+      status: 'queued',
+      streamingCode: '',
+      iteration: null,
+      loopStatus: null,
+      error: null
+    })));
+    logger.agent('comparison-start', { models, parallel, tests: tests.length });
+
+    try {
+      if (parallel) {
+        await Promise.all(models.map(model => runPane(model, goalText, { tests, functionName }, controller.signal)));
+      } else {
+        for (const model of models) {
+          if (controller.signal.aborted) {
+            updatePane(model, { status: 'cancelled' });
+            continue;
+          }
+          await runPane(model, goalText, { tests, functionName }, controller.signal);
+        }
+      }
+    } catch (err) {
+      logger.error('useComparison', err);
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
+      if (mountedRef.current) {
+        setIsRunning(false);
+      }
+    }
+  }, [runPane, updatePane]);
+
+  /**
+   * Stop every pane; partial output is kept
+   */
+  const cancel = useCallback(() => {
+    if (!abortRef.current) return;
+    logger.agent('comparison-cancel', {});
+    abortRef.current.abort();
+  }, []);
+
+  /**
+   * Clear all panes
+   */
+  const reset = useCallback(() => {
+    setPanes([]);
+    setGoal('');
+  }, []);
+
+  return {
+    // State
+    panes,
+    isRunning,
+    goal,
+
+    // Actions
+    run,
+    cancel,
+    reset
+  };
+}
+
+export default useComparison;
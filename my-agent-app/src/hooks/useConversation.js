@@ -0,0 +1,100 @@
+/**
+ * useConversation Hook
+ *
+ * Holds the chat-mode thread and exposes a generate function with the same
+ * signature as useOllama().generate, so the agent loop can run inside it:
+ * every attempt appends a user message and the assistant's reply.
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import { createThread, buildTurnMessage } from '../utils/conversation.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Custom hook for a multi-turn chat thread
+ * @param {Object} options
+ * @param {Function} options.chat - (messages, ollamaOptions) => Promise<generation>, e.g. useOllama().chat
+ * @returns {{messages: Array, hasReply: boolean, start: Function, generate: Function, getThread: Function, restore: Function, reset: Function}}
+ */
+export function useConversation(options = {}) {
+  const { chat } = options;
+
+  const [messages, setMessages] = useState([]);
+
+  // The loop appends turns faster than React re-renders, so the thread lives in a ref
+  const threadRef = useRef([]);
+
+  const setThread = useCallback((next) => {
+    threadRef.current = next;
+    setMessages(next);
+  }, []);
+
+  /**
+   * Start a fresh thread (new goal)
+   */
+  const start = useCallback(() => {
+    logger.agent('conversation-start', {});
+    setThread(createThread());
+  }, [setThread]);
+
+  /**
+   * Send the next turn; drop-in replacement for useOllama().generate
+   * @param {string} goal - Goal or refinement message for this run
+   * @param {string} context - Retry context from the agent loop
+   * @param {Object} ollamaOptions
+   */
+  const generate = useCallback(async (goal, context = '', ollamaOptions = {}) => {
+    const thread = threadRef.current.length > 0 ? threadRef.current : createThread();
+    const outgoing = [...thread, { role: 'user', content: buildTurnMessage(goal, context) }];
+    setThread(outgoing);
+
+    const result = await chat(outgoing, ollamaOptions);
+
+    if (result?.rawResponse) {
+      // Partial replies (cancelled) stay too - it's what the user saw
+      setThread([...outgoing, { role: 'assistant', content: result.rawResponse }]);
+    } else {
+      // Nothing came back: don't leave a dangling user turn in the thread
+      setThread(thread);
+    }
+
+    logger.agent('conversation-turn', { messages: threadRef.current.length, success: !!result?.success });
+    return result;
+  }, [chat, setThread]);
+
+  /**
+   * Current thread, including turns added since the last render
+   * @returns {Array<{role: string, content: string}>}
+   */
+  const getThread = useCallback(() => threadRef.current, []);
+
+  /**
+   * Restore a thread from a saved run
+   * @param {Array} savedMessages
+   */
+  const restore = useCallback((savedMessages = []) => {
+    setThread(savedMessages);
+  }, [setThread]);
+
+  /**
+   * Forget the thread
+   */
+  const reset = useCallback(() => {
+    setThread([]);
+  }, [setThread]);
+
+  return {
+    // State
+    messages,
+    hasReply: messages.some(message => message.role === 'assistant'),
+
+    // Actions
+    start,
+    generate,
+    getThread,
+    restore,
+    reset
+  };
+}
+
+export default useConversation;
@@ -0,0 +1,89 @@
+/**
+ * useFixtures Hook
+ *
+ * React view of the record/replay state in fixtures.js. The state itself
+ * lives in the module (callOllama reads it directly); this hook re-renders
+ * when it changes and wraps the file handling.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import {
+  getFixtureState,
+  subscribeFixtures,
+  setFixtureMode,
+  loadFixture,
+  unloadFixture,
+  clearRecording,
+  serializeRecording,
+} from '../utils/fixtures.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Custom hook for Ollama fixtures
+ * @returns {{mode: string, recordedCount: number, fixtureCount: number, fixtureName: string|null, error: string|null, setMode: Function, load: Function, unload: Function, download: Function, clear: Function}}
+ */
+export function useFixtures() {
+  const [fixtureState, setFixtureState] = useState(getFixtureState);
+  const [error, setError] = useState(null);
+
+  useEffect(() => subscribeFixtures(setFixtureState), []);
+
+  /**
+   * Switch between off / record / replay
+   * @param {string} mode
+   */
+  const setMode = useCallback((mode) => {
+    try {
+      setFixtureMode(mode);
+      setError(null);
+    } catch (err) {
+      setError(err.message);
+    }
+  }, []);
+
+  /**
+   * Load a fixture file picked by the user
+   * @param {File} file
+   */
+  const load = useCallback(async (file) => {
+    try {
+      loadFixture(await file.text(), file.name);
+      setError(null);
+    } catch (err) {
+      logger.error('fixture-load-failed', { name: file.name, error: err.message });
+      setError(`Could not load ${file.name}: ${err.message}`);
+    }
+  }, []);
+
+  /**
+   * Save the recording as a .json file
+   */
+  const download = useCallback(() => {
+    const blob = new Blob([serializeRecording()], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `ollama-fixture-${new Date().toISOString().replace(/[:.]/g, '-')}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+
+    logger.ui('fixture-downloaded', { interactions: getFixtureState().recordedCount });
+  }, []);
+
+  return {
+    // State
+    ...fixtureState,
+    error,
+
+    // Actions
+    setMode,
+    load,
+    unload: unloadFixture,
+    download,
+    clear: clearRecording
+  };
+}
+
+export default useFixtures;
@@ -6,8 +6,9 @@
  */
 
 import { useState, useCallback, useEffect, useRef } from 'react';
-import { callOllama, generateCode, isOllamaAvailable, DEFAULT_MODEL } from '../utils/ollama.js';
-import { extractCode } from '../utils/codeParser.js';
+import { callOllama, chatOllama, generateCode, generateStructuredCode, isOllamaAvailable, DEFAULT_MODEL, OLLAMA_BASE_URL } from '../utils/ollama.js';
+import { createCodeExtractor, scanResponse } from '../utils/codeParser.js';
+import { readPartialJsonString } from '../utils/structuredOutput.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -19,19 +20,24 @@ import { logger } from '../utils/logger.js';
  * @property {string|null} lastResponse - Last raw response from Ollama
  * @property {string|null} lastCode - Last extracted code
  * @property {number|null} lastDuration - Last request duration in ms
+ * @property {boolean} isCancelled - Whether the last generation was stopped by the user
+ * @property {Array} streamWarnings - Malformed stream lines skipped in the last generation
+ * @property {{blocks: number, hasProse: boolean, prose: string}|null} extraction - What the last markdown response held besides the code
  */
 
 /**
  * Custom hook for Ollama integration
  * @param {Object} options
  * @param {string} options.model - Model to use
+ * @param {string} options.baseUrl - Ollama server URL
  * @param {boolean} options.autoCheck - Auto-check connection on mount
  * @param {number} options.checkInterval - Interval for connection checks (0 = disabled)
- * @returns {OllamaState & {generate: Function, checkConnection: Function, reset: Function}}
+ * @returns {OllamaState & {generate: Function, generateStructured: Function, chat: Function, cancel: Function, checkConnection: Function, reset: Function, restore: Function}}
  */
 export function useOllama(options = {}) {
   const {
     model = DEFAULT_MODEL,
+    baseUrl = OLLAMA_BASE_URL,
     autoCheck = true,
     checkInterval = 0 // Set to e.g. 30000 for 30s interval checks
   } = options;
@@ -46,10 +52,14 @@ export function useOllama(options = {}) {
   const [lastDuration, setLastDuration] = useState(null);
   const [streamingCode, setStreamingCode] = useState(''); // Real-time streaming code
   const [tokens, setTokens] = useState({ prompt: 0, generated: 0, total: 0 }); // Token usage
+  const [isCancelled, setIsCancelled] = useState(false);
+  const [streamWarnings, setStreamWarnings] = useState([]);
+  const [extraction, setExtraction] = useState(null);
 
   // Refs for cleanup
   const mountedRef = useRef(true);
   const intervalRef = useRef(null);
+  const abortRef = useRef(null); // AbortController of the in-flight request
 
   /**
    * Check if Ollama is available
@@ -58,15 +68,15 @@ export function useOllama(options = {}) {
     if (!mountedRef.current) return false;
     
     setIsChecking(true);
-    logger.ollama('connection-check', { model });
+    logger.ollama('connection-check', { model, baseUrl });
     
     try {
-      const available = await isOllamaAvailable();
+      const available = await isOllamaAvailable(baseUrl);
       
       if (mountedRef.current) {
         setIsConnected(available);
         if (!available) {
-          setError('Ollama not available. Run: ollama serve');
+          setError(`Ollama not available at ${baseUrl}. Run: ollama serve`);
         } else {
           setError(null);
         }
@@ -84,33 +94,50 @@ export function useOllama(options = {}) {
         setIsChecking(false);
       }
     }
-  }, [model]);
+  }, [model, baseUrl]);
 
   /**
-   * Generate code from a goal (with streaming support)
+   * Run a streaming code request and track its state
+   * Shared by generate (/api/generate) and chat (/api/chat).
+   * @param {string} label - Shown in logs
+   * @param {Function} request - (streamOptions: {signal, onChunk}) => Promise<callOllama result>
+   * @param {Function|null} extractPartial - (responseText) => code for non-markdown output (structured JSON);
+   *   markdown goes through the incremental fence-aware extractor
    */
-  const generate = useCallback(async (goal, context = '', ollamaOptions = {}) => {
+  const runGeneration = useCallback(async (label, request, extractPartial = null) => {
     if (!mountedRef.current) return null;
     
     setIsLoading(true);
     setError(null);
+    setIsCancelled(false);
+    setStreamWarnings([]);
+    setExtraction(null);
     setStreamingCode(''); // Reset streaming code
+
+    // Code from a complete (or cancelled) response, plus what else a markdown one held
+    const extract = (text) => {
+      if (extractPartial) return { code: extractPartial(text), extraction: null };
+      const { code, blocks, hasProse, prose } = scanResponse(text);
+      return { code, extraction: { blocks: blocks.filter(block => block.code).length, hasProse, prose } };
+    };
+    const extractor = createCodeExtractor();
     
-    logger.ui('generate-start', { goal: goal.slice(0, 50) });
+    logger.ui('generate-start', { goal: label.slice(0, 50) });
     
     // Track streaming response for real-time updates
     let accumulatedResponse = '';
+    const controller = new AbortController();
+    abortRef.current = controller;
     
     try {
-      const result = await generateCode(goal, context, {
-        model,
-        ...ollamaOptions,
+      const result = await request({
+        signal: controller.signal,
         // Add streaming callback for real-time updates
         onChunk: (chunk) => {
           if (!mountedRef.current) return;
           accumulatedResponse += chunk;
-          // Extract code from accumulated response and update streaming state
-          const code = extractCode(accumulatedResponse);
+          // Each chunk is scanned once; prose around the code never reaches the editor
+          const code = extractPartial ? extractPartial(accumulatedResponse) : extractor.push(chunk).code;
           setStreamingCode(code);
           setLastResponse(accumulatedResponse);
         }
@@ -118,9 +145,15 @@ export function useOllama(options = {}) {
       
       if (!mountedRef.current) return null;
       
+      setStreamWarnings(result.warnings || []);
+      
       if (result.success) {
-        const code = extractCode(result.response);
+        // Structured responses carry the code as a field - no scraping needed
+        const { code, extraction: found } = result.structured
+          ? { code: result.structured.code, extraction: null }
+          : extract(result.response);
         
+        setExtraction(found);
         setLastResponse(result.response);
         setLastCode(code);
         setStreamingCode(code); // Final update
@@ -139,12 +172,40 @@ export function useOllama(options = {}) {
           success: true,
           code,
           rawResponse: result.response,
+          structured: result.structured || null,
+          functionName: result.structured?.functionName || null,
+          extraction: found,
+          duration: result.duration,
+          tokens: result.tokens
+        };
+      } else if (result.cancelled) {
+        // Keep whatever streamed in before the user pressed Stop
+        const { code, extraction: found } = result.response ? extract(result.response) : { code: '', extraction: null };
+        
+        setIsCancelled(true);
+        setExtraction(found);
+        setError(null);
+        setLastResponse(result.response || null);
+        setLastCode(code || null);
+        setStreamingCode(code);
+        setLastDuration(result.duration);
+        setTokens(result.tokens || { prompt: 0, generated: 0, total: 0 });
+        
+        logger.ui('generate-complete', { success: false, cancelled: true, partialLength: result.response.length });
+        
+        return {
+          success: false,
+          cancelled: true,
+          code: code || null,
+          rawResponse: result.response,
+          error: null,
           duration: result.duration,
           tokens: result.tokens
         };
       } else {
         setError(result.error);
-        setLastResponse(null);
+        // A mid-stream Ollama error can leave partial output worth inspecting
+        setLastResponse(result.response || null);
         setLastCode(null);
         setStreamingCode('');
         setLastDuration(result.duration);
@@ -155,6 +216,8 @@ export function useOllama(options = {}) {
         return {
           success: false,
           code: null,
+          rawResponse: result.response || null,
+          validationErrors: result.validationErrors || [],
           error: result.error,
           duration: result.duration,
           tokens: { prompt: 0, generated: 0, total: 0 }
@@ -172,11 +235,66 @@ export function useOllama(options = {}) {
         error: err.message
       };
     } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
       if (mountedRef.current) {
         setIsLoading(false);
       }
     }
-  }, [model]);
+  }, []);
+
+  /**
+   * Generate code from a goal (with streaming support)
+   */
+  const generate = useCallback((goal, context = '', ollamaOptions = {}) => {
+    return runGeneration(goal, (streamOptions) => generateCode(goal, context, {
+      model,
+      baseUrl,
+      ...ollamaOptions,
+      ...streamOptions
+    }));
+  }, [runGeneration, model, baseUrl]);
+
+  /**
+   * Generate code as schema-validated JSON (see structuredOutput.js)
+   * Same signature and result as generate, plus `structured` and `functionName`.
+   */
+  const generateStructured = useCallback((goal, context = '', ollamaOptions = {}) => {
+    return runGeneration(goal, (streamOptions) => generateStructuredCode(goal, context, {
+      model,
+      baseUrl,
+      ...ollamaOptions,
+      ...streamOptions
+    }), (partial) => readPartialJsonString(partial, 'code'));
+  }, [runGeneration, model, baseUrl]);
+
+  /**
+   * Continue a conversation via /api/chat (with streaming support)
+   * @param {Array<{role: string, content: string}>} messages - Whole thread, ending with the new user message
+   */
+  const chat = useCallback((messages, ollamaOptions = {}) => {
+    const lastMessage = messages[messages.length - 1]?.content || '';
+    return runGeneration(lastMessage, (streamOptions) => chatOllama(messages, {
+      model,
+      baseUrl,
+      ...ollamaOptions,
+      ...streamOptions
+    }));
+  }, [runGeneration, model, baseUrl]);
+
+  /**
+   * Stop the in-flight request (partial output is kept)
+   * @returns {boolean} - Whether there was anything to cancel
+   */
+  const cancel = useCallback(() => {
+    if (!abortRef.current) return false;
+    
+    logger.ui('generate-cancel', {});
+    abortRef.current.abort();
+    abortRef.current = null;
+    return true;
+  }, []);
 
   /**
    * Send a raw prompt to Ollama
@@ -187,10 +305,15 @@ export function useOllama(options = {}) {
     setIsLoading(true);
     setError(null);
     
+    const controller = new AbortController();
+    abortRef.current = controller;
+    
     try {
       const result = await callOllama(prompt, {
         model,
-        ...ollamaOptions
+        baseUrl,
+        ...ollamaOptions,
+        signal: controller.signal
       });
       
       if (!mountedRef.current) return null;
@@ -210,17 +333,23 @@ export function useOllama(options = {}) {
       }
       return { success: false, error: err.message };
     } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
       if (mountedRef.current) {
         setIsLoading(false);
       }
     }
-  }, [model]);
+  }, [model, baseUrl]);
 
   /**
    * Reset state
    */
   const reset = useCallback(() => {
     setError(null);
+    setIsCancelled(false);
+    setStreamWarnings([]);
+    setExtraction(null);
     setLastResponse(null);
     setLastCode(null);
     setStreamingCode('');
@@ -228,6 +357,27 @@ export function useOllama(options = {}) {
     setTokens({ prompt: 0, generated: 0, total: 0 });
   }, []);
 
+  /**
+   * Restore state from a saved run (session restore / history)
+   * @param {Object} run - { rawResponse, code, duration, tokens }
+   */
+  const restore = useCallback((run) => {
+    setError(null);
+    setIsCancelled(run.status === 'cancelled');
+    setStreamWarnings([]);
+    setExtraction(null);
+    setLastResponse(run.rawResponse || null);
+    setLastCode(run.code || null);
+    setStreamingCode('');
+    setLastDuration(run.duration ?? null);
+    setTokens(run.tokens || { prompt: 0, generated: 0, total: 0 });
+  }, []);
+
+  // Abort any in-flight request on unmount
+  useEffect(() => {
+    return () => abortRef.current?.abort();
+  }, []);
+
   // Auto-check connection on mount
   useEffect(() => {
     mountedRef.current = true;
@@ -259,14 +409,22 @@ export function useOllama(options = {}) {
     lastCode,
     streamingCode, // Real-time streaming code
     lastDuration,
-    tokens, // Token usage: { prompt, generated, total }
+    tokens, // Token usage: { prompt, generated, total, perSecond }
+    isCancelled,
+    streamWarnings,
+    extraction, // Blocks + prose outside the code in the last markdown response
     model,
+    baseUrl,
     
     // Actions
     generate,
+    generateStructured,
+    chat,
+    cancel,
     sendPrompt,
     checkConnection,
-    reset
+    reset,
+    restore
   };
 }
 
@@ -0,0 +1,217 @@
+/**
+ * useRunHistory Hook
+ *
+ * Keeps the list of persisted runs in sync with IndexedDB and exposes
+ * save / search / open / delete actions for the history sidebar.
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import {
+  saveRun,
+  updateRun,
+  appendRunEdit,
+  getRun,
+  searchRuns,
+  deleteRun,
+  setLastSessionRunId,
+  getLastSessionRun
+} from '../utils/runHistory.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Custom hook for run history
+ * @returns {{
+ *   runs: Array<Object>,
+ *   query: string,
+ *   isLoading: boolean,
+ *   error: string|null,
+ *   activeRunId: number|null,
+ *   setQuery: Function,
+ *   refresh: Function,
+ *   save: Function,
+ *   update: Function,
+ *   recordEdit: Function,
+ *   open: Function,
+ *   remove: Function,
+ *   loadLastSession: Function
+ * }}
+ */
+export function useRunHistory() {
+  const [runs, setRuns] = useState([]);
+  const [query, setQuery] = useState('');
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [activeRunId, setActiveRunId] = useState(null);
+
+  const mountedRef = useRef(true);
+
+  /**
+   * Reload the run list for the current search query
+   */
+  const refresh = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const results = await searchRuns(query);
+      if (mountedRef.current) {
+        setRuns(results);
+        setError(null);
+      }
+    } catch (err) {
+      logger.error('useRunHistory', err);
+      if (mountedRef.current) {
+        setError(err.message);
+      }
+    } finally {
+      if (mountedRef.current) {
+        setIsLoading(false);
+      }
+    }
+  }, [query]);
+
+  /**
+   * Persist a new run and make it the active one
+   * @param {Object} run
+   * @returns {Promise<number|null>} - New run id
+   */
+  const save = useCallback(async (run) => {
+    try {
+      const id = await saveRun(run);
+      if (mountedRef.current) {
+        setActiveRunId(id);
+      }
+      await refresh();
+      return id;
+    } catch (err) {
+      logger.error('useRunHistory', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refresh]);
+
+  /**
+   * Merge changes into an existing run
+   * @param {number} id
+   * @param {Object} changes
+   * @returns {Promise<Object|null>}
+   */
+  const update = useCallback(async (id, changes) => {
+    try {
+      const updated = await updateRun(id, changes);
+      await refresh();
+      return updated;
+    } catch (err) {
+      logger.error('useRunHistory', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refresh]);
+
+  /**
+   * Record a hand edit of a run's code
+   * @param {number} id
+   * @param {Object} edit - See appendRunEdit
+   * @returns {Promise<Object|null>}
+   */
+  const recordEdit = useCallback(async (id, edit) => {
+    try {
+      const updated = await appendRunEdit(id, edit);
+      await refresh();
+      return updated;
+    } catch (err) {
+      logger.error('useRunHistory', err);
+      setError(err.message);
+      return null;
+    }
+  }, [refresh]);
+
+  /**
+   * Load a run and remember it as the current session
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  const open = useCallback(async (id) => {
+    try {
+      const run = await getRun(id);
+      if (run) {
+        await setLastSessionRunId(id);
+        if (mountedRef.current) {
+          setActiveRunId(id);
+        }
+        logger.db('run-opened', { id });
+      }
+      return run;
+    } catch (err) {
+      logger.error('useRunHistory', err);
+      setError(err.message);
+      return null;
+    }
+  }, []);
+
+  /**
+   * Delete a run
+   * @param {number} id
+   */
+  const remove = useCallback(async (id) => {
+    try {
+      await deleteRun(id);
+      if (mountedRef.current) {
+        setActiveRunId(current => (current === id ? null : current));
+      }
+      await refresh();
+    } catch (err) {
+      logger.error('useRunHistory', err);
+      setError(err.message);
+    }
+  }, [refresh]);
+
+  /**
+   * Load the run that was open before the page was closed
+   * @returns {Promise<Object|null>}
+   */
+  const loadLastSession = useCallback(async () => {
+    try {
+      const run = await getLastSessionRun();
+      if (run && mountedRef.current) {
+        setActiveRunId(run.id);
+        logger.db('session-restored', { id: run.id });
+      }
+      return run;
+    } catch (err) {
+      logger.error('useRunHistory', err);
+      return null;
+    }
+  }, []);
+
+  // Reload whenever the search query changes
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  return {
+    // State
+    runs,
+    query,
+    isLoading,
+    error,
+    activeRunId,
+
+    // Actions
+    setQuery,
+    refresh,
+    save,
+    update,
+    recordEdit,
+    open,
+    remove,
+    loadLastSession
+  };
+}
+
+export default useRunHistory;
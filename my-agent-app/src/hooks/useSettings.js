@@ -0,0 +1,40 @@
+/**
+ * useSettings Hook
+ *
+ * Holds the persisted app settings (Ollama endpoint, active model).
+ * Every update is written to localStorage immediately.
+ */
+
+import { useState, useCallback } from 'react';
+import { loadSettings, saveSettings, DEFAULT_SETTINGS } from '../utils/settings.js';
+
+/**
+ * Custom hook for app settings
+ * @returns {{settings: {baseUrl: string, model: string}, updateSettings: Function, resetSettings: Function}}
+ */
+export function useSettings() {
+  const [settings, setSettings] = useState(loadSettings);
+
+  /**
+   * Merge changes into the current settings and persist them
+   * @param {Object} changes - e.g. { model: 'llama3.2:latest' }
+   */
+  const updateSettings = useCallback((changes) => {
+    setSettings(current => saveSettings({ ...current, ...changes }));
+  }, []);
+
+  /**
+   * Restore the default settings
+   */
+  const resetSettings = useCallback(() => {
+    setSettings(saveSettings(DEFAULT_SETTINGS));
+  }, []);
+
+  return {
+    settings,
+    updateSettings,
+    resetSettings
+  };
+}
+
+export default useSettings;
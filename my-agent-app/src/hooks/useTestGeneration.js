@@ -0,0 +1,92 @@
+/**
+ * useTestGeneration Hook
+ *
+ * Asks the model for test cases for a free-form goal. The suite is only a
+ * proposal - GoalInput shows it in the test table for review and approval
+ * before anything is graded against it.
+ */
+
+import { useState, useCallback, useRef, useEffect } from 'react';
+import { generateTests } from '../utils/ollama.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Custom hook for model-written test suites
+ * @param {Object} options
+ * @param {Object} options.ollamaOptions - model, baseUrl, parameters, useMock
+ * @returns {{isGenerating: boolean, error: string|null, generate: Function, cancel: Function}}
+ */
+export function useTestGeneration(options = {}) {
+  const { ollamaOptions = {} } = options;
+
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState(null);
+
+  const mountedRef = useRef(true);
+  const abortRef = useRef(null);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+      abortRef.current?.abort();
+    };
+  }, []);
+
+  /**
+   * Generate a test suite for a goal
+   * @param {string} goal
+   * @param {string|null} functionName - Name the tests should call, if already known
+   * @returns {Promise<{functionName: string, tests: Array}|null>} - null on failure or cancel
+   */
+  const generate = useCallback(async (goal, functionName = null) => {
+    const controller = new AbortController();
+    abortRef.current?.abort();
+    abortRef.current = controller;
+
+    setIsGenerating(true);
+    setError(null);
+    logger.ui('tests-generate', { goal: goal.slice(0, 50), functionName });
+
+    try {
+      const result = await generateTests(goal, { ...ollamaOptions, functionName, signal: controller.signal });
+      if (!mountedRef.current || result.cancelled) return null;
+
+      if (!result.success) {
+        setError(result.error);
+        return null;
+      }
+      return result.suite;
+    } catch (err) {
+      logger.error('useTestGeneration', err);
+      if (mountedRef.current) setError(err.message);
+      return null;
+    } finally {
+      if (abortRef.current === controller) {
+        abortRef.current = null;
+      }
+      if (mountedRef.current) {
+        setIsGenerating(false);
+      }
+    }
+  }, [ollamaOptions]);
+
+  /**
+   * Stop the request in flight
+   */
+  const cancel = useCallback(() => {
+    abortRef.current?.abort();
+  }, []);
+
+  return {
+    // State
+    isGenerating,
+    error,
+
+    // Actions
+    generate,
+    cancel
+  };
+}
+
+export default useTestGeneration;
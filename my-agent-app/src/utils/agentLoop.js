@@ -0,0 +1,369 @@
+/**
+ * Agent Loop
+ *
+ * The self-repair cycle:
+ *   1. Generate code for the goal
+ *   2. Run the tests in the sandbox
+ *   3. If anything failed, ask the model to reflect on the failures
+ *      (with similar past fixes from memory as extra context)
+ *   4. Regenerate with the failures + hypothesis as context
+ *
+ * When an attempt passes after a failure, the (error, fix) pair is
+ * recorded in fix memory so later runs can learn from it.
+ *
+ * With candidates > 1 every attempt is best of N: N completions with
+ * different seeds/temperatures are tested and the best one is used
+ * (see candidates.js). The others are kept on the iteration.
+ *
+ * Stops when every test passes, after maxIterations attempts, or when
+ * the signal is aborted (the user pressed Stop).
+ * Every iteration is returned so the UI can show how the agent converged.
+ */
+
+import { PROMPTS, generateReflection } from './ollama.js';
+import { runTests as runSandboxTests, inferFunctionName } from './sandbox.js';
+import { findSimilarFixes as findSimilarFixesInMemory, recordFix as recordFixInMemory } from './fixMemory.js';
+import { generateCandidates } from './candidates.js';
+import { describeExpectation } from './matchers.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_MAX_ITERATIONS = 3;
+
+/**
+ * Format a call like add(2, 3) for prompts and logs
+ * @param {string} functionName
+ * @param {Array} input
+ * @returns {string}
+ */
+export function formatCall(functionName, input) {
+  const args = (Array.isArray(input) ? input : [input]).map(arg => JSON.stringify(arg));
+  return `${functionName}(${args.join(', ')})`;
+}
+
+/**
+ * Describe failed test cases in plain text for the LLM
+ * @param {Object} testResults - Summary from runTests
+ * @param {string} functionName - Function under test
+ * @returns {string}
+ */
+export function formatTestFailures(testResults, functionName) {
+  if (!testResults) return '';
+
+  // Nothing ran - the same SafetyError per test would just repeat itself
+  if (testResults.safety?.blocked) {
+    return [
+      '- The code was not run: the safety scanner blocked it',
+      ...testResults.safety.findings
+        .filter(finding => finding.policy === 'block')
+        .map(finding => `  - line ${finding.line}: ${finding.message} (${finding.label})`),
+    ].join('\n');
+  }
+
+  return testResults.results
+    .filter(r => !r.passed)
+    .map(r => {
+      const call = formatCall(functionName, r.input);
+      if (r.error && r.error.name !== 'PredicateError') {
+        const location = r.error.frames?.[0] ? ` (line ${r.error.frames[0].line})` : '';
+        return `- ${call} threw ${r.error.name}: ${r.error.message}${location}${r.matcher === 'throws' ? `, ${describeExpectation(r)}` : ''}`;
+      }
+      return `- ${call} returned ${JSON.stringify(r.actual)}, ${describeExpectation(r)}${r.error ? ` (${r.error.message})` : ''}`;
+    })
+    .join('\n');
+}
+
+/**
+ * Build the error description passed to the reflection prompt
+ * @param {string} code - Code that failed
+ * @param {string} failures - Output of formatTestFailures
+ * @returns {string}
+ */
+export function buildReflectionError(code, failures) {
+  return `The following code failed its tests.
+
+CODE:
+\`\`\`javascript
+${code}
+\`\`\`
+
+FAILED TESTS:
+${failures}`;
+}
+
+/**
+ * Build the context passed to the next code generation prompt
+ * @param {Object} iteration - The iteration that failed
+ * @returns {string}
+ */
+export function buildRetryContext(iteration) {
+  return `Attempt ${iteration.iteration} failed.
+
+PREVIOUS CODE:
+\`\`\`javascript
+${iteration.code}
+\`\`\`
+
+FAILED TESTS:
+${iteration.failures}
+${iteration.hypothesis ? `\nHYPOTHESIS:\n${iteration.hypothesis}\n` : ''}
+Write a corrected version that passes all tests.`;
+}
+
+/**
+ * Run the generate → test → reflect → regenerate loop
+ *
+ * @param {Object} params
+ * @param {string} params.goal - Goal description
+ * @param {Array<{input: Array, expected: *}>} params.tests - Test cases (empty = single untested attempt)
+ * @param {string} params.functionName - Function under test (inferred from each attempt's code if omitted)
+ * @param {number} params.maxIterations - Maximum number of attempts (default: 3)
+ * @param {string} params.context - Context for the first attempt (e.g. hand-edited code to continue from); retries get the failures instead
+ * @param {Function} params.generate - (goal, context, overrides) => Promise<{success, code, rawResponse, duration, tokens, error, structured?, functionName?}>
+ *   overrides = { parameters } for best-of-N candidates
+ * @param {number} params.candidates - Completions per attempt, best one wins (default: 1)
+ * @param {Function} params.buildPrompt - (goal, context) => string, the prompt recorded for each attempt (default: PROMPTS.codeGeneration)
+ * @param {Function} params.runTests - (code, tests, options) => Promise<testSummary> (default: sandbox runTests)
+ * @param {Object} params.safetyPolicies - Safety scanner block/warn/off per rule, forwarded to runTests
+ * @param {Function} params.reflect - (error, similarFixes) => Promise<{success, response, error}> (default: generateReflection)
+ * @param {Function} params.findSimilarFixes - (error) => Promise<Array> (default: fix memory; disabled in mock mode)
+ * @param {Function} params.recordFix - ({error, fix, hypothesis, goal}) => Promise (default: fix memory; disabled in mock mode)
+ * @param {Object} params.ollamaOptions - Options forwarded to the default reflect/memory calls (model, baseUrl, useMock)
+ * @param {AbortSignal} params.signal - Stops the loop after the current step
+ * @param {Function} params.onIterationStart - (iterationNumber, prompt) => void
+ * @param {Function} params.onCandidateStart - (iterationNumber, candidateIndex, count) => void, best-of-N only
+ * @param {Function} params.onIteration - (iteration) => void, called after each iteration completes
+ * @returns {Promise<{success: boolean, status: 'passed'|'failed'|'error'|'untested'|'cancelled', iterations: Array, finalCode: string|null, error: string|null}>}
+ */
+export async function runAgentLoop({
+  goal,
+  tests = [],
+  functionName,
+  maxIterations = DEFAULT_MAX_ITERATIONS,
+  context: initialContext = '',
+  generate,
+  candidates = 1,
+  buildPrompt = PROMPTS.codeGeneration,
+  runTests = runSandboxTests,
+  safetyPolicies,
+  reflect = null,
+  findSimilarFixes = null,
+  recordFix = null,
+  ollamaOptions = {},
+  signal = null,
+  onIterationStart = null,
+  onCandidateStart = null,
+  onIteration = null
+}) {
+  const doReflect = reflect ||
+    ((error, similarFixes) => generateReflection(error, similarFixes, { ...ollamaOptions, signal }));
+  // Memory needs a real embedding model, so mock runs leave it alone
+  const memoryEnabled = !ollamaOptions.useMock;
+  const memoryOptions = { baseUrl: ollamaOptions.baseUrl };
+  const doFindSimilarFixes = findSimilarFixes ||
+    (memoryEnabled ? (error) => findSimilarFixesInMemory(error, memoryOptions) : async () => []);
+  const doRecordFix = recordFix ||
+    (memoryEnabled ? (fix) => recordFixInMemory(fix, memoryOptions) : async () => null);
+  const iterations = [];
+  let context = initialContext;
+  const testCode = (code, testCases, options) => runTests(code, testCases, { ...options, safetyPolicies });
+
+  // Goal wording wins, then the name a structured response declared, then the code itself
+  const resolveFunctionName = (generation) =>
+    functionName || generation.functionName || inferFunctionName(goal, generation.code);
+
+  logger.agent('loop-start', { goal: goal.slice(0, 50), functionName, testCount: tests.length, maxIterations, candidates });
+
+  for (let n = 1; n <= maxIterations; n++) {
+    const prompt = buildPrompt(goal, context);
+    onIterationStart?.(n, prompt);
+    logger.agent('iteration-start', { iteration: n });
+
+    const generation = candidates > 1
+      ? toGeneration(await generateCandidates({
+        count: candidates,
+        parameters: ollamaOptions.parameters,
+        generate: (parameters) => generate(goal, context, { parameters }),
+        tests,
+        runTests: testCode,
+        resolveFunctionName,
+        signal,
+        onCandidateStart: (index, count) => onCandidateStart?.(n, index, count)
+      }))
+      : await generate(goal, context);
+
+    const iteration = {
+      iteration: n,
+      prompt,
+      context,
+      functionName: functionName || null,
+      code: generation?.code || null,
+      rawResponse: generation?.rawResponse || null,
+      structured: generation?.structured || null,
+      duration: generation?.duration || 0,
+      tokens: generation?.tokens || { prompt: 0, generated: 0, total: 0 },
+      testResults: null,
+      candidates: generation?.candidates || null,
+      failures: '',
+      hypothesis: null,
+      similarFixes: [],
+      reflectionPrompt: null,
+      reflection: null,
+      success: false,
+      error: null
+    };
+
+    if (generation?.cancelled || signal?.aborted) {
+      return finishCancelled(iterations, iteration, onIteration);
+    }
+
+    if (!generation?.success) {
+      iteration.error = generation?.error || 'Generation failed';
+      iterations.push(iteration);
+      onIteration?.(iteration);
+      logger.agent('loop-complete', { status: 'error', iterations: n, error: iteration.error });
+      return { success: false, status: 'error', iterations, finalCode: lastCode(iterations), error: iteration.error };
+    }
+
+    if (tests.length === 0) {
+      iterations.push(iteration);
+      onIteration?.(iteration);
+      logger.agent('loop-complete', { status: 'untested', iterations: n });
+      return { success: true, status: 'untested', iterations, finalCode: iteration.code, error: null };
+    }
+
+    const testedName = resolveFunctionName(generation);
+    iteration.functionName = testedName;
+    // Best-of-N candidates were already tested while ranking
+    iteration.testResults = generation.testResults || await testCode(iteration.code, tests, { functionName: testedName });
+    iteration.success = iteration.testResults.success;
+
+    if (signal?.aborted) {
+      return finishCancelled(iterations, iteration, onIteration);
+    }
+
+    if (iteration.success) {
+      const previous = iterations[iterations.length - 1];
+      if (previous?.failures) {
+        await safely(() => doRecordFix({
+          error: previous.failures,
+          fix: iteration.code,
+          hypothesis: previous.hypothesis,
+          goal
+        }));
+      }
+
+      iterations.push(iteration);
+      onIteration?.(iteration);
+      logger.success('loop-complete', { status: 'passed', iterations: n });
+      return { success: true, status: 'passed', iterations, finalCode: iteration.code, error: null };
+    }
+
+    iteration.failures = formatTestFailures(iteration.testResults, testedName);
+
+    // No point reflecting on the last attempt - nothing will use the hypothesis
+    if (n < maxIterations) {
+      iteration.similarFixes = (await safely(() => doFindSimilarFixes(iteration.failures))) || [];
+      const reflectionError = buildReflectionError(iteration.code, iteration.failures);
+      iteration.reflectionPrompt = PROMPTS.reflection(reflectionError, iteration.similarFixes);
+      const reflection = await doReflect(reflectionError, iteration.similarFixes);
+      iteration.hypothesis = reflection?.success ? reflection.response.trim() : null;
+      iteration.reflection = {
+        response: reflection?.response || '',
+        duration: reflection?.duration || 0,
+        tokens: reflection?.tokens || null,
+        error: reflection?.success ? null : (reflection?.error || 'Reflection failed')
+      };
+
+      if (signal?.aborted) {
+        return finishCancelled(iterations, iteration, onIteration);
+      }
+      logger.agent('reflection', {
+        iteration: n,
+        hasHypothesis: !!iteration.hypothesis,
+        similarFixes: iteration.similarFixes.length
+      });
+    }
+
+    iterations.push(iteration);
+    onIteration?.(iteration);
+    context = buildRetryContext(iteration);
+  }
+
+  logger.agent('loop-complete', { status: 'failed', iterations: iterations.length });
+  return { success: false, status: 'failed', iterations, finalCode: lastCode(iterations), error: null };
+}
+
+/**
+ * Turn ranked best-of-N candidates into a single generation result:
+ * the best candidate's output, with the time and tokens of all of them
+ * @param {{candidates: Array, best: Object|null, cancelled: boolean}} outcome - From generateCandidates
+ * @returns {Object} - Same shape as a generate() result, plus testResults and candidates
+ */
+function toGeneration({ candidates, best, cancelled }) {
+  const chosen = best || candidates[0] || null;
+  const sum = (key) => candidates.reduce((total, candidate) => total + (candidate.tokens?.[key] || 0), 0);
+
+  return {
+    success: !!best,
+    cancelled,
+    code: chosen?.code || null,
+    rawResponse: chosen?.rawResponse || null,
+    structured: chosen?.structured || null,
+    functionName: chosen?.functionName || null,
+    duration: candidates.reduce((total, candidate) => total + candidate.duration, 0),
+    tokens: { prompt: sum('prompt'), generated: sum('generated'), total: sum('total'), perSecond: chosen?.tokens?.perSecond ?? null },
+    testResults: best?.testResults || null,
+    error: best ? null : (chosen?.error || 'Generation failed'),
+    candidates
+  };
+}
+
+/**
+ * Record the interrupted iteration and build the cancelled result
+ * @param {Array} iterations - Completed iterations (mutated)
+ * @param {Object} iteration - The iteration that was running
+ * @param {Function|null} onIteration
+ * @returns {Object} - Loop result with status 'cancelled'
+ */
+function finishCancelled(iterations, iteration, onIteration) {
+  iteration.cancelled = true;
+  iterations.push(iteration);
+  onIteration?.(iteration);
+  logger.agent('loop-complete', { status: 'cancelled', iterations: iterations.length });
+  return { success: false, status: 'cancelled', iterations, finalCode: lastCode(iterations), error: null };
+}
+
+/**
+ * Run a memory operation without letting its failure stop the loop
+ * @param {Function} operation
+ * @returns {Promise<*>} - Result, or null if it threw
+ */
+async function safely(operation) {
+  try {
+    return await operation();
+  } catch (error) {
+    logger.error('agentLoop', error);
+    return null;
+  }
+}
+
+/**
+ * Code from the most recent iteration that produced any
+ * @param {Array} iterations
+ * @returns {string|null}
+ */
+function lastCode(iterations) {
+  for (let i = iterations.length - 1; i >= 0; i--) {
+    if (iterations[i].code) return iterations[i].code;
+  }
+  return null;
+}
+
+export default {
+  runAgentLoop,
+  formatCall,
+  formatTestFailures,
+  buildReflectionError,
+  buildRetryContext,
+  DEFAULT_MAX_ITERATIONS
+};
@@ -0,0 +1,359 @@
+/**
+ * Benchmark Harness
+ *
+ * Runs example goals against one or more models and scores them:
+ * each (model, example) pair gets `samples` independent single-shot
+ * generations (no self-repair loop), and every sample is graded with the
+ * example's tests.
+ *
+ * Metrics per model:
+ * - passRate: share of all samples whose tests all passed
+ * - passAtK: unbiased pass@k estimate (Chen et al., 2021), averaged over examples
+ * - avgLatency, totalTokens, avgTokensPerSecond
+ *
+ * Usage:
+ *   const report = await runBenchmark({
+ *     models: ['phi3:latest', 'qwen2.5-coder:1.5b'],
+ *     examples: getExamplesByDifficulty('easy'),
+ *     samples: 5,
+ *     ollamaOptions: { baseUrl, parameters: { temperature: 0.8 } },
+ *   });
+ *   download(benchmarkToCSV(report));
+ */
+
+import { generateCode, generateStructuredCode } from './ollama.js';
+import { extractCode } from './codeParser.js';
+import { runTests as runSandboxTests, inferFunctionName } from './sandbox.js';
+import { formatParameters } from './generationParams.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_SAMPLES = 3;
+export const MAX_SAMPLES = 10;
+
+/**
+ * Unbiased pass@k estimator: probability that at least one of k samples,
+ * drawn from n generated samples of which c passed, passes
+ * pass@k = 1 - C(n-c, k) / C(n, k)
+ * @param {number} n - Samples generated
+ * @param {number} c - Samples that passed
+ * @param {number} k
+ * @returns {number|null} - null when k > n (not measurable)
+ */
+export function passAtK(n, c, k) {
+  if (k > n || n === 0) return null;
+  if (n - c < k) return 1;
+
+  // Product form of the binomial ratio - stays stable for large n
+  let failAll = 1;
+  for (let i = n - c + 1; i <= n; i++) {
+    failAll *= 1 - k / i;
+  }
+  return 1 - failAll;
+}
+
+/**
+ * k values reported for a given sample count (1 and n, deduplicated)
+ * @param {number} samples
+ * @returns {number[]}
+ */
+export function getReportedK(samples) {
+  return [...new Set([1, samples])];
+}
+
+/**
+ * Single-shot generation used for every sample
+ * @param {Object} example - Entry from EXAMPLE_GOALS
+ * @param {Object} options
+ * @param {string} options.model
+ * @param {'markdown'|'json'} options.outputMode
+ * @param {Object} options.ollamaOptions - baseUrl, parameters, useMock...
+ * @param {AbortSignal} options.signal
+ * @returns {Promise<{success: boolean, code: string|null, functionName?: string, duration: number, tokens: Object, error: string|null, cancelled?: boolean}>}
+ */
+async function generateSample(example, { model, outputMode, ollamaOptions, signal }) {
+  const options = { ...ollamaOptions, model, stream: false, signal };
+
+  if (outputMode === 'json') {
+    const result = await generateStructuredCode(example.goal, '', options);
+    return {
+      ...result,
+      code: result.structured?.code || null,
+      functionName: result.structured?.functionName || null,
+    };
+  }
+
+  const result = await generateCode(example.goal, '', options);
+  return { ...result, code: result.success ? extractCode(result.response) : null };
+}
+
+/**
+ * Run the benchmark
+ * @param {Object} params
+ * @param {string[]} params.models - Models to compare
+ * @param {Array} params.examples - Examples with tests (e.g. EXAMPLE_GOALS)
+ * @param {number} params.samples - Generations per (model, example) (default: 3)
+ * @param {'markdown'|'json'} params.outputMode - How code is requested (default: markdown)
+ * @param {Object} params.ollamaOptions - Forwarded to every request (baseUrl, parameters, useMock)
+ * @param {Function} params.generate - (example, {model, outputMode, ollamaOptions, signal}) => Promise<generation> (default: single-shot Ollama call)
+ * @param {Function} params.runTests - (code, tests, options) => Promise<testSummary> (default: sandbox runTests)
+ * @param {Object} params.safetyPolicies - Safety scanner block/warn/off per rule, forwarded to runTests
+ * @param {AbortSignal} params.signal - Stops after the current sample; the partial report is returned
+ * @param {Function} params.onProgress - ({done, total, model, exampleId, sample}) => void, before each sample
+ * @param {Function} params.onSample - (result) => void, after each sample
+ * @returns {Promise<Object>} - Report (see summarizeBenchmark for `summary`)
+ */
+export async function runBenchmark({
+  models = [],
+  examples = [],
+  samples = DEFAULT_SAMPLES,
+  outputMode = 'markdown',
+  ollamaOptions = {},
+  generate = generateSample,
+  runTests = runSandboxTests,
+  safetyPolicies,
+  signal = null,
+  onProgress = null,
+  onSample = null
+}) {
+  const startedAt = new Date().toISOString();
+  const tested = examples.filter(example => example.tests?.length > 0);
+  // Models are the outer loop so Ollama loads each one only once
+  const jobs = models.flatMap(model => tested.flatMap(example =>
+    Array.from({ length: samples }, (_, index) => ({ model, example, sample: index + 1 }))
+  ));
+  const results = [];
+  let cancelled = false;
+
+  logger.agent('benchmark-start', { models, examples: tested.length, samples, outputMode });
+
+  for (const { model, example, sample } of jobs) {
+    if (signal?.aborted) {
+      cancelled = true;
+      break;
+    }
+    onProgress?.({ done: results.length, total: jobs.length, model, exampleId: example.id, sample });
+
+    const generation = await generate(example, { model, outputMode, ollamaOptions, signal });
+    if (generation?.cancelled || signal?.aborted) {
+      cancelled = true;
+      break;
+    }
+
+    const result = {
+      model,
+      exampleId: example.id,
+      sample,
+      passed: false,
+      testsPassed: 0,
+      testsTotal: example.tests.length,
+      duration: generation?.duration || 0,
+      tokens: generation?.tokens || { prompt: 0, generated: 0, total: 0 },
+      code: generation?.code || null,
+      error: null
+    };
+
+    if (!generation?.success || !generation.code) {
+      result.error = generation?.error || 'No code generated';
+    } else {
+      // Same precedence as the agent loop: goal wording, declared name, then the code
+      const functionName = inferFunctionName(example.goal) || generation.functionName || inferFunctionName(example.goal, generation.code);
+      const testResults = await runTests(generation.code, example.tests, { functionName, safetyPolicies });
+      result.passed = testResults.success;
+      result.testsPassed = testResults.passed;
+      const firstError = testResults.results.find(test => test.error)?.error;
+      if (!testResults.success && firstError) {
+        result.error = firstError.message;
+      }
+    }
+
+    results.push(result);
+    onSample?.(result);
+  }
+
+  const report = {
+    startedAt,
+    finishedAt: new Date().toISOString(),
+    cancelled,
+    models,
+    examples: tested.map(({ id, title, difficulty, category }) => ({ id, title, difficulty, category })),
+    samples,
+    outputMode,
+    parameters: formatParameters(ollamaOptions.parameters),
+    mock: !!ollamaOptions.useMock,
+    results,
+    summary: summarizeBenchmark(results, models, samples)
+  };
+
+  logger.agent('benchmark-complete', {
+    cancelled,
+    samples: results.length,
+    summary: report.summary.map(row => `${row.model}: ${Math.round(row.passRate * 100)}%`)
+  });
+  return report;
+}
+
+/**
+ * Average of the numbers in a list, ignoring null/undefined
+ * @param {Array<number|null>} values
+ * @returns {number|null}
+ */
+function average(values) {
+  const numbers = values.filter(value => typeof value === 'number' && Number.isFinite(value));
+  return numbers.length > 0 ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length : null;
+}
+
+/**
+ * Per-model metrics
+ * @param {Array} results - Sample results from runBenchmark
+ * @param {string[]} models
+ * @param {number} samples - Samples requested per example
+ * @returns {Array<{model: string, samples: number, passed: number, errors: number, passRate: number, passAtK: Object, avgLatency: number|null, totalTokens: number, avgTokensPerSecond: number|null}>}
+ */
+export function summarizeBenchmark(results, models, samples) {
+  return models.map(model => {
+    const own = results.filter(result => result.model === model);
+    const byExample = groupByExample(own);
+
+    // Only examples with every sample done count towards pass@k
+    const complete = Object.values(byExample).filter(items => items.length === samples);
+    const passAtKValues = Object.fromEntries(getReportedK(samples).map(k => [
+      k,
+      average(complete.map(items => passAtK(items.length, items.filter(item => item.passed).length, k)))
+    ]));
+
+    const passed = own.filter(result => result.passed).length;
+    return {
+      model,
+      samples: own.length,
+      passed,
+      errors: own.filter(result => result.error).length,
+      passRate: own.length > 0 ? passed / own.length : 0,
+      passAtK: passAtKValues,
+      avgLatency: average(own.map(result => result.duration)),
+      totalTokens: own.reduce((sum, result) => sum + (result.tokens?.total || 0), 0),
+      avgTokensPerSecond: average(own.map(result => result.tokens?.perSecond))
+    };
+  });
+}
+
+/**
+ * Group sample results by example id
+ * @param {Array} results
+ * @returns {Object<string, Array>}
+ */
+function groupByExample(results) {
+  const groups = {};
+  for (const result of results) {
+    (groups[result.exampleId] ||= []).push(result);
+  }
+  return groups;
+}
+
+/**
+ * Example × model matrix of passed samples
+ * @param {Object} report
+ * @returns {Array<{example: Object, cells: Object<string, {passed: number, samples: number}>}>}
+ */
+export function getExampleMatrix(report) {
+  return report.examples.map(example => ({
+    example,
+    cells: Object.fromEntries(report.models.map(model => {
+      const own = report.results.filter(result => result.model === model && result.exampleId === example.id);
+      return [model, { passed: own.filter(result => result.passed).length, samples: own.length }];
+    }))
+  }));
+}
+
+/**
+ * Quote a CSV field when needed
+ * @param {*} value
+ * @returns {string}
+ */
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Rows → CSV text
+ * @param {Array<Array>} rows - First row is the header
+ * @returns {string}
+ */
+function toCSV(rows) {
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+/**
+ * Per-model summary as CSV
+ * @param {Object} report
+ * @returns {string}
+ */
+export function benchmarkSummaryToCSV(report) {
+  const ks = getReportedK(report.samples);
+  const round = (value, digits) => (value === null ? '' : Number(value.toFixed(digits)));
+
+  return toCSV([
+    ['model', 'samples', 'passed', 'errors', 'pass_rate', ...ks.map(k => `pass@${k}`), 'avg_latency_ms', 'total_tokens', 'avg_tokens_per_second'],
+    ...report.summary.map(row => [
+      row.model,
+      row.samples,
+      row.passed,
+      row.errors,
+      round(row.passRate, 4),
+      ...ks.map(k => round(row.passAtK[k], 4)),
+      round(row.avgLatency, 0),
+      row.totalTokens,
+      round(row.avgTokensPerSecond, 1)
+    ])
+  ]);
+}
+
+/**
+ * Every sample as CSV (one row per generation)
+ * @param {Object} report
+ * @returns {string}
+ */
+export function benchmarkToCSV(report) {
+  const examples = Object.fromEntries(report.examples.map(example => [example.id, example]));
+
+  return toCSV([
+    ['model', 'example', 'difficulty', 'category', 'sample', 'passed', 'tests_passed', 'tests_total', 'latency_ms', 'prompt_tokens', 'generated_tokens', 'tokens_per_second', 'error'],
+    ...report.results.map(result => [
+      result.model,
+      result.exampleId,
+      examples[result.exampleId]?.difficulty,
+      examples[result.exampleId]?.category,
+      result.sample,
+      result.passed,
+      result.testsPassed,
+      result.testsTotal,
+      Math.round(result.duration),
+      result.tokens?.prompt,
+      result.tokens?.generated,
+      result.tokens?.perSecond,
+      result.error
+    ])
+  ]);
+}
+
+/**
+ * Full report as JSON (includes generated code)
+ * @param {Object} report
+ * @returns {string}
+ */
+export function benchmarkToJSON(report) {
+  return JSON.stringify(report, null, 2);
+}
+
+export default {
+  runBenchmark,
+  summarizeBenchmark,
+  getExampleMatrix,
+  passAtK,
+  getReportedK,
+  benchmarkToCSV,
+  benchmarkSummaryToCSV,
+  benchmarkToJSON,
+  DEFAULT_SAMPLES,
+  MAX_SAMPLES
+};
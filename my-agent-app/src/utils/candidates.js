@@ -0,0 +1,173 @@
+/**
+ * Candidates (best of N)
+ *
+ * One sample from a small local model often fails where the third would
+ * pass. In best-of-N mode each attempt requests N completions with
+ * different seeds/temperatures, runs every one through the sandbox and
+ * keeps the best: most tests passed, then the simplest code.
+ *
+ * Candidate 1 always uses the configured parameters unchanged, so best of
+ * 1 is a normal attempt. The others get seed + i and a slightly higher
+ * temperature each, derived rather than random so a run can be reproduced
+ * (and replayed from a fixture).
+ *
+ * Usage:
+ *   const { candidates, best } = await generateCandidates({
+ *     count: 3, parameters, tests, runTests,
+ *     generate: (parameters) => generateCode(goal, context, { parameters }),
+ *     resolveFunctionName: (generation) => 'add',
+ *   });
+ */
+
+import { logger } from './logger.js';
+
+export const MAX_CANDIDATES = 5;
+
+// Used when the settings leave temperature/seed on the model default
+const BASE_TEMPERATURE = 0.2;
+const TEMPERATURE_STEP = 0.2;
+const MAX_TEMPERATURE = 1.2;
+const BASE_SEED = 1;
+
+/**
+ * Parameters for each candidate
+ * @param {Object} parameters - Configured generation parameters
+ * @param {number} count
+ * @returns {Object[]} - count parameter sets; the first is `parameters` itself
+ */
+export function buildCandidateParameters(parameters = {}, count = 1) {
+  const baseTemperature = parameters.temperature ?? BASE_TEMPERATURE;
+  const baseSeed = parameters.seed ?? BASE_SEED;
+
+  return Array.from({ length: Math.max(1, count) }, (_, i) => (i === 0
+    ? { ...parameters }
+    : {
+      ...parameters,
+      temperature: Math.min(MAX_TEMPERATURE, Math.round((baseTemperature + i * TEMPERATURE_STEP) * 100) / 100),
+      seed: baseSeed + i,
+    }));
+}
+
+/**
+ * Rough size/complexity of a piece of code, for breaking ties
+ * @param {string} code
+ * @returns {{lines: number, branches: number, length: number}}
+ */
+export function measureComplexity(code = '') {
+  const source = code || '';
+  const lines = source.split('\n').filter(line => line.trim() !== '').length;
+  // Decision points, roughly cyclomatic complexity
+  const branches = (source.match(/\b(if|for|while|case|catch)\b|&&|\|\||\?\?|\?(?![.?])/g) || []).length;
+  return { lines, branches, length: source.length };
+}
+
+/**
+ * Order candidates best first: tests passed, then fewer branches, fewer lines, shorter code.
+ * Failed or cancelled candidates always come last.
+ * @param {Array} candidates
+ * @returns {Array} - New array; each candidate gets its 1-based `rank`
+ */
+export function rankCandidates(candidates = []) {
+  const score = (candidate) => [
+    candidate.code && !candidate.error ? 0 : 1,
+    -(candidate.testResults?.passed || 0),
+    candidate.complexity.branches,
+    candidate.complexity.lines,
+    candidate.complexity.length,
+    candidate.index,
+  ];
+
+  return [...candidates]
+    .sort((a, b) => {
+      const left = score(a);
+      const right = score(b);
+      const difference = left.findIndex((value, i) => value !== right[i]);
+      return difference === -1 ? 0 : left[difference] - right[difference];
+    })
+    .map((candidate, i) => ({ ...candidate, rank: i + 1 }));
+}
+
+/**
+ * Generate and test N candidates, one after another
+ *
+ * @param {Object} params
+ * @param {number} params.count - Number of candidates
+ * @param {Object} params.parameters - Configured generation parameters
+ * @param {Function} params.generate - (parameters) => Promise<generation result>, same shape as the agent loop's generate
+ * @param {Array} params.tests - Test cases (empty = rank by complexity only)
+ * @param {Function} params.runTests - (code, tests, options) => Promise<testSummary>
+ * @param {Function} params.resolveFunctionName - (generation) => function name to test
+ * @param {AbortSignal} params.signal - Stops after the current candidate
+ * @param {Function} params.onCandidateStart - (index, count) => void
+ * @returns {Promise<{candidates: Array, best: Object|null, cancelled: boolean}>} - candidates ranked best first
+ */
+export async function generateCandidates({
+  count,
+  parameters = {},
+  generate,
+  tests = [],
+  runTests,
+  resolveFunctionName,
+  signal = null,
+  onCandidateStart = null
+}) {
+  const candidates = [];
+  let cancelled = false;
+
+  for (const [index, candidateParameters] of buildCandidateParameters(parameters, count).entries()) {
+    onCandidateStart?.(index, count);
+
+    const generation = await generate(candidateParameters);
+    const candidate = {
+      index,
+      parameters: candidateParameters,
+      code: generation?.code || null,
+      rawResponse: generation?.rawResponse || null,
+      structured: generation?.structured || null,
+      functionName: null,
+      duration: generation?.duration || 0,
+      tokens: generation?.tokens || { prompt: 0, generated: 0, total: 0 },
+      testResults: null,
+      complexity: measureComplexity(generation?.code),
+      error: generation?.success ? null : (generation?.error || 'Generation failed')
+    };
+
+    if (generation?.cancelled || signal?.aborted) {
+      // Keep the partial output, but it can't win against a finished candidate
+      candidates.push({ ...candidate, error: 'Cancelled' });
+      cancelled = true;
+      break;
+    }
+
+    if (candidate.code && tests.length > 0) {
+      candidate.functionName = resolveFunctionName(generation);
+      candidate.testResults = await runTests(candidate.code, tests, { functionName: candidate.functionName });
+    }
+
+    candidates.push(candidate);
+    logger.agent('candidate-complete', {
+      candidate: index + 1,
+      count,
+      passed: candidate.testResults?.passed ?? null,
+      error: candidate.error
+    });
+
+    if (signal?.aborted) {
+      cancelled = true;
+      break;
+    }
+  }
+
+  const ranked = rankCandidates(candidates);
+  const best = ranked.find(candidate => !candidate.error) || null;
+  logger.agent('candidates-ranked', { count: candidates.length, best: best ? best.index + 1 : null, cancelled });
+  return { candidates: ranked, best, cancelled };
+}
+
+export default {
+  MAX_CANDIDATES,
+  buildCandidateParameters,
+  measureComplexity,
+  rankCandidates,
+  generateCandidates
+};
@@ -0,0 +1,197 @@
+/**
+ * Code Analysis
+ *
+ * Parses generated code with acorn instead of compiling it, so ES module
+ * syntax (import/export) is accepted, syntax errors come with exact
+ * positions, and we can see what the code actually declares.
+ *
+ * Positions are 1-based lines and 1-based columns (Monaco's convention;
+ * acorn's columns are 0-based).
+ *
+ * Usage:
+ *   const analysis = analyzeCode(code, { functionName: 'add' });
+ *   analysis.diagnostics  // [{ severity: 'error', message: 'Unexpected token', line: 3, column: 1, ... }]
+ *   analysis.declarations // [{ kind: 'function', name: 'add', params: ['a', 'b'], line: 1, ... }]
+ *   analysis.hasFunction  // true / false (null when no name was required)
+ */
+
+import { parse } from 'acorn';
+
+const PARSE_OPTIONS = { ecmaVersion: 'latest', locations: true };
+
+/**
+ * Parse as a module, falling back to a classic script (sloppy-mode code like `with`)
+ * @param {string} code
+ * @returns {{ast: Object|null, sourceType: 'module'|'script', error: Object|null}} - error is the module parse error
+ */
+export function parseCode(code) {
+  try {
+    return { ast: parse(code, { ...PARSE_OPTIONS, sourceType: 'module' }), sourceType: 'module', error: null };
+  } catch (moduleError) {
+    try {
+      return { ast: parse(code, { ...PARSE_OPTIONS, sourceType: 'script' }), sourceType: 'script', error: null };
+    } catch {
+      return { ast: null, sourceType: 'module', error: moduleError };
+    }
+  }
+}
+
+/**
+ * Turn an acorn SyntaxError into a diagnostic
+ * @param {Error} error - Has loc {line, column}, pos and raisedAt
+ * @returns {Object}
+ */
+function toDiagnostic(error) {
+  const line = error.loc?.line || 1;
+  const column = (error.loc?.column || 0) + 1;
+  const length = Math.max(1, (error.raisedAt ?? error.pos) - error.pos);
+
+  return {
+    severity: 'error',
+    message: error.message.replace(/\s*\(\d+:\d+\)$/, ''),
+    line,
+    column,
+    endLine: line,
+    endColumn: column + length
+  };
+}
+
+/**
+ * Position fields for a node
+ * @param {Object} node - acorn node with loc
+ * @returns {{line: number, column: number, endLine: number, endColumn: number}}
+ */
+function position(node) {
+  return {
+    line: node.loc.start.line,
+    column: node.loc.start.column + 1,
+    endLine: node.loc.end.line,
+    endColumn: node.loc.end.column + 1
+  };
+}
+
+/**
+ * Top-level declarations of a program
+ * @param {Object} ast - acorn Program
+ * @param {string} code - Source, for parameter text (defaults, destructuring)
+ * @returns {Array<{kind: 'function'|'class'|'variable', name: string, params: string[]|null, async: boolean, exported: boolean, line: number, column: number, endLine: number, endColumn: number}>}
+ */
+export function collectDeclarations(ast, code) {
+  const declarations = [];
+  const paramsOf = (fn) => fn.params.map(param => code.slice(param.start, param.end));
+
+  const visit = (node, exported) => {
+    switch (node.type) {
+      case 'ExportNamedDeclaration':
+      case 'ExportDefaultDeclaration':
+        if (node.declaration) visit(node.declaration, true);
+        break;
+      case 'FunctionDeclaration':
+        if (node.id) {
+          declarations.push({ kind: 'function', name: node.id.name, params: paramsOf(node), async: node.async, exported, ...position(node.id) });
+        }
+        break;
+      case 'ClassDeclaration': {
+        if (!node.id) break;
+        const constructor = node.body.body.find(member => member.kind === 'constructor');
+        declarations.push({
+          kind: 'class',
+          name: node.id.name,
+          params: constructor ? paramsOf(constructor.value) : [],
+          async: false,
+          exported,
+          ...position(node.id)
+        });
+        break;
+      }
+      case 'VariableDeclaration':
+        for (const declarator of node.declarations) {
+          if (declarator.id.type !== 'Identifier') continue;
+          const init = declarator.init;
+          const isFunction = init?.type === 'ArrowFunctionExpression' || init?.type === 'FunctionExpression';
+          declarations.push({
+            kind: isFunction ? 'function' : 'variable',
+            name: declarator.id.name,
+            params: isFunction ? paramsOf(init) : null,
+            async: isFunction && init.async,
+            exported,
+            ...position(declarator.id)
+          });
+        }
+        break;
+      default:
+        break;
+    }
+  };
+
+  ast.body.forEach(node => visit(node, false));
+  return declarations;
+}
+
+/**
+ * Analyze generated code
+ * @param {string} code
+ * @param {Object} options
+ * @param {string|null} options.functionName - Function the goal asks for (checked when given)
+ * @returns {{
+ *   valid: boolean,
+ *   sourceType: 'module'|'script',
+ *   diagnostics: Array<{severity: 'error'|'warning', message: string, line: number, column: number, endLine: number, endColumn: number}>,
+ *   declarations: Array,
+ *   functionName: string|null,
+ *   hasFunction: boolean|null
+ * }}
+ */
+export function analyzeCode(code = '', options = {}) {
+  const { functionName = null } = options;
+  const { ast, sourceType, error } = parseCode(code);
+
+  if (!ast) {
+    return {
+      valid: false,
+      sourceType,
+      diagnostics: [toDiagnostic(error)],
+      declarations: [],
+      functionName,
+      hasFunction: null
+    };
+  }
+
+  const declarations = collectDeclarations(ast, code);
+  const diagnostics = [];
+  let hasFunction = null;
+
+  if (functionName) {
+    const declared = declarations.find(declaration => declaration.name === functionName);
+    hasFunction = declared?.kind === 'function';
+
+    if (declared && !hasFunction) {
+      diagnostics.push({
+        severity: 'warning',
+        message: `'${functionName}' is declared as a ${declared.kind}, but the goal asks for a function`,
+        line: declared.line,
+        column: declared.column,
+        endLine: declared.endLine,
+        endColumn: declared.endColumn
+      });
+    } else if (!declared) {
+      const found = declarations.filter(declaration => declaration.kind === 'function').map(declaration => declaration.name);
+      diagnostics.push({
+        severity: 'warning',
+        message: `The goal asks for a function named '${functionName}', but the code doesn't define one${found.length ? ` (found: ${found.join(', ')})` : ''}`,
+        line: 1,
+        column: 1,
+        endLine: 1,
+        endColumn: 1
+      });
+    }
+  }
+
+  return { valid: true, sourceType, diagnostics, declarations, functionName, hasFunction };
+}
+
+export default {
+  parseCode,
+  collectDeclarations,
+  analyzeCode
+};
@@ -0,0 +1,147 @@
+/**
+ * Code Files
+ *
+ * Turns the code blocks of one response into named files for the Code
+ * Viewer tabs and packs them into a zip for download. Blocks that name
+ * themselves ("// src/add.js") keep that name; the rest get one from
+ * their language and role.
+ *
+ * Usage:
+ *   const files = buildCodeFiles(extractAllCodeBlocks(rawResponse));
+ *   // → [{ name: 'generated-code.js', language: 'javascript', code, primary: true }, { name: 'package.json', ... }]
+ *   const archive = zipFiles(files); // Uint8Array
+ */
+
+import { zipSync, strToU8 } from 'fflate';
+import { safeFilePath } from './codeParser.js';
+
+export const DEFAULT_FILENAME = 'generated-code.js';
+export const ARCHIVE_FILENAME = 'generated-code.zip';
+
+const EXTENSIONS = {
+  javascript: 'js',
+  typescript: 'ts',
+  json: 'json',
+  python: 'py',
+  shell: 'sh',
+  html: 'html',
+  xml: 'xml',
+  css: 'css',
+  sql: 'sql',
+  yaml: 'yml',
+  markdown: 'md',
+  plaintext: 'txt',
+};
+
+const MIME_TYPES = {
+  javascript: 'text/javascript',
+  typescript: 'text/plain',
+  json: 'application/json',
+  html: 'text/html',
+  css: 'text/css',
+  markdown: 'text/markdown',
+};
+
+// Test suites: describe/it/test blocks, expect(...) or node:assert
+const TEST_CODE = /\b(?:describe|it|test)\s*\(\s*['"`]|\bexpect\s*\(|\bassert\s*[.(]|from\s+['"](?:node:)?assert['"]/;
+
+/**
+ * File extension for a Monaco language
+ * @param {string} language
+ * @returns {string}
+ */
+export function extensionFor(language) {
+  return EXTENSIONS[language] || 'txt';
+}
+
+/**
+ * MIME type for a download
+ * @param {string} language
+ * @returns {string}
+ */
+export function mimeTypeFor(language) {
+  return MIME_TYPES[language] || 'text/plain';
+}
+
+/**
+ * Name for a block that didn't name itself
+ * @param {Object} block - From extractAllCodeBlocks
+ * @param {number} index
+ * @param {string} primaryName - Tests are named after the primary file: add.js → add.test.js
+ * @returns {string}
+ */
+function defaultName(block, index, primaryName) {
+  if (block.primary) {
+    return block.language === 'javascript' ? DEFAULT_FILENAME : `generated-code.${extensionFor(block.language)}`;
+  }
+  if (block.language === 'json' && /"(?:dependencies|devDependencies|scripts)"\s*:/.test(block.code)) {
+    return 'package.json';
+  }
+  if ((block.language === 'javascript' || block.language === 'typescript') && TEST_CODE.test(block.code)) {
+    return `${primaryName.replace(/\.[^./]+$/, '')}.test.${extensionFor(block.language)}`;
+  }
+  return `snippet-${index + 1}.${extensionFor(block.language)}`;
+}
+
+/**
+ * Make a name unique among those taken: add.js → add-2.js
+ * @param {string} name
+ * @param {Set<string>} taken - Mutated
+ * @returns {string}
+ */
+function uniqueName(name, taken) {
+  let candidate = name;
+  const dot = name.lastIndexOf('.');
+  const [base, extension] = dot > 0 ? [name.slice(0, dot), name.slice(dot)] : [name, ''];
+  for (let n = 2; taken.has(candidate); n++) {
+    candidate = `${base}-${n}${extension}`;
+  }
+  taken.add(candidate);
+  return candidate;
+}
+
+/**
+ * Named files for a response's code blocks, in response order
+ * @param {Array<{language: string, code: string, filename: string|null, primary: boolean}>} blocks - From extractAllCodeBlocks
+ * @returns {Array<{name: string, language: string, code: string, primary: boolean, inferred: boolean}>}
+ *   inferred = the name came from the block's comment header; empty blocks are dropped.
+ *   Header names are made relative with no ".." (see safeFilePath)
+ */
+export function buildCodeFiles(blocks = []) {
+  const taken = new Set();
+  const primary = blocks.find(block => block.primary);
+  const primaryName = primary ? safeFilePath(primary.filename || '') || defaultName(primary, 0, '') : DEFAULT_FILENAME;
+
+  return blocks
+    .map((block, index) => ({ block, index, filename: safeFilePath(block.filename || '') }))
+    .filter(({ block }) => block.code.trim())
+    .map(({ block, index, filename }) => ({
+      name: uniqueName(filename || defaultName(block, index, primaryName), taken),
+      language: block.language,
+      code: block.code,
+      primary: block.primary,
+      inferred: !!filename,
+    }));
+}
+
+/**
+ * Zip files (paths in names become folders, never outside the archive root)
+ * @param {Array<{name: string, code: string}>} files
+ * @returns {Uint8Array}
+ */
+export function zipFiles(files) {
+  const taken = new Set();
+  return zipSync(Object.fromEntries(files.map(file => [
+    uniqueName(safeFilePath(file.name) || DEFAULT_FILENAME, taken),
+    strToU8(file.code)
+  ])));
+}
+
+export default {
+  DEFAULT_FILENAME,
+  ARCHIVE_FILENAME,
+  extensionFor,
+  mimeTypeFor,
+  buildCodeFiles,
+  zipFiles
+};
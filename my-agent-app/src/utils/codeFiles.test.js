@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { unzipSync } from 'fflate';
+import { extractAllCodeBlocks, safeFilePath } from './codeParser.js';
+import { buildCodeFiles, zipFiles } from './codeFiles.js';
+
+test('safeFilePath drops empty, "." and ".." segments', () => {
+  assert.equal(safeFilePath('../../evil.js'), 'evil.js');
+  assert.equal(safeFilePath('/etc/./passwd.txt'), 'etc/passwd.txt');
+  assert.equal(safeFilePath('src//lib/../add.js'), 'src/lib/add.js');
+  assert.equal(safeFilePath('..\\..\\win.js'), 'win.js');
+  assert.equal(safeFilePath('../..'), null);
+  assert.equal(safeFilePath(''), null);
+});
+
+test('model-written ".." file names stay inside the tabs and the zip', () => {
+  const response = [
+    '```javascript\n// ../../evil.js\nfunction add(a, b) { return a + b; }\n```',
+    '```javascript\n// src/../../../other.js\nconst x = 1;\n```',
+  ].join('\n\n');
+
+  const files = buildCodeFiles(extractAllCodeBlocks(response));
+  assert.deepEqual(files.map(file => file.name), ['evil.js', 'src/other.js']);
+
+  const entries = Object.keys(unzipSync(zipFiles(files)));
+  assert.deepEqual(entries, ['evil.js', 'src/other.js']);
+});
+
+test('zipFiles sanitizes names it is given directly', () => {
+  const entries = Object.keys(unzipSync(zipFiles([
+    { name: '../a.js', code: 'a' },
+    { name: '/a.js', code: 'b' },
+    { name: '..', code: 'c' },
+  ])));
+  assert.deepEqual(entries, ['a.js', 'a-2.js', 'generated-code.js']);
+});
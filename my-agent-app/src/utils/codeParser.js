@@ -6,10 +6,200 @@
  * function add(a, b) { return a + b; }
  * ```
  * 
- * This utility extracts the actual code from these responses.
+ * This utility extracts the actual code from these responses - in one
+ * pass, and incrementally while the response is still streaming.
  */
 
 import { logger } from './logger.js';
+import { analyzeCode } from './codeAnalysis.js';
+
+// A fence opens with ``` or ~~~ (3+) plus an optional language, and closes with the same
+// character at least as many times on a line of its own
+const FENCE_OPEN = /^\s*(`{3,}|~{3,})\s*([^\s`]*)[^`]*$/;
+const FENCE_CLOSE = /^\s*(`{3,}|~{3,})\s*$/;
+// Closing fence glued to the last code line: "}```"
+const GLUED_CLOSE = /^(.*\S)\s*```+\s*$/;
+// Fence opened after prose on the same line: "Sure! ```javascript"
+const INLINE_FENCE_OPEN = /^(.*\S)\s*(`{3,})([^\s`]*)\s*$/;
+// A line ending like code rather than a sentence, so a bare ``` after it is a stray close, not an opening
+const CODE_LINE_END = /[;{}()[\],]\s*$/;
+// Languages preferred when a response has several blocks ('' = unlabeled)
+const JS_LANGUAGES = ['', 'javascript', 'js', 'jsx', 'mjs', 'typescript', 'ts'];
+// First line of an answer with no fences at all that is clearly code, not prose
+const CODE_START = /^\s*(?:function\b|async\b|const\b|let\b|var\b|class\b|import\b|export\b|\/\/|\/\*|['"]use strict)/;
+// Fence labels → Monaco language ids
+const LANGUAGE_ALIASES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript', javascript: 'javascript',
+  ts: 'typescript', tsx: 'typescript', typescript: 'typescript',
+  json: 'json', jsonc: 'json',
+  py: 'python', python: 'python',
+  sh: 'shell', bash: 'shell', zsh: 'shell', shell: 'shell', console: 'shell',
+  html: 'html', xml: 'xml', css: 'css', sql: 'sql',
+  yml: 'yaml', yaml: 'yaml',
+  md: 'markdown', markdown: 'markdown',
+  text: 'plaintext', txt: 'plaintext', plaintext: 'plaintext',
+};
+// File extension → Monaco language id
+const EXTENSION_LANGUAGES = {
+  js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+  ts: 'typescript', tsx: 'typescript', json: 'json', py: 'python', sh: 'shell',
+  html: 'html', xml: 'xml', css: 'css', sql: 'sql', yml: 'yaml', yaml: 'yaml', md: 'markdown', txt: 'plaintext',
+};
+// A first line naming the file: "// src/add.js", "# File: setup.py", "<!-- index.html -->", "/* add.test.js */"
+const FILENAME_HEADER = /^\s*(?:\/\/|#|--|\/\*+|<!--)\s*(?:(?:file(?:name)?|path)\s*:\s*)?([\w.@-]+(?:\/[\w.@-]+)*\.[A-Za-z0-9]+)\s*(?:\*+\/|-->)?\s*$/i;
+
+/**
+ * Incremental code extractor for streamed responses
+ *
+ * Tracks fence state across chunks so each chunk is scanned once, and only
+ * code is emitted while streaming - including the body of a fence that
+ * hasn't closed yet. Prose before, between or after blocks never reaches
+ * `code`. A response with no fences whose first line looks like code is
+ * streamed as-is.
+ *
+ * Usage:
+ *   const extractor = createCodeExtractor();
+ *   onChunk: (chunk) => setCode(extractor.push(chunk).code)
+ *   const { code, blocks, prose } = extractor.finish();
+ *
+ * @returns {{push: Function, finish: Function}}
+ *   push(chunk) / finish() → {
+ *     code: string,            - The primary block: first JavaScript (or unlabeled) one, else the first
+ *     blocks: Array<{language: string, code: string, closed: boolean}>,
+ *     primaryIndex: number,    - Index of the primary block (-1 = none)
+ *     inFence: boolean,        - A block is still open
+ *     hasProse: boolean,       - The model wrote text outside its code block(s)
+ *     prose: string            - That text (finish() only; '' while streaming)
+ *   }
+ */
+export function createCodeExtractor() {
+  const blocks = [];
+  let fence = null; // { char, length, block } while inside a block
+  let pending = ''; // Last line, until its newline arrives
+  let outside = ''; // Text outside blocks
+  let outsideHasText = false;
+  let bare = null; // Unfenced answer: null = undecided, true = code, false = prose
+
+  const append = (block, line) => {
+    block.code += `${line}\n`;
+  };
+
+  const handleLine = (line) => {
+    line = line.replace(/\r$/, '');
+
+    if (fence) {
+      const close = line.match(FENCE_CLOSE);
+      if (close && close[1][0] === fence.char && close[1].length >= fence.length) {
+        fence.block.closed = true;
+        fence = null;
+        return;
+      }
+      const glued = fence.char === '`' ? line.match(GLUED_CLOSE) : null;
+      if (glued) {
+        append(fence.block, glued[1]);
+        fence.block.closed = true;
+        fence = null;
+        return;
+      }
+      append(fence.block, line);
+      return;
+    }
+
+    const open = line.match(FENCE_OPEN);
+    if (open) {
+      const block = { language: open[2].toLowerCase(), code: '', closed: false };
+      blocks.push(block);
+      fence = { char: open[1][0], length: open[1].length, block };
+      return;
+    }
+
+    // Prose and a fence on one line: the prose stays outside, the block opens. Without a
+    // language, a fence after a code-looking line is a stray close of unfenced code - dropped
+    const inline = line.match(INLINE_FENCE_OPEN);
+    if (inline) {
+      const [, before, ticks, label] = inline;
+      if (label || (bare !== true && !CODE_LINE_END.test(before))) {
+        handleOutside(before);
+        const block = { language: label.toLowerCase(), code: '', closed: false };
+        blocks.push(block);
+        fence = { char: '`', length: ticks.length, block };
+        return;
+      }
+      line = before;
+    }
+
+    handleOutside(line);
+  };
+
+  const handleOutside = (line) => {
+    outside += `${line}\n`;
+    if (line.trim()) {
+      outsideHasText = true;
+      if (bare === null) bare = CODE_START.test(line);
+    }
+  };
+
+  // What of the incomplete last line can be shown without risking a fence flashing by
+  const tentativeLine = () => {
+    if (/^\s*(`+|~+)?\s*$/.test(pending)) return '';
+    return fence?.char === '`' ? pending.replace(/`+$/, '') : pending;
+  };
+
+  const snapshot = (final) => {
+    // An empty block (e.g. a stray fence that never got content) is never the primary one;
+    // the block still streaming counts once anything of it is visible
+    const hasCode = (block) => !!block.code.trim() || (!final && fence?.block === block && !!tentativeLine().trim());
+    const preferred = blocks.findIndex(block => JS_LANGUAGES.includes(block.language) && hasCode(block));
+    const primaryIndex = preferred !== -1 ? preferred : blocks.findIndex(hasCode);
+
+    let code = '';
+    if (primaryIndex !== -1) {
+      const block = blocks[primaryIndex];
+      code = block.code + (!final && fence?.block === block ? tentativeLine() : '');
+    } else if (final) {
+      code = outside; // No fences at all - the whole answer is the code
+    } else if (bare) {
+      code = outside + pending;
+    }
+
+    return {
+      code: code.trim(),
+      blocks: blocks.map(block => ({ ...block, code: block.code.trim() })),
+      primaryIndex,
+      inFence: !!fence,
+      hasProse: primaryIndex !== -1 && outsideHasText,
+      prose: final && primaryIndex !== -1 ? outside.trim() : ''
+    };
+  };
+
+  return {
+    push(chunk) {
+      const lines = (pending + (chunk || '')).split('\n');
+      pending = lines.pop();
+      lines.forEach(handleLine);
+      return snapshot(false);
+    },
+
+    finish() {
+      if (pending) {
+        handleLine(pending);
+        pending = '';
+      }
+      return snapshot(true);
+    }
+  };
+}
+
+/**
+ * Run a complete response through the extractor
+ * @param {string} response - Raw LLM response
+ * @returns {Object} - Final snapshot, see createCodeExtractor
+ */
+export function scanResponse(response) {
+  const extractor = createCodeExtractor();
+  extractor.push(response);
+  return extractor.finish();
+}
 
 /**
  * Extract code from a markdown-formatted LLM response
@@ -22,80 +212,113 @@ export function extractCode(response) {
     return '';
   }
 
-  // Try to match code blocks with language specifier
-  const codeBlockWithLang = response.match(/```(?:javascript|js|jsx|typescript|ts)?\n([\s\S]*?)```/);
-  
-  if (codeBlockWithLang) {
-    const extracted = codeBlockWithLang[1].trim();
-    logger.agent('code-extracted', { 
-      originalLength: response.length, 
-      extractedLength: extracted.length,
-      hasCodeBlock: true 
-    });
-    return extracted;
-  }
+  const { code, blocks, primaryIndex, hasProse } = scanResponse(response);
 
-  // Try to match generic code blocks
-  const genericCodeBlock = response.match(/```\n?([\s\S]*?)```/);
-  
-  if (genericCodeBlock) {
-    const extracted = genericCodeBlock[1].trim();
-    logger.agent('code-extracted', { 
-      originalLength: response.length, 
-      extractedLength: extracted.length,
+  if (primaryIndex !== -1) {
+    logger.agent('code-extracted', {
+      originalLength: response.length,
+      extractedLength: code.length,
       hasCodeBlock: true,
-      generic: true 
+      generic: !JS_LANGUAGES.includes(blocks[primaryIndex].language),
+      blocks: blocks.length,
+      hasProse
     });
-    return extracted;
+    return code;
   }
 
   // No code block found, return trimmed response
-  logger.agent('code-extracted', { 
-    originalLength: response.length, 
+  logger.agent('code-extracted', {
+    originalLength: response.length,
     hasCodeBlock: false,
-    note: 'No code block found, returning raw response' 
+    note: 'No code block found, returning raw response'
   });
-  return response.trim();
+  return code;
+}
+
+/**
+ * File name from a comment on a block's first line ("// utils/add.js")
+ * @param {string} code
+ * @returns {string|null}
+ */
+export function inferFilename(code = '') {
+  const firstLine = code.split('\n').find(line => line.trim()) || '';
+  return safeFilePath(firstLine.match(FILENAME_HEADER)?.[1] || '');
+}
+
+/**
+ * A relative path that can't leave its folder: empty, "." and ".." segments
+ * are dropped, so "../../evil.js" becomes "evil.js" and "/etc/x.js" "etc/x.js"
+ * @param {string} name - Model-written file name
+ * @returns {string|null} - null when nothing usable is left
+ */
+export function safeFilePath(name = '') {
+  const segments = name.split(/[\\/]+/).filter(segment => segment && segment !== '.' && segment !== '..');
+  return segments.length ? segments.join('/') : null;
+}
+
+/**
+ * Monaco language for a block: its fence label, else the file extension,
+ * else a guess (JSON if it parses, JavaScript if unlabeled)
+ * @param {string} label - Fence language ('' = none)
+ * @param {string} code
+ * @param {string|null} filename
+ * @returns {string}
+ */
+export function detectLanguage(label = '', code = '', filename = null) {
+  if (LANGUAGE_ALIASES[label]) return LANGUAGE_ALIASES[label];
+
+  const extension = filename?.split('.').pop().toLowerCase();
+  if (EXTENSION_LANGUAGES[extension]) return EXTENSION_LANGUAGES[extension];
+
+  if (/^\s*[[{]/.test(code)) {
+    try {
+      JSON.parse(code);
+      return 'json';
+    } catch {
+      // Not JSON - an object literal or array expression
+    }
+  }
+  return label ? 'plaintext' : 'javascript';
 }
 
 /**
- * Extract multiple code blocks from a response
+ * Extract every code block from a response, with its language and file name
  * @param {string} response - Raw LLM response
- * @returns {Array<{language: string, code: string}>} - Array of code blocks
+ * @returns {Array<{language: string, label: string, code: string, filename: string|null, primary: boolean}>}
+ *   language is a Monaco id, label the fence's own; primary marks the block extractCode returns
  */
 export function extractAllCodeBlocks(response) {
   if (!response || typeof response !== 'string') {
     return [];
   }
 
-  const blocks = [];
-  const regex = /```(\w*)\n([\s\S]*?)```/g;
-  let match;
-
-  while ((match = regex.exec(response)) !== null) {
-    blocks.push({
-      language: match[1] || 'plaintext',
-      code: match[2].trim()
-    });
-  }
+  const { blocks: scanned, primaryIndex } = scanResponse(response);
+  const blocks = scanned.map((block, index) => {
+    const filename = inferFilename(block.code);
+    return {
+      language: detectLanguage(block.language, block.code, filename),
+      label: block.language,
+      code: block.code,
+      filename,
+      primary: index === primaryIndex
+    };
+  });
 
-  logger.agent('code-blocks-extracted', { count: blocks.length });
+  logger.agent('code-blocks-extracted', { count: blocks.length, named: blocks.filter(block => block.filename).length });
   return blocks;
 }
 
 /**
- * Check if a string contains valid JavaScript syntax (basic check)
+ * Check if a string contains valid JavaScript syntax (module or script)
  * @param {string} code - Code string to validate
- * @returns {{valid: boolean, error: string|null}}
+ * @returns {{valid: boolean, error: string|null, line: number|null, column: number|null}} - 1-based position of the error
  */
 export function validateJavaScript(code) {
-  try {
-    // Use Function constructor to parse without executing
-    new Function(code);
-    return { valid: true, error: null };
-  } catch (e) {
-    return { valid: false, error: e.message };
-  }
+  const { valid, diagnostics } = analyzeCode(code);
+  if (valid) return { valid: true, error: null, line: null, column: null };
+
+  const [{ message, line, column }] = diagnostics;
+  return { valid: false, error: `${message} (line ${line}, column ${column})`, line, column };
 }
 
 /**
@@ -121,8 +344,13 @@ export function cleanCodeArtifacts(code) {
 }
 
 export default {
+  createCodeExtractor,
+  scanResponse,
   extractCode,
   extractAllCodeBlocks,
+  inferFilename,
+  safeFilePath,
+  detectLanguage,
   validateJavaScript,
   cleanCodeArtifacts
 };
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { extractCode, extractAllCodeBlocks, createCodeExtractor } from './codeParser.js';
+
+test('a fence opened after prose on the same line is still a code block', () => {
+  const response = 'Sure! ```javascript\nconst x = 1;\n```';
+  assert.equal(extractCode(response), 'const x = 1;');
+
+  const [block] = extractAllCodeBlocks(response);
+  assert.equal(block.language, 'javascript');
+  assert.equal(block.primary, true);
+});
+
+test('the same inline fence works while streaming', () => {
+  const extractor = createCodeExtractor();
+  extractor.push('Here you go: ```js\nfunction add(a, b) {\n');
+  const partial = extractor.push('  return a + b;\n');
+  assert.equal(partial.code, 'function add(a, b) {\n  return a + b;');
+
+  const final = extractor.push('}\n```\nHope this helps!');
+  assert.equal(extractor.finish().code, 'function add(a, b) {\n  return a + b;\n}');
+  assert.equal(final.inFence, false);
+});
+
+test('unfenced code followed by a stray closing fence keeps the code', () => {
+  const code = 'function add(a, b) {\n  return a + b;\n}';
+  assert.equal(extractCode(`${code}\n\`\`\``), code);
+  assert.equal(extractCode(`function add(a, b) {\n  return a + b;\n}\`\`\``), code);
+
+  const blocks = extractAllCodeBlocks(`${code}\n\`\`\``);
+  assert.equal(blocks.some(block => block.primary), false);
+});
+
+test('an empty block is never the primary one', () => {
+  const response = '```javascript\n```\n\n```js\nconst y = 2;\n```';
+  assert.equal(extractCode(response), 'const y = 2;');
+  assert.deepEqual(extractAllCodeBlocks(response).map(block => block.primary), [false, true]);
+});
@@ -0,0 +1,72 @@
+/**
+ * Conversation Thread Helpers
+ *
+ * Chat mode keeps one /api/chat thread per goal:
+ *   system  → PROMPTS.chatSystem
+ *   user    → the goal
+ *   assistant → code
+ *   user    → test failures (agent retry) or a refinement ("now handle negatives")
+ *   assistant → updated code
+ *   ...
+ *
+ * Messages use Ollama's shape: { role: 'system'|'user'|'assistant', content: string }
+ */
+
+import { PROMPTS } from './ollama.js';
+
+/**
+ * Start a new thread
+ * @returns {Array<{role: string, content: string}>}
+ */
+export function createThread() {
+  return [{ role: 'system', content: PROMPTS.chatSystem }];
+}
+
+/**
+ * The user message for one agent-loop iteration
+ * Used as the loop's buildPrompt in chat mode.
+ * @param {string} goal - Goal or refinement message for this run
+ * @param {string} context - Retry context from the previous attempt ('' on the first attempt)
+ * @returns {string}
+ */
+export function buildTurnMessage(goal, context = '') {
+  return context ? PROMPTS.chatRetry(context) : goal;
+}
+
+/**
+ * The user message for a refinement of the last result
+ * @param {string} instruction - e.g. "now make it handle negative numbers"
+ * @param {string} code - Current code, repeated so the model works from what the user sees
+ * @returns {string}
+ */
+export function buildRefinementMessage(instruction, code = '') {
+  return PROMPTS.chatRefinement(instruction.trim(), code);
+}
+
+/**
+ * The message that hands hand-edited code back to the model
+ * (a chat turn, or the first attempt's context outside chat mode)
+ * @param {string} code - The user's version
+ * @param {string} instruction - What to do next ('' = just continue from it)
+ * @returns {string}
+ */
+export function buildEditMessage(code, instruction = '') {
+  return PROMPTS.humanEdit(code, instruction.trim());
+}
+
+/**
+ * Number of user turns in a thread
+ * @param {Array<{role: string}>} messages
+ * @returns {number}
+ */
+export function countTurns(messages = []) {
+  return messages.filter(message => message.role === 'user').length;
+}
+
+export default {
+  createThread,
+  buildTurnMessage,
+  buildRefinementMessage,
+  buildEditMessage,
+  countTurns
+};
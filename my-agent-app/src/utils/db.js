@@ -0,0 +1,123 @@
+/**
+ * IndexedDB Wrapper
+ *
+ * Minimal promise-based helpers around the browser's IndexedDB API.
+ * All persistence (run history, future memory stores) goes through here
+ * so the schema and version upgrades live in one place.
+ *
+ * IMPORTANT NOTES:
+ * - Bump DB_VERSION whenever a store or index is added
+ * - Add the new store in handleUpgrade; existing data is kept
+ */
+
+import { logger } from './logger.js';
+
+const DB_NAME = 'self-improving-agent';
+const DB_VERSION = 2;
+
+export const STORES = {
+  runs: 'runs', // One record per goal submission
+  meta: 'meta', // Key/value settings such as the last session
+  fixes: 'fixes', // Successful (error, fix) pairs with embeddings - added in v2
+};
+
+let dbPromise = null;
+
+/**
+ * Create stores and indexes for a new or older database
+ * @param {IDBDatabase} db
+ */
+function handleUpgrade(db) {
+  if (!db.objectStoreNames.contains(STORES.runs)) {
+    const runs = db.createObjectStore(STORES.runs, { keyPath: 'id', autoIncrement: true });
+    runs.createIndex('createdAt', 'createdAt');
+  }
+
+  if (!db.objectStoreNames.contains(STORES.meta)) {
+    db.createObjectStore(STORES.meta);
+  }
+
+  if (!db.objectStoreNames.contains(STORES.fixes)) {
+    const fixes = db.createObjectStore(STORES.fixes, { keyPath: 'id', autoIncrement: true });
+    fixes.createIndex('createdAt', 'createdAt');
+  }
+}
+
+/**
+ * Open (or reuse) the database connection
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDB() {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB not supported in this environment'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      logger.db('upgrade', { from: event.oldVersion, to: DB_VERSION });
+      handleUpgrade(request.result);
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another tab upgraded the schema - drop our stale connection
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => logger.db('open-blocked', { note: 'Close other tabs to upgrade the database' });
+  }).catch((error) => {
+    dbPromise = null;
+    logger.error('db', error);
+    throw error;
+  });
+
+  return dbPromise;
+}
+
+/**
+ * Run a callback inside a transaction and resolve once it commits
+ *
+ * The callback must be synchronous - awaiting anything else inside it
+ * lets the transaction auto-commit before the requests are queued.
+ *
+ * @param {string} storeName - Store to open
+ * @param {'readonly'|'readwrite'} mode - Transaction mode
+ * @param {(store: IDBObjectStore) => IDBRequest|void} callback
+ * @returns {Promise<*>} - Result of the request returned by the callback
+ */
+export async function withStore(storeName, mode, callback) {
+  const db = await openDB();
+
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    let request;
+
+    try {
+      request = callback(tx.objectStore(storeName));
+    } catch (error) {
+      tx.abort();
+      reject(error);
+      return;
+    }
+
+    tx.oncomplete = () => resolve(request instanceof IDBRequest ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+export default {
+  openDB,
+  withStore,
+  STORES
+};
@@ -0,0 +1,141 @@
+/**
+ * Fix Memory
+ *
+ * Long-term memory for the agent: every time a failing attempt is
+ * repaired, the (error, fix) pair is embedded with Ollama and stored in
+ * IndexedDB. When a new error comes in, the most similar past fixes are
+ * retrieved by cosine similarity and passed to the reflection prompt.
+ *
+ * Fix record:
+ *   { id, createdAt, goal, error, hypothesis, fix, embedding, embeddingModel }
+ */
+
+import { withStore, STORES } from './db.js';
+import { generateEmbedding, DEFAULT_EMBEDDING_MODEL, OLLAMA_BASE_URL } from './ollama.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_TOP_K = 3;
+export const DEFAULT_MIN_SIMILARITY = 0.5;
+
+/**
+ * Cosine similarity between two vectors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} - Similarity in [-1, 1] (0 if lengths differ or a vector is zero)
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length || a.length === 0) return 0;
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+
+  if (normA === 0 || normB === 0) return 0;
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+/**
+ * Store a successful repair
+ * @param {Object} fix
+ * @param {string} fix.error - Description of what failed
+ * @param {string} fix.fix - Code that fixed it
+ * @param {string} fix.hypothesis - The reflection that led to the fix
+ * @param {string} fix.goal - Goal being worked on
+ * @param {Object} options
+ * @param {string} options.embeddingModel - Ollama embedding model
+ * @param {string} options.baseUrl - Ollama server URL
+ * @returns {Promise<{success: boolean, id: number|null, error: string|null}>}
+ */
+export async function recordFix({ error, fix, hypothesis = null, goal = '' }, options = {}) {
+  const {
+    embeddingModel = DEFAULT_EMBEDDING_MODEL,
+    baseUrl = OLLAMA_BASE_URL
+  } = options;
+
+  const embedded = await generateEmbedding(error, { model: embeddingModel, baseUrl });
+  if (!embedded.success) {
+    logger.embed('record-skipped', { reason: embedded.error });
+    return { success: false, id: null, error: embedded.error };
+  }
+
+  try {
+    const id = await withStore(STORES.fixes, 'readwrite', store => store.add({
+      createdAt: Date.now(),
+      goal,
+      error,
+      hypothesis,
+      fix,
+      embedding: embedded.embedding,
+      embeddingModel
+    }));
+
+    logger.embed('fix-recorded', { id, goal: goal.slice(0, 50) });
+    return { success: true, id, error: null };
+  } catch (err) {
+    logger.error('fixMemory', err);
+    return { success: false, id: null, error: err.message };
+  }
+}
+
+/**
+ * Find the past fixes most similar to an error
+ * @param {string} error - Description of the new failure
+ * @param {Object} options
+ * @param {number} options.k - Number of fixes to return (default: 3)
+ * @param {number} options.minSimilarity - Ignore fixes below this score (default: 0.5)
+ * @param {string} options.embeddingModel - Ollama embedding model
+ * @param {string} options.baseUrl - Ollama server URL
+ * @returns {Promise<Array<{error: string, hypothesis: string|null, fix: string, similarity: number}>>}
+ */
+export async function findSimilarFixes(error, options = {}) {
+  const {
+    k = DEFAULT_TOP_K,
+    minSimilarity = DEFAULT_MIN_SIMILARITY,
+    embeddingModel = DEFAULT_EMBEDDING_MODEL,
+    baseUrl = OLLAMA_BASE_URL
+  } = options;
+
+  try {
+    const fixes = await withStore(STORES.fixes, 'readonly', store => store.getAll());
+    // Vectors from different models live in different spaces
+    const candidates = fixes.filter(f => f.embeddingModel === embeddingModel);
+    if (candidates.length === 0) return [];
+
+    const embedded = await generateEmbedding(error, { model: embeddingModel, baseUrl });
+    if (!embedded.success) {
+      logger.embed('search-skipped', { reason: embedded.error });
+      return [];
+    }
+
+    const matches = candidates
+      .map(f => ({
+        error: f.error,
+        hypothesis: f.hypothesis,
+        fix: f.fix,
+        similarity: Number(cosineSimilarity(embedded.embedding, f.embedding).toFixed(4))
+      }))
+      .filter(m => m.similarity >= minSimilarity)
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, k);
+
+    logger.embed('search-complete', { searched: candidates.length, matches: matches.length });
+    return matches;
+  } catch (err) {
+    logger.error('fixMemory', err);
+    return [];
+  }
+}
+
+export default {
+  cosineSimilarity,
+  recordFix,
+  findSimilarFixes,
+  DEFAULT_TOP_K,
+  DEFAULT_MIN_SIMILARITY
+};
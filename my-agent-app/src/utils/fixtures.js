@@ -0,0 +1,351 @@
+/**
+ * Ollama Fixtures (record & replay)
+ *
+ * Record mode: every callOllama request body and its raw response stream
+ * (as received, with chunk timings) is kept in memory and can be downloaded
+ * as a fixture file.
+ * Replay mode: a loaded fixture answers requests instead of the network,
+ * with the original pacing. The replayed bytes go through the same parsing
+ * as a live response (NDJSON decoder, extractCode, ...), so a fixture from a
+ * bug report reproduces the exact stream that broke.
+ *
+ * Fixture file:
+ *   {
+ *     "version": 1,
+ *     "createdAt": "2024-01-01T00:00:00.000Z",
+ *     "interactions": [
+ *       {
+ *         "endpoint": "/api/generate",
+ *         "request": { "model": "phi3:latest", "prompt": "...", "stream": true },
+ *         "status": 200,
+ *         "headersAt": 412,                              // ms until response headers
+ *         "chunks": [{ "at": 530, "text": "{\"response\":\"fun\"...}\n" }],
+ *         "complete": true                                // false if cancelled/failed mid-stream
+ *       }
+ *     ]
+ *   }
+ *
+ * Requests are matched on endpoint + request body (ignoring `stream`); when
+ * nothing matches, the next unused interaction for that endpoint is served.
+ */
+
+import { logger } from './logger.js';
+
+export const FIXTURE_VERSION = 1;
+export const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+const state = {
+  mode: 'off',
+  recording: [],        // Interactions captured in record mode
+  fixture: null,        // Loaded fixture for replay
+  replayCursor: {},     // endpoint → next interaction index for unmatched requests
+};
+const listeners = new Set();
+
+function notify() {
+  const snapshot = getFixtureState();
+  listeners.forEach(listener => listener(snapshot));
+}
+
+/**
+ * Subscribe to mode/recording/fixture changes
+ * @param {Function} listener - (state) => void
+ * @returns {Function} - Unsubscribe
+ */
+export function subscribeFixtures(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Current fixture state (for UI)
+ * @returns {{mode: string, recordedCount: number, fixtureCount: number, fixtureName: string|null}}
+ */
+export function getFixtureState() {
+  return {
+    mode: state.mode,
+    recordedCount: state.recording.length,
+    fixtureCount: state.fixture?.interactions.length || 0,
+    fixtureName: state.fixture?.name || null,
+  };
+}
+
+/**
+ * Switch mode
+ * @param {'off'|'record'|'replay'} mode
+ */
+export function setFixtureMode(mode) {
+  if (!FIXTURE_MODES.includes(mode)) {
+    throw new Error(`Unknown fixture mode "${mode}"`);
+  }
+  if (mode === 'replay' && !state.fixture) {
+    throw new Error('Load a fixture before switching to replay mode');
+  }
+  state.mode = mode;
+  state.replayCursor = {};
+  logger.ollama('fixture-mode', { mode });
+  notify();
+}
+
+/**
+ * Whether a loaded fixture can answer requests (replay mode, or mock mode with a fixture)
+ * @returns {boolean}
+ */
+export function hasFixture() {
+  return !!state.fixture;
+}
+
+/**
+ * Parse and validate a fixture
+ * @param {string|Object} source - Fixture JSON text or object
+ * @param {string} name - Shown in the UI (e.g. file name)
+ * @returns {Object} - The loaded fixture
+ */
+export function loadFixture(source, name = 'fixture.json') {
+  const fixture = typeof source === 'string' ? JSON.parse(source) : source;
+
+  if (!fixture || !Array.isArray(fixture.interactions)) {
+    throw new Error('Not a fixture file: missing "interactions" array');
+  }
+  if (fixture.version !== FIXTURE_VERSION) {
+    throw new Error(`Unsupported fixture version ${fixture.version} (expected ${FIXTURE_VERSION})`);
+  }
+
+  state.fixture = { ...fixture, name };
+  state.replayCursor = {};
+  logger.ollama('fixture-loaded', { name, interactions: fixture.interactions.length });
+  notify();
+  return state.fixture;
+}
+
+/**
+ * Forget the loaded fixture (leaves replay mode)
+ */
+export function unloadFixture() {
+  state.fixture = null;
+  if (state.mode === 'replay') state.mode = 'off';
+  notify();
+}
+
+/**
+ * Recorded interactions as a fixture object
+ * @returns {Object}
+ */
+export function getRecording() {
+  return {
+    version: FIXTURE_VERSION,
+    createdAt: new Date().toISOString(),
+    interactions: state.recording,
+  };
+}
+
+/**
+ * Recorded interactions as fixture file text
+ * @returns {string}
+ */
+export function serializeRecording() {
+  return JSON.stringify(getRecording(), null, 2);
+}
+
+/**
+ * Drop everything recorded so far
+ */
+export function clearRecording() {
+  state.recording = [];
+  notify();
+}
+
+/**
+ * Comparable form of a request body (stream flag doesn't change the content)
+ * @param {Object} body
+ * @returns {string}
+ */
+function requestKey(body) {
+  const rest = { ...body };
+  delete rest.stream;
+  return JSON.stringify(rest, (key, value) => (
+    value && typeof value === 'object' && !Array.isArray(value)
+      ? Object.fromEntries(Object.keys(value).sort().map(name => [name, value[name]]))
+      : value
+  ));
+}
+
+/**
+ * Pick the interaction that answers a request
+ * @param {string} endpoint
+ * @param {Object} body
+ * @returns {Object|null}
+ */
+function findInteraction(endpoint, body) {
+  const interactions = state.fixture?.interactions || [];
+  const key = requestKey(body);
+
+  const exact = interactions.find(item => item.endpoint === endpoint && requestKey(item.request) === key);
+  if (exact) return exact;
+
+  // Fall back to recorded order, so a demo still plays with slightly different prompts
+  const candidates = interactions.filter(item => item.endpoint === endpoint);
+  if (candidates.length === 0) return null;
+
+  const cursor = state.replayCursor[endpoint] || 0;
+  state.replayCursor[endpoint] = cursor + 1;
+  logger.ollama('fixture-fallback', { endpoint, index: cursor % candidates.length });
+  return candidates[cursor % candidates.length];
+}
+
+const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+
+/**
+ * Wait, but reject as soon as the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(abortError());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(abortError());
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * Serve a recorded interaction as a fetch Response, with the original pacing
+ * @param {Object} interaction
+ * @param {AbortSignal} signal
+ * @returns {Promise<Response>}
+ */
+async function replayInteraction(interaction, signal) {
+  await wait(interaction.headersAt || 0, signal);
+
+  const encoder = new TextEncoder();
+  const chunks = interaction.chunks || [];
+  let previousAt = interaction.headersAt || 0;
+  let index = 0;
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      if (index >= chunks.length) {
+        controller.close();
+        return;
+      }
+      const chunk = chunks[index++];
+      try {
+        await wait(Math.max(0, chunk.at - previousAt), signal);
+      } catch (error) {
+        controller.error(error);
+        return;
+      }
+      previousAt = chunk.at;
+      controller.enqueue(encoder.encode(chunk.text));
+    },
+  });
+
+  return new Response(body, {
+    status: interaction.status || 200,
+    headers: { 'Content-Type': 'application/x-ndjson' },
+  });
+}
+
+/**
+ * Wrap a live Response so its body is recorded as it is read
+ * @param {Response} response
+ * @param {Object} interaction - Filled in place; pushed to the recording when the body ends
+ * @param {number} startTime
+ * @returns {Response}
+ */
+function recordResponse(response, interaction, startTime) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+
+  const finish = (complete) => {
+    const tail = decoder.decode();
+    if (tail) interaction.chunks.push({ at: Date.now() - startTime, text: tail });
+    interaction.complete = complete;
+    state.recording.push(interaction);
+    logger.ollama('fixture-recorded', { endpoint: interaction.endpoint, chunks: interaction.chunks.length, complete });
+    notify();
+  };
+
+  const body = new ReadableStream({
+    async pull(controller) {
+      try {
+        const { done, value } = await reader.read();
+        if (done) {
+          finish(true);
+          controller.close();
+          return;
+        }
+        interaction.chunks.push({ at: Date.now() - startTime, text: decoder.decode(value, { stream: true }) });
+        controller.enqueue(value);
+      } catch (error) {
+        finish(false);
+        controller.error(error);
+      }
+    },
+    cancel(reason) {
+      finish(false);
+      return reader.cancel(reason);
+    },
+  });
+
+  return new Response(body, { status: response.status, statusText: response.statusText, headers: response.headers });
+}
+
+/**
+ * fetch() with fixture support - drop-in for the Ollama generation endpoints
+ * @param {string} url
+ * @param {RequestInit} init
+ * @param {Object} meta
+ * @param {string} meta.endpoint - e.g. '/api/generate'
+ * @param {Object} meta.body - Request body (before JSON.stringify)
+ * @param {boolean} meta.preferFixture - Replay even when mode is off (mock mode with a loaded fixture)
+ * @returns {Promise<Response>}
+ */
+export async function fetchWithFixtures(url, init, { endpoint, body, preferFixture = false }) {
+  if (state.mode === 'replay' || (preferFixture && state.fixture)) {
+    const interaction = findInteraction(endpoint, body);
+    if (!interaction) {
+      throw new Error(`No recorded ${endpoint} interaction in fixture "${state.fixture?.name}"`);
+    }
+    logger.ollama('fixture-replay', { endpoint, chunks: interaction.chunks?.length || 0 });
+    return replayInteraction(interaction, init.signal);
+  }
+
+  if (state.mode !== 'record') {
+    return fetch(url, init);
+  }
+
+  const startTime = Date.now();
+  const response = await fetch(url, init);
+  const interaction = {
+    endpoint,
+    request: body,
+    status: response.status,
+    headersAt: Date.now() - startTime,
+    chunks: [],
+    complete: false,
+  };
+  return recordResponse(response, interaction, startTime);
+}
+
+export default {
+  fetchWithFixtures,
+  setFixtureMode,
+  loadFixture,
+  unloadFixture,
+  hasFixture,
+  getRecording,
+  serializeRecording,
+  clearRecording,
+  getFixtureState,
+  subscribeFixtures,
+  FIXTURE_MODES,
+  FIXTURE_VERSION
+};
@@ -0,0 +1,99 @@
+/**
+ * Generation Parameters
+ *
+ * Model options sent to Ollama as the request's `options` object
+ * (https://github.com/ollama/ollama/blob/main/docs/modelfile.md#valid-parameters-and-values).
+ * Anything left unset falls back to the model's own defaults.
+ *
+ * Usage:
+ *   const parameters = sanitizeParameters({ temperature: '0.2', seed: 42, top_k: '' });
+ *   // → { temperature: 0.2, seed: 42 }
+ *   callOllama(prompt, { parameters });
+ */
+
+/**
+ * Editable parameters, in display order
+ * type: 'float' | 'int' | 'list' (list = array of strings)
+ */
+export const GENERATION_PARAMETERS = [
+  { key: 'temperature', label: 'Temperature', type: 'float', min: 0, max: 2, step: 0.1, hint: 'Lower = more deterministic. 0-0.3 works well for code' },
+  { key: 'top_p', label: 'Top P', type: 'float', min: 0, max: 1, step: 0.05, hint: 'Nucleus sampling: only consider tokens within this probability mass' },
+  { key: 'top_k', label: 'Top K', type: 'int', min: 1, max: 200, step: 1, hint: 'Only consider the K most likely tokens' },
+  { key: 'repeat_penalty', label: 'Repeat penalty', type: 'float', min: 0, max: 2, step: 0.05, hint: 'Penalize repeated tokens (1 = off)' },
+  { key: 'seed', label: 'Seed', type: 'int', min: 0, step: 1, hint: 'Fixed seed + same prompt/parameters = same output' },
+  { key: 'num_ctx', label: 'Context window', type: 'int', min: 256, step: 256, hint: 'Tokens of context (num_ctx)' },
+  { key: 'num_predict', label: 'Max tokens', type: 'int', min: -1, step: 1, hint: 'Maximum tokens to generate, -1 = unlimited (num_predict)' },
+  { key: 'stop', label: 'Stop sequences', type: 'list', hint: 'One per line; generation stops when one is produced. \\n = newline' },
+];
+
+/**
+ * Parse a single value; returns undefined for blank/invalid input
+ * @param {Object} definition - Entry from GENERATION_PARAMETERS
+ * @param {*} value
+ * @returns {number|string[]|undefined}
+ */
+function parseValue(definition, value) {
+  if (definition.type === 'list') {
+    const items = Array.isArray(value) ? value : String(value ?? '').split('\n');
+    const stops = items
+      .map(item => String(item).replace(/\\n/g, '\n').replace(/\\t/g, '\t'))
+      .filter(item => item.trim() !== '' || /[\n\t]/.test(item));
+    return stops.length > 0 ? stops : undefined;
+  }
+
+  if (value === '' || value === null || value === undefined) return undefined;
+
+  const number = Number(value);
+  if (!Number.isFinite(number)) return undefined;
+  if (definition.type === 'int' && !Number.isInteger(number)) return undefined;
+  if (definition.min !== undefined && number < definition.min) return undefined;
+  if (definition.max !== undefined && number > definition.max) return undefined;
+
+  return number;
+}
+
+/**
+ * Keep only known, valid parameters (blank = model default)
+ * @param {Object} parameters - Raw values, e.g. from form inputs
+ * @returns {Object} - Ready to send as Ollama `options`
+ */
+export function sanitizeParameters(parameters = {}) {
+  const sanitized = {};
+
+  for (const definition of GENERATION_PARAMETERS) {
+    const value = parseValue(definition, parameters?.[definition.key]);
+    if (value !== undefined) {
+      sanitized[definition.key] = value;
+    }
+  }
+
+  return sanitized;
+}
+
+/**
+ * Short, readable summary for stats and history ("temperature=0.2 seed=42")
+ * @param {Object} parameters
+ * @returns {string} - '' when everything is on model defaults
+ */
+export function formatParameters(parameters = {}) {
+  return Object.entries(sanitizeParameters(parameters))
+    .map(([key, value]) => `${key}=${Array.isArray(value) ? JSON.stringify(value) : value}`)
+    .join(' ');
+}
+
+/**
+ * Whether two parameter sets produce the same request
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {boolean}
+ */
+export function sameParameters(a = {}, b = {}) {
+  return formatParameters(a) === formatParameters(b);
+}
+
+export default {
+  GENERATION_PARAMETERS,
+  sanitizeParameters,
+  formatParameters,
+  sameParameters
+};
@@ -7,25 +7,24 @@
  * Checks:
  * - Ollama server running and accessible
  * - Required model downloaded
- * - IndexedDB available (for future phases)
- * - Web Workers supported (for future phases)
+ * - IndexedDB available (run history)
+ * - Web Workers supported (test sandbox)
  * - WebAssembly supported (for embeddings in future phases)
  */
 
 import { logger } from './logger.js';
-import { DEFAULT_MODEL } from './ollama.js';
-
-const OLLAMA_BASE_URL = 'http://localhost:11434';
+import { DEFAULT_MODEL, OLLAMA_BASE_URL } from './ollama.js';
 
 /**
  * Check if Ollama server is running
+ * @param {string} baseUrl - Ollama server URL (default: http://localhost:11434)
  * @returns {Promise<{ok: boolean, models: string[], error: string|null}>}
  */
-export async function checkOllama() {
-  logger.health('ollama-check', { url: OLLAMA_BASE_URL });
+export async function checkOllama(baseUrl = OLLAMA_BASE_URL) {
+  logger.health('ollama-check', { url: baseUrl });
   
   try {
-    const response = await fetch(`${OLLAMA_BASE_URL}/api/tags`, {
+    const response = await fetch(`${baseUrl}/api/tags`, {
       method: 'GET',
       signal: AbortSignal.timeout(5000) // 5 second timeout
     });
@@ -48,7 +47,7 @@ export async function checkOllama() {
     const errorMessage = error.name === 'TimeoutError' 
       ? 'Connection timeout - is Ollama running?'
       : error.message.includes('fetch') 
-        ? 'Cannot connect to Ollama - is it running on port 11434?'
+        ? `Cannot connect to Ollama - is it running at ${baseUrl}?`
         : error.message;
     
     logger.health('ollama-check-result', { ok: false, error: errorMessage });
@@ -64,10 +63,12 @@ export async function checkOllama() {
 /**
  * Check if a specific model is available
  * @param {string} modelName - Model to check for
+ * @param {string} baseUrl - Ollama server URL (default: http://localhost:11434)
+ * @param {{ok: boolean, models: string[], error: string|null}} ollamaStatus - Reuse an existing checkOllama result
  * @returns {Promise<{ok: boolean, error: string|null}>}
  */
-export async function checkModel(modelName = DEFAULT_MODEL) {
-  const ollamaStatus = await checkOllama();
+export async function checkModel(modelName = DEFAULT_MODEL, baseUrl = OLLAMA_BASE_URL, ollamaStatus = null) {
+  ollamaStatus = ollamaStatus || await checkOllama(baseUrl);
   
   if (!ollamaStatus.ok) {
     return { ok: false, error: ollamaStatus.error };
@@ -137,6 +138,7 @@ export function checkWasmSupport() {
 /**
  * Run all health checks
  * @param {string} modelName - Model to verify
+ * @param {string} baseUrl - Ollama server URL (default: http://localhost:11434)
  * @returns {Promise<{
  *   allOk: boolean,
  *   checks: {
@@ -148,11 +150,11 @@ export function checkWasmSupport() {
  *   }
  * }>}
  */
-export async function checkAllDependencies(modelName = DEFAULT_MODEL) {
-  logger.health('full-check-start', { model: modelName });
+export async function checkAllDependencies(modelName = DEFAULT_MODEL, baseUrl = OLLAMA_BASE_URL) {
+  logger.health('full-check-start', { model: modelName, baseUrl });
   
-  const ollama = await checkOllama();
-  const model = ollama.ok ? await checkModel(modelName) : { ok: false, error: 'Ollama not available' };
+  const ollama = await checkOllama(baseUrl);
+  const model = ollama.ok ? await checkModel(modelName, baseUrl, ollama) : { ok: false, error: 'Ollama not available' };
   const indexedDB = checkIndexedDB();
   const workers = checkWorkerSupport();
   const wasm = checkWasmSupport();
@@ -194,7 +196,7 @@ export function getStatusMessage(results) {
   return issues.join('\n');
 }
 
-export { DEFAULT_MODEL };
+export { DEFAULT_MODEL, OLLAMA_BASE_URL };
 
 export default {
   checkOllama,
@@ -0,0 +1,87 @@
+/**
+ * Line Diff
+ *
+ * Minimal line-based diff (longest common subsequence) for comparing two
+ * generated functions. Generated code is short, so the O(n·m) table is fine.
+ *
+ * Usage:
+ *   const lines = diffLines(codeA, codeB);
+ *   // → [{ type: 'same', text: 'function add(a, b) {', a: 1, b: 1 },
+ *   //    { type: 'removed', text: '  return a + b;', a: 2, b: null },
+ *   //    { type: 'added', text: '  return Number(a) + Number(b);', a: null, b: 2 }, ...]
+ */
+
+/**
+ * Split code into lines, ignoring trailing whitespace and trailing blank lines
+ * @param {string} text
+ * @returns {string[]}
+ */
+function toLines(text) {
+  if (!text) return [];
+  return text.replace(/\r\n/g, '\n').replace(/\n+$/, '').split('\n').map(line => line.trimEnd());
+}
+
+/**
+ * Diff two texts line by line
+ * @param {string} a - "Before" / left pane
+ * @param {string} b - "After" / right pane
+ * @returns {Array<{type: 'same'|'added'|'removed', text: string, a: number|null, b: number|null}>} - a/b are 1-based line numbers
+ */
+export function diffLines(a, b) {
+  const left = toLines(a);
+  const right = toLines(b);
+
+  // lcs[i][j] = length of the LCS of left[i:] and right[j:]
+  const lcs = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+  for (let i = left.length - 1; i >= 0; i--) {
+    for (let j = right.length - 1; j >= 0; j--) {
+      lcs[i][j] = left[i] === right[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < left.length && j < right.length) {
+    if (left[i] === right[j]) {
+      lines.push({ type: 'same', text: left[i], a: i + 1, b: j + 1 });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      lines.push({ type: 'removed', text: left[i], a: i + 1, b: null });
+      i++;
+    } else {
+      lines.push({ type: 'added', text: right[j], a: null, b: j + 1 });
+      j++;
+    }
+  }
+  while (i < left.length) {
+    lines.push({ type: 'removed', text: left[i], a: i + 1, b: null });
+    i++;
+  }
+  while (j < right.length) {
+    lines.push({ type: 'added', text: right[j], a: null, b: j + 1 });
+    j++;
+  }
+
+  return lines;
+}
+
+/**
+ * Count changed lines
+ * @param {Array} lines - Result of diffLines
+ * @returns {{added: number, removed: number, same: number, identical: boolean}}
+ */
+export function summarizeDiff(lines) {
+  const count = (type) => lines.filter(line => line.type === type).length;
+  const added = count('added');
+  const removed = count('removed');
+  return { added, removed, same: count('same'), identical: added === 0 && removed === 0 };
+}
+
+export default {
+  diffLines,
+  summarizeDiff
+};
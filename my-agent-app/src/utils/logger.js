@@ -8,6 +8,9 @@
  * 
  * Enable verbose mode:
  *   localStorage.setItem('DEBUG', 'true');
+ *
+ * Redirect or silence output (e.g. the Node CLI keeps stdout for results):
+ *   setLogSink(new console.Console(process.stderr));
  */
 
 const isDebugEnabled = () => {
@@ -18,6 +21,17 @@ const isDebugEnabled = () => {
   }
 };
 
+// Anything with console's log/group/groupEnd/error methods
+let sink = console;
+
+/**
+ * Send logs somewhere other than the console
+ * @param {{log: Function, group: Function, groupEnd: Function, error: Function}|null} next - null silences logging
+ */
+export const setLogSink = (next) => {
+  sink = next || { log() {}, group() {}, groupEnd() {}, error() {} };
+};
+
 const formatTimestamp = () => {
   return new Date().toISOString().split('T')[1].slice(0, -1);
 };
@@ -27,13 +41,13 @@ const createLogger = (emoji, category) => (event, data) => {
   const prefix = `${emoji} [${timestamp}] [${category}:${event}]`;
   
   if (isDebugEnabled()) {
-    console.group(prefix);
-    console.log('Data:', data);
-    console.groupEnd();
+    sink.group(prefix);
+    sink.log('Data:', data);
+    sink.groupEnd();
   } else {
-    console.log(prefix, typeof data === 'object' ? '' : data);
+    sink.log(prefix, typeof data === 'object' ? '' : data);
     if (typeof data === 'object' && data !== null) {
-      console.log('  └─', data);
+      sink.log('  └─', data);
     }
   }
 };
@@ -62,7 +76,7 @@ export const logger = {
   
   // Error logs (always visible)
   error: (category, error) => {
-    console.error(`❌ [${formatTimestamp()}] [error:${category}]`, error);
+    sink.error(`❌ [${formatTimestamp()}] [error:${category}]`, error);
   },
   
   // Success logs
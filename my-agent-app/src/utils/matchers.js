@@ -0,0 +1,156 @@
+/**
+ * Test Matchers
+ *
+ * How a test case's result is graded. Runs inside the sandbox worker
+ * (see sandboxRuntime.js), so like deepEqual it only uses plain
+ * JavaScript.
+ *
+ * A test case is { input, expected } plus optional matcher fields:
+ *   { input: [2, 3], expected: 5 }                                   deep-equal (default)
+ *   { input: [0.1, 0.2], expected: 0.3, matcher: 'approx', tolerance: 1e-9 }
+ *   { input: [-1], expected: 'negative', matcher: 'throws' }        message contains (or error name equals)
+ *   { input: [5], matcher: 'predicate', predicate: 'actual.length === input[0]' }
+ *
+ * A predicate is a JavaScript expression over `actual`, `input` and
+ * `expected`, or a function expression called with them.
+ */
+
+import { deepEqual } from './deepEqual.js';
+
+export const DEFAULT_MATCHER = 'deepEqual';
+export const DEFAULT_TOLERANCE = 1e-6;
+
+/**
+ * Available matchers, in display order
+ * option: what the editor's extra field holds for this matcher (null = none)
+ */
+export const MATCHERS = [
+  { id: 'deepEqual', label: 'deep-equal', option: null, hint: 'Return value structurally equals expected' },
+  { id: 'approx', label: 'approx', option: 'tolerance', hint: `Numbers (or arrays of numbers) within the tolerance (default ${DEFAULT_TOLERANCE})` },
+  { id: 'throws', label: 'throws', option: null, hint: 'The call throws; a string expected value must appear in the message (or equal the error name)' },
+  { id: 'predicate', label: 'custom predicate', option: 'predicate', hint: 'Expression over actual, input, expected - e.g. actual.length === input[0]' },
+];
+
+/**
+ * Matcher fields of a test case, without the unset ones
+ * @param {Object} test
+ * @returns {{matcher?: string, tolerance?: number, predicate?: string}}
+ */
+export function pickMatcher(test = {}) {
+  const fields = {};
+  if (test.matcher && test.matcher !== DEFAULT_MATCHER) fields.matcher = test.matcher;
+  if (test.tolerance !== undefined) fields.tolerance = test.tolerance;
+  if (test.predicate !== undefined) fields.predicate = test.predicate;
+  return fields;
+}
+
+/**
+ * Whether two values are equal within a tolerance (numbers, recursively through arrays)
+ * @param {*} actual
+ * @param {*} expected
+ * @param {number} tolerance
+ * @returns {boolean}
+ */
+export function approxEqual(actual, expected, tolerance = DEFAULT_TOLERANCE) {
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    if (Number.isNaN(actual) || Number.isNaN(expected)) return Number.isNaN(actual) && Number.isNaN(expected);
+    return actual === expected || Math.abs(actual - expected) <= tolerance;
+  }
+  if (Array.isArray(actual) && Array.isArray(expected)) {
+    return actual.length === expected.length &&
+      actual.every((value, i) => approxEqual(value, expected[i], tolerance));
+  }
+  return deepEqual(actual, expected);
+}
+
+/**
+ * Evaluate a custom predicate
+ * @param {string} source - Expression or function expression
+ * @param {*} actual
+ * @param {Array} input
+ * @param {*} expected
+ * @returns {boolean}
+ */
+export function evaluatePredicate(source, actual, input, expected) {
+  const evaluate = new Function('actual', 'input', 'expected', `return (${source});`);
+  const result = evaluate(actual, input, expected);
+  return Boolean(typeof result === 'function' ? result(actual, input, expected) : result);
+}
+
+/**
+ * Grade one call of the function under test
+ * @param {Object} test - { input, expected, matcher?, tolerance?, predicate? }
+ * @param {{actual: *, error: Object|null}} outcome - Return value, or the serialized error it threw
+ * @returns {{passed: boolean, actual: *, error: Object|null}}
+ *   error is kept for a passing 'throws' test so the UI can show what was thrown
+ */
+export function gradeOutcome(test, { actual, error }) {
+  const { input, expected, matcher = DEFAULT_MATCHER, tolerance = DEFAULT_TOLERANCE, predicate } = test;
+
+  if (matcher === 'throws') {
+    if (!error) return { passed: false, actual, error: null };
+    const passed = typeof expected !== 'string' || expected === '' ||
+      error.message.includes(expected) || error.name === expected;
+    return { passed, actual: undefined, error };
+  }
+
+  if (error) {
+    return { passed: false, actual: undefined, error };
+  }
+
+  switch (matcher) {
+    case 'approx':
+      return { passed: approxEqual(actual, expected, tolerance), actual, error: null };
+    case 'predicate':
+      try {
+        return { passed: evaluatePredicate(predicate || 'false', actual, input, expected), actual, error: null };
+      } catch (e) {
+        return {
+          passed: false,
+          actual,
+          error: { name: 'PredicateError', message: `Predicate failed: ${e.message}`, stack: '' }
+        };
+      }
+    case DEFAULT_MATCHER:
+      return { passed: deepEqual(actual, expected), actual, error: null };
+    default:
+      return {
+        passed: false,
+        actual,
+        error: { name: 'MatcherError', message: `Unknown matcher: ${matcher}`, stack: '' }
+      };
+  }
+}
+
+/**
+ * What a test case expects, in words - for failure messages and prompts
+ * @param {Object} test
+ * @returns {string} - e.g. 'expected 0.3 (± 1e-9)', 'expected it to throw "negative"'
+ */
+export function describeExpectation(test) {
+  const { expected, matcher = DEFAULT_MATCHER, tolerance = DEFAULT_TOLERANCE, predicate } = test;
+
+  switch (matcher) {
+    case 'approx':
+      return `expected ${JSON.stringify(expected)} (± ${tolerance})`;
+    case 'throws':
+      return typeof expected === 'string' && expected !== ''
+        ? `expected it to throw "${expected}"`
+        : 'expected it to throw';
+    case 'predicate':
+      return `expected a result satisfying: ${predicate}`;
+    default:
+      return `expected ${JSON.stringify(expected)}`;
+  }
+}
+
+export default {
+  MATCHERS,
+  DEFAULT_MATCHER,
+  DEFAULT_TOLERANCE,
+  pickMatcher,
+  approxEqual,
+  evaluatePredicate,
+  gradeOutcome,
+  describeExpectation
+};
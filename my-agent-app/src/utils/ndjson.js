@@ -0,0 +1,104 @@
+/**
+ * NDJSON Decoder
+ *
+ * Ollama streams newline-delimited JSON: one object per line. Network reads
+ * do not line up with those lines - a single read can end in the middle of
+ * an object (or of a multi-byte character), so lines are buffered until
+ * their newline arrives.
+ *
+ * Usage:
+ *   const decoder = createNdjsonDecoder({
+ *     onMessage: (json) => console.log(json.response),
+ *     onWarning: (warning) => console.warn(warning.message),
+ *   });
+ *   decoder.push(bytes);   // Uint8Array or string, any number of times
+ *   decoder.flush();       // at end of stream: parse a trailing line without "\n"
+ */
+
+/**
+ * @typedef {Object} NdjsonWarning
+ * @property {number} line - 1-based line number in the stream
+ * @property {string} message - Why the line was skipped
+ * @property {string} text - The offending line (truncated to 200 chars)
+ */
+
+const WARNING_TEXT_LIMIT = 200;
+
+/**
+ * Create a line-buffered NDJSON decoder
+ * @param {Object} handlers
+ * @param {Function} handlers.onMessage - (json) => void, called once per parsed line
+ * @param {Function} handlers.onWarning - (warning: NdjsonWarning) => void, called for malformed lines
+ * @returns {{push: Function, flush: Function, warnings: NdjsonWarning[]}}
+ */
+export function createNdjsonDecoder({ onMessage = null, onWarning = null } = {}) {
+  const textDecoder = new TextDecoder();
+  const warnings = [];
+  let buffer = '';
+  let lineNumber = 0;
+
+  const parseLine = (line) => {
+    lineNumber++;
+    const trimmed = line.trim();
+    if (!trimmed) return;
+
+    let json;
+    try {
+      json = JSON.parse(trimmed);
+    } catch (error) {
+      const warning = {
+        line: lineNumber,
+        message: `Malformed JSON: ${error.message}`,
+        text: trimmed.slice(0, WARNING_TEXT_LIMIT),
+      };
+      warnings.push(warning);
+      onWarning?.(warning);
+      return;
+    }
+
+    onMessage?.(json);
+  };
+
+  /**
+   * Feed the next piece of the stream
+   * @param {Uint8Array|string} chunk
+   */
+  const push = (chunk) => {
+    buffer += typeof chunk === 'string' ? chunk : textDecoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex);
+      buffer = buffer.slice(newlineIndex + 1);
+      parseLine(line);
+    }
+  };
+
+  /**
+   * Parse whatever is left once the stream has ended
+   */
+  const flush = () => {
+    buffer += textDecoder.decode();
+    const rest = buffer;
+    buffer = '';
+    parseLine(rest);
+  };
+
+  return { push, flush, warnings };
+}
+
+/**
+ * Generation speed from Ollama's final chunk
+ * @param {number} evalCount - Generated tokens (eval_count)
+ * @param {number} evalDuration - Generation time in nanoseconds (eval_duration)
+ * @returns {number|null} - Tokens per second (1 decimal), or null when unknown
+ */
+export function computeTokensPerSecond(evalCount, evalDuration) {
+  if (!evalCount || !evalDuration) return null;
+  return Math.round((evalCount / (evalDuration / 1e9)) * 10) / 10;
+}
+
+export default {
+  createNdjsonDecoder,
+  computeTokensPerSecond
+};
@@ -5,16 +5,23 @@
  * 
  * IMPORTANT NOTES:
  * - Ollama must be running locally: `ollama serve`
- * - Default endpoint: http://localhost:11434
+ * - Default endpoint: http://localhost:11434 (override per request with `baseUrl`)
  * - Use `stream: false` to get a single JSON response
  * - Without stream: false, Ollama returns newline-delimited JSON (NDJSON)
  */
 
 import { logger } from './logger.js';
+import { createNdjsonDecoder, computeTokensPerSecond } from './ndjson.js';
+import { sanitizeParameters } from './generationParams.js';
+import { CODE_RESPONSE_SCHEMA, parseStructuredResponse } from './structuredOutput.js';
+import { TEST_SUITE_SCHEMA, parseTestSuite } from './testGeneration.js';
+import { fetchWithFixtures, hasFixture } from './fixtures.js';
 
-const OLLAMA_BASE_URL = 'http://localhost:11434';
+export const OLLAMA_BASE_URL = 'http://localhost:11434';
 export const DEFAULT_MODEL = 'phi3:latest'; // Changed from codellama:7b for better laptop performance
+export const DEFAULT_EMBEDDING_MODEL = 'nomic-embed-text'; // Small local embedding model: ollama pull nomic-embed-text
 const DEFAULT_TIMEOUT = 60000; // 60 seconds for code generation
+const EMBEDDING_TIMEOUT = 15000; // 15 seconds per embedding
 
 /**
  * Prompt templates for different operations
@@ -40,6 +47,68 @@ ERROR: ${error}
 ${similarFixes.length > 0 ? `SIMILAR PAST FIXES:\n${JSON.stringify(similarFixes, null, 2)}` : ''}
 
 Provide a brief hypothesis for what went wrong and how to fix it. Be concise.`,
+
+  // Structured mode: the response is JSON constrained by CODE_RESPONSE_SCHEMA
+  structuredGeneration: (goal, context = '') => `You are a JavaScript code generator. Respond with a JSON object only.
+
+TASK: ${goal}
+${context ? `\nCONTEXT FROM PREVIOUS ATTEMPTS:\n${context}` : ''}
+JSON fields:
+- "functionName": name of the main function
+- "code": complete, executable JavaScript including the function definition (no markdown fences)
+- "explanation": one or two sentences on how the code works
+- "assumptions": array of strings, assumptions you made about inputs or behaviour`,
+
+  structuredRetry: (errors) => `
+
+Your previous response did not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
+Respond again with a JSON object containing functionName, code, explanation and assumptions.`,
+
+  // Test cases for a free-form goal, JSON constrained by TEST_SUITE_SCHEMA
+  testGeneration: (goal, functionName = null) => `You write test cases for a JavaScript function. Respond with a JSON object only.
+
+TASK THE FUNCTION SOLVES: ${goal}
+${functionName ? `FUNCTION NAME: ${functionName}\n` : ''}
+JSON fields:
+- "functionName": name of the function under test
+- "tests": array of 4 to 8 test cases, each { "input": [...arguments], "expected": return value }
+
+Rules:
+- "input" is always the list of arguments: [2, 3] for add(2, 3), [[1, 2]] for a single array argument
+- "expected" is the exact return value as JSON
+- Cover typical cases and the edge cases the task defines (empty input, zero, negatives)
+- Do not invent behaviour the task leaves open`,
+
+  testGenerationRetry: (errors) => `
+
+Your previous response did not match the required JSON format:
+${errors.map(error => `- ${error}`).join('\n')}
+Respond again with a JSON object containing functionName and tests.`,
+
+  // Chat mode (/api/chat): the system message stays at the top of the thread
+  chatSystem: `You are a JavaScript code generator in a conversation with a developer.
+Every reply must contain the complete, updated code in a single \`\`\`javascript ... \`\`\` block.
+Include the function definition and no explanations outside the code block.
+Keep earlier requirements unless the developer asks to change them.`,
+
+  chatRetry: (context) => `The code you wrote does not work yet.
+
+${context}
+
+Reply with the complete, fixed code.`,
+
+  chatRefinement: (instruction, code) => `Change the current code: ${instruction}
+${code ? `\nCURRENT CODE:\n\`\`\`javascript\n${code}\n\`\`\`\n` : ''}
+Reply with the complete, updated code.`,
+
+  // The developer fixed the code by hand: a chat turn, or the first attempt's context outside chat mode
+  humanEdit: (code, instruction = '') => `I corrected your code by hand. This is my version - treat it as the current code and continue from it, keeping my changes:
+\`\`\`javascript
+${code}
+\`\`\`
+${instruction ? `\n${instruction}\n` : ''}
+Reply with the complete code.`,
 };
 
 /**
@@ -48,76 +117,179 @@ Provide a brief hypothesis for what went wrong and how to fix it. Be concise.`,
  * @param {string} prompt - The prompt to send
  * @param {Object} options - Configuration options
  * @param {string} options.model - Model to use (default: phi3:latest)
+ * @param {string} options.baseUrl - Ollama server URL (default: http://localhost:11434)
  * @param {boolean} options.stream - Whether to stream response (default: true)
  * @param {Function} options.onChunk - Callback for streaming chunks: (chunk: string) => void
  * @param {number} options.timeout - Request timeout in ms (default: 60000)
- * @param {boolean} options.useMock - Force mock response (for testing/offline)
- * @returns {Promise<{success: boolean, response: string, error: string|null, duration: number}>}
+ * @param {boolean} options.useMock - Force mock response (for testing/offline); replays the loaded fixture if there is one
+ * @param {AbortSignal} options.signal - Cancels the request; partial output is returned with cancelled: true
+ * @param {Object} options.parameters - Model options sent as Ollama's `options` (temperature, seed, ...; see generationParams.js)
+ * @param {Object|string} options.format - Ollama `format`: a JSON schema or 'json' to constrain the output
+ * @returns {Promise<{success: boolean, response: string, error: string|null, duration: number, tokens: Object, warnings?: Array, cancelled?: boolean}>}
+ *   tokens: { prompt, generated, total, perSecond } - perSecond comes from Ollama's eval_duration
+ *   warnings: malformed stream lines that were skipped (see ndjson.js)
  */
 export async function callOllama(prompt, options = {}) {
+  return requestOllama('/api/generate', { prompt }, prompt, options);
+}
+
+/**
+ * Send a conversation to Ollama's chat endpoint
+ * Same options and result as callOllama; `response` is the assistant's reply.
+ * 
+ * @param {Array<{role: 'system'|'user'|'assistant', content: string}>} messages - The whole thread so far
+ * @param {Object} options - See callOllama
+ * @returns {Promise<{success: boolean, response: string, error: string|null, duration: number, tokens: Object, warnings?: Array, cancelled?: boolean}>}
+ */
+export async function chatOllama(messages, options = {}) {
+  const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+  return requestOllama('/api/chat', { messages }, lastUserMessage?.content || '', options);
+}
+
+/**
+ * POST to an Ollama generation endpoint (/api/generate or /api/chat)
+ * @param {string} endpoint - API path
+ * @param {Object} payload - Endpoint-specific body fields (prompt or messages)
+ * @param {string} promptText - Text used for logging and mock responses
+ * @param {Object} options - See callOllama
+ */
+async function requestOllama(endpoint, payload, promptText, options) {
   const {
     model = DEFAULT_MODEL,
+    baseUrl = OLLAMA_BASE_URL,
     stream = true, // Default to streaming for real-time updates
     onChunk = null,
     timeout = DEFAULT_TIMEOUT,
-    useMock = false
+    useMock = false,
+    signal = null,
+    parameters = {},
+    format = null
   } = options;
 
+  const modelOptions = sanitizeParameters(parameters);
   const startTime = Date.now();
   
   logger.ollama('request', { 
+    endpoint,
     model, 
-    promptLength: prompt.length,
-    promptPreview: prompt.slice(0, 100) + '...',
+    baseUrl,
+    promptLength: promptText.length,
+    promptPreview: promptText.slice(0, 100) + '...',
     stream,
-    useMock
+    useMock,
+    parameters: modelOptions,
+    structured: !!format
   });
 
   // Mock mode for testing/offline development
-  if (useMock) {
-    return getMockResponse(prompt);
+  // (a loaded fixture replaces the canned responses - see fixtures.js)
+  const replayFixture = useMock && hasFixture();
+  if (useMock && !replayFixture) {
+    if (format === TEST_SUITE_SCHEMA) return getMockTestSuiteResponse(promptText);
+    return format ? getMockStructuredResponse(promptText) : getMockResponse(promptText);
+  }
+
+  // One controller for both the timeout and user cancellation,
+  // so we can tell them apart when the fetch rejects
+  const controller = new AbortController();
+  let cancelledByUser = false;
+  const handleUserAbort = () => {
+    cancelledByUser = true;
+    controller.abort();
+  };
+
+  if (signal?.aborted) {
+    handleUserAbort();
+  } else {
+    signal?.addEventListener('abort', handleUserAbort, { once: true });
   }
 
+  // Declared outside try so a failed fetch (cancel, connection refused) still clears it
+  const timeoutId = setTimeout(() => controller.abort(), timeout);
+
   try {
-    const controller = new AbortController();
-    const timeoutId = setTimeout(() => controller.abort(), timeout);
+    const body = {
+      model,
+      ...payload,
+      stream, // IMPORTANT: false = single JSON response, true = NDJSON stream
+      // Omitted when empty so the model's Modelfile defaults apply
+      ...(Object.keys(modelOptions).length > 0 && { options: modelOptions }),
+      ...(format && { format }),
+    };
 
-    const response = await fetch(`${OLLAMA_BASE_URL}/api/generate`, {
+    // Plain fetch unless fixtures are recording or replaying
+    const response = await fetchWithFixtures(`${baseUrl}${endpoint}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
       },
-      body: JSON.stringify({
-        model,
-        prompt,
-        stream, // IMPORTANT: false = single JSON response, true = NDJSON stream
-      }),
+      body: JSON.stringify(body),
       signal: controller.signal
-    });
+    }, { endpoint, body, preferFixture: replayFixture });
 
     clearTimeout(timeoutId);
 
     if (!response.ok) {
-      throw new Error(`Ollama returned HTTP ${response.status}: ${response.statusText}`);
+      // Ollama explains most failures in a JSON body, e.g. { "error": "model \"x\" not found" }
+      const detail = await response.json().catch(() => null);
+      throw new Error(detail?.error
+        ? `Ollama returned HTTP ${response.status}: ${detail.error}`
+        : `Ollama returned HTTP ${response.status}: ${response.statusText}`);
     }
 
     let responseText;
-    let tokens = { prompt: 0, generated: 0, total: 0 };
+    let tokens;
+    let warnings = [];
     
     if (stream) {
       // Handle streaming NDJSON response with real-time callbacks
-      const streamResult = await handleStreamingResponse(response, onChunk);
+      const streamResult = await handleStreamingResponse(response, onChunk, controller.signal);
       responseText = streamResult.response;
       tokens = streamResult.tokens;
+      warnings = streamResult.warnings;
+
+      if (streamResult.aborted && cancelledByUser) {
+        return getCancelledResult(responseText, tokens, startTime);
+      }
+
+      // Ollama reports failures mid-stream (e.g. model crashed, out of memory)
+      if (streamResult.error) {
+        const duration = Date.now() - startTime;
+        logger.ollama('error', { error: streamResult.error, duration: `${duration}ms`, partialLength: responseText.length });
+        return {
+          success: false,
+          response: responseText,
+          error: `Ollama error: ${streamResult.error}`,
+          duration,
+          tokens,
+          warnings
+        };
+      }
+
+      // No final `done` chunk: the connection dropped (or timed out) mid-answer
+      if (!streamResult.complete) {
+        const duration = Date.now() - startTime;
+        const error = streamResult.aborted
+          ? `Request timed out after ${timeout}ms`
+          : 'Ollama stream ended before the response was complete (connection closed early)';
+        logger.ollama('error', { error, duration: `${duration}ms`, partialLength: responseText.length });
+        return {
+          success: false,
+          response: responseText,
+          error,
+          duration,
+          tokens,
+          warnings
+        };
+      }
     } else {
       // Handle single JSON response
       const data = await response.json();
-      responseText = data.response;
-      tokens = {
-        prompt: data.prompt_eval_count || 0,
-        generated: data.eval_count || 0,
-        total: (data.prompt_eval_count || 0) + (data.eval_count || 0)
-      };
+      if (data.error) {
+        throw new Error(`Ollama error: ${data.error}`);
+      }
+      responseText = getResponseText(data);
+      tokens = getTokenUsage(data);
     }
 
     const duration = Date.now() - startTime;
@@ -127,6 +299,8 @@ export async function callOllama(prompt, options = {}) {
       responseLength: responseText.length,
       duration: `${duration}ms`,
       tokens: tokens.total,
+      tokensPerSecond: tokens.perSecond,
+      warnings: warnings.length,
       responsePreview: responseText.slice(0, 100) + '...'
     });
 
@@ -135,17 +309,22 @@ export async function callOllama(prompt, options = {}) {
       response: responseText,
       error: null,
       duration,
-      tokens
+      tokens,
+      warnings
     };
 
   } catch (error) {
+    if (cancelledByUser) {
+      return getCancelledResult('', { prompt: 0, generated: 0, total: 0 }, startTime);
+    }
+
     const duration = Date.now() - startTime;
     
     let errorMessage;
     if (error.name === 'AbortError') {
       errorMessage = `Request timed out after ${timeout}ms`;
     } else if (error.message.includes('fetch')) {
-      errorMessage = 'Cannot connect to Ollama. Is it running? Try: ollama serve';
+      errorMessage = `Cannot connect to Ollama at ${baseUrl}. Is it running? Try: ollama serve`;
     } else {
       errorMessage = error.message;
     }
@@ -159,60 +338,202 @@ export async function callOllama(prompt, options = {}) {
       duration,
       tokens: { prompt: 0, generated: 0, total: 0 }
     };
+  } finally {
+    clearTimeout(timeoutId);
+    signal?.removeEventListener('abort', handleUserAbort);
   }
 }
 
+/**
+ * Build the result for a request the user cancelled
+ * Not an error: whatever streamed in before the cancel is kept.
+ * @param {string} partialResponse - Text received before cancelling
+ * @param {{prompt: number, generated: number, total: number}} tokens
+ * @param {number} startTime
+ * @returns {{success: false, cancelled: true, response: string, error: null, duration: number, tokens: Object}}
+ */
+function getCancelledResult(partialResponse, tokens, startTime) {
+  const duration = Date.now() - startTime;
+  logger.ollama('cancelled', { partialLength: partialResponse.length, duration: `${duration}ms` });
+
+  return {
+    success: false,
+    cancelled: true,
+    response: partialResponse,
+    error: null,
+    duration,
+    tokens
+  };
+}
+
+/**
+ * Generated text in an Ollama response object
+ * /api/generate puts it in `response`, /api/chat in `message.content`
+ * @param {Object} data
+ * @returns {string}
+ */
+function getResponseText(data) {
+  return data.response ?? data.message?.content ?? '';
+}
+
+/**
+ * Token usage from an Ollama response object (final stream chunk or non-streaming body)
+ * @param {Object} data - Has prompt_eval_count, eval_count, eval_duration (ns)
+ * @returns {{prompt: number, generated: number, total: number, perSecond: number|null}}
+ */
+function getTokenUsage(data) {
+  const prompt = data.prompt_eval_count || 0;
+  const generated = data.eval_count || 0;
+  return {
+    prompt,
+    generated,
+    total: prompt + generated,
+    perSecond: computeTokensPerSecond(data.eval_count, data.eval_duration)
+  };
+}
+
 /**
  * Handle streaming NDJSON response from Ollama
+ * Lines are buffered across reads (see ndjson.js). Malformed lines are skipped
+ * and reported as warnings; an `{"error": ...}` line ends the stream with an error.
+ * `complete` is false when the body ended without the final `done: true` chunk.
  * @param {Response} response - Fetch response object
- * @param {Function|null} onChunk - Optional callback for each chunk: (chunk: string) => void
- * @returns {Promise<{response: string, tokens: {prompt: number, generated: number, total: number}}>}
+ * @param {Function|null} onChunk - Callback for each text chunk
+ * @param {AbortSignal|null} signal - When aborted, stops reading and returns what arrived so far
+ * @returns {Promise<{response: string, tokens: Object, aborted: boolean, complete: boolean, error: string|null, warnings: Array}>}
  */
-async function handleStreamingResponse(response, onChunk = null) {
+async function handleStreamingResponse(response, onChunk = null, signal = null) {
   const reader = response.body.getReader();
-  const decoder = new TextDecoder();
   let fullResponse = '';
-  let promptTokens = 0;
-  let generatedTokens = 0;
-
-  while (true) {
-    const { done, value } = await reader.read();
-    if (done) break;
+  let tokens = { prompt: 0, generated: 0, total: 0, perSecond: null };
+  let streamError = null;
+  let aborted = false;
+  let complete = false;
+
+  const decoder = createNdjsonDecoder({
+    onMessage: (json) => {
+      if (streamError) return; // Nothing after an error line is trusted
+      if (json.error) {
+        streamError = json.error;
+        return;
+      }
+      const text = getResponseText(json);
+      if (text) {
+        fullResponse += text;
+        // Call callback with new chunk for real-time updates
+        if (onChunk) {
+          onChunk(text);
+        }
+      }
+      // Capture token counts from the final chunk (when done: true)
+      if (json.done) {
+        tokens = getTokenUsage(json);
+        complete = true;
+      }
+    },
+    onWarning: (warning) => {
+      logger.ollama('stream-warning', warning);
+    }
+  });
 
-    const chunk = decoder.decode(value, { stream: true });
-    const lines = chunk.split('\n').filter(line => line.trim());
+  // Cancel the reader so a pending read() settles and the connection is released
+  const handleAbort = () => {
+    aborted = true;
+    reader.cancel().catch(() => {});
+  };
+  signal?.addEventListener('abort', handleAbort, { once: true });
 
-    for (const line of lines) {
+  try {
+    while (true) {
+      let result;
       try {
-        const json = JSON.parse(line);
-        if (json.response) {
-          fullResponse += json.response;
-          // Call callback with new chunk for real-time updates
-          if (onChunk) {
-            onChunk(json.response);
-          }
-        }
-        // Capture token counts from the final chunk (when done: true)
-        if (json.done) {
-          promptTokens = json.prompt_eval_count || 0;
-          generatedTokens = json.eval_count || 0;
+        result = await reader.read();
+      } catch (error) {
+        if (aborted || error.name === 'AbortError') {
+          aborted = true;
+          break;
         }
-      } catch {
-        // Skip malformed JSON lines
+        throw error;
+      }
+
+      const { done, value } = result;
+      if (aborted) break;
+      if (done) {
+        decoder.flush();
+        break;
+      }
+
+      decoder.push(value);
+
+      if (streamError) {
+        reader.cancel().catch(() => {});
+        break;
       }
     }
+  } finally {
+    signal?.removeEventListener('abort', handleAbort);
+    reader.releaseLock();
   }
 
   return {
     response: fullResponse,
-    tokens: {
-      prompt: promptTokens,
-      generated: generatedTokens,
-      total: promptTokens + generatedTokens
-    }
+    tokens,
+    aborted,
+    complete,
+    error: streamError,
+    warnings: decoder.warnings
+  };
+}
+
+/**
+ * Mock response for structured mode: the normal mock code wrapped in the JSON shape
+ * @param {string} prompt
+ * @returns {{success: boolean, response: string, error: null, duration: number, tokens: Object}}
+ */
+function getMockStructuredResponse(prompt) {
+  const mock = getMockResponse(prompt);
+  const code = extractMockCode(mock.response);
+  const functionName = code.match(/^function\s+([A-Za-z_$][\w$]*)/m)?.[1] || 'solution';
+
+  return {
+    ...mock,
+    response: JSON.stringify({
+      functionName,
+      code,
+      explanation: 'Mock response - generated without calling Ollama.',
+      assumptions: []
+    })
   };
 }
 
+/**
+ * Mock response for test generation: tests the canned mock code passes
+ * @param {string} prompt
+ * @returns {{success: boolean, response: string, error: null, duration: number, tokens: Object}}
+ */
+function getMockTestSuiteResponse(prompt) {
+  // Match on the goal only - the instructions mention add(2, 3)
+  const task = prompt.match(/^TASK THE FUNCTION SOLVES: (.*)$/m)?.[1] || prompt;
+  const mock = getMockResponse(task);
+  const functionName = extractMockCode(mock.response).match(/^function\s+([A-Za-z_$][\w$]*)/m)?.[1] || 'solution';
+  const tests = {
+    add: [{ input: [2, 3], expected: 5 }, { input: [-1, 1], expected: 0 }, { input: [0, 0], expected: 0 }],
+    reverse: [{ input: ['hello'], expected: 'olleh' }, { input: [''], expected: '' }],
+    fibonacci: [{ input: [0], expected: 0 }, { input: [1], expected: 1 }, { input: [10], expected: 55 }],
+  }[functionName] || [{ input: [1], expected: 1 }, { input: ['text'], expected: 'text' }];
+
+  return { ...mock, response: JSON.stringify({ functionName, tests }) };
+}
+
+/**
+ * Strip the markdown fence from a mock response
+ * @param {string} response
+ * @returns {string}
+ */
+function extractMockCode(response) {
+  return response.replace(/^```\w*\n/, '').replace(/\n?```\s*$/, '');
+}
+
 /**
  * Generate a mock response for testing/offline mode
  * @param {string} prompt - The prompt (used to determine mock type)
@@ -286,6 +607,108 @@ export async function generateCode(goal, context = '', options = {}) {
   return callOllama(prompt, streamOptions);
 }
 
+/**
+ * Generate code as structured JSON (Ollama `format` + schema validation)
+ * Retries once, telling the model what was wrong, if the response doesn't match the schema.
+ * @param {string} goal - The coding goal
+ * @param {string} context - Additional context (e.g., previous errors)
+ * @param {Object} options - Ollama options (see callOllama)
+ * @returns {Promise<{success: boolean, response: string, structured: Object|null, validationErrors: string[], attempts: number, error: string|null, duration: number, tokens: Object}>}
+ */
+export async function generateStructuredCode(goal, context = '', options = {}) {
+  const basePrompt = PROMPTS.structuredGeneration(goal, context);
+  const requestOptions = { stream: true, ...options, format: CODE_RESPONSE_SCHEMA };
+
+  let result = await callOllama(basePrompt, requestOptions);
+  let attempts = 1;
+  const first = result;
+  let parsed = result.success ? parseStructuredResponse(result.response) : null;
+
+  if (parsed && !parsed.valid) {
+    logger.ollama('structured-retry', { errors: parsed.errors });
+    result = await callOllama(basePrompt + PROMPTS.structuredRetry(parsed.errors), requestOptions);
+    attempts++;
+    parsed = result.success ? parseStructuredResponse(result.response) : null;
+  }
+
+  // Report the cost of both attempts
+  const totals = attempts === 1 ? {} : {
+    duration: first.duration + result.duration,
+    tokens: {
+      ...result.tokens,
+      prompt: first.tokens.prompt + result.tokens.prompt,
+      generated: first.tokens.generated + result.tokens.generated,
+      total: first.tokens.total + result.tokens.total
+    }
+  };
+
+  if (!result.success) {
+    return { ...result, ...totals, structured: null, validationErrors: [], attempts };
+  }
+
+  if (!parsed.valid) {
+    return {
+      ...result,
+      ...totals,
+      success: false,
+      structured: null,
+      validationErrors: parsed.errors,
+      attempts,
+      error: `Response did not match the JSON schema: ${parsed.errors.join('; ')}`
+    };
+  }
+
+  return { ...result, ...totals, structured: parsed.data, validationErrors: [], attempts };
+}
+
+/**
+ * Ask the model for test cases for a goal (see testGeneration.js)
+ * Retries once, telling the model what was wrong, if the suite doesn't validate.
+ * The tests are a proposal: show them to the user before grading with them.
+ * @param {string} goal - The coding goal
+ * @param {Object} options - Ollama options (see callOllama), plus:
+ * @param {string} options.functionName - Name the tests should call (optional)
+ * @returns {Promise<{success: boolean, response: string, suite: {functionName: string, tests: Array}|null, validationErrors: string[], attempts: number, error: string|null, duration: number, tokens: Object}>}
+ */
+export async function generateTests(goal, options = {}) {
+  const { functionName = null, ...ollamaOptions } = options;
+  const basePrompt = PROMPTS.testGeneration(goal, functionName);
+  // Nothing to show while it streams, so take the whole response at once
+  const requestOptions = { stream: false, ...ollamaOptions, format: TEST_SUITE_SCHEMA };
+
+  let result = await callOllama(basePrompt, requestOptions);
+  let attempts = 1;
+  let duration = result.duration;
+  let parsed = result.success ? parseTestSuite(result.response) : null;
+
+  if (parsed && !parsed.valid) {
+    logger.ollama('test-generation-retry', { errors: parsed.errors });
+    result = await callOllama(basePrompt + PROMPTS.testGenerationRetry(parsed.errors), requestOptions);
+    attempts++;
+    duration += result.duration;
+    parsed = result.success ? parseTestSuite(result.response) : null;
+  }
+
+  if (!result.success) {
+    return { ...result, duration, suite: null, validationErrors: [], attempts };
+  }
+
+  if (!parsed.valid) {
+    return {
+      ...result,
+      duration,
+      success: false,
+      suite: null,
+      validationErrors: parsed.errors,
+      attempts,
+      error: `Generated tests did not match the JSON format: ${parsed.errors.join('; ')}`
+    };
+  }
+
+  logger.ollama('tests-generated', { functionName: parsed.data.functionName, count: parsed.data.tests.length, attempts });
+  return { ...result, duration, suite: parsed.data, validationErrors: [], attempts };
+}
+
 /**
  * Generate reflection/analysis for an error
  * @param {string} error - The error message
@@ -298,13 +721,67 @@ export async function generateReflection(error, similarFixes = [], options = {})
   return callOllama(prompt, { ...options, timeout: 30000 }); // Shorter timeout for reflection
 }
 
+/**
+ * Get an embedding vector for a piece of text
+ * @param {string} text - Text to embed
+ * @param {Object} options
+ * @param {string} options.model - Embedding model (default: nomic-embed-text)
+ * @param {string} options.baseUrl - Ollama server URL (default: http://localhost:11434)
+ * @param {number} options.timeout - Request timeout in ms (default: 15000)
+ * @returns {Promise<{success: boolean, embedding: number[], error: string|null, duration: number}>}
+ */
+export async function generateEmbedding(text, options = {}) {
+  const {
+    model = DEFAULT_EMBEDDING_MODEL,
+    baseUrl = OLLAMA_BASE_URL,
+    timeout = EMBEDDING_TIMEOUT
+  } = options;
+
+  const startTime = Date.now();
+  logger.embed('request', { model, textLength: text.length });
+
+  try {
+    const response = await fetch(`${baseUrl}/api/embeddings`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ model, prompt: text }),
+      signal: AbortSignal.timeout(timeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Ollama returned HTTP ${response.status}: ${response.statusText}`);
+    }
+
+    const data = await response.json();
+    if (!Array.isArray(data.embedding) || data.embedding.length === 0) {
+      throw new Error(`No embedding returned - is "${model}" an embedding model? Try: ollama pull ${model}`);
+    }
+
+    const duration = Date.now() - startTime;
+    logger.embed('response', { dimensions: data.embedding.length, duration: `${duration}ms` });
+
+    return { success: true, embedding: data.embedding, error: null, duration };
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    const errorMessage = error.name === 'TimeoutError'
+      ? `Embedding request timed out after ${timeout}ms`
+      : error.message;
+
+    logger.embed('error', { error: errorMessage, duration: `${duration}ms` });
+    return { success: false, embedding: [], error: errorMessage, duration };
+  }
+}
+
 /**
  * Check if Ollama is available and responding
+ * @param {string} baseUrl - Ollama server URL (default: http://localhost:11434)
  * @returns {Promise<boolean>}
  */
-export async function isOllamaAvailable() {
+export async function isOllamaAvailable(baseUrl = OLLAMA_BASE_URL) {
   try {
-    const response = await fetch(`${OLLAMA_BASE_URL}/api/tags`, {
+    const response = await fetch(`${baseUrl}/api/tags`, {
       signal: AbortSignal.timeout(3000)
     });
     return response.ok;
@@ -315,10 +792,15 @@ export async function isOllamaAvailable() {
 
 export default {
   callOllama,
+  chatOllama,
   generateCode,
+  generateStructuredCode,
   generateReflection,
+  generateTests,
+  generateEmbedding,
   isOllamaAvailable,
   PROMPTS,
   OLLAMA_BASE_URL,
-  DEFAULT_MODEL
+  DEFAULT_MODEL,
+  DEFAULT_EMBEDDING_MODEL
 };
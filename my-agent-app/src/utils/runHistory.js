@@ -0,0 +1,170 @@
+/**
+ * Run History
+ *
+ * Persists every goal submission to IndexedDB so a page refresh doesn't
+ * lose the goal, prompt, response, code, tokens or test results.
+ *
+ * Run record:
+ *   { id, createdAt, goal, prompt, rawResponse, code, model, parameters,
+ *     duration, tokens, testResults, status, iterations, mode, outputMode }
+ * `parameters` are the Ollama options the run was generated with.
+ * Chat-mode runs also have `messages` (the /api/chat thread) and
+ * `refinement` (the follow-up instruction, null for the first turn).
+ * Hand edits of a run's code are appended to its `edits`:
+ *   [{ modelCode, code, testResults, sentToModel, instruction, createdAt }]
+ * and a run started from edited code has `humanEdit: { modelCode, code }`.
+ */
+
+import { withStore, STORES } from './db.js';
+import { logger } from './logger.js';
+
+const LAST_SESSION_KEY = 'lastRunId';
+
+/**
+ * Save a run and remember it as the last session
+ * @param {Object} run - Run data (without id)
+ * @returns {Promise<number>} - The new run id
+ */
+export async function saveRun(run) {
+  const record = {
+    createdAt: Date.now(),
+    ...run
+  };
+
+  const id = await withStore(STORES.runs, 'readwrite', store => store.add(record));
+  await setLastSessionRunId(id);
+
+  logger.db('run-saved', { id, goal: record.goal?.slice(0, 50), status: record.status });
+  return id;
+}
+
+/**
+ * Update fields of an existing run
+ * @param {number} id - Run id
+ * @param {Object} changes - Fields to merge into the record
+ * @returns {Promise<Object|null>} - Updated record, or null if not found
+ */
+export async function updateRun(id, changes) {
+  const existing = await getRun(id);
+  if (!existing) return null;
+
+  const updated = { ...existing, ...changes, id };
+  await withStore(STORES.runs, 'readwrite', store => store.put(updated));
+
+  logger.db('run-updated', { id, fields: Object.keys(changes) });
+  return updated;
+}
+
+/**
+ * Append a hand edit to a run, keeping the model's version next to it
+ * @param {number} id - Run id
+ * @param {{modelCode: string, code: string, testResults?: Object|null, sentToModel?: boolean, instruction?: string}} edit
+ * @returns {Promise<Object|null>} - Updated record, or null if not found
+ */
+export async function appendRunEdit(id, edit) {
+  const existing = await getRun(id);
+  if (!existing) return null;
+
+  const entry = { testResults: null, sentToModel: false, instruction: '', ...edit, createdAt: Date.now() };
+  return updateRun(id, { edits: [...(existing.edits || []), entry] });
+}
+
+/**
+ * Get a single run
+ * @param {number} id - Run id
+ * @returns {Promise<Object|null>}
+ */
+export async function getRun(id) {
+  const run = await withStore(STORES.runs, 'readonly', store => store.get(id));
+  return run || null;
+}
+
+/**
+ * List runs, newest first
+ * @param {Object} options
+ * @param {number} options.limit - Maximum number of runs (default: 100)
+ * @returns {Promise<Array<Object>>}
+ */
+export async function listRuns({ limit = 100 } = {}) {
+  const runs = await withStore(STORES.runs, 'readonly', store => store.index('createdAt').getAll());
+  return runs.reverse().slice(0, limit);
+}
+
+/**
+ * Search runs by goal and code text (case-insensitive)
+ * @param {string} query - Text to look for
+ * @param {Object} options - Same as listRuns
+ * @returns {Promise<Array<Object>>}
+ */
+export async function searchRuns(query, options = {}) {
+  const runs = await listRuns({ limit: Infinity });
+  const needle = (query || '').trim().toLowerCase();
+
+  const matches = needle
+    ? runs.filter(run =>
+      run.goal?.toLowerCase().includes(needle) ||
+      run.refinement?.toLowerCase().includes(needle) ||
+      run.code?.toLowerCase().includes(needle) ||
+      run.model?.toLowerCase().includes(needle)
+    )
+    : runs;
+
+  return matches.slice(0, options.limit ?? 100);
+}
+
+/**
+ * Delete a run (and forget it as the last session if it was)
+ * @param {number} id - Run id
+ * @returns {Promise<void>}
+ */
+export async function deleteRun(id) {
+  await withStore(STORES.runs, 'readwrite', store => store.delete(id));
+
+  if (await getLastSessionRunId() === id) {
+    await setLastSessionRunId(null);
+  }
+
+  logger.db('run-deleted', { id });
+}
+
+/**
+ * Get the id of the run that was open when the page was closed
+ * @returns {Promise<number|null>}
+ */
+export async function getLastSessionRunId() {
+  const id = await withStore(STORES.meta, 'readonly', store => store.get(LAST_SESSION_KEY));
+  return id ?? null;
+}
+
+/**
+ * Remember which run is currently open
+ * @param {number|null} id - Run id (null clears it)
+ * @returns {Promise<void>}
+ */
+export async function setLastSessionRunId(id) {
+  await withStore(STORES.meta, 'readwrite', store =>
+    id === null ? store.delete(LAST_SESSION_KEY) : store.put(id, LAST_SESSION_KEY)
+  );
+}
+
+/**
+ * Load the run from the last session, if it still exists
+ * @returns {Promise<Object|null>}
+ */
+export async function getLastSessionRun() {
+  const id = await getLastSessionRunId();
+  return id === null ? null : getRun(id);
+}
+
+export default {
+  saveRun,
+  updateRun,
+  appendRunEdit,
+  getRun,
+  listRuns,
+  searchRuns,
+  deleteRun,
+  getLastSessionRunId,
+  setLastSessionRunId,
+  getLastSessionRun
+};
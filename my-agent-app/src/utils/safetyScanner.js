@@ -0,0 +1,387 @@
+/**
+ * Safety Scanner
+ *
+ * Rule-based static checks on generated code, run before it reaches the
+ * sandbox (and shown in the Code Viewer before anyone copies it). Built
+ * on the acorn parse from codeAnalysis.js, so it looks at the syntax
+ * tree - `fetch` inside a string, a property named `eval` or a local
+ * variable/parameter named `caches` is fine.
+ *
+ * Every rule has a severity and a policy:
+ * - 'block': the code is not executed; every test fails with a SafetyError
+ * - 'warn':  the finding is reported, the code still runs
+ * - 'off':   the rule is skipped
+ *
+ * Usage:
+ *   const scan = scanCode(code, { policies: { storage: 'block' } });
+ *   scan.blocked   // true if any finding's rule is set to block
+ *   scan.findings  // [{ ruleId: 'network', severity: 'high', policy: 'block', message, line, column, ... }]
+ */
+
+import * as walk from 'acorn-walk';
+import { parseCode } from './codeAnalysis.js';
+
+export const SAFETY_POLICIES = ['block', 'warn', 'off'];
+
+export const SAFETY_RULES = [
+  { id: 'network', label: 'Network access', severity: 'high', defaultPolicy: 'block', description: 'fetch, XMLHttpRequest, WebSocket, EventSource, sendBeacon' },
+  { id: 'dynamic-code', label: 'eval / Function', severity: 'high', defaultPolicy: 'block', description: 'eval(), new Function(), setTimeout/setInterval with a string' },
+  { id: 'remote-import', label: 'Remote imports', severity: 'high', defaultPolicy: 'block', description: 'import() or import from a URL, importScripts(), import() of a computed specifier' },
+  { id: 'prototype-pollution', label: 'Prototype pollution', severity: 'high', defaultPolicy: 'block', description: 'Writes to __proto__, built-in prototypes or constructor.prototype' },
+  { id: 'storage', label: 'Storage & cookies', severity: 'medium', defaultPolicy: 'warn', description: 'localStorage, sessionStorage, indexedDB, caches, document.cookie' },
+  { id: 'infinite-loop', label: 'Infinite loops', severity: 'medium', defaultPolicy: 'warn', description: 'while (true) / for (;;) with no break, return or throw' },
+];
+
+const RULES_BY_ID = Object.fromEntries(SAFETY_RULES.map(rule => [rule.id, rule]));
+
+export const DEFAULT_SAFETY_POLICIES = Object.fromEntries(SAFETY_RULES.map(rule => [rule.id, rule.defaultPolicy]));
+
+// Globals a browser API can be reached through: window.fetch, self.WebSocket, ...
+const GLOBAL_OBJECTS = new Set(['window', 'self', 'globalThis', 'global']);
+const NETWORK_GLOBALS = new Set(['fetch', 'XMLHttpRequest', 'WebSocket', 'EventSource']);
+const STORAGE_GLOBALS = new Set(['localStorage', 'sessionStorage', 'indexedDB', 'caches']);
+const BUILTINS = new Set([
+  'Object', 'Array', 'Function', 'String', 'Number', 'Boolean', 'Symbol', 'BigInt',
+  'Date', 'RegExp', 'Error', 'Promise', 'Map', 'Set', 'WeakMap', 'WeakSet',
+]);
+// Calls that write to their first argument's properties or prototype
+const PROTOTYPE_WRITERS = new Set([
+  'Object.defineProperty', 'Object.defineProperties', 'Object.assign', 'Object.setPrototypeOf',
+  'Reflect.set', 'Reflect.defineProperty', 'Reflect.setPrototypeOf',
+]);
+const REMOTE_SPECIFIER = /^(?:https?:)?\/\//i;
+
+/**
+ * Fill in and validate per-rule policies
+ * @param {Object} policies - { ruleId: 'block'|'warn'|'off' }, unknown rules/values dropped
+ * @returns {Object} - A policy for every rule
+ */
+export function resolvePolicies(policies = {}) {
+  const resolved = { ...DEFAULT_SAFETY_POLICIES };
+  for (const [ruleId, policy] of Object.entries(policies || {})) {
+    if (RULES_BY_ID[ruleId] && SAFETY_POLICIES.includes(policy)) {
+      resolved[ruleId] = policy;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Only the policies that differ from the defaults (what settings persist)
+ * @param {Object} policies
+ * @returns {Object}
+ */
+export function sanitizePolicies(policies = {}) {
+  const resolved = resolvePolicies(policies);
+  return Object.fromEntries(Object.entries(resolved).filter(([ruleId, policy]) => policy !== DEFAULT_SAFETY_POLICIES[ruleId]));
+}
+
+/**
+ * Dotted name of an identifier or non-computed member chain ("window.fetch"), else null
+ * @param {Object} node
+ * @returns {string|null}
+ */
+function dottedName(node) {
+  if (node.type === 'Identifier') return node.name;
+  if (node.type === 'MemberExpression') {
+    const object = dottedName(node.object);
+    const property = propertyName(node);
+    return object && property ? `${object}.${property}` : null;
+  }
+  return null;
+}
+
+/**
+ * Property name of a member expression: obj.x and obj['x'] both give 'x'
+ * @param {Object} node - MemberExpression
+ * @returns {string|null}
+ */
+function propertyName(node) {
+  if (!node.computed && node.property.type === 'Identifier') return node.property.name;
+  if (node.property.type === 'Literal' && typeof node.property.value === 'string') return node.property.value;
+  return null;
+}
+
+/**
+ * Whether a member expression touches a prototype that shouldn't be written to:
+ * anything through __proto__, Array.prototype, x.constructor.prototype
+ * @param {Object} node
+ * @returns {boolean}
+ */
+function isProtectedPrototype(node) {
+  if (node.type !== 'MemberExpression') return false;
+  const property = propertyName(node);
+  if (property === '__proto__') return true;
+  if (property === 'prototype') {
+    if (node.object.type === 'Identifier' && BUILTINS.has(node.object.name)) return true;
+    if (node.object.type === 'MemberExpression' && propertyName(node.object) === 'constructor') return true;
+  }
+  return isProtectedPrototype(node.object);
+}
+
+/**
+ * Whether a loop condition is always truthy (missing, `true`, `1`, `!0` ...)
+ * @param {Object|null} test
+ * @returns {boolean}
+ */
+function isConstantlyTrue(test) {
+  if (!test) return true;
+  if (test.type === 'Literal') return !!test.value;
+  if (test.type === 'UnaryExpression' && test.operator === '!' && test.argument.type === 'Literal') return !test.argument.value;
+  return false;
+}
+
+/**
+ * Whether a loop body can leave the loop: return, throw, a labeled break,
+ * or a break that isn't inside a nested loop/switch. Nested functions don't count.
+ * @param {Object} body
+ * @returns {boolean}
+ */
+function canExit(body) {
+  let exits = false;
+  const nested = (type) => (node, state, c) => walk.base[type](node, { nested: true }, c);
+
+  walk.recursive(body, { nested: false }, {
+    Function() {},
+    Class() {},
+    WhileStatement: nested('WhileStatement'),
+    DoWhileStatement: nested('DoWhileStatement'),
+    ForStatement: nested('ForStatement'),
+    ForInStatement: nested('ForInStatement'),
+    ForOfStatement: nested('ForOfStatement'),
+    SwitchStatement: nested('SwitchStatement'),
+    BreakStatement(node, state) {
+      if (node.label || !state.nested) exits = true;
+    },
+    ReturnStatement() {
+      exits = true;
+    },
+    ThrowStatement() {
+      exits = true;
+    },
+  });
+
+  return exits;
+}
+
+/**
+ * Names bound by a declaration pattern: a, {a, b: c}, [a, ...rest], a = 1
+ * @param {Object|null} node
+ * @returns {string[]}
+ */
+function patternNames(node) {
+  if (!node) return [];
+  switch (node.type) {
+    case 'Identifier': return [node.name];
+    case 'ObjectPattern': return node.properties.flatMap(property => patternNames(property.type === 'RestElement' ? property : property.value));
+    case 'ArrayPattern': return node.elements.flatMap(patternNames);
+    case 'AssignmentPattern': return patternNames(node.left);
+    case 'RestElement': return patternNames(node.argument);
+    default: return [];
+  }
+}
+
+const FUNCTION_TYPES = new Set(['FunctionDeclaration', 'FunctionExpression', 'ArrowFunctionExpression']);
+const BLOCK_TYPES = new Set(['Program', 'BlockStatement', 'StaticBlock', 'SwitchStatement', 'ForStatement', 'ForInStatement', 'ForOfStatement']);
+
+/**
+ * Names each scope node declares: var/let/const, functions, classes,
+ * parameters, catch parameters and imports
+ * @param {Object} ast - acorn Program
+ * @returns {Map<Object, Set<string>>}
+ */
+function collectBindings(ast) {
+  const bindings = new Map();
+  const bind = (scope, names) => {
+    if (!scope) return;
+    if (!bindings.has(scope)) bindings.set(scope, new Set());
+    names.forEach(name => bindings.get(scope).add(name));
+  };
+  // Nearest enclosing scope, not counting the declaring node itself
+  const enclosing = (ancestors, types) => ancestors.slice(0, -1).reverse().find(node => types.has(node.type) || FUNCTION_TYPES.has(node.type));
+
+  walk.ancestor(ast, {
+    VariableDeclaration(node, ancestors) {
+      const names = node.declarations.flatMap(declarator => patternNames(declarator.id));
+      bind(enclosing(ancestors, node.kind === 'var' ? new Set(['Program']) : BLOCK_TYPES), names);
+    },
+    Function(node) {
+      bind(node, node.params.flatMap(patternNames));
+      if (node.type === 'FunctionExpression' && node.id) bind(node, [node.id.name]);
+    },
+    FunctionDeclaration(node, ancestors) {
+      bind(enclosing(ancestors, BLOCK_TYPES), [node.id.name]);
+    },
+    ClassDeclaration(node, ancestors) {
+      bind(enclosing(ancestors, BLOCK_TYPES), [node.id.name]);
+    },
+    ClassExpression(node) {
+      if (node.id) bind(node, [node.id.name]);
+    },
+    CatchClause(node) {
+      bind(node, patternNames(node.param));
+    },
+    ImportDeclaration(node) {
+      bind(ast, node.specifiers.map(specifier => specifier.local.name));
+    },
+  });
+
+  return bindings;
+}
+
+/**
+ * Scan code for unsafe patterns
+ * @param {string} code
+ * @param {Object} options
+ * @param {Object} options.policies - Per-rule policy overrides (see resolvePolicies)
+ * @returns {{
+ *   parsed: boolean,
+ *   blocked: boolean,
+ *   findings: Array<{ruleId: string, label: string, severity: 'high'|'medium', policy: 'block'|'warn', message: string, line: number, column: number, endLine: number, endColumn: number}>
+ * }} - Code that doesn't parse has no findings (the sandbox reports the syntax error)
+ */
+export function scanCode(code = '', options = {}) {
+  const policies = resolvePolicies(options.policies);
+  const { ast } = parseCode(code);
+  if (!ast) {
+    return { parsed: false, blocked: false, findings: [] };
+  }
+
+  const findings = [];
+  const seen = new Set();
+  const bindings = collectBindings(ast);
+  // A global API, not a local variable or parameter of the same name
+  const isGlobal = (name, ancestors) => !ancestors.some(node => bindings.get(node)?.has(name));
+
+  const report = (ruleId, node, message) => {
+    const policy = policies[ruleId];
+    const key = `${ruleId}:${node.start}`;
+    if (policy === 'off' || seen.has(key)) return;
+    seen.add(key);
+
+    const rule = RULES_BY_ID[ruleId];
+    findings.push({
+      ruleId,
+      label: rule.label,
+      severity: rule.severity,
+      policy,
+      message,
+      line: node.loc.start.line,
+      column: node.loc.start.column + 1,
+      endLine: node.loc.end.line,
+      endColumn: node.loc.end.column + 1,
+    });
+  };
+
+  // `fetch` and `window.fetch` alike
+  const checkGlobal = (name, node) => {
+    if (NETWORK_GLOBALS.has(name)) report('network', node, `${name} - network access`);
+    else if (STORAGE_GLOBALS.has(name)) report('storage', node, `${name} - persistent storage access`);
+    else if (name === 'eval') report('dynamic-code', node, 'eval() runs arbitrary code');
+  };
+
+  const checkRemoteSpecifier = (source, node) => {
+    if (source.type === 'Literal' && typeof source.value === 'string') {
+      if (REMOTE_SPECIFIER.test(source.value)) report('remote-import', node, `Import from a remote URL: ${source.value}`);
+    } else if (source.type === 'TemplateLiteral' && REMOTE_SPECIFIER.test(source.quasis[0].value.cooked || '')) {
+      report('remote-import', node, `Import from a remote URL: ${source.quasis[0].value.cooked}…`);
+    } else {
+      report('remote-import', node, 'import() of a computed specifier - it could load anything');
+    }
+  };
+
+  const checkLoop = (node) => {
+    if (isConstantlyTrue(node.test) && !canExit(node.body)) {
+      report('infinite-loop', node, 'Loop condition is always true and the body never breaks, returns or throws');
+    }
+  };
+
+  // Member chains are checked from their root object, which must be the global one
+  const rootName = (node) => (node.type === 'MemberExpression' ? rootName(node.object) : node.type === 'Identifier' ? node.name : null);
+
+  walk.ancestor(ast, {
+    Identifier(node, ancestors) {
+      if (isGlobal(node.name, ancestors)) checkGlobal(node.name, node);
+    },
+    MemberExpression(node, ancestors) {
+      const root = rootName(node.object);
+      if (root && !isGlobal(root, ancestors)) return;
+      const property = propertyName(node);
+      const name = dottedName(node.object);
+      if (GLOBAL_OBJECTS.has(name)) checkGlobal(property, node);
+      if (name === 'document' && property === 'cookie') report('storage', node, 'document.cookie - cookie access');
+      if (name === 'navigator' && property === 'sendBeacon') report('network', node, 'navigator.sendBeacon - network access');
+    },
+    NewExpression(node, ancestors) {
+      if (node.callee.type === 'Identifier' && node.callee.name === 'Function' && isGlobal('Function', ancestors)) {
+        report('dynamic-code', node, 'new Function() compiles code from strings');
+      }
+    },
+    CallExpression(node, ancestors) {
+      const root = rootName(node.callee);
+      if (root && !isGlobal(root, ancestors)) return;
+      const callee = dottedName(node.callee);
+      const [first] = node.arguments;
+
+      if (callee === 'Function') {
+        report('dynamic-code', node, 'Function() compiles code from strings');
+      } else if ((callee === 'setTimeout' || callee === 'setInterval') &&
+        (first?.type === 'TemplateLiteral' || (first?.type === 'Literal' && typeof first.value === 'string'))) {
+        report('dynamic-code', node, `${callee}() with a string evaluates it as code`);
+      } else if (callee === 'importScripts') {
+        report('remote-import', node, 'importScripts() loads and runs remote scripts');
+      } else if (PROTOTYPE_WRITERS.has(callee) && first && (isProtectedPrototype(first) || (first.type === 'Identifier' && BUILTINS.has(first.name) && callee.endsWith('setPrototypeOf')))) {
+        report('prototype-pollution', node, `${callee}() on ${dottedName(first) || 'a shared prototype'}`);
+      }
+    },
+    ImportExpression(node) {
+      checkRemoteSpecifier(node.source, node);
+    },
+    ImportDeclaration(node) {
+      if (REMOTE_SPECIFIER.test(node.source.value)) checkRemoteSpecifier(node.source, node);
+    },
+    ExportAllDeclaration(node) {
+      if (REMOTE_SPECIFIER.test(node.source.value)) checkRemoteSpecifier(node.source, node);
+    },
+    ExportNamedDeclaration(node) {
+      if (node.source && REMOTE_SPECIFIER.test(node.source.value)) checkRemoteSpecifier(node.source, node);
+    },
+    AssignmentExpression(node) {
+      if (isProtectedPrototype(node.left)) {
+        report('prototype-pollution', node, `Assignment to ${dottedName(node.left) || 'a shared prototype'}`);
+      }
+    },
+    WhileStatement: checkLoop,
+    DoWhileStatement: checkLoop,
+    ForStatement: checkLoop,
+  });
+
+  findings.sort((a, b) => a.line - b.line || a.column - b.column);
+  return { parsed: true, blocked: findings.some(finding => finding.policy === 'block'), findings };
+}
+
+/**
+ * The error every test of blocked code fails with; frames point at the
+ * blocking findings so they show up as error lines like any thrown error
+ * @param {Object} scan - From scanCode, blocked
+ * @returns {{name: string, message: string, stack: string, frames: Array<{name: string, line: number, column: number}>}}
+ */
+export function safetyError(scan) {
+  const blocking = scan.findings.filter(finding => finding.policy === 'block');
+  return {
+    name: 'SafetyError',
+    message: `Blocked by the safety scanner: ${blocking.map(finding => finding.message).join('; ')}`,
+    stack: '',
+    frames: blocking.map(finding => ({ name: finding.ruleId, line: finding.line, column: finding.column })),
+  };
+}
+
+export default {
+  SAFETY_RULES,
+  SAFETY_POLICIES,
+  DEFAULT_SAFETY_POLICIES,
+  resolvePolicies,
+  sanitizePolicies,
+  scanCode,
+  safetyError
+};
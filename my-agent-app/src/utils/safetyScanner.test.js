@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { scanCode } from './safetyScanner.js';
+
+const rulesOf = (code) => scanCode(code).findings.map(finding => finding.ruleId);
+
+test('global network and storage APIs are reported', () => {
+  assert.deepEqual(rulesOf('function get(url) { return fetch(url); }'), ['network']);
+  assert.deepEqual(rulesOf('const cached = () => caches.open("v1");'), ['storage']);
+  assert.deepEqual(rulesOf('window.fetch("/x");'), ['network']);
+  assert.equal(scanCode('fetch("/x")').blocked, true);
+});
+
+test('locally declared names shadow the globals', () => {
+  const code = `
+    const caches = new Map();
+    function lookup(key, fetch) {
+      if (!caches.has(key)) caches.set(key, fetch(key));
+      return caches.get(key);
+    }
+    function run({ localStorage }, [WebSocket] = []) {
+      try { return localStorage.getItem('x') || new WebSocket(); } catch (eval) { return eval; }
+    }
+    for (let indexedDB = 0; indexedDB < 1; indexedDB++) {}
+    class XMLHttpRequest {}
+    new XMLHttpRequest();
+    const window = { fetch: () => 1 };
+    window.fetch();
+  `;
+  assert.deepEqual(scanCode(code).findings, []);
+});
+
+test('a shadowed name only counts inside its scope', () => {
+  const code = `
+    function inner() { const fetch = (x) => x; return fetch(1); }
+    function outer() { var result = fetch('/x'); return result; }
+  `;
+  const findings = scanCode(code).findings;
+  assert.equal(findings.length, 1);
+  assert.equal(findings[0].ruleId, 'network');
+  assert.equal(findings[0].line, 3);
+});
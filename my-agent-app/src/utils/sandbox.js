@@ -0,0 +1,92 @@
+/**
+ * Code Sandbox
+ *
+ * Runs generated code against test cases inside a dedicated Web Worker.
+ *
+ * IMPORTANT NOTES:
+ * - Each test has its own timeout; a runaway test terminates the worker
+ *   and the remaining tests continue in a fresh one
+ * - Test inputs are argument lists: { input: [2, 3], expected: 5 } calls fn(2, 3)
+ * - Results are compared with deepEqual (see deepEqual.js) unless the test
+ *   names another matcher: approx, throws or a custom predicate (see matchers.js)
+ * - The code is scanned first (see safetyScanner.js); if a rule set to
+ *   'block' matches, nothing runs and every test fails with a SafetyError
+ * - Timeouts, crashes and the summary are handled by sandboxRunner.js,
+ *   shared with the CLI's worker_threads sandbox
+ */
+
+import { runTestSuite, blockedResult, DEFAULT_TEST_TIMEOUT } from './sandboxRunner.js';
+
+export { blockedResult, DEFAULT_TEST_TIMEOUT };
+
+/**
+ * Infer the name of the function under test
+ *
+ * Prefers the name given in the goal ("a function called 'add'"),
+ * falling back to the first function defined in the code.
+ *
+ * @param {string} goal - Goal description
+ * @param {string} code - Generated code
+ * @returns {string|null}
+ */
+export function inferFunctionName(goal = '', code = '') {
+  const fromGoal = goal.match(/(?:called|named)\s+['"`]?([A-Za-z_$][\w$]*)['"`]?/i);
+  if (fromGoal) return fromGoal[1];
+
+  const fromCode = code.match(
+    /(?:function\s*\*?\s*([A-Za-z_$][\w$]*)|(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>))/
+  );
+  if (fromCode) return fromCode[1] || fromCode[2];
+
+  return null;
+}
+
+// Web Workers for the shared runner (see sandboxRunner.js)
+const WEB_WORKER_HOST = {
+  create: () => new Worker(new URL('../workers/sandbox.worker.js', import.meta.url), { type: 'module' }),
+  post: (worker, message) => worker.postMessage(message),
+  listen: (worker, { onMessage, onError }) => {
+    const handleMessage = (event) => onMessage(event.data);
+    const handleError = (event) => {
+      event.preventDefault?.();
+      onError(event.message);
+    };
+    worker.addEventListener('message', handleMessage);
+    worker.addEventListener('error', handleError);
+    return () => {
+      worker.removeEventListener('message', handleMessage);
+      worker.removeEventListener('error', handleError);
+    };
+  },
+  terminate: (worker) => worker.terminate()
+};
+
+/**
+ * Run generated code against a list of test cases
+ *
+ * @param {string} code - Code extracted from the LLM response
+ * @param {Array<{input: Array, expected: *, matcher?: string}>} tests - Test cases (matcher fields: see matchers.js)
+ * @param {Object} options
+ * @param {string} options.functionName - Function to call (required)
+ * @param {number} options.timeout - Per-test timeout in ms (default: 2000)
+ * @param {Object} options.safetyPolicies - Per-rule block/warn/off overrides (see safetyScanner.js)
+ * @returns {Promise<{
+ *   success: boolean,
+ *   passed: number,
+ *   failed: number,
+ *   total: number,
+ *   duration: number,
+ *   results: Array<{index: number, input: Array, expected: *, actual: *, passed: boolean, error: Object|null, logs: Array<{level: string, text: string}>, timedOut: boolean, duration: number}>,
+ *   safety: {blocked: boolean, findings: Array}
+ * }>}
+ */
+export function runTests(code, tests = [], options = {}) {
+  return runTestSuite(WEB_WORKER_HOST, code, tests, options);
+}
+
+export default {
+  runTests,
+  blockedResult,
+  inferFunctionName,
+  DEFAULT_TEST_TIMEOUT
+};
@@ -0,0 +1,189 @@
+/**
+ * Sandbox Runner
+ *
+ * Everything about running a test suite that doesn't depend on the kind
+ * of worker: the safety scan, one request per test with its own timeout,
+ * replacing a worker that got stuck or crashed, and the summary.
+ *
+ * src/utils/sandbox.js plugs in Web Workers, scripts/node-sandbox.js
+ * worker_threads, through a host:
+ *   {
+ *     create: () => worker,
+ *     post: (worker, message) => void,
+ *     listen: (worker, { onMessage(data), onError(message) }) => unlisten,
+ *     terminate: (worker) => void | Promise
+ *   }
+ *
+ * Protocol with the worker (see src/workers/sandbox.worker.js):
+ *   in:  { type: 'run', id, code, functionName, input, expected, matcher?, tolerance?, predicate? }
+ *   out: { type: 'result', id, passed, actual, error, logs }
+ */
+
+import { logger } from './logger.js';
+import { pickMatcher } from './matchers.js';
+import { scanCode, safetyError } from './safetyScanner.js';
+
+export const DEFAULT_TEST_TIMEOUT = 2000; // 2 seconds per test case
+
+/**
+ * Send one test to the worker and wait for its result, a crash or the timeout
+ * @param {Object} host - See above
+ * @param {*} worker
+ * @param {Object} message - Message for the worker
+ * @param {number} timeout - Timeout in ms
+ * @returns {Promise<{passed: boolean, actual: *, error: Object|null, logs: Array, timedOut: boolean}>}
+ */
+export function runInWorker(host, worker, message, timeout) {
+  return new Promise((resolve) => {
+    let unlisten = null;
+
+    const finish = (outcome) => {
+      clearTimeout(timeoutId);
+      unlisten?.();
+      resolve(outcome);
+    };
+
+    const timeoutId = setTimeout(() => finish({
+      passed: false,
+      actual: undefined,
+      error: { name: 'TimeoutError', message: `Test timed out after ${timeout}ms`, stack: '', frames: [] },
+      logs: [],
+      timedOut: true
+    }), timeout);
+
+    unlisten = host.listen(worker, {
+      onMessage: (data) => {
+        if (data?.type !== 'result' || data.id !== message.id) return;
+        const { passed, actual, error, logs = [] } = data;
+        finish({ passed, actual, error, logs, timedOut: false });
+      },
+      onError: (errorMessage) => finish({
+        passed: false,
+        actual: undefined,
+        error: { name: 'WorkerError', message: errorMessage || 'Sandbox worker crashed', stack: '', frames: [] },
+        logs: [],
+        timedOut: false
+      })
+    });
+
+    host.post(worker, message);
+  });
+}
+
+/**
+ * Result of a test that never ran because the scanner blocked the code
+ * @param {number} index
+ * @param {Object} test
+ * @param {Object} scan - From scanCode
+ * @returns {Object} - Same shape as a worker result
+ */
+export function blockedResult(index, test, scan) {
+  return {
+    index,
+    input: test.input,
+    expected: test.expected,
+    ...pickMatcher(test),
+    duration: 0,
+    passed: false,
+    actual: undefined,
+    error: safetyError(scan),
+    logs: [],
+    timedOut: false
+  };
+}
+
+/**
+ * Run generated code against a list of test cases in the host's workers
+ * @param {Object} host - See above
+ * @param {string} code
+ * @param {Array<{input: Array, expected: *, matcher?: string}>} tests
+ * @param {Object} options - functionName, timeout, safetyPolicies (see sandbox.js runTests)
+ * @returns {Promise<Object>} - Test summary (see sandbox.js runTests)
+ */
+export async function runTestSuite(host, code, tests = [], options = {}) {
+  const {
+    functionName,
+    timeout = DEFAULT_TEST_TIMEOUT,
+    safetyPolicies
+  } = options;
+
+  const startTime = Date.now();
+  logger.worker('tests-start', { functionName, testCount: tests.length, timeout });
+
+  const safety = scanCode(code, { policies: safetyPolicies });
+  if (safety.blocked) {
+    logger.worker('tests-blocked', { functionName, rules: [...new Set(safety.findings.filter(f => f.policy === 'block').map(f => f.ruleId))] });
+  }
+
+  const results = [];
+  let worker = null;
+
+  try {
+    for (const [index, test] of tests.entries()) {
+      if (safety.blocked) {
+        results.push(blockedResult(index, test, safety));
+        continue;
+      }
+
+      if (!worker) {
+        worker = host.create();
+      }
+
+      const testStart = Date.now();
+      const outcome = await runInWorker(host, worker, {
+        type: 'run',
+        id: index,
+        code,
+        functionName,
+        input: test.input,
+        expected: test.expected,
+        ...pickMatcher(test)
+      }, timeout);
+
+      if (outcome.timedOut || outcome.error?.name === 'WorkerError') {
+        // The worker is stuck in the generated code or crashed - kill it and start fresh
+        await host.terminate(worker);
+        worker = null;
+        logger.worker('worker-terminated', { index, timeout, reason: outcome.timedOut ? 'timeout' : 'error' });
+      }
+
+      results.push({
+        index,
+        input: test.input,
+        expected: test.expected,
+        ...pickMatcher(test),
+        duration: Date.now() - testStart,
+        ...outcome
+      });
+    }
+  } finally {
+    if (worker) await host.terminate(worker);
+  }
+
+  const passed = results.filter(r => r.passed).length;
+  const summary = {
+    success: results.length > 0 && passed === results.length,
+    passed,
+    failed: results.length - passed,
+    total: results.length,
+    duration: Date.now() - startTime,
+    results,
+    safety: { blocked: safety.blocked, findings: safety.findings }
+  };
+
+  logger.worker('tests-complete', {
+    functionName,
+    passed: summary.passed,
+    failed: summary.failed,
+    duration: `${summary.duration}ms`
+  });
+
+  return summary;
+}
+
+export default {
+  DEFAULT_TEST_TIMEOUT,
+  runInWorker,
+  blockedResult,
+  runTestSuite
+};
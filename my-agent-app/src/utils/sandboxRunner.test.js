@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { runTestSuite } from './sandboxRunner.js';
+
+/**
+ * In-memory host: `behave(message, worker)` returns 'crash', 'hang' or a result
+ */
+function createFakeHost(behave) {
+  const workers = [];
+  return {
+    workers,
+    create: () => {
+      const worker = { id: workers.length, listeners: null, terminated: false };
+      workers.push(worker);
+      return worker;
+    },
+    post: (worker, message) => {
+      const outcome = behave(message, worker);
+      if (outcome === 'hang') return;
+      setTimeout(() => {
+        if (outcome === 'crash') worker.listeners?.onError('boom');
+        else worker.listeners?.onMessage({ type: 'result', id: message.id, ...outcome });
+      }, 0);
+    },
+    listen: (worker, listeners) => {
+      worker.listeners = listeners;
+      return () => { worker.listeners = null; };
+    },
+    terminate: (worker) => { worker.terminated = true; },
+  };
+}
+
+const tests = [{ input: [1], expected: 1 }, { input: [2], expected: 2 }, { input: [3], expected: 3 }];
+
+test('a crashed worker is replaced and the remaining tests still run', async () => {
+  const host = createFakeHost((message, worker) => (worker.id === 0 && message.id === 0
+    ? 'crash'
+    : { passed: true, actual: message.input[0], error: null, logs: [] }));
+
+  const summary = await runTestSuite(host, 'function f(x) { return x; }', tests, { functionName: 'f' });
+
+  assert.equal(summary.results[0].error.name, 'WorkerError');
+  assert.equal(summary.passed, 2);
+  assert.equal(host.workers.length, 2);
+  assert.ok(host.workers.every(worker => worker.terminated));
+});
+
+test('a stuck worker times out and is replaced', async () => {
+  const host = createFakeHost((message) => (message.id === 1
+    ? 'hang'
+    : { passed: true, actual: message.input[0], error: null, logs: [] }));
+
+  const summary = await runTestSuite(host, 'function f(x) { return x; }', tests, { functionName: 'f', timeout: 20 });
+
+  assert.deepEqual(summary.results.map(result => result.timedOut), [false, true, false]);
+  assert.equal(summary.passed, 2);
+  assert.equal(host.workers.length, 2);
+});
+
+test('blocked code never reaches a worker', async () => {
+  const host = createFakeHost(() => assert.fail('no test should run'));
+
+  const summary = await runTestSuite(host, 'function f(x) { return fetch(x); }', tests, { functionName: 'f' });
+
+  assert.equal(summary.safety.blocked, true);
+  assert.ok(summary.results.every(result => result.error.name === 'SafetyError'));
+  assert.equal(host.workers.length, 0);
+});
@@ -0,0 +1,234 @@
+/**
+ * Sandbox Runtime
+ *
+ * The code that actually runs inside the sandbox worker: compiles the
+ * generated source, calls the target function and grades the result.
+ *
+ * Kept free of any DOM or worker APIs so it only depends on plain
+ * JavaScript - the worker entry point just forwards messages to it.
+ *
+ * Each result also carries the console.* output of the call, and thrown
+ * errors carry the stack frames that point into the generated code, with
+ * line numbers relative to that code (for editor highlighting).
+ */
+
+import { gradeOutcome } from './matchers.js';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_$][\w$]*$/;
+
+export const CONSOLE_LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+export const MAX_LOG_ENTRIES = 50;
+const MAX_LOG_LENGTH = 500;
+
+// A frame inside code compiled with new Function: "<anonymous>:3:11" (V8) or "> Function:3:11" (Firefox)
+const GENERATED_FRAME_PATTERN = /(?:<anonymous>|> Function):(\d+):(\d+)\)?$/;
+
+// Cache the last compiled function so a test suite compiles once
+let cached = { code: null, functionName: null, fn: null, error: null };
+
+// Lines the Function constructor adds above the body; measured once, engines differ
+let lineOffset;
+
+/**
+ * Remove ES module syntax so the code can run inside a Function body
+ * Line-preserving (removed statements leave a blank line) so stack
+ * frames still point at the right line of the original code.
+ * @param {string} code - Generated source
+ * @returns {string}
+ */
+export function stripModuleSyntax(code) {
+  return code
+    .replace(/^[ \t]*import\s.*?;?[ \t]*$/gm, '')
+    .replace(/^(\s*)export\s+default\s+(?=(async\s+)?function|class)/gm, '$1')
+    .replace(/^(\s*)export\s+(?=(async\s+)?function|class|const|let|var)/gm, '$1')
+    .replace(/^[ \t]*export\s+(default\s+[\w$]+|\{[^}]*\});?[ \t]*$/gm, '');
+}
+
+/**
+ * How many lines the Function constructor puts before the first body line
+ * @returns {number|null} - null if this engine's stacks have no usable frames
+ */
+function getLineOffset() {
+  if (lineOffset === undefined) {
+    lineOffset = null;
+    try {
+      new Function('throw new Error();')();
+    } catch (e) {
+      const frame = String(e.stack).split('\n').map(line => line.trim().match(GENERATED_FRAME_PATTERN)).find(Boolean);
+      if (frame) lineOffset = Number(frame[1]) - 1;
+    }
+  }
+  return lineOffset;
+}
+
+/**
+ * Stack frames that point into the generated code
+ * @param {string} stack - Error stack
+ * @returns {Array<{name: string, line: number, column: number}>} - innermost first; line is 1-based in the generated code
+ */
+export function parseGeneratedFrames(stack = '') {
+  const offset = getLineOffset();
+  if (offset === null || !stack) return [];
+
+  return stack.split('\n').flatMap(raw => {
+    const line = raw.trim();
+    const match = line.match(GENERATED_FRAME_PATTERN);
+    if (!match) return [];
+
+    const lineNumber = Number(match[1]) - offset;
+    if (lineNumber < 1) return [];
+
+    // "at add (eval at ...)" (V8) or "add@..." (Firefox); "eval"/"anonymous" = top-level code
+    const name = line.match(/^at (?:async )?([^\s(]+) \(/)?.[1] || line.match(/^([^@\s]+)@/)?.[1] || null;
+    return [{
+      name: name && name !== 'eval' && name !== 'anonymous' ? name : '(top level)',
+      line: lineNumber,
+      column: Number(match[2])
+    }];
+  });
+}
+
+/**
+ * Render one console argument as text
+ * @param {*} value
+ * @returns {string}
+ */
+function formatLogValue(value) {
+  if (typeof value === 'string') return value;
+  if (value instanceof Error) return `${value.name}: ${value.message}`;
+  if (typeof value === 'function') return `[Function ${value.name || 'anonymous'}]`;
+  if (typeof value === 'bigint') return `${value}n`;
+  if (typeof value !== 'object' || value === null) return String(value);
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value); // circular
+  }
+}
+
+/**
+ * Run a function with console.* redirected into a buffer
+ * @param {Function} run - Sync or async
+ * @returns {Promise<{value: *, logs: Array<{level: string, text: string}>}>}
+ */
+async function captureConsole(run) {
+  const logs = [];
+  let dropped = 0;
+  const original = {};
+
+  for (const level of CONSOLE_LEVELS) {
+    original[level] = console[level];
+    console[level] = (...args) => {
+      if (logs.length >= MAX_LOG_ENTRIES) {
+        dropped++;
+        return;
+      }
+      const text = args.map(formatLogValue).join(' ');
+      logs.push({ level, text: text.length > MAX_LOG_LENGTH ? `${text.slice(0, MAX_LOG_LENGTH)}…` : text });
+    };
+  }
+
+  try {
+    return { value: await run(), logs };
+  } finally {
+    Object.assign(console, original);
+    if (dropped > 0) {
+      logs.push({ level: 'warn', text: `… ${dropped} more console message${dropped === 1 ? '' : 's'} not shown` });
+    }
+  }
+}
+
+/**
+ * Compile generated code and return the named function
+ * @param {string} code - Generated source
+ * @param {string} functionName - Function to look up after evaluation
+ * @returns {{fn: Function|null, error: {name: string, message: string, stack: string}|null}}
+ */
+export function compileFunction(code, functionName) {
+  if (cached.code === code && cached.functionName === functionName) {
+    return { fn: cached.fn, error: cached.error };
+  }
+
+  let fn = null;
+  let error = null;
+
+  if (!IDENTIFIER_PATTERN.test(functionName || '')) {
+    error = serializeError(new Error(`Invalid function name: ${functionName}`));
+  } else {
+    try {
+      const factory = new Function(
+        `${stripModuleSyntax(code)}\nreturn typeof ${functionName} === 'function' ? ${functionName} : undefined;`
+      );
+      fn = factory();
+      if (!fn) {
+        error = serializeError(new ReferenceError(`Function '${functionName}' is not defined`));
+      }
+    } catch (e) {
+      error = serializeError(e);
+    }
+  }
+
+  cached = { code, functionName, fn, error };
+  return { fn, error };
+}
+
+/**
+ * Run a single test case against generated code
+ * @param {Object} params
+ * @param {string} params.code - Generated source
+ * @param {string} params.functionName - Function under test
+ * @param {Array} params.input - Arguments to call the function with
+ * @param {*} params.expected - Expected return value
+ * @param {string} params.matcher - How to grade the result (default: deepEqual, see matchers.js)
+ * @param {number} params.tolerance - For the 'approx' matcher
+ * @param {string} params.predicate - For the 'predicate' matcher
+ * @returns {Promise<{passed: boolean, actual: *, error: Object|null, logs: Array<{level: string, text: string}>}>}
+ *   logs include top-level output when this call compiled the code
+ */
+export async function executeTest({ code, functionName, ...test }) {
+  const { value: result, logs } = await captureConsole(async () => {
+    const { fn, error: compileError } = compileFunction(code, functionName);
+
+    if (compileError) {
+      return { passed: false, actual: undefined, error: compileError };
+    }
+
+    const { input } = test;
+    try {
+      // Await so async implementations are graded on their resolved value
+      const actual = await fn(...(Array.isArray(input) ? input : [input]));
+      return gradeOutcome(test, { actual, error: null });
+    } catch (e) {
+      return gradeOutcome(test, { actual: undefined, error: serializeError(e) });
+    }
+  });
+
+  return { ...result, logs };
+}
+
+/**
+ * Convert a thrown value into something that survives postMessage
+ * @param {*} error
+ * @returns {{name: string, message: string, stack: string, frames: Array}} - frames: see parseGeneratedFrames
+ */
+export function serializeError(error) {
+  if (error instanceof Error) {
+    return {
+      name: error.name,
+      message: error.message,
+      stack: error.stack || '',
+      frames: parseGeneratedFrames(error.stack)
+    };
+  }
+  return { name: 'Error', message: String(error), stack: '', frames: [] };
+}
+
+export default {
+  CONSOLE_LEVELS,
+  MAX_LOG_ENTRIES,
+  stripModuleSyntax,
+  parseGeneratedFrames,
+  compileFunction,
+  executeTest,
+  serializeError
+};
@@ -0,0 +1,94 @@
+/**
+ * Settings Utility
+ *
+ * Persists user settings (Ollama endpoint, active model, generation
+ * parameters, safety scanner policies) in localStorage
+ * so they survive a page refresh.
+ *
+ * Usage:
+ *   const settings = loadSettings();
+ *   saveSettings({ ...settings, model: 'llama3.2:latest' });
+ */
+
+import { OLLAMA_BASE_URL, DEFAULT_MODEL } from './ollama.js';
+import { sanitizeParameters } from './generationParams.js';
+import { sanitizePolicies } from './safetyScanner.js';
+import { logger } from './logger.js';
+
+const STORAGE_KEY = 'agent-settings';
+
+export const DEFAULT_SETTINGS = {
+  baseUrl: OLLAMA_BASE_URL,
+  model: DEFAULT_MODEL,
+  parameters: {}, // Empty = model defaults
+  outputMode: 'markdown', // 'markdown' (code fences) | 'json' (schema-constrained, see structuredOutput.js)
+  safetyPolicies: {}, // Empty = rule defaults (see safetyScanner.js)
+};
+
+export const OUTPUT_MODES = ['markdown', 'json'];
+
+/**
+ * Normalize a user-entered Ollama URL
+ * - Adds http:// when no scheme is given
+ * - Removes trailing slashes
+ * @param {string} url
+ * @returns {string}
+ */
+export function normalizeBaseUrl(url) {
+  const trimmed = (url || '').trim();
+  if (!trimmed) return OLLAMA_BASE_URL;
+
+  const withScheme = /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+  return withScheme.replace(/\/+$/, '');
+}
+
+/**
+ * Load settings, falling back to defaults for anything missing
+ * @returns {{baseUrl: string, model: string, parameters: Object, outputMode: string, safetyPolicies: Object}}
+ */
+export function loadSettings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      parameters: sanitizeParameters(stored.parameters),
+      safetyPolicies: sanitizePolicies(stored.safetyPolicies),
+    };
+  } catch {
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * Save settings
+ * @param {{baseUrl: string, model: string, parameters: Object, outputMode: string, safetyPolicies: Object}} settings
+ * @returns {{baseUrl: string, model: string, parameters: Object, outputMode: string, safetyPolicies: Object}} - The normalized settings that were saved
+ */
+export function saveSettings(settings) {
+  const normalized = {
+    ...settings,
+    baseUrl: normalizeBaseUrl(settings.baseUrl),
+    model: settings.model || DEFAULT_MODEL,
+    parameters: sanitizeParameters(settings.parameters),
+    outputMode: OUTPUT_MODES.includes(settings.outputMode) ? settings.outputMode : DEFAULT_SETTINGS.outputMode,
+    safetyPolicies: sanitizePolicies(settings.safetyPolicies),
+  };
+
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(normalized));
+    logger.ui('settings-saved', { baseUrl: normalized.baseUrl, model: normalized.model, parameters: normalized.parameters });
+  } catch (error) {
+    logger.error('settings', error);
+  }
+
+  return normalized;
+}
+
+export default {
+  loadSettings,
+  saveSettings,
+  normalizeBaseUrl,
+  DEFAULT_SETTINGS,
+  OUTPUT_MODES
+};
@@ -0,0 +1,155 @@
+/**
+ * Structured Output
+ *
+ * Alternative to markdown code fences: Ollama's `format` field constrains the
+ * model to a JSON schema, so the response can be parsed instead of scraped.
+ *
+ * Expected response:
+ *   {
+ *     "functionName": "add",
+ *     "code": "function add(a, b) { return a + b; }",
+ *     "explanation": "Returns the sum of both arguments.",
+ *     "assumptions": ["Both arguments are numbers"]
+ *   }
+ *
+ * Usage:
+ *   const parsed = parseStructuredResponse(result.response);
+ *   if (parsed.valid) runTests(parsed.data.code, tests);
+ */
+
+/**
+ * JSON schema sent as Ollama's `format`
+ */
+export const CODE_RESPONSE_SCHEMA = {
+  type: 'object',
+  properties: {
+    functionName: { type: 'string', minLength: 1 },
+    code: { type: 'string', minLength: 1 },
+    explanation: { type: 'string' },
+    assumptions: { type: 'array', items: { type: 'string' } },
+  },
+  required: ['functionName', 'code', 'explanation', 'assumptions'],
+};
+
+/**
+ * JSON type name of a value (distinguishes array, null and integer)
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Whether a value has the given schema type
+ * @param {*} value
+ * @param {string} type - object | array | string | number | integer | boolean | null
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  return typeOf(value) === type;
+}
+
+/**
+ * Validate a value against a (small subset of) JSON schema
+ * Supports: type, properties, required, items, minLength, enum
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} path - Location used in error messages
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type && !matchesType(value, schema.type)) {
+    errors.push(`${path} should be ${schema.type}, got ${typeOf(value)}`);
+    return { valid: false, errors };
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+  }
+
+  if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+    errors.push(`${path} should not be empty`);
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (key in value) {
+        errors.push(...validateSchema(value[key], propertySchema, `${path}.${key}`).errors);
+      }
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateSchema(item, schema.items, `${path}[${index}]`).errors);
+    });
+  }
+
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Parse and validate a structured code response
+ * @param {string} text - Raw model output
+ * @param {Object} schema - Defaults to CODE_RESPONSE_SCHEMA
+ * @returns {{valid: boolean, data: Object|null, errors: string[]}}
+ */
+export function parseStructuredResponse(text, schema = CODE_RESPONSE_SCHEMA) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { valid: false, data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const { valid, errors } = validateSchema(data, schema);
+  return { valid, data: valid ? data : null, errors };
+}
+
+/**
+ * Best-effort read of a string field from JSON that is still streaming in
+ * e.g. '{"functionName":"add","code":"function add(a, b) {\n  ret' → 'function add(a, b) {\n  ret'
+ * @param {string} partial - Incomplete JSON text
+ * @param {string} key - Field name
+ * @returns {string} - Decoded value so far ('' if the field hasn't started)
+ */
+export function readPartialJsonString(partial, key) {
+  const match = new RegExp(`"${key}"\\s*:\\s*"`).exec(partial || '');
+  if (!match) return '';
+
+  let raw = partial.slice(match.index + match[0].length);
+
+  // Cut at the closing quote, if it has arrived
+  const closing = raw.search(/(?<!\\)(?:\\\\)*"/);
+  if (closing !== -1) {
+    const quote = raw.slice(closing).indexOf('"');
+    raw = raw.slice(0, closing + quote);
+  }
+
+  // Drop a trailing, incomplete escape sequence (\ or \u12)
+  raw = raw.replace(/\\(u[0-9a-fA-F]{0,3})?$/, '');
+
+  try {
+    return JSON.parse(`"${raw}"`);
+  } catch {
+    return raw;
+  }
+}
+
+export default {
+  CODE_RESPONSE_SCHEMA,
+  validateSchema,
+  parseStructuredResponse,
+  readPartialJsonString
+};
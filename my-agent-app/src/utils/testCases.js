@@ -0,0 +1,129 @@
+/**
+ * Test Case Rows
+ *
+ * Converts between sandbox test cases ({ input, expected, matcher... },
+ * see matchers.js) and the editable text rows of the test table in
+ * GoalInput.
+ *
+ * A row holds raw text so half-typed JSON survives re-renders:
+ *   { id, args: '2, 3', expected: '5', matcher: 'deepEqual', option: '' }
+ * `args` is the argument list without brackets (`[1, 2]` = one array
+ * argument); `option` is the tolerance (approx) or predicate source.
+ *
+ * Usage:
+ *   const rows = example.tests.map(testToRow);
+ *   const { tests, errors } = rowsToTests(rows);
+ */
+
+import { MATCHERS, DEFAULT_MATCHER } from './matchers.js';
+
+let nextRowId = 1;
+
+/**
+ * Empty row for the "Add test" button
+ * @returns {Object}
+ */
+export function createTestRow() {
+  return { id: nextRowId++, args: '', expected: '', matcher: DEFAULT_MATCHER, option: '' };
+}
+
+/**
+ * Test case → editable row
+ * @param {Object} test
+ * @returns {Object}
+ */
+export function testToRow(test) {
+  const matcher = test.matcher || DEFAULT_MATCHER;
+  const input = Array.isArray(test.input) ? test.input : [test.input];
+
+  return {
+    id: nextRowId++,
+    args: input.map(value => JSON.stringify(value)).join(', '),
+    expected: test.expected === undefined ? '' : JSON.stringify(test.expected),
+    matcher,
+    option: matcher === 'approx'
+      ? (test.tolerance === undefined ? '' : String(test.tolerance))
+      : matcher === 'predicate' ? (test.predicate || '') : '',
+  };
+}
+
+/**
+ * Parse one row; throws an Error whose `field` names the bad cell
+ * @param {Object} row
+ * @returns {Object} - Test case
+ */
+function parseRow(row) {
+  const fail = (field, message) => Object.assign(new Error(message), { field });
+  const test = {};
+
+  try {
+    test.input = JSON.parse(`[${row.args}]`);
+  } catch {
+    throw fail('args', 'Arguments must be JSON values separated by commas, e.g. 2, "a", [1, 2]');
+  }
+
+  // throws/predicate don't need an expected value
+  const optionalExpected = row.matcher === 'throws' || row.matcher === 'predicate';
+  if (row.expected.trim() === '') {
+    if (!optionalExpected) throw fail('expected', 'Expected value is required');
+  } else {
+    try {
+      test.expected = JSON.parse(row.expected);
+    } catch {
+      throw fail('expected', 'Expected value must be JSON (strings need "quotes")');
+    }
+  }
+
+  if (!MATCHERS.some(matcher => matcher.id === row.matcher)) {
+    throw fail('matcher', `Unknown matcher: ${row.matcher}`);
+  }
+  if (row.matcher !== DEFAULT_MATCHER) {
+    test.matcher = row.matcher;
+  }
+
+  const option = row.option.trim();
+  if (row.matcher === 'approx' && option !== '') {
+    const tolerance = Number(option);
+    if (!Number.isFinite(tolerance) || tolerance < 0) throw fail('option', 'Tolerance must be a non-negative number');
+    test.tolerance = tolerance;
+  }
+  if (row.matcher === 'predicate') {
+    if (!option) throw fail('option', 'Write a predicate, e.g. actual > 0');
+    try {
+      // Compile only - it runs in the sandbox
+      new Function('actual', 'input', 'expected', `return (${option});`);
+    } catch (e) {
+      throw fail('option', `Predicate: ${e.message}`);
+    }
+    test.predicate = option;
+  }
+
+  return test;
+}
+
+/**
+ * Editable rows → test cases; blank rows are skipped
+ * @param {Array} rows
+ * @returns {{tests: Array, errors: Array<{id: number, field: string, message: string}>}}
+ */
+export function rowsToTests(rows = []) {
+  const tests = [];
+  const errors = [];
+
+  for (const row of rows) {
+    if (!row.args.trim() && !row.expected.trim() && !row.option.trim()) continue;
+    try {
+      tests.push(parseRow(row));
+    } catch (error) {
+      errors.push({ id: row.id, field: error.field, message: error.message });
+    }
+  }
+
+  return { tests, errors };
+}
+
+export default {
+  createTestRow,
+  testToRow,
+  rowsToTests
+};
@@ -0,0 +1,96 @@
+/**
+ * Test Generation
+ *
+ * Free-form goals have no tests to grade the code against, so the model
+ * can propose some: PROMPTS.testGeneration asks for input/expected pairs
+ * as JSON constrained by TEST_SUITE_SCHEMA, and parseTestSuite checks the
+ * result before it reaches the test table. The user reviews and approves
+ * the tests there - a model-written suite can be wrong too.
+ *
+ * Expected response:
+ *   {
+ *     "functionName": "add",
+ *     "tests": [{ "input": [2, 3], "expected": 5 }, { "input": [-1, 1], "expected": 0 }]
+ *   }
+ *
+ * Usage:
+ *   const result = await generateTests(goal, { functionName: 'add', model });
+ *   if (result.success) setRows(result.suite.tests.map(testToRow));
+ */
+
+import { validateSchema } from './structuredOutput.js';
+
+export const MAX_GENERATED_TESTS = 12;
+
+/**
+ * JSON schema sent as Ollama's `format`
+ */
+export const TEST_SUITE_SCHEMA = {
+  type: 'object',
+  properties: {
+    functionName: { type: 'string', minLength: 1 },
+    tests: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          input: { type: 'array' },
+          expected: {},
+        },
+        required: ['input', 'expected'],
+      },
+    },
+  },
+  required: ['functionName', 'tests'],
+};
+
+/**
+ * Parse and validate a generated test suite
+ * Beyond the schema: at least one test, a usable function name, no duplicate
+ * inputs (the first one wins) and at most MAX_GENERATED_TESTS cases.
+ * @param {string} text - Raw model output
+ * @returns {{valid: boolean, data: {functionName: string, tests: Array}|null, errors: string[]}}
+ */
+export function parseTestSuite(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { valid: false, data: null, errors: [`Response is not valid JSON: ${error.message}`] };
+  }
+
+  const { errors } = validateSchema(data, TEST_SUITE_SCHEMA);
+  if (errors.length > 0) {
+    return { valid: false, data: null, errors };
+  }
+
+  const functionName = data.functionName.trim();
+  if (!/^[A-Za-z_$][\w$]*$/.test(functionName)) {
+    errors.push(`$.functionName should be a JavaScript identifier, got ${JSON.stringify(functionName)}`);
+  }
+  if (data.tests.length === 0) {
+    errors.push('$.tests should contain at least one test case');
+  }
+  if (errors.length > 0) {
+    return { valid: false, data: null, errors };
+  }
+
+  const seen = new Set();
+  const tests = data.tests
+    .filter(test => {
+      const key = JSON.stringify(test.input);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .slice(0, MAX_GENERATED_TESTS)
+    .map(({ input, expected }) => ({ input, expected }));
+
+  return { valid: true, data: { functionName, tests }, errors: [] };
+}
+
+export default {
+  TEST_SUITE_SCHEMA,
+  MAX_GENERATED_TESTS,
+  parseTestSuite
+};
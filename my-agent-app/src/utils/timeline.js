@@ -0,0 +1,117 @@
+/**
+ * Agent Timeline
+ *
+ * Flattens the iterations of an agent run into the steps that actually
+ * happened, in order: generate → test → reflect → regenerate → test ...
+ * Each step carries what went in and out of it so the timeline can show
+ * any of them, not just the latest prompt/response pair.
+ *
+ * Usage:
+ *   const steps = buildTimeline(result.iterations);
+ *   // → [{ id: '1-generate', kind: 'generate', iteration: 1, prompt, response, code, tokens, duration, status }, ...]
+ */
+
+export const STEP_KINDS = {
+  generate: { icon: '✨', label: 'Generate' },
+  regenerate: { icon: '🔁', label: 'Regenerate' },
+  test: { icon: '🧪', label: 'Test' },
+  reflect: { icon: '🤔', label: 'Reflect' },
+};
+
+/**
+ * Build the step list for a run
+ * @param {Array} iterations - Iterations from runAgentLoop
+ * @returns {Array<{
+ *   id: string,
+ *   kind: 'generate'|'regenerate'|'test'|'reflect',
+ *   iteration: number,
+ *   index: number,
+ *   prompt: string|null,
+ *   response: string|null,
+ *   code: string|null,
+ *   testResults: Object|null,
+ *   failures: string,
+ *   tokens: Object|null,
+ *   duration: number,
+ *   status: 'ok'|'passed'|'failed'|'error'|'cancelled',
+ *   summary: string
+ * }>} - index is the iteration's position in the array
+ */
+export function buildTimeline(iterations = []) {
+  const steps = [];
+
+  iterations.forEach((it, index) => {
+    const base = { iteration: it.iteration, index, prompt: null, response: null, code: null, testResults: null, failures: '', tokens: null, duration: 0 };
+    const generationCancelled = it.cancelled && !it.testResults && !it.reflectionPrompt;
+
+    steps.push({
+      ...base,
+      id: `${it.iteration}-generate`,
+      kind: index === 0 ? 'generate' : 'regenerate',
+      prompt: it.prompt,
+      response: it.rawResponse,
+      code: it.code,
+      tokens: it.tokens,
+      duration: it.duration,
+      status: it.error ? 'error' : generationCancelled ? 'cancelled' : 'ok',
+      summary: it.error
+        ? it.error
+        : [
+          it.code ? `${it.code.split('\n').length} lines` : 'no code',
+          it.candidates?.length > 1 ? `best of ${it.candidates.length}` : null,
+        ].filter(Boolean).join(' · '),
+    });
+
+    if (it.testResults) {
+      const { passed, total, duration } = it.testResults;
+      steps.push({
+        ...base,
+        id: `${it.iteration}-test`,
+        kind: 'test',
+        code: it.code,
+        testResults: it.testResults,
+        failures: it.failures,
+        duration,
+        status: it.success ? 'passed' : 'failed',
+        summary: `${passed}/${total} passed${it.functionName ? ` (${it.functionName})` : ''}`,
+      });
+    }
+
+    if (it.reflectionPrompt) {
+      const reflection = it.reflection || {};
+      steps.push({
+        ...base,
+        id: `${it.iteration}-reflect`,
+        kind: 'reflect',
+        prompt: it.reflectionPrompt,
+        response: reflection.response ?? it.hypothesis,
+        tokens: reflection.tokens || null,
+        duration: reflection.duration || 0,
+        status: it.cancelled ? 'cancelled' : it.hypothesis ? 'ok' : 'error',
+        summary: it.hypothesis
+          ? `${it.similarFixes?.length ? `${it.similarFixes.length} similar fix${it.similarFixes.length === 1 ? '' : 'es'} · ` : ''}hypothesis`
+          : reflection.error || 'no hypothesis',
+      });
+    }
+  });
+
+  return steps;
+}
+
+/**
+ * Totals across steps
+ * @param {Array} steps - From buildTimeline
+ * @returns {{duration: number, tokens: number}}
+ */
+export function summarizeTimeline(steps) {
+  return {
+    duration: steps.reduce((total, step) => total + (step.duration || 0), 0),
+    tokens: steps.reduce((total, step) => total + (step.tokens?.total || 0), 0),
+  };
+}
+
+export default {
+  STEP_KINDS,
+  buildTimeline,
+  summarizeTimeline
+};
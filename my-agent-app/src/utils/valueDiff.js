@@ -0,0 +1,90 @@
+/**
+ * Value Diff
+ *
+ * Structural diff between an expected and an actual test value, so a
+ * failing case shows *where* two arrays or objects differ instead of two
+ * long JSON strings. Leaves are compared with deepEqual, so the diff agrees
+ * with the deep-equal matcher.
+ *
+ * Usage:
+ *   diffValues({ a: [1, 2], b: 1 }, { a: [1, 3], c: 2 });
+ *   // → [{ path: '$.a[1]', kind: 'changed', expected: 2, actual: 3 },
+ *   //    { path: '$.b', kind: 'missing', expected: 1 },
+ *   //    { path: '$.c', kind: 'extra', actual: 2 }]
+ */
+
+import { deepEqual } from './deepEqual.js';
+
+export const MAX_DIFF_ENTRIES = 50;
+
+/**
+ * Whether a value is worth diffing structurally (arrays and plain objects)
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isStructured(value) {
+  return Array.isArray(value) ||
+    (value !== null && typeof value === 'object' && Object.getPrototypeOf(value) === Object.prototype);
+}
+
+/**
+ * Path segment for a key: .name for identifiers, ["odd key"] otherwise
+ * @param {string} key
+ * @returns {string}
+ */
+function keySegment(key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Diff two values
+ * @param {*} expected
+ * @param {*} actual
+ * @param {Object} options
+ * @param {number} options.limit - Stop after this many differences (default: MAX_DIFF_ENTRIES)
+ * @returns {Array<{path: string, kind: 'changed'|'type'|'missing'|'extra', expected?: *, actual?: *}>}
+ *   'type' = one side is an array/object and the other isn't (or array vs object)
+ */
+export function diffValues(expected, actual, options = {}) {
+  const { limit = MAX_DIFF_ENTRIES } = options;
+  const entries = [];
+
+  const walk = (a, b, path) => {
+    if (entries.length >= limit || deepEqual(a, b)) return;
+
+    if (!isStructured(a) || !isStructured(b) || Array.isArray(a) !== Array.isArray(b)) {
+      const kind = isStructured(a) || isStructured(b) ? 'type' : 'changed';
+      entries.push({ path, kind, expected: a, actual: b });
+      return;
+    }
+
+    if (Array.isArray(a)) {
+      for (let i = 0; i < Math.max(a.length, b.length); i++) {
+        if (entries.length >= limit) return;
+        const childPath = `${path}[${i}]`;
+        if (i >= b.length) entries.push({ path: childPath, kind: 'missing', expected: a[i] });
+        else if (i >= a.length) entries.push({ path: childPath, kind: 'extra', actual: b[i] });
+        else walk(a[i], b[i], childPath);
+      }
+      return;
+    }
+
+    const keys = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+    for (const key of keys) {
+      if (entries.length >= limit) return;
+      const childPath = `${path}${keySegment(key)}`;
+      if (!Object.prototype.hasOwnProperty.call(b, key)) entries.push({ path: childPath, kind: 'missing', expected: a[key] });
+      else if (!Object.prototype.hasOwnProperty.call(a, key)) entries.push({ path: childPath, kind: 'extra', actual: b[key] });
+      else walk(a[key], b[key], childPath);
+    }
+  };
+
+  walk(expected, actual, '$');
+  return entries;
+}
+
+export default {
+  MAX_DIFF_ENTRIES,
+  isStructured,
+  diffValues
+};
@@ -0,0 +1,28 @@
+/**
+ * Sandbox Worker
+ *
+ * Runs generated code off the main thread so an infinite loop can't
+ * freeze the UI. The main thread terminates this worker if a test
+ * exceeds its timeout.
+ *
+ * Protocol:
+ *   in:  { type: 'run', id, code, functionName, input, expected, matcher?, tolerance?, predicate? }
+ *   out: { type: 'result', id, passed, actual, error, logs }
+ */
+
+import { executeTest } from '../utils/sandboxRuntime.js';
+
+self.onmessage = async (event) => {
+  const { type, id, ...params } = event.data || {};
+
+  if (type !== 'run') return;
+
+  const result = await executeTest(params);
+
+  try {
+    self.postMessage({ type: 'result', id, ...result });
+  } catch {
+    // Return values like functions or DOM nodes can't be cloned
+    self.postMessage({ type: 'result', id, ...result, actual: String(result.actual) });
+  }
+};